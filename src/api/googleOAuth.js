@@ -20,19 +20,23 @@ class GoogleOAuthService {
     this.resolvePromise = null;
     this.rejectPromise = null;
     this.authMutex = false; // Prevenir múltiples autenticaciones simultáneas
+    this.expectedAccount = null; // Cuenta que se vuelve a autorizar
   }
 
   /**
    * Inicia el flujo de autenticación OAuth
+   * @param {Object} options - { account }: cuenta ya conectada que se vuelve a
+   *   autorizar (p. ej. para conceder permisos nuevos); solo se aceptan sus tokens
    * @returns {Promise<Object>} Cuenta autenticada
    */
-  async startFlow() {
+  async startFlow(options = {}) {
     // Prevenir múltiples autenticaciones simultáneas
     if (this.authMutex) {
       throw new Error("Authentication already in progress. Please wait.");
     }
     
     this.authMutex = true;
+    this.expectedAccount = options.account || null;
     
     try {
       await this.startCallbackServer();
@@ -80,11 +84,7 @@ class GoogleOAuthService {
       this.resolvePromise = resolve;
       this.rejectPromise = reject;
 
-      const authUrl = this.oauth2Client.generateAuthUrl({
-        access_type: "offline",
-        scope: GOOGLE.SCOPES,
-        prompt: "consent",
-      });
+      const authUrl = this.getAuthUrl();
 
       loggers.app.info("Opening auth window", {
         authUrl: authUrl.substring(0, 100) + "...",
@@ -103,6 +103,19 @@ class GoogleOAuthService {
     });
   }
 
+  /**
+   * Genera la URL de autorización del proveedor
+   * @private
+   */
+  getAuthUrl() {
+    return this.oauth2Client.generateAuthUrl({
+      access_type: "offline",
+      scope: GOOGLE.SCOPES,
+      prompt: "consent",
+      ...(this.expectedAccount ? { login_hint: this.expectedAccount.email } : {}),
+    });
+  }
+
   /**
    * Configura el cliente OAuth2
    * @private
@@ -167,10 +180,15 @@ class GoogleOAuthService {
 
     try {
       loggers.app.info("OAuth callback received with code");
-      const { tokens } = await this.oauth2Client.getToken(code);
-      this.oauth2Client.setCredentials(tokens);
+      const tokens = await this.exchangeCodeForTokens(code);
 
       const account = this.createAccountFromTokens(tokens);
+
+      // Al volver a autorizar no se guardan los tokens de otra cuenta
+      if (this.expectedAccount && account.id !== this.expectedAccount.id) {
+        throw new Error("Signed in with a different Google account");
+      }
+
       await this.saveOrUpdateAccount(account);
 
       this.sendSuccessResponse(res, account);
@@ -192,6 +210,16 @@ class GoogleOAuthService {
     }
   }
 
+  /**
+   * Intercambia el código de autorización por tokens
+   * @private
+   */
+  async exchangeCodeForTokens(code) {
+    const { tokens } = await this.oauth2Client.getToken(code);
+    this.oauth2Client.setCredentials(tokens);
+    return tokens;
+  }
+
   /**
    * Maneja errores de autenticación
    * @private
@@ -364,6 +392,7 @@ class GoogleOAuthService {
     }
     this.authHandled = false;
     this.authMutex = false; // Liberar mutex
+    this.expectedAccount = null;
     this.resolvePromise = null;
     this.rejectPromise = null;
   }
@@ -371,3 +400,6 @@ class GoogleOAuthService {
 
 // Exportar instancia única (Singleton)
 module.exports = new GoogleOAuthService();
+
+// Exportar la clase para otros proveedores OAuth que reutilizan el flujo
+module.exports.GoogleOAuthService = GoogleOAuthService;
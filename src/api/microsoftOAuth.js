@@ -0,0 +1,136 @@
+/**
+ * Microsoft OAuth Service
+ * Autenticación OAuth 2.0 (PKCE) con Microsoft identity platform para
+ * cuentas Outlook.com y Microsoft 365. Reutiliza el servidor de callback
+ * loopback, la ventana y el guardado de cuentas de GoogleOAuthService.
+ */
+
+const crypto = require('crypto');
+const url = require('url');
+const { URLSearchParams } = url;
+const jwt = require('jsonwebtoken');
+const { GoogleOAuthService } = require('./googleOAuth');
+const OAuthHelper = require('../common/oauthHelper');
+const { MICROSOFT, OAUTH } = require('../config/constants');
+const { loggers } = require('../common/logger');
+
+class MicrosoftOAuthService extends GoogleOAuthService {
+  constructor() {
+    super();
+    this.redirectUri = null;
+    this.codeVerifier = null;
+    this.state = null;
+  }
+
+  /**
+   * Inicia el flujo de autenticación OAuth
+   * @returns {Promise<Object>} Cuenta autenticada
+   */
+  async startFlow() {
+    if (!MICROSOFT.CLIENT_ID) {
+      throw new Error('MICROSOFT_CLIENT_ID is not configured');
+    }
+
+    return super.startFlow();
+  }
+
+  /**
+   * Prepara redirect URI, verificador PKCE y state
+   * @private
+   */
+  setupOAuthClient() {
+    this.redirectUri = `http://${OAUTH.OAUTH_HOST}:${this.oauthPort}${OAUTH.OAUTH_CALLBACK_PATH}`;
+    this.codeVerifier = crypto.randomBytes(32).toString('base64url');
+    this.state = crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Genera la URL de autorización de Microsoft
+   * @private
+   */
+  getAuthUrl() {
+    const challenge = crypto.createHash('sha256').update(this.codeVerifier).digest('base64url');
+    const params = new URLSearchParams({
+      'client_id': MICROSOFT.CLIENT_ID,
+      'response_type': 'code',
+      'redirect_uri': this.redirectUri,
+      'response_mode': 'query',
+      'scope': MICROSOFT.SCOPES.join(' '),
+      'state': this.state,
+      'code_challenge': challenge,
+      'code_challenge_method': 'S256',
+      'prompt': 'select_account'
+    });
+
+    return `${MICROSOFT.AUTHORITY}/oauth2/v2.0/authorize?${params.toString()}`;
+  }
+
+  /**
+   * Verifica el state antes de procesar el callback
+   * @private
+   */
+  async handleCallback(req, res) {
+    const { query } = url.parse(req.url, true);
+
+    if (query.code && !this.authHandled && query.state !== this.state) {
+      loggers.security.suspiciousActivity('OAuth state mismatch', { provider: 'microsoft' });
+      this.handleAuthError('state_mismatch', res);
+      return;
+    }
+
+    return super.handleCallback(req, res);
+  }
+
+  /**
+   * Intercambia el código de autorización por tokens
+   * @private
+   */
+  async exchangeCodeForTokens(code) {
+    return OAuthHelper.requestMicrosoftTokens({
+      'grant_type': 'authorization_code',
+      'code': code,
+      'redirect_uri': this.redirectUri,
+      'code_verifier': this.codeVerifier
+    });
+  }
+
+  /**
+   * Crea una cuenta a partir de los tokens
+   * @private
+   */
+  createAccountFromTokens(tokens) {
+    const claims = tokens.id_token ? jwt.decode(tokens.id_token) || {} : {};
+
+    if (claims.aud && claims.aud !== MICROSOFT.CLIENT_ID) {
+      throw new Error('Token audience mismatch');
+    }
+
+    const email = claims.email || claims.preferred_username;
+    const objectId = claims.oid || claims.sub;
+
+    if (!email || !objectId) {
+      throw new Error('Microsoft ID token is missing account claims');
+    }
+
+    return {
+      id: `ms_${objectId}`,
+      email,
+      provider: 'microsoft',
+      alias: this.generateAliasFromProvider('outlook'),
+      tokens
+    };
+  }
+
+  /**
+   * Limpia recursos
+   * @private
+   */
+  cleanup() {
+    super.cleanup();
+    this.codeVerifier = null;
+    this.state = null;
+  }
+}
+
+// Exportar instancia única (Singleton)
+module.exports = new MicrosoftOAuthService();
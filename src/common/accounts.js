@@ -5,6 +5,7 @@
 
 const StorageManager = require('./storage');
 const { loggers } = require('./logger');
+const { ACCOUNTS, VALIDATION } = require('../config/constants');
 
 class AccountManager {
   constructor() {
@@ -23,7 +24,8 @@ class AccountManager {
       
       // Usar cache si es válido
       if (this.accountMap.size > 0 && (now - this.lastLoadTime) < this.cacheTimeout) {
-        const accounts = Array.from(this.accountMap.values());
+        // El mapa indexa cada cuenta por ID y por email
+        const accounts = Array.from(new Set(this.accountMap.values()));
         loggers.app.debug('Cuentas cargadas desde cache', { count: accounts.length });
         return accounts;
       }
@@ -149,6 +151,163 @@ class AccountManager {
     }
   }
 
+  /**
+   * Actualiza los ajustes de una cuenta: alias, color, firma, firmas de sus
+   * identidades y si es la cuenta predeterminada para enviar (solo puede haber una)
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} settings - { alias, color, signature, signatures, isDefault }
+   * @returns {Object} Cuenta actualizada
+   */
+  updateAccountSettings(accountId, settings) {
+    try {
+      if (!accountId) {
+        throw new Error('Account ID is required');
+      }
+
+      const validatedSettings = this.validateAccountSettings(settings);
+      const accounts = this.storage.loadAccounts();
+      const account = accounts.find(acc => acc.id === accountId);
+
+      if (!account) {
+        throw new Error('Account not found');
+      }
+
+      const { signatures, ...fields } = validatedSettings;
+      Object.assign(account, fields, { lastUpdated: new Date().toISOString() });
+
+      if (signatures) {
+        this.mergeSignatures(account, signatures);
+      }
+
+      if (validatedSettings.isDefault) {
+        accounts
+          .filter(acc => acc.id !== accountId)
+          .forEach(acc => { acc.isDefault = false; });
+      }
+
+      this.storage.saveAccounts(accounts);
+
+      // La próxima lectura recarga todas (puede haber cambiado la predeterminada)
+      this.accountMap.clear();
+      loggers.accounts.info('Account settings updated', {
+        accountId,
+        fields: Object.keys(validatedSettings)
+      });
+
+      return account;
+    } catch (error) {
+      loggers.accounts.error('updateAccountSettings', error, { accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Valida los ajustes de una cuenta; los campos que no llegan no se cambian
+   */
+  validateAccountSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error('Invalid account settings');
+    }
+
+    const validated = {};
+
+    if (settings.alias !== undefined) {
+      const alias = typeof settings.alias === 'string' ? settings.alias.trim() : '';
+      if (!alias || alias.length > ACCOUNTS.ALIAS_MAX_LENGTH) {
+        throw new Error(`Alias must be between 1 and ${ACCOUNTS.ALIAS_MAX_LENGTH} characters`);
+      }
+      validated.alias = alias;
+    }
+
+    if (settings.color !== undefined) {
+      if (typeof settings.color !== 'string' || !ACCOUNTS.COLOR_REGEX.test(settings.color)) {
+        throw new Error('Invalid account color');
+      }
+      validated.color = settings.color.toLowerCase();
+    }
+
+    if (settings.signature !== undefined) {
+      if (typeof settings.signature !== 'string' || settings.signature.length > ACCOUNTS.SIGNATURE_MAX_LENGTH) {
+        throw new Error(`Signature must be at most ${ACCOUNTS.SIGNATURE_MAX_LENGTH} characters`);
+      }
+      validated.signature = settings.signature;
+    }
+
+    if (settings.isDefault !== undefined) {
+      if (typeof settings.isDefault !== 'boolean') {
+        throw new Error('Invalid default account flag');
+      }
+      validated.isDefault = settings.isDefault;
+    }
+
+    if (settings.signatures !== undefined) {
+      validated.signatures = this.validateSignatures(settings.signatures);
+    }
+
+    return validated;
+  }
+
+  /**
+   * Valida las firmas por identidad: { email: { text, html } }
+   */
+  validateSignatures(signatures) {
+    if (!signatures || typeof signatures !== 'object' || Array.isArray(signatures)) {
+      throw new Error('Invalid signatures');
+    }
+
+    const entries = Object.entries(signatures);
+    if (entries.length > ACCOUNTS.MAX_IDENTITIES) {
+      throw new Error(`At most ${ACCOUNTS.MAX_IDENTITIES} signatures are allowed`);
+    }
+
+    return Object.fromEntries(entries.map(([email, signature]) => {
+      if (!VALIDATION.EMAIL_REGEX.test(email)) {
+        throw new Error(`Invalid identity email: ${email}`);
+      }
+
+      const { text = '', html = '' } = signature || {};
+      if (typeof text !== 'string' || text.length > ACCOUNTS.SIGNATURE_MAX_LENGTH) {
+        throw new Error(`Signature must be at most ${ACCOUNTS.SIGNATURE_MAX_LENGTH} characters`);
+      }
+      if (typeof html !== 'string' || html.length > ACCOUNTS.SIGNATURE_HTML_MAX_LENGTH) {
+        throw new Error(`HTML signature must be at most ${ACCOUNTS.SIGNATURE_HTML_MAX_LENGTH} characters`);
+      }
+
+      return [email.toLowerCase(), { text, html }];
+    }));
+  }
+
+  /**
+   * Añade las firmas a las de la cuenta. La firma en texto de la dirección
+   * principal es la misma que se edita en el selector de cuentas (signature)
+   * @private
+   */
+  mergeSignatures(account, signatures) {
+    const primary = account.email.toLowerCase();
+    account.signatures = { ...account.signatures, ...signatures };
+
+    if (signatures[primary]) {
+      account.signature = signatures[primary].text;
+    }
+  }
+
+  /**
+   * Firma de una identidad (dirección desde la que se envía) de la cuenta
+   * @param {Object} account - Cuenta
+   * @param {string} email - Dirección de la identidad
+   * @returns {Object} { text, html }; html es null si no se ha definido
+   */
+  getIdentitySignature(account, email) {
+    const address = (email || account.email).toLowerCase();
+    const stored = account.signatures?.[address];
+    const isPrimary = address === account.email.toLowerCase();
+
+    return {
+      text: isPrimary ? account.signature || '' : stored?.text || '',
+      html: stored ? stored.html : null
+    };
+  }
+
   /**
    * Valida la estructura de una cuenta
    */
@@ -171,6 +330,19 @@ class AccountManager {
     const provider = account.provider || 'gmail';
     const alias = account.alias || provider;
 
+    // Las cuentas IMAP/SMTP necesitan servidores y credenciales propias
+    if (provider === 'imap') {
+      const { server, credentials } = account;
+
+      if (!server || !server.imap?.host || !server.smtp?.host) {
+        throw new Error('IMAP and SMTP hosts are required');
+      }
+
+      if (!credentials || !credentials.password) {
+        throw new Error('IMAP account password is required');
+      }
+    }
+
     return {
       ...account,
       provider,
@@ -5,6 +5,8 @@
 
 const StorageManager = require('./storage');
 const { loggers } = require('./logger');
+const ValidationManager = require('./validation');
+const { REMOTE_IMAGES } = require('../config/constants');
 
 class ConfigManager {
   constructor() {
@@ -193,6 +195,104 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Obtiene los atajos de teclado personalizados
+   * @returns {Object} Acción -> teclas ({} si se usan los predeterminados)
+   */
+  getShortcutBindings() {
+    return this.getConfig().shortcuts || {};
+  }
+
+  /**
+   * Guarda los atajos de teclado personalizados
+   * @param {Object} bindings - Acción -> lista de teclas ("g i" para secuencias)
+   */
+  saveShortcutBindings(bindings) {
+    this.validateShortcutBindings(bindings);
+    return this.updateConfig({ shortcuts: bindings });
+  }
+
+  /**
+   * Valida los atajos: cada tecla solo puede estar asignada a una acción
+   */
+  validateShortcutBindings(bindings) {
+    if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+      throw new Error('Invalid shortcut bindings');
+    }
+
+    const usedKeys = new Set();
+
+    for (const [action, keys] of Object.entries(bindings)) {
+      if (!/^[a-zA-Z]+$/.test(action) || !Array.isArray(keys)) {
+        throw new Error(`Invalid shortcut binding for action: ${action}`);
+      }
+
+      for (const key of keys) {
+        if (typeof key !== 'string' || !key.trim() || key.length > 32) {
+          throw new Error(`Invalid shortcut key for action: ${action}`);
+        }
+
+        if (usedKeys.has(key)) {
+          throw new Error(`Shortcut "${key}" is assigned to more than one action`);
+        }
+        usedKeys.add(key);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Obtiene los remitentes con imágenes remotas permitidas
+   * @returns {Object} ID de cuenta -> direcciones (en minúsculas)
+   */
+  getImageAllowlist() {
+    return this.getConfig().imageAllowlist || {};
+  }
+
+  /**
+   * Permite siempre las imágenes remotas de un remitente en una cuenta
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} sender - Dirección del remitente
+   * @returns {Array<string>} Remitentes permitidos de la cuenta
+   */
+  allowSenderImages(accountId, sender) {
+    if (!accountId || typeof accountId !== 'string') {
+      throw new Error('Invalid account ID');
+    }
+
+    const address = typeof sender === 'string' ? sender.trim().toLowerCase() : '';
+    if (!ValidationManager.isValidEmail(address)) {
+      throw new Error('Invalid sender address');
+    }
+
+    const allowlist = this.getImageAllowlist();
+    const senders = allowlist[accountId] || [];
+    if (senders.includes(address)) {
+      return senders;
+    }
+
+    if (senders.length >= REMOTE_IMAGES.MAX_ALLOWED_SENDERS) {
+      throw new Error(`No more than ${REMOTE_IMAGES.MAX_ALLOWED_SENDERS} senders can be allowed`);
+    }
+
+    const updated = [...senders, address];
+    this.updateConfig({ imageAllowlist: { ...allowlist, [accountId]: updated } });
+    return updated;
+  }
+
+  /**
+   * Elimina los remitentes permitidos de una cuenta (al quitar la cuenta)
+   * @param {string} accountId - ID de la cuenta
+   */
+  removeImageAllowlist(accountId) {
+    const allowlist = this.getImageAllowlist();
+    if (!allowlist[accountId]) return true;
+
+    const rest = Object.fromEntries(Object.entries(allowlist).filter(([id]) => id !== accountId));
+    return this.updateConfig({ imageAllowlist: rest });
+  }
+
   /**
    * Reinicia la configuración a valores por defecto
    */
@@ -0,0 +1,214 @@
+/**
+ * Draft Store
+ * Almacén local de borradores: el contenido se guarda cifrado en disco antes
+ * de sincronizarlo con el proveedor, así sobrevive sin conexión y a cierres
+ * inesperados de la aplicación
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Storage = require('./storage');
+const { loggers } = require('./logger');
+const { DRAFTS } = require('../config/constants');
+
+// Campos del borrador que se guardan cifrados
+const CONTENT_FIELDS = [
+  'from',
+  'fromName',
+  'to',
+  'cc',
+  'bcc',
+  'replyTo',
+  'subject',
+  'body',
+  'html',
+  'attachments',
+  'inReplyTo',
+  'references',
+  'threadId'
+];
+
+class DraftStore {
+  constructor() {
+    this.draftsFile = path.join(Storage.storageDir, DRAFTS.STORAGE_FILE);
+  }
+
+  /**
+   * Lista los borradores de una cuenta (más reciente primero)
+   * @param {string} accountId - ID de la cuenta
+   * @returns {Array} Borradores con su contenido descifrado
+   */
+  list(accountId) {
+    return this.readEntries()
+      .filter((entry) => entry.accountId === accountId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map((entry) => this.toDraft(entry))
+      .filter(Boolean);
+  }
+
+  /**
+   * Obtiene un borrador por su ID local
+   * @param {string} id - ID local del borrador
+   * @returns {Object|null} Borrador o null si no existe
+   */
+  get(id) {
+    const entry = this.readEntries().find((e) => e.id === id);
+    return entry ? this.toDraft(entry) : null;
+  }
+
+  /**
+   * Crea o actualiza un borrador
+   * @param {Object} draft - { id?, accountId, remoteId?, synced?, updatedAt?, ...contenido }
+   *   id puede venir de la ventana de redacción; si falta se genera uno
+   *   synced indica si el contenido coincide con el borrador del proveedor
+   * @returns {Object} Borrador guardado
+   */
+  save(draft) {
+    const entries = this.readEntries();
+    const existing = entries.find((e) => e.id === draft.id);
+
+    const entry = {
+      id: draft.id || this.generateId(),
+      accountId: draft.accountId,
+      remoteId: draft.remoteId || existing?.remoteId || '',
+      remoteMessageId: draft.remoteMessageId || existing?.remoteMessageId || '',
+      synced: !!draft.synced,
+      updatedAt: draft.updatedAt || new Date().toISOString(),
+      content: Storage.encrypt(this.pickContent(draft))
+    };
+
+    const next = [entry, ...entries.filter((e) => e.id !== entry.id)];
+    this.writeEntries(next.slice(0, DRAFTS.MAX_LOCAL));
+
+    return this.toDraft(entry);
+  }
+
+  /**
+   * Registra el borrador remoto correspondiente a un borrador local
+   * @param {string} id - ID local del borrador
+   * @param {Object} remote - { draftId, id, threadId } devuelto por el proveedor
+   * @param {string} syncedVersion - updatedAt del contenido subido; si el
+   *   borrador se modificó durante la subida sigue pendiente de sincronizar
+   * @returns {Object|null} Borrador actualizado
+   */
+  markSynced(id, remote, syncedVersion) {
+    const entries = this.readEntries();
+    const entry = entries.find((e) => e.id === id);
+    if (!entry) return null;
+
+    entry.remoteId = remote.draftId;
+    entry.remoteMessageId = remote.id || '';
+    entry.synced = entry.updatedAt === syncedVersion;
+
+    // El hilo lo asigna el proveedor al crear el borrador
+    if (remote.threadId) {
+      const content = Storage.decrypt(entry.content);
+      entry.content = Storage.encrypt({ ...content, threadId: remote.threadId });
+    }
+
+    this.writeEntries(entries);
+    return this.toDraft(entry);
+  }
+
+  /**
+   * Elimina un borrador local
+   * @param {string} id - ID local del borrador
+   * @returns {boolean} true si existía
+   */
+  remove(id) {
+    const entries = this.readEntries();
+    const next = entries.filter((e) => e.id !== id);
+
+    if (next.length === entries.length) return false;
+
+    this.writeEntries(next);
+    return true;
+  }
+
+  /**
+   * Elimina todos los borradores de una cuenta
+   * @param {string} accountId - ID de la cuenta
+   */
+  removeAccount(accountId) {
+    this.writeEntries(this.readEntries().filter((e) => e.accountId !== accountId));
+  }
+
+  /**
+   * Descifra una entrada del archivo
+   * @private
+   */
+  toDraft(entry) {
+    try {
+      return {
+        id: entry.id,
+        accountId: entry.accountId,
+        remoteId: entry.remoteId,
+        remoteMessageId: entry.remoteMessageId,
+        synced: entry.synced,
+        updatedAt: entry.updatedAt,
+        ...Storage.decrypt(entry.content)
+      };
+    } catch (error) {
+      loggers.app.error('Error decrypting draft', { id: entry.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Copia solo los campos de contenido del borrador
+   * @private
+   */
+  pickContent(draft) {
+    const content = {};
+    CONTENT_FIELDS.forEach((field) => {
+      if (field === 'attachments') {
+        content.attachments = Array.isArray(draft.attachments) ? draft.attachments : [];
+      } else {
+        content[field] = typeof draft[field] === 'string' ? draft[field] : '';
+      }
+    });
+    return content;
+  }
+
+  /**
+   * Lee las entradas del archivo de borradores
+   * @private
+   */
+  readEntries() {
+    try {
+      if (!fs.existsSync(this.draftsFile)) {
+        return [];
+      }
+
+      const entries = JSON.parse(fs.readFileSync(this.draftsFile, 'utf8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      loggers.app.error('Error reading drafts file', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Escribe las entradas en un archivo temporal y lo renombra, para que un
+   * cierre a mitad de escritura no deje el archivo corrupto
+   * @private
+   */
+  writeEntries(entries) {
+    const tempFile = `${this.draftsFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(entries, null, 2));
+    fs.renameSync(tempFile, this.draftsFile);
+  }
+
+  /**
+   * Genera un ID local compatible con la validación de IDs del IPC
+   * (mismo formato que los que genera la ventana de redacción)
+   * @private
+   */
+  generateId() {
+    return `draft_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+}
+
+// Exportar instancia única
+module.exports = new DraftStore();
@@ -0,0 +1,325 @@
+/**
+ * iCalendar
+ * Lee las invitaciones de reunión (text/calendar, RFC 5545) que llegan por
+ * correo y construye las respuestas iTIP (RFC 5546) con las que el invitado
+ * acepta, acepta como provisional o rechaza
+ */
+
+// Métodos iTIP que se muestran como invitación
+const METHODS = ['REQUEST', 'CANCEL', 'REPLY'];
+// Respuestas del invitado (PARTSTAT)
+const RESPONSES = ['ACCEPTED', 'TENTATIVE', 'DECLINED'];
+// Longitud máxima de una línea antes de plegarla (en octetos)
+const MAX_LINE_LENGTH = 75;
+// Tamaño máximo de un calendario que se intenta leer
+const MAX_CALENDAR_SIZE = 512 * 1024;
+
+class ICalendar {
+  constructor() {
+    this.RESPONSES = RESPONSES;
+  }
+
+  /**
+   * Lee la invitación de un calendario (el primer VEVENT)
+   * @param {string} text - Contenido text/calendar
+   * @returns {Object|null} { method, uid, sequence, recurrenceId, summary, description, location,
+   *   start: { dateTime, timeZone }, end, allDay, status, organizer: { email, name },
+   *   attendees: [{ email, name, partstat, role, rsvp }], recurrence } o null si no es una invitación
+   */
+  parseInvitation(text) {
+    if (typeof text !== 'string' || !text || text.length > MAX_CALENDAR_SIZE) {
+      return null;
+    }
+
+    const lines = this.unfold(text).map((line) => this.parseLine(line)).filter(Boolean);
+    const method = (lines.find((line) => line.name === 'METHOD')?.value || '').toUpperCase();
+
+    const start = lines.findIndex((line) => line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT');
+    if (start === -1) return null;
+
+    const event = [];
+    for (let index = start + 1; index < lines.length; index++) {
+      const line = lines[index];
+      if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT') break;
+      // Las alarmas (VALARM) del evento no interesan
+      if (line.name === 'BEGIN') {
+        const component = line.value.toUpperCase();
+        while (index < lines.length && !(lines[index].name === 'END' && lines[index].value.toUpperCase() === component)) {
+          index++;
+        }
+        continue;
+      }
+      event.push(line);
+    }
+
+    const get = (name) => event.find((line) => line.name === name);
+    const uid = get('UID')?.value || '';
+    const dtstart = get('DTSTART');
+    if (!uid || !dtstart || !METHODS.includes(method || 'REQUEST')) return null;
+
+    const startDate = this.parseDate(dtstart);
+    if (!startDate) return null;
+
+    const dtend = get('DTEND');
+    const endDate = (dtend && this.parseDate(dtend)) ||
+      this.addDuration(startDate, get('DURATION')?.value) ||
+      startDate;
+
+    return {
+      method: method || 'REQUEST',
+      uid,
+      sequence: parseInt(get('SEQUENCE')?.value, 10) || 0,
+      recurrenceId: get('RECURRENCE-ID')?.value || '',
+      summary: this.unescape(get('SUMMARY')?.value || ''),
+      description: this.unescape(get('DESCRIPTION')?.value || ''),
+      location: this.unescape(get('LOCATION')?.value || ''),
+      start: startDate,
+      end: endDate,
+      allDay: startDate.allDay,
+      status: (get('STATUS')?.value || 'CONFIRMED').toUpperCase(),
+      organizer: this.parseAddress(get('ORGANIZER')),
+      attendees: event.filter((line) => line.name === 'ATTENDEE').map((line) => ({
+        ...this.parseAddress(line),
+        partstat: (line.params.PARTSTAT || 'NEEDS-ACTION').toUpperCase(),
+        role: (line.params.ROLE || 'REQ-PARTICIPANT').toUpperCase(),
+        rsvp: (line.params.RSVP || '').toUpperCase() === 'TRUE'
+      })).filter((attendee) => attendee.email),
+      recurrence: event
+        .filter((line) => ['RRULE', 'EXDATE', 'RDATE'].includes(line.name))
+        .map((line) => line.raw)
+    };
+  }
+
+  /**
+   * Construye la respuesta iTIP (METHOD:REPLY) de un invitado
+   * @param {Object} invitation - Invitación leída con parseInvitation
+   * @param {Object} attendee - { email, name } del invitado que responde
+   * @param {string} response - ACCEPTED, TENTATIVE o DECLINED
+   * @returns {string} Contenido text/calendar
+   */
+  buildReply(invitation, attendee, response) {
+    if (!RESPONSES.includes(response)) {
+      throw new Error(`Invalid invitation response: ${response}`);
+    }
+
+    const stamp = this.formatUtc(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'PRODID:-//Mail App//iTIP//ES',
+      'VERSION:2.0',
+      'CALSCALE:GREGORIAN',
+      'METHOD:REPLY',
+      'BEGIN:VEVENT',
+      `UID:${invitation.uid}`,
+      invitation.recurrenceId ? `RECURRENCE-ID:${invitation.recurrenceId}` : null,
+      `SEQUENCE:${invitation.sequence || 0}`,
+      `DTSTAMP:${stamp}`,
+      invitation.allDay
+        ? `DTSTART;VALUE=DATE:${invitation.start.dateTime.replace(/-/g, '')}`
+        : `DTSTART:${this.formatUtc(new Date(invitation.start.dateTime))}`,
+      invitation.summary ? `SUMMARY:${this.escape(invitation.summary)}` : null,
+      invitation.organizer.email
+        ? `ORGANIZER${this.formatName(invitation.organizer.name)}:mailto:${invitation.organizer.email}`
+        : null,
+      `ATTENDEE;PARTSTAT=${response}${this.formatName(attendee.name)}:mailto:${attendee.email}`,
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ];
+
+    return lines.filter(Boolean).map((line) => this.fold(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Invitado que corresponde a una de las direcciones de la cuenta
+   * @param {Object} invitation - Invitación
+   * @param {Array<string>} addresses - Direcciones de la cuenta
+   * @returns {Object|null} Invitado o null si la cuenta no está invitada
+   */
+  findAttendee(invitation, addresses) {
+    const own = addresses.filter(Boolean).map((address) => address.toLowerCase());
+    return invitation.attendees.find((attendee) => own.includes(attendee.email.toLowerCase())) || null;
+  }
+
+  /**
+   * Junta las líneas plegadas (las que empiezan por espacio o tabulador)
+   * @private
+   */
+  unfold(text) {
+    return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter((line) => line.trim());
+  }
+
+  /**
+   * Pliega una línea en trozos de 75 octetos como máximo
+   * @private
+   */
+  fold(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+      const limit = parts.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Separa nombre, parámetros y valor de una línea (NOMBRE;PARAM=x:valor)
+   * @private
+   */
+  parseLine(raw) {
+    const match = raw.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:]*)(?:,(?:"[^"]*"|[^";:]*))*)*):(.*)$/);
+    if (!match) return null;
+
+    const params = {};
+    const paramPattern = /;([A-Za-z0-9-]+)=("[^"]*"|[^";:]*)/g;
+    let param;
+    while ((param = paramPattern.exec(match[2])) !== null) {
+      params[param[1].toUpperCase()] = param[2].replace(/^"|"$/g, '');
+    }
+
+    return { name: match[1].toUpperCase(), params, value: match[3], raw };
+  }
+
+  /**
+   * Fecha de DTSTART/DTEND en el mismo formato que los eventos del calendario:
+   * YYYY-MM-DD para los de día completo y fecha ISO (UTC) para el resto
+   * @private
+   * @returns {Object|null} { dateTime, timeZone, allDay }
+   */
+  parseDate(line) {
+    const value = line.value.trim();
+
+    const date = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (date || (line.params.VALUE || '').toUpperCase() === 'DATE') {
+      if (!date) return null;
+      return { dateTime: `${date[1]}-${date[2]}-${date[3]}`, timeZone: null, allDay: true };
+    }
+
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+    if (!match) return null;
+
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+    const wallTime = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const timeZone = match[7] ? 'UTC' : this.getTimeZone(line.params.TZID);
+
+    // Sin zona reconocible (hora flotante o TZID propio de Windows) se toma la hora local
+    const time = timeZone
+      ? wallTime - this.getOffset(timeZone, wallTime - this.getOffset(timeZone, wallTime))
+      : new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+
+    return { dateTime: new Date(time).toISOString(), timeZone: timeZone || null, allDay: false };
+  }
+
+  /**
+   * Zona IANA válida a partir de un TZID ("" si no se reconoce)
+   * @private
+   */
+  getTimeZone(tzid) {
+    if (!tzid) return '';
+
+    const name = tzid.replace(/^\//, '');
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: name });
+      return name;
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Diferencia en milisegundos entre la hora de una zona y UTC en un instante
+   * @private
+   */
+  getOffset(timeZone, time) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(new Date(time));
+
+    const value = (type) => Number(parts.find((part) => part.type === type).value);
+    const local = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+    return local - Math.floor(time / 1000) * 1000;
+  }
+
+  /**
+   * Fin de un evento a partir de su inicio y una DURATION (P1D, PT1H30M...)
+   * @private
+   */
+  addDuration(start, duration) {
+    const match = (duration || '').match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part) || 0);
+
+    if (start.allDay) {
+      const [year, month, day] = start.dateTime.split('-').map(Number);
+      const end = new Date(Date.UTC(year, month - 1, day + weeks * 7 + days));
+      return { ...start, dateTime: end.toISOString().slice(0, 10) };
+    }
+
+    const milliseconds = (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60000 + seconds * 1000;
+    return { ...start, dateTime: new Date(new Date(start.dateTime).getTime() + milliseconds).toISOString() };
+  }
+
+  /**
+   * Dirección y nombre de ORGANIZER o ATTENDEE
+   * @private
+   */
+  parseAddress(line) {
+    if (!line) return { email: '', name: '' };
+
+    return {
+      email: line.value.replace(/^mailto:/i, '').trim(),
+      name: line.params.CN || ''
+    };
+  }
+
+  /**
+   * Parámetro CN con el nombre (entre comillas, sin comillas internas)
+   * @private
+   */
+  formatName(name) {
+    return name ? `;CN="${name.replace(/["\r\n]/g, '')}"` : '';
+  }
+
+  /**
+   * Fecha en UTC con formato iCalendar (20261019T083000Z)
+   * @private
+   */
+  formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Quita el escape de un valor de texto (\n, \, \; \\)
+   * @private
+   */
+  unescape(value) {
+    return value.replace(/\\([nN,;\\])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+  }
+
+  /**
+   * Escapa un valor de texto
+   * @private
+   */
+  escape(value) {
+    return value.replace(/([\\,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+  }
+}
+
+// Exportar instancia única
+module.exports = new ICalendar();
@@ -0,0 +1,444 @@
+/**
+ * Mail Store
+ * Almacén local de correo para leer sin conexión. Cada cuenta tiene una carpeta
+ * con un índice (resúmenes, etiquetas y estado de sincronización) y un archivo
+ * por mensaje con el contenido completo; todo se guarda cifrado
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Storage = require('./storage');
+const Pagination = require('../utils/pagination');
+const { loggers } = require('./logger');
+const { MAIL_STORE } = require('../config/constants');
+
+// Campos del índice que se devuelven en los listados (los de parseEmailMessage)
+const SUMMARY_FIELDS = ['id', 'threadId', 'subject', 'from', 'to', 'date', 'snippet', 'size', 'labels'];
+
+// Campos que admite la búsqueda local con prefijo (from:ana subject:factura)
+const SEARCH_FIELDS = ['from', 'to', 'subject'];
+
+const SAFE_ID = /^[a-zA-Z0-9_-]+$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MailStore {
+  /**
+   * @param {string} baseDir - Directorio del almacén (configurable para pruebas)
+   */
+  constructor(baseDir = path.join(Storage.storageDir, MAIL_STORE.DIRECTORY)) {
+    this.baseDir = baseDir;
+    // Índices descifrados en memoria por cuenta
+    this.indexes = new Map();
+  }
+
+  /**
+   * Estado de sincronización de una cuenta
+   * @param {string} accountId - ID de la cuenta
+   * @returns {Object|null} { historyId, horizon, syncedAt } o null si nunca se sincronizó
+   */
+  getSyncState(accountId) {
+    const index = this.loadIndex(accountId);
+    if (!index.historyId) return null;
+
+    return { historyId: index.historyId, horizon: index.horizon, syncedAt: index.syncedAt };
+  }
+
+  /**
+   * Indica si una carpeta se puede servir desde el almacén
+   * @param {string} folder - Carpeta (INBOX, UNREAD...)
+   * @returns {boolean}
+   */
+  servesFolder(folder) {
+    return typeof folder === 'string' && Object.hasOwn(MAIL_STORE.FOLDER_LABELS, folder.toUpperCase());
+  }
+
+  /**
+   * Sustituye todo el contenido de la cuenta (sincronización completa)
+   * @param {string} accountId - ID de la cuenta
+   * @param {Array} messages - Mensajes completos (parseEmailDetails + internalDate)
+   * @param {Object} state - { historyId, horizon }
+   */
+  replaceAll(accountId, messages, state) {
+    this.removeAccount(accountId);
+    this.applyChanges(accountId, { messages, state });
+  }
+
+  /**
+   * Aplica un lote de cambios con una sola escritura del índice
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} changes - Cambios a aplicar
+   * @param {Array} changes.messages - Mensajes completos nuevos o actualizados
+   * @param {Object} changes.labels - { [id]: etiquetas actuales } de mensajes ya guardados
+   * @param {Array} changes.removed - IDs de mensajes eliminados
+   * @param {Object} changes.state - { historyId, horizon? } tras sincronizar
+   */
+  applyChanges(accountId, { messages = [], labels = {}, removed = [], state = null }) {
+    const index = this.loadIndex(accountId);
+
+    messages.forEach((message) => {
+      const internalDate = Number(message.internalDate) || Date.parse(message.date) || 0;
+      this.writeFile(this.messageFile(accountId, message.id), Storage.encrypt({ ...message, internalDate }));
+
+      const summary = { internalDate };
+      SUMMARY_FIELDS.forEach((field) => {
+        summary[field] = message[field];
+      });
+      index.messages[message.id] = summary;
+    });
+
+    Object.entries(labels).forEach(([id, labelIds]) => {
+      if (index.messages[id]) {
+        index.messages[id].labels = labelIds;
+      }
+    });
+
+    removed.forEach((id) => this.deleteMessage(accountId, index, id));
+
+    if (state) {
+      index.historyId = String(state.historyId);
+      index.horizon = state.horizon ?? index.horizon;
+      index.syncedAt = new Date().toISOString();
+    }
+
+    this.prune(accountId, index);
+    this.writeIndex(accountId, index);
+  }
+
+  /**
+   * Añade y quita etiquetas de un mensaje guardado (p. ej. UNREAD al leerlo)
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} id - ID del mensaje
+   * @param {Array} add - Etiquetas a añadir
+   * @param {Array} remove - Etiquetas a quitar
+   */
+  modifyLabels(accountId, id, add = [], remove = []) {
+    const summary = this.loadIndex(accountId).messages[id];
+    if (!summary) return;
+
+    const labels = (summary.labels || []).filter((label) => !remove.includes(label));
+    add.forEach((label) => {
+      if (!labels.includes(label)) labels.push(label);
+    });
+
+    this.applyChanges(accountId, { labels: { [id]: labels } });
+  }
+
+  /**
+   * Lista los mensajes de una carpeta (más reciente primero)
+   * Solo incluye mensajes posteriores al horizonte de sincronización, por
+   * encima del cual el almacén está completo
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} folder - Carpeta servida por el almacén
+   * @param {number} maxResults - Máximo de resultados
+   * @param {string} cursor - Cursor del último mensaje de la página anterior
+   * @returns {Object} { data, hasMore, cursor, total }
+   */
+  listMessages(accountId, folder, maxResults, cursor = null) {
+    const index = this.loadIndex(accountId);
+    const now = Date.now();
+
+    // El cursor (fecha + ID) no se desplaza cuando la sincronización añade
+    // correo nuevo entre una página y la siguiente, como pasaría con un offset
+    const matching = Object.values(index.messages)
+      .filter((summary) => summary.internalDate >= index.horizon)
+      .filter((summary) => this.matchesFolder(summary, folder.toUpperCase(), now))
+      .map((summary) => ({ summary, cursor: this.getCursor(summary) }));
+
+    // Si el mensaje del cursor ya no está (borrado o movido), se sigue por
+    // los más antiguos que él
+    const known = !cursor || matching.some((item) => item.cursor === cursor);
+    const page = Pagination.paginateCursor(
+      known ? matching : matching.filter((item) => item.cursor < cursor),
+      known ? cursor : null,
+      maxResults,
+      'cursor',
+      'desc'
+    );
+
+    return {
+      data: page.items.map((item) => this.toSummary(item.summary)),
+      hasMore: page.pagination.hasNextPage,
+      cursor: page.pagination.cursor,
+      total: matching.length
+    };
+  }
+
+  /**
+   * Cursor de un mensaje en los listados: fecha de recepción (con ceros a la
+   * izquierda para que se ordene como texto) e ID, que desempata
+   * @private
+   */
+  getCursor(summary) {
+    return `${String(summary.internalDate).padStart(15, '0')}_${summary.id}`;
+  }
+
+  /**
+   * Indica si un mensaje está guardado
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} id - ID del mensaje
+   * @returns {boolean}
+   */
+  hasMessage(accountId, id) {
+    return Object.hasOwn(this.loadIndex(accountId).messages, id);
+  }
+
+  /**
+   * Obtiene un mensaje completo
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} id - ID del mensaje
+   * @returns {Object|null} Mensaje o null si no está guardado
+   */
+  getMessage(accountId, id) {
+    const summary = this.loadIndex(accountId).messages[id];
+    if (!summary) return null;
+
+    try {
+      const encrypted = JSON.parse(fs.readFileSync(this.messageFile(accountId, id), 'utf8'));
+      // Las etiquetas del índice son las que mantiene al día la sincronización
+      return { ...Storage.decrypt(encrypted), labels: summary.labels };
+    } catch (error) {
+      loggers.app.error('Error reading stored message', { accountId, id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene una imagen en línea (cid:) guardada de un mensaje
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} id - ID del mensaje
+   * @param {string} contentId - Content-ID de la imagen
+   * @returns {Object|null} { contentId, mimeType, data } o null si no está guardada
+   */
+  getInlineImage(accountId, id, contentId) {
+    const file = this.inlineImageFile(accountId, id, contentId);
+    if (!fs.existsSync(file)) return null;
+
+    try {
+      return Storage.decrypt(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      loggers.app.error('Error reading stored inline image', { accountId, id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Guarda una imagen en línea de un mensaje guardado (se borra con él)
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} id - ID del mensaje
+   * @param {Object} image - { contentId, mimeType, data }
+   * @returns {boolean} false si el mensaje no está en el almacén
+   */
+  saveInlineImage(accountId, id, image) {
+    if (!this.hasMessage(accountId, id)) return false;
+
+    this.writeFile(this.inlineImageFile(accountId, id, image.contentId), Storage.encrypt(image));
+    return true;
+  }
+
+  /**
+   * Busca en los mensajes guardados (asunto, remitente, destinatarios y
+   * extracto; admite los prefijos from:, to: y subject:)
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} query - Términos de búsqueda
+   * @param {number} maxResults - Máximo de resultados
+   * @returns {Array} Resúmenes de los mensajes que contienen todos los términos
+   */
+  searchMessages(accountId, query, maxResults) {
+    const terms = this.parseQuery(query);
+    if (terms.length === 0) return [];
+
+    return Object.values(this.loadIndex(accountId).messages)
+      .filter((summary) => !this.isExcluded(summary))
+      .filter((summary) => terms.every((term) => this.matchesTerm(summary, term)))
+      .sort((a, b) => b.internalDate - a.internalDate)
+      .slice(0, maxResults)
+      .map((summary) => this.toSummary(summary));
+  }
+
+  /**
+   * Elimina todo el correo guardado de una cuenta
+   * @param {string} accountId - ID de la cuenta
+   */
+  removeAccount(accountId) {
+    fs.rmSync(this.accountDir(accountId), { recursive: true, force: true });
+    this.indexes.delete(accountId);
+  }
+
+  /**
+   * Indica si el mensaje pertenece a una carpeta del almacén
+   * @private
+   */
+  matchesFolder(summary, folder, now) {
+    if (this.isExcluded(summary)) return false;
+
+    const label = MAIL_STORE.FOLDER_LABELS[folder];
+    if (label) {
+      return (summary.labels || []).includes(label);
+    }
+
+    // TODAY: equivalente a newer_than:1d de Gmail
+    return summary.internalDate >= now - DAY_MS;
+  }
+
+  /**
+   * Spam, papelera y borradores no aparecen en ninguna carpeta ni búsqueda
+   * @private
+   */
+  isExcluded(summary) {
+    return (summary.labels || []).some((label) => MAIL_STORE.EXCLUDED_LABELS.includes(label));
+  }
+
+  /**
+   * Divide la consulta en términos { field, value } en minúsculas
+   * @private
+   */
+  parseQuery(query) {
+    return (query.toLowerCase().match(/(?:\w+:)?(?:"[^"]*"|\S+)/g) || [])
+      .map((token) => {
+        const match = token.match(/^(\w+):(.+)$/);
+        const field = match && SEARCH_FIELDS.includes(match[1]) ? match[1] : null;
+        const value = (field ? match[2] : token).replace(/"/g, '').trim();
+        return { field, value };
+      })
+      .filter((term) => term.value);
+  }
+
+  /**
+   * @private
+   */
+  matchesTerm(summary, term) {
+    const fields = term.field ? [term.field] : [...SEARCH_FIELDS, 'snippet'];
+    return fields.some((field) => String(summary[field] || '').toLowerCase().includes(term.value));
+  }
+
+  /**
+   * Resumen sin los campos internos del índice
+   * @private
+   */
+  toSummary(summary) {
+    const result = {};
+    SUMMARY_FIELDS.forEach((field) => {
+      result[field] = summary[field];
+    });
+    return result;
+  }
+
+  /**
+   * Limita el número de mensajes guardados eliminando los más antiguos. Si se
+   * eliminan mensajes posteriores al horizonte, este sube para que los listados
+   * no muestren huecos
+   * @private
+   */
+  prune(accountId, index) {
+    const summaries = Object.values(index.messages);
+    const excess = summaries.length - MAIL_STORE.MAX_MESSAGES;
+    if (excess <= 0) return;
+
+    const oldest = summaries.sort((a, b) => a.internalDate - b.internalDate).slice(0, excess);
+    oldest.forEach((summary) => this.deleteMessage(accountId, index, summary.id));
+
+    const newestRemoved = oldest[oldest.length - 1].internalDate;
+    if (newestRemoved >= index.horizon) {
+      index.horizon = newestRemoved + 1;
+    }
+  }
+
+  /**
+   * @private
+   */
+  deleteMessage(accountId, index, id) {
+    delete index.messages[id];
+    fs.rmSync(this.messageFile(accountId, id), { force: true });
+    fs.rmSync(this.inlineImageDir(accountId, id), { recursive: true, force: true });
+  }
+
+  /**
+   * Lee (y guarda en memoria) el índice de una cuenta
+   * @private
+   */
+  loadIndex(accountId) {
+    if (this.indexes.has(accountId)) {
+      return this.indexes.get(accountId);
+    }
+
+    let index = { historyId: '', horizon: 0, syncedAt: '', messages: {} };
+    const indexFile = path.join(this.accountDir(accountId), 'index.json');
+
+    try {
+      if (fs.existsSync(indexFile)) {
+        index = Storage.decrypt(JSON.parse(fs.readFileSync(indexFile, 'utf8')));
+      }
+    } catch (error) {
+      // Un índice ilegible obliga a una sincronización completa
+      loggers.app.error('Error reading mail store index', { accountId, error: error.message });
+    }
+
+    this.indexes.set(accountId, index);
+    return index;
+  }
+
+  /**
+   * @private
+   */
+  writeIndex(accountId, index) {
+    this.writeFile(path.join(this.accountDir(accountId), 'index.json'), Storage.encrypt(index));
+    this.indexes.set(accountId, index);
+  }
+
+  /**
+   * Escribe en un archivo temporal y lo renombra, para que un cierre a mitad
+   * de escritura no deje el archivo corrupto
+   * @private
+   */
+  writeFile(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data));
+    fs.renameSync(tempFile, file);
+  }
+
+  /**
+   * @private
+   */
+  accountDir(accountId) {
+    if (!SAFE_ID.test(accountId)) {
+      throw new Error('Invalid account ID');
+    }
+    return path.join(this.baseDir, accountId);
+  }
+
+  /**
+   * @private
+   */
+  messageFile(accountId, id) {
+    if (!SAFE_ID.test(id)) {
+      throw new Error('Invalid message ID');
+    }
+    return path.join(this.accountDir(accountId), 'messages', `${id}.json`);
+  }
+
+  /**
+   * @private
+   */
+  inlineImageDir(accountId, id) {
+    if (!SAFE_ID.test(id)) {
+      throw new Error('Invalid message ID');
+    }
+    return path.join(this.accountDir(accountId), 'inline', id);
+  }
+
+  /**
+   * El Content-ID lo elige el remitente: el nombre del archivo es su hash
+   * @private
+   */
+  inlineImageFile(accountId, id, contentId) {
+    const name = crypto.createHash('sha256').update(String(contentId)).digest('hex');
+    return path.join(this.inlineImageDir(accountId, id), `${name}.json`);
+  }
+}
+
+// Exportar instancia única
+module.exports = new MailStore();
+module.exports.MailStore = MailStore;
@@ -0,0 +1,87 @@
+/**
+ * MIME Builder
+ * Construye mensajes RFC 5322 (multipart/mixed y multipart/alternative,
+ * adjuntos en base64 y cabeceras codificadas RFC 2047) para todos los
+ * proveedores de envío: Gmail API, SMTP y Microsoft Graph
+ */
+
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+class MimeBuilder {
+  /**
+   * Construye el mensaje MIME completo
+   * @param {Object} emailData - { from, to, cc, bcc, replyTo, subject, body, html, attachments, inReplyTo, references, calendar }
+   *   (from puede ser una dirección o { name, address }; calendar es { method, content } para
+   *   añadir una parte text/calendar, como las respuestas a invitaciones)
+   * @param {Object} options - Opciones de construcción
+   * @param {boolean} options.keepBcc - Conservar la cabecera Bcc (Gmail API y Graph la necesitan)
+   * @returns {Promise<Object>} { raw: Buffer, messageId, envelope }
+   */
+  async build(emailData, options = {}) {
+    const node = new MailComposer(this.toMailOptions(emailData)).compile();
+    node.keepBcc = !!options.keepBcc;
+
+    const raw = await node.build();
+
+    return {
+      raw,
+      messageId: node.messageId(),
+      envelope: node.getEnvelope()
+    };
+  }
+
+  /**
+   * Traduce los datos de la app al formato de MailComposer
+   * @private
+   */
+  toMailOptions(emailData) {
+    const {
+      from,
+      to,
+      cc,
+      bcc,
+      replyTo,
+      subject,
+      body,
+      html,
+      attachments = [],
+      inReplyTo,
+      references,
+      calendar
+    } = emailData;
+
+    return {
+      from,
+      to,
+      cc: cc || undefined,
+      bcc: bcc || undefined,
+      replyTo: replyTo || undefined,
+      subject,
+      text: body,
+      html: html || undefined,
+      inReplyTo: inReplyTo || undefined,
+      references: references || undefined,
+      icalEvent: calendar ? { method: calendar.method, content: calendar.content } : undefined,
+      textEncoding: 'base64',
+      attachments: attachments.map((att) => ({
+        filename: att.filename,
+        contentType: att.mimeType || 'application/octet-stream',
+        content: att.data,
+        encoding: 'base64',
+        cid: att.contentId || undefined
+      }))
+    };
+  }
+
+  /**
+   * Tamaño en bytes de un contenido en base64
+   * @param {string} base64 - Contenido codificado
+   * @returns {number} Bytes decodificados
+   */
+  getDecodedSize(base64) {
+    return typeof base64 === 'string' ? Buffer.byteLength(base64, 'base64') : 0;
+  }
+}
+
+// Exportar instancia única
+module.exports = new MimeBuilder();
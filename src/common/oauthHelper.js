@@ -4,13 +4,17 @@
  */
 
 const { google } = require('googleapis');
+const axios = require('axios');
+const { URLSearchParams } = require('url');
 const Accounts = require('./accounts');
 const { loggers } = require('./logger');
-const { GOOGLE } = require('../config/constants');
+const { GOOGLE, MICROSOFT } = require('../config/constants');
 
 class OAuthHelper {
   constructor() {
     this.clients = new Map();
+    // Tokens de Microsoft refrescados (la caché de cuentas tarda en actualizarse)
+    this.microsoftTokens = new Map();
   }
 
   /**
@@ -111,6 +115,81 @@ class OAuthHelper {
     }
   }
 
+  /**
+   * Obtiene un access token válido de Microsoft Graph, refrescándolo si expira
+   */
+  async getMicrosoftAccessToken(accountId) {
+    try {
+      if (!accountId) {
+        throw new Error('Account ID is required');
+      }
+
+      const account = Accounts.findAccount(accountId);
+      if (!account || !account.tokens) {
+        throw new Error('Account not found or tokens missing');
+      }
+
+      const tokens = this.microsoftTokens.get(account.id) || account.tokens;
+      if (tokens.expiry_date && tokens.expiry_date - Date.now() > MICROSOFT.TOKEN_REFRESH_MARGIN) {
+        return tokens.access_token;
+      }
+
+      if (!tokens.refresh_token) {
+        throw new Error('Microsoft token expired and no refresh token is available');
+      }
+
+      loggers.auth.tokenRefresh(account.id, { reason: 'token_expiring', provider: 'microsoft' });
+      const newTokens = await this.requestMicrosoftTokens({
+        'grant_type': 'refresh_token',
+        'refresh_token': tokens.refresh_token
+      });
+
+      await this.handleTokenRefresh(account.id, newTokens);
+      this.microsoftTokens.set(account.id, newTokens);
+
+      return newTokens.access_token;
+    } catch (error) {
+      loggers.auth.failure(accountId, error.message, { provider: 'microsoft' });
+      throw error;
+    }
+  }
+
+  /**
+   * Solicita tokens al endpoint de Microsoft identity platform
+   * @param {Object} params - Parámetros del grant (authorization_code o refresh_token)
+   * @returns {Promise<Object>} Tokens con expiry_date al estilo de googleapis
+   */
+  async requestMicrosoftTokens(params) {
+    const body = new URLSearchParams({
+      'client_id': MICROSOFT.CLIENT_ID,
+      'scope': MICROSOFT.SCOPES.join(' '),
+      ...params
+    });
+
+    if (MICROSOFT.CLIENT_SECRET) {
+      body.append('client_secret', MICROSOFT.CLIENT_SECRET);
+    }
+
+    try {
+      const response = await axios.post(`${MICROSOFT.AUTHORITY}/oauth2/v2.0/token`, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      const data = response.data;
+
+      return {
+        'access_token': data.access_token,
+        'refresh_token': data.refresh_token,
+        'id_token': data.id_token,
+        'scope': data.scope,
+        'token_type': data.token_type,
+        'expiry_date': Date.now() + (data.expires_in || 3600) * 1000
+      };
+    } catch (error) {
+      const description = error.response?.data?.error_description || error.message;
+      throw new Error(`Microsoft token request failed: ${description}`);
+    }
+  }
+
   /**
    * Verifica validez de tokens
    */
@@ -160,6 +239,44 @@ class OAuthHelper {
     }
   }
 
+  /**
+   * Olvida el cliente OAuth2 de una cuenta, p. ej. tras volver a autorizarla
+   * @param {string} accountId - ID o email de la cuenta
+   */
+  removeClient(accountId) {
+    const account = Accounts.findAccount(accountId);
+    [accountId, account?.id, account?.email].forEach((key) => this.clients.delete(key));
+  }
+
+  /**
+   * Permisos de GOOGLE.SCOPES que no concedió una cuenta de Google, p. ej.
+   * las autorizadas antes de que la app pidiera uno nuevo
+   * @param {Object} account - Cuenta con sus tokens
+   * @returns {Array<string>} Permisos que faltan (vacío si no es una cuenta de
+   *   Google o los tokens no indican los permisos concedidos)
+   */
+  getMissingGoogleScopes(account) {
+    if (!account || !account.tokens || typeof account.tokens.scope !== 'string' ||
+        ['microsoft', 'imap'].includes(account.provider)) {
+      return [];
+    }
+
+    const granted = account.tokens.scope.split(/\s+/);
+    return GOOGLE.SCOPES.filter((scope) => !granted.includes(scope));
+  }
+
+  /**
+   * Indica si Google rechazó una petición porque la cuenta no concedió el
+   * permiso necesario (403 insufficientPermissions)
+   * @param {Error} error - Error de googleapis
+   * @returns {boolean} true si hay que volver a autorizar la cuenta
+   */
+  isInsufficientScopeError(error) {
+    const reason = error?.errors?.[0]?.reason || error?.response?.data?.error?.errors?.[0]?.reason;
+    return reason === 'insufficientPermissions' ||
+      /insufficient authentication scopes/i.test(error?.message || '');
+  }
+
   /**
    * Limpia clientes OAuth2 de la caché
    */
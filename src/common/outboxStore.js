@@ -0,0 +1,210 @@
+/**
+ * Outbox Store
+ * Cola persistente de la bandeja de salida: cada envío se guarda cifrado en
+ * disco hasta que sale, así sobrevive sin conexión y a cierres de la aplicación
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Storage = require('./storage');
+const { loggers } = require('./logger');
+const { OUTBOX } = require('../config/constants');
+
+// Campos del mensaje que se guardan cifrados
+const CONTENT_FIELDS = [
+  'from',
+  'fromName',
+  'to',
+  'cc',
+  'bcc',
+  'replyTo',
+  'subject',
+  'body',
+  'html',
+  'attachments',
+  'inReplyTo',
+  'references',
+  'threadId'
+];
+
+// Campos de estado que se pueden actualizar sin tocar el contenido
+const STATE_FIELDS = ['status', 'sendAt', 'scheduled', 'attempts', 'lastError'];
+
+class OutboxStore {
+  constructor() {
+    this.outboxFile = path.join(Storage.storageDir, OUTBOX.STORAGE_FILE);
+  }
+
+  /**
+   * Lista los envíos en cola (el que sale antes primero)
+   * @param {string} accountId - ID de la cuenta (todas si se omite)
+   * @returns {Array} Envíos con su contenido descifrado en content
+   */
+  list(accountId = null) {
+    return this.readEntries()
+      .filter((entry) => !accountId || entry.accountId === accountId)
+      .sort((a, b) => a.sendAt.localeCompare(b.sendAt))
+      .map((entry) => this.toItem(entry))
+      .filter(Boolean);
+  }
+
+  /**
+   * Obtiene un envío por su ID
+   * @param {string} id - ID del envío
+   * @returns {Object|null} Envío o null si no existe
+   */
+  get(id) {
+    const entry = this.readEntries().find((e) => e.id === id);
+    return entry ? this.toItem(entry) : null;
+  }
+
+  /**
+   * Añade un envío a la cola
+   * @param {Object} item - { accountId, draftId?, sendAt, scheduled?, content }
+   *   draftId es el borrador del que sale el mensaje (se elimina al enviarlo)
+   *   scheduled indica un envío programado por el usuario para sendAt
+   * @returns {Object} Envío guardado
+   */
+  add(item) {
+    const entry = {
+      id: this.generateId(),
+      accountId: item.accountId,
+      draftId: item.draftId || '',
+      status: 'pending',
+      sendAt: item.sendAt,
+      scheduled: !!item.scheduled,
+      attempts: 0,
+      lastError: '',
+      createdAt: new Date().toISOString(),
+      content: Storage.encrypt(this.pickContent(item.content))
+    };
+
+    this.writeEntries([...this.readEntries(), entry]);
+    return this.toItem(entry);
+  }
+
+  /**
+   * Actualiza el estado de un envío
+   * @param {string} id - ID del envío
+   * @param {Object} changes - { status?, sendAt?, scheduled?, attempts?, lastError? }
+   * @returns {Object|null} Envío actualizado o null si ya no existe
+   */
+  update(id, changes) {
+    const entries = this.readEntries();
+    const entry = entries.find((e) => e.id === id);
+    if (!entry) return null;
+
+    STATE_FIELDS.forEach((field) => {
+      if (changes[field] !== undefined) {
+        entry[field] = changes[field];
+      }
+    });
+
+    this.writeEntries(entries);
+    return this.toItem(entry);
+  }
+
+  /**
+   * Elimina un envío de la cola
+   * @param {string} id - ID del envío
+   * @returns {boolean} true si existía
+   */
+  remove(id) {
+    const entries = this.readEntries();
+    const next = entries.filter((e) => e.id !== id);
+
+    if (next.length === entries.length) return false;
+
+    this.writeEntries(next);
+    return true;
+  }
+
+  /**
+   * Elimina todos los envíos de una cuenta
+   * @param {string} accountId - ID de la cuenta
+   */
+  removeAccount(accountId) {
+    this.writeEntries(this.readEntries().filter((e) => e.accountId !== accountId));
+  }
+
+  /**
+   * Descifra una entrada del archivo
+   * @private
+   */
+  toItem(entry) {
+    try {
+      return {
+        id: entry.id,
+        accountId: entry.accountId,
+        draftId: entry.draftId,
+        status: entry.status,
+        sendAt: entry.sendAt,
+        scheduled: !!entry.scheduled,
+        attempts: entry.attempts,
+        lastError: entry.lastError,
+        createdAt: entry.createdAt,
+        content: Storage.decrypt(entry.content)
+      };
+    } catch (error) {
+      loggers.app.error('Error decrypting outbox item', { id: entry.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Copia solo los campos de contenido del mensaje
+   * @private
+   */
+  pickContent(content) {
+    const picked = {};
+    CONTENT_FIELDS.forEach((field) => {
+      if (field === 'attachments') {
+        picked.attachments = Array.isArray(content.attachments) ? content.attachments : [];
+      } else {
+        picked[field] = typeof content[field] === 'string' ? content[field] : '';
+      }
+    });
+    return picked;
+  }
+
+  /**
+   * Lee las entradas del archivo de la bandeja de salida
+   * @private
+   */
+  readEntries() {
+    try {
+      if (!fs.existsSync(this.outboxFile)) {
+        return [];
+      }
+
+      const entries = JSON.parse(fs.readFileSync(this.outboxFile, 'utf8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      loggers.app.error('Error reading outbox file', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Escribe las entradas en un archivo temporal y lo renombra, para que un
+   * cierre a mitad de escritura no deje el archivo corrupto
+   * @private
+   */
+  writeEntries(entries) {
+    const tempFile = `${this.outboxFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(entries, null, 2));
+    fs.renameSync(tempFile, this.outboxFile);
+  }
+
+  /**
+   * Genera un ID compatible con la validación de IDs del IPC
+   * @private
+   */
+  generateId() {
+    return `outbox_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+}
+
+// Exportar instancia única
+module.exports = new OutboxStore();
@@ -54,12 +54,16 @@ class StorageManager {
   }
 
   /**
-   * Cifra datos sensibles de cuenta (email y tokens)
+   * Cifra datos sensibles de cuenta (email, tokens, credenciales IMAP/SMTP y
+   * firmas, que suelen llevar datos de contacto)
    */
   encryptSensitiveData(account) {
     const sensitiveData = {
       email: account.email,
-      tokens: account.tokens
+      tokens: account.tokens,
+      credentials: account.credentials,
+      signature: account.signature,
+      signatures: account.signatures
     };
     return this.encrypt(sensitiveData);
   }
@@ -71,7 +75,10 @@ class StorageManager {
     const decrypted = this.decrypt(encryptedData);
     return {
       email: decrypted.email,
-      tokens: decrypted.tokens
+      tokens: decrypted.tokens,
+      credentials: decrypted.credentials,
+      signature: decrypted.signature || '',
+      signatures: decrypted.signatures || {}
     };
   }
 
@@ -153,9 +160,12 @@ class StorageManager {
         id: account.id,
         alias: account.alias,
         provider: account.provider,
+        server: account.server,
+        color: account.color,
+        isDefault: account.isDefault,
         created: account.created,
         lastUpdated: account.lastUpdated,
-        // Encriptar datos sensibles (email y tokens)
+        // Encriptar datos sensibles (email, tokens, credenciales y firma)
         sensitiveData: this.encryptSensitiveData(account)
       }));
 
@@ -205,8 +215,14 @@ class StorageManager {
           id: account.id,
           alias: account.alias,
           provider: account.provider,
+          server: account.server,
+          color: account.color,
+          isDefault: account.isDefault === true,
           email: sensitiveData.email,
           tokens: sensitiveData.tokens,
+          credentials: sensitiveData.credentials,
+          signature: sensitiveData.signature || '',
+          signatures: sensitiveData.signatures || {},
           created: account.created,
           lastUpdated: account.lastUpdated
         };
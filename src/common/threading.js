@@ -0,0 +1,186 @@
+/**
+ * Thread Builder
+ * Agrupa mensajes en conversaciones para proveedores sin hilos nativos:
+ * por threadId, por cabeceras References/In-Reply-To y, como último recurso,
+ * por asunto normalizado cuando alguno de los mensajes es una respuesta
+ */
+
+// Prefijos de respuesta/reenvío habituales ("Re:", "Fwd:", "RV:", "AW:", "Re[2]:"...)
+const REPLY_PREFIX = /^\s*((re|fwd?|rv|aw|sv|tr)(\[\d+\])?\s*:\s*)+/i;
+// Etiquetas de listas de correo ("[lista] Asunto")
+const LIST_TAG = /^\s*\[[^\]]+\]\s*/;
+
+class ThreadBuilder {
+  /**
+   * Agrupa mensajes en hilos (más reciente primero)
+   * @param {Array} messages - Mensajes con { id, threadId, messageId, inReplyTo, references, subject, from, date, read }
+   * @param {Object} options - Opciones de agrupación
+   * @param {boolean} options.byThreadId - Agrupar también por threadId del proveedor
+   * @returns {Array} Resúmenes de hilo
+   */
+  group(messages, options = {}) {
+    const { byThreadId = false } = options;
+    const parent = messages.map((_, index) => index);
+
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    // Une el mensaje con el primero que compartió la misma clave
+    const firstByKey = new Map();
+    const link = (key, index) => {
+      if (!firstByKey.has(key)) {
+        firstByKey.set(key, index);
+        return;
+      }
+      const a = find(firstByKey.get(key));
+      const b = find(index);
+      if (a !== b) parent[b] = a;
+    };
+
+    // El asunto solo agrupa si alguna respuesta lo comparte
+    const subjects = messages.map((m) => this.normalizeSubject(m.subject));
+    const replySubjects = new Set(
+      subjects.filter((subject, index) => subject && this.isReply(messages[index].subject))
+    );
+
+    messages.forEach((message, index) => {
+      if (byThreadId && message.threadId) {
+        link(`thread:${message.threadId}`, index);
+      }
+
+      [message.messageId, message.inReplyTo, ...this.splitReferences(message.references)]
+        .filter(Boolean)
+        .forEach((messageId) => link(`id:${messageId}`, index));
+
+      if (replySubjects.has(subjects[index])) {
+        link(`subject:${subjects[index]}`, index);
+      }
+    });
+
+    const groups = new Map();
+    messages.forEach((message, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(message);
+    });
+
+    return [...groups.values()]
+      .map((group) => this.summarize(group, byThreadId ? group[0].threadId : null))
+      .sort((a, b) => this.timestamp(b.date) - this.timestamp(a.date));
+  }
+
+  /**
+   * Resume un hilo para la lista de mensajes
+   * @param {Array} messages - Mensajes del hilo
+   * @param {string|null} threadId - ID del hilo del proveedor (si no, el del mensaje más antiguo)
+   * @returns {Object} { id, threadId, subject, from, participants, messageCount, messageIds, snippet, date, read, labels }
+   */
+  summarize(messages, threadId = null) {
+    const sorted = this.sortByDate(messages);
+    const first = sorted[0];
+    const latest = sorted[sorted.length - 1];
+    const id = threadId || first.id;
+
+    return {
+      id,
+      threadId: id,
+      subject: first.subject,
+      from: latest.from,
+      to: latest.to,
+      participants: this.getParticipants(sorted),
+      messageCount: sorted.length,
+      messageIds: sorted.map((m) => m.id),
+      snippet: latest.snippet,
+      date: latest.date,
+      read: sorted.every((m) => m.read !== false && !(m.labels || []).includes('UNREAD')),
+      labels: [...new Set(sorted.flatMap((m) => m.labels || []))]
+    };
+  }
+
+  /**
+   * Construye la conversación completa a partir de los detalles de sus mensajes
+   * @param {string} threadId - ID del hilo
+   * @param {Array} messages - Detalles de los mensajes
+   * @returns {Object} { id, subject, participants, messages } (más antiguo primero)
+   */
+  toConversation(threadId, messages) {
+    const sorted = this.sortByDate(messages);
+
+    return {
+      id: threadId,
+      subject: sorted[0]?.subject || '',
+      participants: this.getParticipants(sorted),
+      messages: sorted
+    };
+  }
+
+  /**
+   * Nombres de los remitentes en orden de aparición
+   * @private
+   */
+  getParticipants(messages) {
+    const names = messages.map((m) => {
+      const from = m.from || '';
+      const name = from.replace(/<[^>]*>/, '').replace(/"/g, '').trim();
+      return name || from.replace(/[<>]/g, '').trim();
+    });
+
+    return [...new Set(names.filter(Boolean))];
+  }
+
+  /**
+   * Asunto sin prefijos de respuesta ni etiquetas de lista, en minúsculas
+   */
+  normalizeSubject(subject) {
+    let normalized = (subject || '').trim();
+    let previous;
+
+    do {
+      previous = normalized;
+      normalized = normalized.replace(REPLY_PREFIX, '').replace(LIST_TAG, '').trim();
+    } while (normalized !== previous);
+
+    return normalized.toLowerCase();
+  }
+
+  /**
+   * Indica si el asunto es de una respuesta o reenvío
+   */
+  isReply(subject) {
+    return REPLY_PREFIX.test((subject || '').replace(LIST_TAG, ''));
+  }
+
+  /**
+   * Separa la cabecera References en Message-IDs
+   * @private
+   */
+  splitReferences(references) {
+    if (Array.isArray(references)) return references;
+    return (references || '').split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Ordena por fecha ascendente
+   * @private
+   */
+  sortByDate(messages) {
+    return [...messages].sort((a, b) => this.timestamp(a.date) - this.timestamp(b.date));
+  }
+
+  /**
+   * Marca de tiempo de una fecha (0 si no es válida)
+   * @private
+   */
+  timestamp(date) {
+    const time = new Date(date).getTime();
+    return Number.isNaN(time) ? 0 : time;
+  }
+}
+
+// Exportar instancia única
+module.exports = new ThreadBuilder();
@@ -4,6 +4,15 @@
  */
 
 const { loggers } = require('./logger');
+const { ATTACHMENTS } = require('../config/constants');
+
+// Nombres reservados por Windows (con o sin extensión)
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Contenido de adjunto en base64 estándar (sin saltos de línea)
+const BASE64_REGEX = /^[A-Za-z0-9+/]*={0,2}$/;
+// Content-ID de las imágenes insertadas en el cuerpo HTML (cid:)
+const CONTENT_ID_REGEX = /^[A-Za-z0-9._@-]{1,200}$/;
 
 class ValidationManager {
   constructor() {
@@ -21,8 +30,22 @@ class ValidationManager {
         maxLength: 10000,
         minLength: 1
       },
+      // Versión HTML del cuerpo (p. ej. con la firma HTML de la identidad)
+      html: {
+        maxLength: 100000
+      },
+      fromName: {
+        maxLength: 100
+      },
       accountId: {
         minLength: 1
+      },
+      messageId: {
+        regex: /^<[^<>\s]+>$/,
+        maxReferences: 100
+      },
+      threadId: {
+        regex: /^[a-zA-Z0-9_-]+$/
       }
     };
   }
@@ -189,8 +212,12 @@ class ValidationManager {
 
   /**
    * Valida payload completo de email con validación avanzada
+   * @param {Object} payload - Datos del email
+   * @param {Object} options - Opciones de validación
+   * @param {boolean} options.isDraft - Borrador: destinatarios, asunto y cuerpo pueden faltar
    */
-  validateEmailPayload(payload) {
+  validateEmailPayload(payload, options = {}) {
+    const { isDraft = false } = options;
     const errors = [];
     const warnings = [];
 
@@ -201,7 +228,9 @@ class ValidationManager {
       }
 
       // Validar 'to'
-      if (!payload.to || !this.isValidEmailList(payload.to)) {
+      if (!payload.to || !payload.to.trim()) {
+        if (!isDraft) errors.push('Invalid email address(es) in "To" field');
+      } else if (!this.isValidEmailList(payload.to)) {
         errors.push('Invalid email address(es) in "To" field');
       } else {
         const emailCount = payload.to.split(',').map(e => e.trim()).filter(e => e.length > 0).length;
@@ -210,30 +239,55 @@ class ValidationManager {
         }
       }
 
+      // Validar 'cc' y 'bcc' (opcionales)
+      if (payload.cc && payload.cc.trim() && !this.isValidEmailList(payload.cc)) {
+        errors.push('Invalid email address(es) in "Cc" field');
+      }
+      if (payload.bcc && payload.bcc.trim() && !this.isValidEmailList(payload.bcc)) {
+        errors.push('Invalid email address(es) in "Bcc" field');
+      }
+
+      // Validar 'replyTo' (opcional, una sola dirección)
+      if (payload.replyTo && payload.replyTo.trim() && !this.isValidEmail(payload.replyTo)) {
+        errors.push('Invalid email address in "Reply-To" field');
+      }
+
+      // Validar cabeceras de hilo (solo en respuestas)
+      if (payload.inReplyTo && !this.isValidMessageId(payload.inReplyTo)) {
+        errors.push('Invalid "In-Reply-To" message ID');
+      }
+      if (payload.references && !this.isValidReferences(payload.references)) {
+        errors.push('Invalid "References" message IDs');
+      }
+      if (payload.threadId && !this.rules.threadId.regex.test(payload.threadId)) {
+        errors.push('Invalid thread ID');
+      }
+
       // Validar 'subject'
       if (!payload.subject || !this.isNotEmpty(payload.subject)) {
-        errors.push('Subject is required');
+        if (!isDraft) errors.push('Subject is required');
       } else if (!this.isWithinLength(payload.subject, this.rules.subject.maxLength)) {
         errors.push(`Subject must be ${this.rules.subject.maxLength} characters or less`);
-      } else {
-        // Validar contenido del subject
-        const sanitizedSubject = this.sanitizeText(payload.subject);
-        if (sanitizedSubject !== payload.subject) {
-          warnings.push('Subject contained potentially unsafe characters and was sanitized');
-        }
       }
 
       // Validar 'body'
       if (!payload.body || !this.isNotEmpty(payload.body)) {
-        errors.push('Body is required');
+        if (!isDraft) errors.push('Body is required');
       } else if (!this.isWithinLength(payload.body, this.rules.body.maxLength)) {
         errors.push(`Body must be ${this.rules.body.maxLength} characters or less`);
-      } else {
-        // Validar contenido del body
-        const sanitizedBody = this.sanitizeText(payload.body);
-        if (sanitizedBody !== payload.body) {
-          warnings.push('Body contained potentially unsafe characters and was sanitized');
-        }
+      }
+
+      // Validar remitente (opcional: por defecto la dirección de la cuenta)
+      if (payload.from && !this.isValidEmail(payload.from)) {
+        errors.push('Invalid email address in "From" field');
+      }
+      if (payload.fromName &&
+        (!this.isWithinLength(payload.fromName, this.rules.fromName.maxLength) || /[\r\n]/.test(payload.fromName))) {
+        errors.push('Invalid sender name');
+      }
+
+      if (payload.html && !this.isWithinLength(payload.html, this.rules.html.maxLength)) {
+        errors.push(`HTML body must be ${this.rules.html.maxLength} characters or less`);
       }
 
       // Validar 'accountId'
@@ -241,8 +295,11 @@ class ValidationManager {
         errors.push('Account selection is required');
       }
 
-      // Validar tamaño total del payload
-      const payloadSize = JSON.stringify(payload).length;
+      // Validar adjuntos
+      errors.push(...this.validateAttachments(payload.attachments));
+
+      // Validar tamaño total del payload (los adjuntos tienen sus propios límites)
+      const payloadSize = JSON.stringify({ ...payload, attachments: undefined }).length;
       if (payloadSize > 50000) { // 50KB limit
         warnings.push('Payload size is large, consider reducing content');
       }
@@ -264,6 +321,104 @@ class ValidationManager {
     }
   }
 
+  /**
+   * Valida un Message-ID con formato "<id@dominio>"
+   */
+  isValidMessageId(messageId) {
+    return typeof messageId === 'string' && this.rules.messageId.regex.test(messageId.trim());
+  }
+
+  /**
+   * Valida la cadena References (Message-IDs separados por espacios)
+   */
+  isValidReferences(references) {
+    if (typeof references !== 'string') {
+      return false;
+    }
+
+    const ids = references.trim().split(/\s+/).filter(id => id.length > 0);
+    if (ids.length > this.rules.messageId.maxReferences) {
+      loggers.security.validationError('references_too_many', ids.length);
+      return false;
+    }
+
+    return ids.every(id => this.isValidMessageId(id));
+  }
+
+  /**
+   * Valida los adjuntos de un email saliente { filename, mimeType, data (base64) }
+   * Comprueba número, tamaño por archivo y tamaño total
+   * @returns {Array<string>} Errores encontrados
+   */
+  validateAttachments(attachments) {
+    const errors = [];
+
+    if (attachments === undefined || attachments === null) {
+      return errors;
+    }
+
+    if (!Array.isArray(attachments)) {
+      errors.push('Attachments must be a list');
+      return errors;
+    }
+
+    if (attachments.length > ATTACHMENTS.MAX_COUNT) {
+      errors.push(`No more than ${ATTACHMENTS.MAX_COUNT} attachments are allowed`);
+    }
+
+    let totalSize = 0;
+    for (const att of attachments) {
+      if (!att || typeof att.filename !== 'string' || typeof att.data !== 'string' || !BASE64_REGEX.test(att.data)) {
+        loggers.security.validationError('attachment_format', att?.filename);
+        errors.push('Invalid attachment');
+        continue;
+      }
+
+      const size = this.getBase64Size(att.data);
+      totalSize += size;
+
+      if (size > ATTACHMENTS.MAX_FILE_SIZE) {
+        errors.push(`Attachment "${att.filename}" exceeds ${this.formatMegabytes(ATTACHMENTS.MAX_FILE_SIZE)}`);
+      }
+    }
+
+    if (totalSize > ATTACHMENTS.MAX_TOTAL_SIZE) {
+      errors.push(`Attachments exceed ${this.formatMegabytes(ATTACHMENTS.MAX_TOTAL_SIZE)} in total`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Bytes decodificados de un contenido en base64
+   * @private
+   */
+  getBase64Size(base64) {
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return Math.floor(base64.length * 3 / 4) - padding;
+  }
+
+  /**
+   * Formatea un límite en bytes como "10 MB"
+   * @private
+   */
+  formatMegabytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+  }
+
+  /**
+   * Comprueba que el remitente sea una de las direcciones de la cuenta
+   * @param {string} from - Dirección elegida al redactar
+   * @param {Array<string>} addresses - Dirección de la cuenta y alias verificados
+   * @returns {boolean} true si se puede enviar desde esa dirección
+   */
+  isAllowedSender(from, addresses) {
+    if (!from || typeof from !== 'string') return false;
+
+    const wanted = from.trim().toLowerCase();
+    return addresses.some((address) => typeof address === 'string' && address.toLowerCase() === wanted);
+  }
+
   /**
    * Sanitiza todo el payload
    */
@@ -275,8 +430,31 @@ class ValidationManager {
     return {
       ...payload,
       to: payload.to ? payload.to.trim() : '',
-      subject: payload.subject ? this.sanitizeText(payload.subject) : '',
-      body: payload.body ? this.sanitizeText(payload.body) : '',
+      cc: payload.cc ? payload.cc.trim() : '',
+      bcc: payload.bcc ? payload.bcc.trim() : '',
+      replyTo: payload.replyTo ? payload.replyTo.trim() : '',
+      inReplyTo: payload.inReplyTo ? payload.inReplyTo.trim() : '',
+      references: payload.references ? payload.references.trim().split(/\s+/).join(' ') : '',
+      threadId: payload.threadId ? payload.threadId.trim() : '',
+      attachments: Array.isArray(payload.attachments) ?
+        payload.attachments.map((att) => ({
+          filename: this.sanitizeFilename(att.filename),
+          mimeType: typeof att.mimeType === 'string' && att.mimeType ? att.mimeType : 'application/octet-stream',
+          data: att.data,
+          // Imagen en línea referenciada desde el HTML; si no es válido se
+          // envía como adjunto normal
+          contentId: typeof att.contentId === 'string' && CONTENT_ID_REGEX.test(att.contentId) ?
+            att.contentId :
+            undefined
+        })) :
+        [],
+      // Asunto y cuerpo se envían como texto plano: escapar HTML corrompería
+      // el mensaje (p. ej. las líneas citadas con "> ")
+      subject: payload.subject ? payload.subject.trim() : '',
+      body: payload.body || '',
+      html: typeof payload.html === 'string' ? payload.html : '',
+      from: typeof payload.from === 'string' ? payload.from.trim() : '',
+      fromName: typeof payload.fromName === 'string' ? payload.fromName.trim() : '',
       accountId: payload.accountId ? payload.accountId.trim() : ''
     };
   }
@@ -310,6 +488,39 @@ class ValidationManager {
     }
   }
 
+  /**
+   * Sanitiza un nombre de archivo recibido en un email antes de escribirlo a disco
+   * Elimina rutas, caracteres no permitidos y nombres reservados
+   */
+  sanitizeFilename(filename) {
+    let name = typeof filename === 'string' ? filename : '';
+
+    // Quedarse solo con el último segmento de la ruta
+    name = name.split(/[\\/]/).pop();
+
+    name = name
+      .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '_')
+      .replace(/^[.\s]+/, '')
+      .replace(/[.\s]+$/, '')
+      .trim();
+
+    if (!name || RESERVED_FILENAMES.test(name)) {
+      if (filename) {
+        loggers.security.validationError('attachment_filename', filename);
+      }
+      name = name ? `_${name}` : ATTACHMENTS.DEFAULT_FILENAME;
+    }
+
+    // Limitar longitud conservando la extensión
+    if (name.length > ATTACHMENTS.FILENAME_MAX_LENGTH) {
+      const dot = name.lastIndexOf('.');
+      const extension = dot > 0 && name.length - dot <= 16 ? name.slice(dot) : '';
+      name = name.slice(0, ATTACHMENTS.FILENAME_MAX_LENGTH - extension.length) + extension;
+    }
+
+    return name;
+  }
+
   /**
    * Valida email contra lista negra
    */
@@ -341,9 +552,11 @@ if (typeof window !== 'undefined') {
     sanitizeText: (text) => validationManager.sanitizeText(text),
     isNotEmpty: (value, minLength) => validationManager.isNotEmpty(value, minLength),
     isWithinLength: (value, maxLength) => validationManager.isWithinLength(value, maxLength),
-    validateEmailPayload: (payload) => validationManager.validateEmailPayload(payload),
+    validateEmailPayload: (payload, options) => validationManager.validateEmailPayload(payload, options),
+    validateAttachments: (attachments) => validationManager.validateAttachments(attachments),
     isValidAccountId: (accountId) => validationManager.isValidAccountId(accountId),
-    isEmailAllowed: (email) => validationManager.isEmailAllowed(email)
+    isEmailAllowed: (email) => validationManager.isEmailAllowed(email),
+    sanitizeFilename: (filename) => validationManager.sanitizeFilename(filename)
   };
 }
 
@@ -14,11 +14,49 @@ module.exports = {
     SCOPES: [
       'https://www.googleapis.com/auth/gmail.readonly',
       'https://www.googleapis.com/auth/gmail.send',
+      'https://www.googleapis.com/auth/gmail.modify',
+      // calendar.readonly lista los calendarios; calendar.events crea,
+      // modifica y elimina eventos. Las cuentas autorizadas sin alguno de
+      // estos permisos deben volver a conectarse (OAuthHelper.getMissingGoogleScopes)
       'https://www.googleapis.com/auth/calendar.readonly',
+      'https://www.googleapis.com/auth/calendar.events',
       'https://www.googleapis.com/auth/userinfo.email'
     ]
   },
 
+  // Microsoft (Outlook / Microsoft 365) OAuth + Graph Configuration
+  // La app se registra como cliente público: PKCE y client secret opcional
+  MICROSOFT: {
+    CLIENT_ID: process.env.MICROSOFT_CLIENT_ID || '',
+    CLIENT_SECRET: process.env.MICROSOFT_CLIENT_SECRET || '',
+    AUTHORITY: process.env.MICROSOFT_AUTHORITY || 'https://login.microsoftonline.com/common',
+    GRAPH_BASE_URL: process.env.MICROSOFT_GRAPH_URL || 'https://graph.microsoft.com/v1.0',
+    SCOPES: [
+      'openid',
+      'profile',
+      'email',
+      'offline_access',
+      'https://graph.microsoft.com/User.Read',
+      'https://graph.microsoft.com/Mail.ReadWrite',
+      'https://graph.microsoft.com/Mail.Send'
+    ],
+    TOKEN_REFRESH_MARGIN: 5 * 60 * 1000, // Refrescar 5 minutos antes de expirar
+    MAX_RESULTS: 10,
+    MAX_MIME_SIZE: 4 * 1024 * 1024, // Límite de Graph para el cuerpo de sendMail
+    MAX_THREAD_MESSAGES: 50, // Mensajes por conversación en la vista de hilo
+    // Carpetas lógicas -> carpeta conocida de Graph y filtro OData
+    FOLDERS: {
+      INBOX: { folder: 'inbox' },
+      SENT: { folder: 'sentitems' },
+      DRAFTS: { folder: 'drafts' },
+      TRASH: { folder: 'deleteditems' },
+      UNREAD: { folder: 'inbox', filter: 'isRead eq false' },
+      TODAY: { folder: 'inbox', sinceDays: 1 },
+      STARRED: { folder: 'inbox', filter: 'flag/flagStatus eq \'flagged\'' },
+      SPAM: { folder: 'junkemail' }
+    }
+  },
+
   // OAuth Configuration
   OAUTH: {
     OAUTH_CALLBACK_PATH: '/oauth2callback',
@@ -40,10 +78,43 @@ module.exports = {
       TRASH: 'in:trash',
       UNREAD: 'is:unread',
       TODAY: 'newer_than:1d',
-      STARRED: 'is:starred'
+      STARRED: 'is:starred',
+      SPAM: 'in:spam'
+    },
+    // Las etiquetas se abren como carpetas 'label:<ID de la etiqueta>'
+    LABEL_FOLDER_PREFIX: 'label:',
+    LABEL_NAME_MAX_LENGTH: 225,
+    // batchModify admite hasta 1000 IDs; lotes más pequeños
+    // permiten informar del progreso en selecciones grandes
+    BATCH_SIZE: 100
+  },
+
+  // IMAP/SMTP Configuration (proveedores genéricos)
+  IMAP: {
+    DEFAULT_PORT: 993,
+    DEFAULT_SECURE: true,
+    CONN_TIMEOUT: 15000,
+    AUTH_TIMEOUT: 10000,
+    MAX_RESULTS: 10,
+    // Carpetas lógicas -> buzón y criterio de búsqueda IMAP
+    FOLDERS: {
+      INBOX: { box: 'INBOX', criteria: ['ALL'] },
+      SENT: { specialUse: '\\Sent', fallbackNames: ['Sent', 'Sent Items', 'Sent Messages'], criteria: ['ALL'] },
+      DRAFTS: { specialUse: '\\Drafts', fallbackNames: ['Drafts'], criteria: ['ALL'] },
+      TRASH: { specialUse: '\\Trash', fallbackNames: ['Trash', 'Deleted Items', 'Deleted Messages'], criteria: ['ALL'] },
+      UNREAD: { box: 'INBOX', criteria: ['UNSEEN'] },
+      TODAY: { box: 'INBOX', criteria: ['ALL'], sinceDays: 1 },
+      STARRED: { box: 'INBOX', criteria: ['FLAGGED'] },
+      SPAM: { specialUse: '\\Junk', fallbackNames: ['Junk', 'Spam', 'Junk E-mail'], criteria: ['ALL'] }
     }
   },
 
+  SMTP: {
+    DEFAULT_PORT: 465,
+    DEFAULT_SECURE: true,
+    CONN_TIMEOUT: 15000
+  },
+
   // Penpot API Configuration
   PENPOT: {
     API_BASE_URL: process.env.PENPOT_API_URL || 'https://penpot.app/api',
@@ -61,14 +132,91 @@ module.exports = {
     API_VERSION: 'v3',
     CALENDAR_ID: 'primary',
     MAX_RESULTS: 10,
+    // Eventos por calendario en las vistas de agenda, día y semana
+    RANGE_MAX_RESULTS: 250,
     ORDER_BY: 'startTime'
   },
 
 
+  // Attachments
+  ATTACHMENTS: {
+    MAX_DOWNLOAD_SIZE: 25 * 1024 * 1024, // 25 MB, límite de envío de Gmail y Outlook
+    FILENAME_MAX_LENGTH: 200,
+    DEFAULT_FILENAME: 'attachment',
+    // Envío: el mensaje crece ~33% al codificar en base64
+    MAX_COUNT: 20,
+    MAX_FILE_SIZE: 10 * 1024 * 1024,
+    MAX_TOTAL_SIZE: 18 * 1024 * 1024
+  },
+
+  // Borradores
+  DRAFTS: {
+    STORAGE_FILE: 'drafts.json',
+    MAX_LOCAL: 200, // Borradores guardados en local por todas las cuentas
+    MAX_RESULTS: 50 // Borradores remotos que se sincronizan al abrir la carpeta
+  },
+
+  // Bandeja de salida (envíos en cola con ventana para deshacer)
+  OUTBOX: {
+    STORAGE_FILE: 'outbox.json',
+    UNDO_DELAY_DEFAULT: 10, // Segundos para deshacer o editar un envío
+    UNDO_DELAY_MIN: 5,
+    UNDO_DELAY_MAX: 30,
+    RETRY_DELAY: 30 * 1000, // Espera antes del primer reintento tras un error de red
+    MAX_RETRY_DELAY: 10 * 60 * 1000, // La espera se duplica en cada intento hasta este máximo
+    MAX_SCHEDULE_AHEAD: 365 * 24 * 60 * 60 * 1000 // Antelación máxima de un envío programado
+  },
+
+  // Almacén local de correo (lectura sin conexión, cuentas Gmail)
+  MAIL_STORE: {
+    DIRECTORY: 'mail', // Dentro del directorio de almacenamiento, una carpeta por cuenta
+    INITIAL_SYNC_MESSAGES: 200, // Mensajes más recientes que descarga la sincronización inicial
+    MAX_MESSAGES: 1000, // Mensajes guardados por cuenta (se eliminan los más antiguos)
+    SYNC_INTERVAL: 30 * 1000, // Tiempo mínimo entre sincronizaciones incrementales
+    SYNC_TIMEOUT: 3000, // Espera máxima a la sincronización antes de leer del almacén
+    // Carpetas servidas desde el almacén -> etiqueta de Gmail que deben tener
+    // (TODAY no tiene etiqueta: mensajes de las últimas 24 horas)
+    FOLDER_LABELS: {
+      INBOX: 'INBOX',
+      SENT: 'SENT',
+      UNREAD: 'UNREAD',
+      STARRED: 'STARRED',
+      TODAY: null
+    },
+    // Mensajes que ninguna carpeta del almacén muestra
+    EXCLUDED_LABELS: ['SPAM', 'TRASH', 'DRAFT']
+  },
+
+  // Ajustes de cada cuenta (selector de cuentas)
+  ACCOUNTS: {
+    ALIAS_MAX_LENGTH: 40,
+    SIGNATURE_MAX_LENGTH: 2000,
+    SIGNATURE_HTML_MAX_LENGTH: 10000,
+    // Alias de Gmail (sendAs) con firma propia por cuenta
+    MAX_IDENTITIES: 50,
+    COLOR_REGEX: /^#[0-9a-f]{6}$/i
+  },
+
+  // Remitentes cuyas imágenes remotas se cargan siempre (por cuenta)
+  REMOTE_IMAGES: {
+    MAX_ALLOWED_SENDERS: 1000
+  },
+
+  // Bandeja unificada (la misma carpeta de todas las cuentas conectadas)
+  UNIFIED_INBOX: {
+    // Carpetas que existen en todas las cuentas (las etiquetas son de cada una)
+    FOLDERS: ['INBOX', 'UNREAD', 'TODAY', 'STARRED', 'SENT'],
+    // Colores que se asignan por orden a las cuentas sin color propio
+    ACCOUNT_COLORS: ['#1a73e8', '#d93025', '#188038', '#e37400', '#9334e6', '#007b83']
+  },
+
   // Validation Limits
   VALIDATION: {
     SUBJECT_MAX_LENGTH: 200,
     BODY_MAX_LENGTH: 10000,
+    EVENT_SUMMARY_MAX_LENGTH: 500,
+    EVENT_DESCRIPTION_MAX_LENGTH: 8000,
+    EVENT_LOCATION_MAX_LENGTH: 500,
     EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
   },
 
@@ -119,6 +267,8 @@ module.exports = {
     NETWORK: 'network',
     ACCOUNT_NOT_FOUND: 'account_not_found',
     VALIDATION: 'validation',
+    // La cuenta no concedió el permiso que necesita la petición
+    PERMISSIONS: 'permissions',
     UNKNOWN: 'unknown'
   },
 
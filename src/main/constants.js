@@ -35,6 +35,7 @@ const MESSAGES = {
   COMPOSE_LOADED: "Compose window loaded successfully",
   COMPOSE_CLOSED: "Compose window closed",
   EMAIL_DELETION_REQUESTED: "Email deletion requested",
+  ATTACHMENTS_SAVED: "Attachments saved to disk",
   CACHE_SET: "Almacenar en caché",
   CACHE_HIT: "Obtener del caché",
   VALIDATION_FAILED: "Validation failed",
@@ -47,12 +48,21 @@ const ERROR_MESSAGES = {
   FOLDER_REQUIRED: "Valid folder is required",
   ACCOUNT_ID_REQUIRED: "Valid Account ID is required",
   EMAIL_ID_REQUIRED: "Valid Email ID is required",
+  ATTACHMENT_ID_INVALID: "Invalid Attachment ID format",
+  ATTACHMENT_TOO_LARGE: "Attachment exceeds the maximum download size",
+  ATTACHMENTS_REQUIRED: "At least one attachment is required",
   PAGE_INVALID: "Page must be a positive number",
   PAGE_SIZE_INVALID: "Page size must be between 1 and 100",
   QUERY_REQUIRED: "Valid search query is required",
   QUERY_TOO_SHORT: "Search query must be at least 2 characters long",
   QUERY_TOO_LONG: "Search query too long (max 200 characters)",
   INVALID_CHARACTERS: "Invalid characters in search query",
+  CALENDAR_NOT_SUPPORTED: "Calendars are only available for Google accounts",
+  CALENDAR_ID_INVALID: "Invalid Calendar ID format",
+  CALENDAR_DATE_INVALID: "Invalid calendar date range",
+  EVENT_ID_INVALID: "Invalid Event ID format",
+  INVITATION_NOT_FOUND: "The message has no invitation to respond to",
+  INVITATION_RESPONSE_INVALID: "Invalid invitation response",
   NETWORK_ERROR: "Error de comunicación. Verifica tu conexión a internet.",
   NO_INTERNET: "Sin conexión a internet. Por favor verifica tu conexión.",
   TIMEOUT_ERROR: "La solicitud tardó demasiado. Por favor intenta de nuevo.",
@@ -127,6 +137,16 @@ const HTTP_STATUS = {
   INTERNAL_ERROR: 500,
 };
 
+// Invitation replies sent to the organizer (iTIP REPLY)
+const INVITATION_REPLIES = {
+  ACCEPTED: { subject: "Aceptada", body: "ha aceptado la invitación" },
+  TENTATIVE: {
+    subject: "Provisional",
+    body: "ha aceptado provisionalmente la invitación",
+  },
+  DECLINED: { subject: "Rechazada", body: "ha rechazado la invitación" },
+};
+
 // Exportar como CommonJS
 module.exports = {
   WINDOW_CONFIG,
@@ -139,4 +159,5 @@ module.exports = {
   SECURITY,
   API_ENDPOINTS,
   HTTP_STATUS,
+  INVITATION_REPLIES,
 };
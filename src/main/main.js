@@ -1,6 +1,7 @@
-const { app, BrowserWindow, ipcMain } = require("electron");
+const { app, BrowserWindow, ipcMain, dialog, shell } = require("electron");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
 
 // Importar constantes centralizadas
 const {
@@ -11,8 +12,7 @@ const {
   LIMITS,
   COMPOSE_WINDOW,
   SECURITY,
-  API_ENDPOINTS,
-  HTTP_STATUS,
+  INVITATION_REPLIES,
 } = require("./constants");
 
 // Load environment variables from .env file - use app.getAppPath() for Electron
@@ -35,9 +35,22 @@ if (fs.existsSync(envPath)) {
 // Ensure account and oauth modules exist
 const Accounts = require("../common/accounts");
 const GoogleOAuth = require("../api/googleOAuth");
+const MicrosoftOAuth = require("../api/microsoftOAuth");
 const OAuthHelper = require("../common/oauthHelper");
+const ConfigManager = require("../common/config");
 const { loggers } = require("../common/logger");
-const { GMAIL, FOLDERS, CALENDAR, GOOGLE } = require("../config/constants");
+const {
+  GMAIL,
+  IMAP,
+  SMTP,
+  FOLDERS,
+  CALENDAR,
+  GOOGLE,
+  ATTACHMENTS,
+  UNIFIED_INBOX,
+} = require("../config/constants");
+const ValidationManager = require("../common/validation");
+const ICalendar = require("../common/icalendar");
 
 // Validate required configuration
 function validateConfiguration() {
@@ -71,7 +84,14 @@ if (!validateConfiguration()) {
 }
 
 // Importar servicios
-const { gmailService } = require("../services");
+const {
+  imapService,
+  mailProviders,
+  draftService,
+  syncService,
+  outboxService,
+  calendarService,
+} = require("../services");
 const cache = require("../utils/cache");
 
 // Inicializar logger global
@@ -91,12 +111,18 @@ function createWindow() {
       preload: path.join(__dirname, PATHS.PRELOAD_SCRIPT),
       contextIsolation: true,
       nodeIntegration: false,
-      webSecurity: false, // Allow loading local CSS files
     },
   });
 
   mainWindow.loadFile(path.join(__dirname, PATHS.RENDERER_INDEX));
 
+  // The app never navigates or opens windows by itself; links from messages
+  // go through "open-external"
+  mainWindow.webContents.on("will-navigate", (event) => {
+    event.preventDefault();
+  });
+  mainWindow.webContents.setWindowOpenHandler(() => ({ action: "deny" }));
+
   // Open DevTools for debugging only in development
   if (process.env.NODE_ENV === "development") {
     mainWindow.webContents.openDevTools();
@@ -107,13 +133,50 @@ function createWindow() {
   });
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  createWindow();
+
+  // Resume queued sends; every outbox change is pushed to the main window
+  outboxService.start((type, item) => {
+    if (mainWindow) {
+      mainWindow.webContents.send("outbox-updated", { type, item });
+    }
+  });
+});
 
 // IPC: Accounts and Google OAuth
+// Colour chosen in the account settings or, until one is chosen, a colour
+// from the palette by position so that each account keeps the same one
+function getAccountColor(account, index) {
+  return (
+    account.color ||
+    UNIFIED_INBOX.ACCOUNT_COLORS[index % UNIFIED_INBOX.ACCOUNT_COLORS.length]
+  );
+}
+
+// Account as the renderer sees it: OAuth tokens and IMAP passwords never
+// leave the main process. needsReconnect flags Google accounts authorised
+// before the app asked for a scope it now needs
+function toRendererAccount(account) {
+  if (!account) {
+    return null;
+  }
+
+  const visible = { ...account };
+  delete visible.tokens;
+  delete visible.credentials;
+  visible.needsReconnect =
+    OAuthHelper.getMissingGoogleScopes(account).length > 0;
+  return visible;
+}
+
 ipcMain.handle("list-accounts", async () => {
   try {
     loggers.app.info("Listing accounts");
-    const accounts = Accounts.getAccounts();
+    const accounts = Accounts.getAccounts().map((account, index) => ({
+      ...toRendererAccount(account),
+      color: getAccountColor(account, index),
+    }));
     return { success: true, data: accounts };
   } catch (error) {
     loggers.accounts.error("list-accounts", error);
@@ -121,6 +184,125 @@ ipcMain.handle("list-accounts", async () => {
   }
 });
 
+// Alias, colour, signatures and default sending account
+ipcMain.handle(
+  "update-account-settings",
+  async (event, accountId, settings) => {
+    try {
+      if (!accountId || typeof accountId !== "string") {
+        throw new Error("Valid Account ID is required");
+      }
+
+      const account = Accounts.updateAccountSettings(accountId, settings);
+      return { success: true, account: toRendererAccount(account) };
+    } catch (e) {
+      loggers.accounts.error("update-account-settings", e, { accountId });
+      return {
+        success: false,
+        error: e.message || "Failed to update account settings",
+        account: null,
+      };
+    }
+  },
+);
+
+// Unread badge of each account in the account switcher: the first page of
+// UNREAD up to the display limit ("99+" when there are more)
+ipcMain.handle("fetch-account-unread-counts", async () => {
+  try {
+    const accounts = Accounts.getAccounts();
+    const entries = await Promise.all(
+      accounts.map(async (account) => {
+        try {
+          const { result } = await loadEmails(
+            account.id,
+            "UNREAD",
+            null,
+            LIMITS.MAX_COUNT_DISPLAY,
+          );
+
+          if (result.success === false) {
+            throw new Error(result.error);
+          }
+          return [
+            account.id,
+            { count: result.data.length, more: !!result.nextPageToken },
+          ];
+        } catch (e) {
+          // Sin contador para esa cuenta; el resto se muestra igual
+          loggers.accounts.error("fetch-account-unread-counts", e, {
+            accountId: account.id,
+          });
+          return [account.id, null];
+        }
+      }),
+    );
+
+    return { success: true, data: Object.fromEntries(entries) };
+  } catch (e) {
+    loggers.accounts.error("fetch-account-unread-counts", e);
+    return { success: false, error: e.message, data: {} };
+  }
+});
+
+// Identities an account can send from (Gmail send-as aliases, or just the
+// account address) with the signature saved for each one
+ipcMain.handle("fetch-identities", async (event, accountId) => {
+  try {
+    if (!accountId || typeof accountId !== "string") {
+      throw new Error("Valid Account ID is required");
+    }
+
+    const account = Accounts.findAccount(accountId);
+    if (!account) {
+      throw new Error("Account not found");
+    }
+
+    let identities = [
+      {
+        email: account.email,
+        name: "",
+        replyTo: "",
+        isPrimary: true,
+        isDefault: true,
+        signature: "",
+      },
+    ];
+
+    const provider = mailProviders.getProviderForAccount(accountId);
+    if (typeof provider.listSendAs === "function") {
+      const result = await provider.listSendAs(accountId);
+
+      // Sin los alias se puede seguir enviando desde la dirección principal
+      if (result.success && result.data.length > 0) {
+        identities = result.data;
+      } else if (!result.success) {
+        loggers.app.warn("Send-as identities unavailable", {
+          accountId,
+          error: result.error,
+        });
+      }
+    }
+
+    // La firma HTML guardada en la app tiene prioridad sobre la de Gmail
+    const data = identities.map((identity) => {
+      const saved = Accounts.getIdentitySignature(account, identity.email);
+      return {
+        ...identity,
+        signature: {
+          text: saved.text,
+          html: saved.html ?? identity.signature,
+        },
+      };
+    });
+
+    return { success: true, data };
+  } catch (e) {
+    loggers.accounts.error("fetch-identities", e, { accountId });
+    return { success: false, error: e.message, data: [] };
+  }
+});
+
 ipcMain.handle("add-gmail-account", async () => {
   try {
     loggers.app.info("Starting Gmail account addition flow");
@@ -133,7 +315,7 @@ ipcMain.handle("add-gmail-account", async () => {
 
     loggers.accounts.created(acc.id, { email: acc.email });
     loggers.app.info("add-gmail-account returning success", { accountId: acc.id });
-    return { success: true, account: acc };
+    return { success: true, account: toRendererAccount(acc) };
   } catch (e) {
     const errorMessage = e.message || "Failed to add Gmail account";
     loggers.app.error("add-gmail-account error", { error: errorMessage, stack: e.stack });
@@ -156,6 +338,127 @@ ipcMain.handle("add-gmail-account", async () => {
   }
 });
 
+// Authorise a connected Google account again so it grants the scopes added
+// since it was connected; the tokens are only kept for that same account
+ipcMain.handle("reconnect-gmail-account", async (event, accountId) => {
+  try {
+    const account = Accounts.findAccount(accountId);
+    if (!account || ["microsoft", "imap"].includes(account.provider)) {
+      throw new Error("Google account not found");
+    }
+
+    loggers.app.info("Starting Gmail account reconnection flow", {
+      accountId: account.id,
+    });
+    await GoogleOAuth.startFlow({
+      account: { id: account.id, email: account.email },
+    });
+
+    // El cliente en caché conserva los tokens anteriores
+    OAuthHelper.removeClient(account.id);
+
+    return {
+      success: true,
+      account: toRendererAccount(Accounts.findAccount(account.id)),
+    };
+  } catch (e) {
+    loggers.accounts.error("reconnect-gmail-account", e, { accountId });
+    return {
+      success: false,
+      error: e.message || "Failed to reconnect account",
+      account: null,
+    };
+  }
+});
+
+// Add an Outlook.com / Microsoft 365 account (Microsoft Graph)
+ipcMain.handle("add-microsoft-account", async () => {
+  try {
+    loggers.app.info("Starting Microsoft account addition flow");
+    const acc = await MicrosoftOAuth.startFlow();
+
+    if (!acc || !acc.id) {
+      throw new Error("Authentication failed: Invalid account data received");
+    }
+
+    loggers.accounts.created(acc.id, { email: acc.email, provider: acc.provider });
+    return { success: true, account: toRendererAccount(acc) };
+  } catch (e) {
+    const errorMessage = e.message || "Failed to add Microsoft account";
+
+    if (
+      errorMessage.includes("Authentication window was closed") ||
+      errorMessage.includes("Authentication cancelled")
+    ) {
+      loggers.app.info("Authentication cancelled by user");
+    } else {
+      loggers.accounts.error("add-microsoft-account", e);
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+      account: null,
+    };
+  }
+});
+
+// Add a generic IMAP/SMTP account (Fastmail, Dovecot, ...)
+ipcMain.handle("add-imap-account", async (event, config = {}) => {
+  try {
+    const {
+      email,
+      password,
+      username,
+      alias,
+      imapHost,
+      imapPort = IMAP.DEFAULT_PORT,
+      imapSecure = IMAP.DEFAULT_SECURE,
+      smtpHost,
+      smtpPort = SMTP.DEFAULT_PORT,
+      smtpSecure = SMTP.DEFAULT_SECURE,
+    } = config;
+
+    if (!email || !password || !imapHost || !smtpHost) {
+      throw new Error("Email, password, IMAP host and SMTP host are required");
+    }
+
+    loggers.app.info("Starting IMAP account addition", { email, imapHost, smtpHost });
+
+    const account = {
+      id: `imap_${crypto
+        .createHash("sha256")
+        .update(`${username || email}@${imapHost}`)
+        .digest("hex")
+        .substring(0, 16)}`,
+      email,
+      alias: alias || email.split("@")[1],
+      provider: "imap",
+      server: {
+        username: username || email,
+        imap: { host: imapHost, port: Number(imapPort), secure: !!imapSecure },
+        smtp: { host: smtpHost, port: Number(smtpPort), secure: !!smtpSecure },
+      },
+      credentials: { password },
+    };
+
+    // Comprobar credenciales antes de guardar la cuenta
+    await imapService.verifyAccount(account);
+
+    const saved = Accounts.addAccount(account);
+    loggers.auth.success(email, { provider: "imap" });
+
+    return { success: true, account: toRendererAccount(saved) };
+  } catch (e) {
+    loggers.accounts.error("add-imap-account", e, { email: config.email });
+    return {
+      success: false,
+      error: e.message || "Failed to add IMAP account",
+      account: null,
+    };
+  }
+});
+
 ipcMain.handle("remove-account", async (event, accountId) => {
   try {
     if (!accountId) {
@@ -164,7 +467,11 @@ ipcMain.handle("remove-account", async (event, accountId) => {
     loggers.app.info("Removing account", { accountId });
     const removed = await Accounts.removeAccount(accountId);
     if (removed) {
-      return { success: true, account: removed };
+      draftService.removeAccountDrafts(accountId);
+      syncService.removeAccountMail(accountId);
+      outboxService.removeAccountOutbox(accountId);
+      ConfigManager.removeImageAllowlist(accountId);
+      return { success: true, account: toRendererAccount(removed) };
     } else {
       return { success: false, error: "Account not found", account: null };
     }
@@ -179,17 +486,88 @@ ipcMain.handle("remove-account", async (event, accountId) => {
   }
 });
 
-// Fetch emails using Gmail API for a given account
+// Pagination cursor returned by the provider as nextPageToken (Gmail page
+// token, IMAP offset or Graph @odata.nextLink); null requests the first page
+function validatePageToken(pageToken) {
+  if (
+    pageToken !== null &&
+    (typeof pageToken !== "string" || !pageToken || pageToken.length > 2048)
+  ) {
+    throw new Error("Invalid page token");
+  }
+}
+
+// Reads one page of a folder: from the local store for synced Gmail accounts,
+// then from the cache and finally from the account provider. Returns the page
+// and where it came from ("store", "cache" or "provider")
+async function loadEmails(accountId, folder, pageToken, pageSize) {
+  // Cuentas Gmail sincronizadas: se leen del almacén local (también sin
+  // conexión) tras una sincronización incremental de espera limitada
+  if (syncService.canServe(accountId, folder, pageToken)) {
+    if (!pageToken) {
+      await syncService.refresh(accountId);
+    }
+
+    const result = await syncService.fetchEmails(
+      accountId,
+      folder,
+      pageSize,
+      pageToken,
+    );
+    return { result, source: "store" };
+  }
+
+  // La sincronización inicial se hace en segundo plano; mientras tanto
+  // se lee del proveedor
+  if (syncService.needsInitialSync(accountId)) {
+    syncService.syncAccount(accountId);
+  }
+
+  // Intentar obtener del caché primero
+  const cacheKey = `emails_${accountId}_${folder}_${pageToken || "first"}_${pageSize}`;
+  const cachedResult = cache.get(cacheKey);
+
+  if (cachedResult) {
+    return { result: cachedResult, source: "cache" };
+  }
+
+  // Delegar en el proveedor de la cuenta (Gmail, IMAP...)
+  const provider = mailProviders.getProviderForAccount(accountId);
+  const result = await provider.fetchEmails(
+    accountId,
+    folder,
+    pageSize,
+    pageToken,
+  );
+
+  loggers.app.info("Emails fetched from service", {
+    count: result.data.length,
+    firstEmailId: result.data[0]?.id,
+  });
+
+  // Almacenar en caché
+  cache.set(cacheKey, result, 5 * 60 * 1000); // 5 minutos
+
+  return { result, source: "provider" };
+}
+
+// Fetch emails for a given account (Gmail API or IMAP)
 ipcMain.handle(
   "fetch-emails",
-  async (event, accountId, folder = "INBOX", page = 1, pageSize = 20) => {
+  async (
+    event,
+    accountId,
+    folder = "INBOX",
+    pageToken = null,
+    pageSize = 20,
+  ) => {
     const startTime = Date.now();
 
     try {
       loggers.performance.start("fetch-emails", {
         accountId,
         folder,
-        page,
+        hasPageToken: !!pageToken,
         pageSize,
       });
 
@@ -202,9 +580,7 @@ ipcMain.handle(
         throw new Error("Valid folder is required");
       }
 
-      if (page && (typeof page !== 'number' || page < 1)) {
-        throw new Error("Page must be a positive number");
-      }
+      validatePageToken(pageToken);
 
       if (pageSize && (typeof pageSize !== 'number' || pageSize < 1 || pageSize > 100)) {
         throw new Error("Page size must be between 1 and 100");
@@ -216,43 +592,19 @@ ipcMain.handle(
         loggers.app.warn("Invalid folder parameter", { folder, validFolders });
       }
 
-      // Intentar obtener del caché primero
-      const cacheKey = `emails_${accountId}_${folder}_${page}_${pageSize}`;
-      const cachedResult = cache.get(cacheKey);
-
-      if (cachedResult) {
-        loggers.performance.end("fetch-emails", Date.now() - startTime, {
-          accountId,
-          folder,
-          page,
-          cached: true,
-          count: cachedResult.data.length,
-        });
-        return cachedResult;
-      }
-
-      // Usar el nuevo servicio de Gmail
-      const result = await gmailService.fetchEmails(
+      const { result, source } = await loadEmails(
         accountId,
         folder,
+        pageToken,
         pageSize,
       );
 
-      loggers.app.info("Emails fetched from service", {
-        count: result.data.length,
-        firstEmailId: result.data[0]?.id,
-      });
-
-      // Almacenar en caché
-      cache.set(cacheKey, result, 5 * 60 * 1000); // 5 minutos
-
-      const duration = Date.now() - startTime;
-      loggers.performance.end("fetch-emails", duration, {
+      loggers.performance.end("fetch-emails", Date.now() - startTime, {
         accountId,
         folder,
-        page,
+        hasPageToken: !!pageToken,
+        source,
         count: result.data.length,
-        cached: false,
       });
 
       return result;
@@ -278,6 +630,163 @@ ipcMain.handle(
   },
 );
 
+// Unified inbox page token: JSON map of accountId -> that account's
+// nextPageToken. Accounts missing from the map have no more pages
+function decodeUnifiedPageToken(pageToken) {
+  if (pageToken === null) return null;
+
+  let tokens;
+  try {
+    tokens = JSON.parse(pageToken);
+  } catch (e) {
+    loggers.app.warn("Invalid unified page token", { error: e.message });
+    throw new Error("Invalid page token");
+  }
+
+  if (!tokens || typeof tokens !== "object" || Array.isArray(tokens)) {
+    throw new Error("Invalid page token");
+  }
+  Object.values(tokens).forEach(validatePageToken);
+  return tokens;
+}
+
+// Account shown on each row of the unified inbox: the alias the user chose
+// (the default alias is the provider name) or the address, and a colour
+function describeAccount(account, index) {
+  const hasAlias = account.alias && account.alias !== account.provider;
+
+  return {
+    id: account.id,
+    email: account.email,
+    alias: hasAlias ? account.alias : account.email,
+    color: getAccountColor(account, index),
+  };
+}
+
+// Unified inbox: fetches the same folder from every connected account in
+// parallel and merges the pages by date. Each message carries the account it
+// came from so that actions go back to that account
+ipcMain.handle(
+  "fetch-unified-emails",
+  async (event, folder = "INBOX", pageToken = null, pageSize = 20) => {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start("fetch-unified-emails", {
+        folder,
+        hasPageToken: !!pageToken,
+        pageSize,
+      });
+
+      if (!UNIFIED_INBOX.FOLDERS.includes(folder)) {
+        throw new Error("Valid folder is required");
+      }
+
+      const tokens = decodeUnifiedPageToken(pageToken);
+
+      if (
+        pageSize &&
+        (typeof pageSize !== "number" || pageSize < 1 || pageSize > 100)
+      ) {
+        throw new Error("Page size must be between 1 and 100");
+      }
+
+      const accounts = Accounts.getAccounts();
+
+      // En las páginas siguientes solo se piden las cuentas que tienen más
+      const pending = accounts
+        .map((account, index) => ({ account, index }))
+        .filter(({ account }) => !tokens || tokens[account.id]);
+
+      const pages = await Promise.all(
+        pending.map(async ({ account, index }) => {
+          try {
+            const { result } = await loadEmails(
+              account.id,
+              folder,
+              tokens ? tokens[account.id] : null,
+              pageSize,
+            );
+
+            if (result.success === false) {
+              throw new Error(result.error);
+            }
+            return { account: describeAccount(account, index), result };
+          } catch (e) {
+            // Una cuenta que falla no impide ver el correo del resto
+            loggers.api.error("GET", `/unified/messages?folder=${folder}`, e, {
+              accountId: account.id,
+              folder,
+            });
+            return { account: describeAccount(account, index), error: e };
+          }
+        }),
+      );
+
+      const data = [];
+      const nextTokens = {};
+      const errors = [];
+
+      pages.forEach(({ account, result, error }) => {
+        if (error) {
+          errors.push({
+            accountId: account.id,
+            email: account.email,
+            error: error.message,
+          });
+          return;
+        }
+
+        result.data.forEach((message) => {
+          data.push({ ...message, accountId: account.id, account });
+        });
+        if (result.nextPageToken) {
+          nextTokens[account.id] = result.nextPageToken;
+        }
+      });
+
+      // Más recientes primero, mezclando las cuentas
+      const timestamp = (message) =>
+        Number(message.internalDate) || Date.parse(message.date) || 0;
+      data.sort((a, b) => timestamp(b) - timestamp(a));
+
+      if (pages.length > 0 && errors.length === pages.length) {
+        throw new Error(errors[0].error);
+      }
+
+      loggers.performance.end("fetch-unified-emails", Date.now() - startTime, {
+        folder,
+        hasPageToken: !!pageToken,
+        accounts: pages.length,
+        failed: errors.length,
+        count: data.length,
+      });
+
+      return {
+        success: true,
+        data,
+        errors,
+        nextPageToken:
+          Object.keys(nextTokens).length > 0
+            ? JSON.stringify(nextTokens)
+            : null,
+      };
+    } catch (e) {
+      loggers.performance.end("fetch-unified-emails", Date.now() - startTime, {
+        folder,
+        error: e.message,
+      });
+
+      return {
+        success: false,
+        error: e.message || "Unknown error",
+        errorType: "api",
+        data: [],
+      };
+    }
+  },
+);
+
 // Fetch email details (full content)
 ipcMain.handle("fetch-email-details", async (event, accountId, emailId) => {
   try {
@@ -295,67 +804,20 @@ ipcMain.handle("fetch-email-details", async (event, accountId, emailId) => {
       throw new Error("Invalid Email ID format");
     }
 
-    const { google } = require("googleapis");
-    const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
-    const gmail = google.gmail({ version: "v1", auth: oauth2Client });
-
-    const res = await gmail.users.messages.get({
-      userId: "me",
-      id: emailId,
-      format: "full",
-    });
-
-    const message = res.data;
-    const payload = message.payload || {};
-    const headers = payload.headers || [];
-
-    // Extraer headers importantes
-    const getHeader = (name) => {
-      const header = headers.find(
-        (h) => h.name.toLowerCase() === name.toLowerCase(),
-      );
-      return header ? header.value : "";
-    };
-
-    const emailData = {
-      id: message.id,
-      threadId: message.threadId,
-      subject: getHeader("subject"),
-      from: getHeader("from"),
-      to: getHeader("to"),
-      date: getHeader("date"),
-      cc: getHeader("cc"),
-      bcc: getHeader("bcc"),
-      snippet: message.snippet || "",
-      body: "",
-      htmlBody: "",
-      attachments: [],
-    };
-
-    // Extraer contenido del email
-    function extractBody(part) {
-      if (part.body && part.body.data) {
-        const data = Buffer.from(part.body.data, "base64").toString("utf-8");
-        if (part.mimeType === "text/plain") {
-          emailData.body = data;
-        } else if (part.mimeType === "text/html") {
-          emailData.htmlBody = data;
-        }
-      }
-
-      if (part.parts) {
-        part.parts.forEach(extractBody);
-      }
+    // Primero el almacén local (mensajes sincronizados o ya abiertos)
+    const stored = syncService.getEmailDetails(accountId, emailId);
+    if (stored) {
+      return stored;
     }
 
-    extractBody(payload);
+    const provider = mailProviders.getProviderForAccount(accountId);
+    const result = await provider.fetchEmailDetails(accountId, emailId);
 
-    // Si no hay body pero hay htmlBody, usar htmlBody como body
-    if (!emailData.body && emailData.htmlBody) {
-      emailData.body = emailData.htmlBody;
+    if (result.success) {
+      syncService.saveEmailDetails(accountId, result.data);
     }
 
-    return { success: true, data: emailData };
+    return result;
   } catch (e) {
     loggers.app.error("Fetch email details error", e, { emailId, accountId });
     const errorMessage = e.message || "Unknown error";
@@ -383,34 +845,141 @@ ipcMain.handle("fetch-email-details", async (event, accountId, emailId) => {
   }
 });
 
-ipcMain.handle("fetch-calendar", async (event, accountId) => {
-  try {
-    if (!accountId) {
-      throw new Error("Account ID is required");
-    }
+// Fetch conversations (one entry per thread) for the thread view
+ipcMain.handle(
+  "fetch-threads",
+  async (
+    event,
+    accountId,
+    folder = "INBOX",
+    pageToken = null,
+    pageSize = 20,
+  ) => {
+    const startTime = Date.now();
 
-    const { google } = require("googleapis");
-    const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
-    const calendar = google.calendar({
-      version: CALENDAR.API_VERSION,
-      auth: oauth2Client,
-    });
-    const res = await calendar.events.list({
-      calendarId: CALENDAR.CALENDAR_ID,
-      timeMin: new Date().toISOString(),
-      maxResults: CALENDAR.MAX_RESULTS,
-      singleEvents: true,
-      orderBy: CALENDAR.ORDER_BY,
-    });
-    const events = (res.data.items || []).map((ev) => ({
-      summary: ev.summary,
-      start: ev.start?.dateTime || ev.start?.date,
-    }));
-    return { success: true, data: events };
-  } catch (e) {
-    loggers.app.error("Fetch calendar error", e, { accountId });
-    const errorMessage = e.message || "Unknown error";
-    let errorType = "unknown";
+    try {
+      loggers.performance.start("fetch-threads", {
+        accountId,
+        folder,
+        hasPageToken: !!pageToken,
+        pageSize,
+      });
+
+      if (!accountId || typeof accountId !== "string") {
+        throw new Error("Valid Account ID is required");
+      }
+
+      if (!folder || typeof folder !== "string") {
+        throw new Error("Valid folder is required");
+      }
+
+      if (typeof pageSize !== "number" || pageSize < 1 || pageSize > 100) {
+        throw new Error("Page size must be between 1 and 100");
+      }
+
+      validatePageToken(pageToken);
+
+      const provider = mailProviders.getProviderForAccount(accountId);
+      const result = await provider.fetchThreads(
+        accountId,
+        folder,
+        pageSize,
+        pageToken,
+      );
+
+      loggers.performance.end("fetch-threads", Date.now() - startTime, {
+        accountId,
+        folder,
+        count: result.data.length,
+      });
+
+      return result;
+    } catch (e) {
+      loggers.app.error("Fetch threads error", e, { accountId, folder });
+      loggers.performance.end("fetch-threads", Date.now() - startTime, {
+        accountId,
+        folder,
+        error: e.message,
+      });
+
+      return {
+        success: false,
+        error: e.message || "Unknown error",
+        errorType: "api",
+        data: [],
+      };
+    }
+  },
+);
+
+// Fetch a whole conversation (all messages with full content)
+ipcMain.handle(
+  "fetch-thread-details",
+  async (event, accountId, threadId, messageIds = []) => {
+    try {
+      if (!accountId || typeof accountId !== "string") {
+        throw new Error("Valid Account ID is required");
+      }
+
+      if (!threadId || !/^[a-zA-Z0-9_-]+$/.test(threadId)) {
+        throw new Error("Invalid Thread ID format");
+      }
+
+      if (
+        !Array.isArray(messageIds) ||
+        !messageIds.every(
+          (id) => typeof id === "string" && /^[a-zA-Z0-9_-]+$/.test(id),
+        )
+      ) {
+        throw new Error("Invalid Email ID format");
+      }
+
+      const provider = mailProviders.getProviderForAccount(accountId);
+      return await provider.fetchThreadDetails(accountId, threadId, messageIds);
+    } catch (e) {
+      loggers.app.error("Fetch thread details error", e, {
+        accountId,
+        threadId,
+      });
+
+      return {
+        success: false,
+        error: e.message || "Unknown error",
+        errorType: "api",
+        data: null,
+      };
+    }
+  },
+);
+
+ipcMain.handle("fetch-calendar", async (event, accountId) => {
+  try {
+    if (!accountId) {
+      throw new Error("Account ID is required");
+    }
+
+    const { google } = require("googleapis");
+    const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+    const calendar = google.calendar({
+      version: CALENDAR.API_VERSION,
+      auth: oauth2Client,
+    });
+    const res = await calendar.events.list({
+      calendarId: CALENDAR.CALENDAR_ID,
+      timeMin: new Date().toISOString(),
+      maxResults: CALENDAR.MAX_RESULTS,
+      singleEvents: true,
+      orderBy: CALENDAR.ORDER_BY,
+    });
+    const events = (res.data.items || []).map((ev) => ({
+      summary: ev.summary,
+      start: ev.start?.dateTime || ev.start?.date,
+    }));
+    return { success: true, data: events };
+  } catch (e) {
+    loggers.app.error("Fetch calendar error", e, { accountId });
+    const errorMessage = e.message || "Unknown error";
+    let errorType = "unknown";
 
     if (
       errorMessage.includes("token") ||
@@ -434,15 +1003,340 @@ ipcMain.handle("fetch-calendar", async (event, accountId) => {
   }
 });
 
-// Send email via Gmail API using selected account
-ipcMain.handle("send-email", async (event, payload) => {
-  const startTime = Date.now();
+// Calendar panel: every CalendarService operation. Calendars come from the
+// Google Calendar API, so only Google accounts can use them
+function validateCalendarAccount(accountId) {
+  if (!accountId || typeof accountId !== "string") {
+    throw new Error(ERROR_MESSAGES.ACCOUNT_ID_REQUIRED);
+  }
+
+  const account = Accounts.findAccount(accountId);
+  if (!account) {
+    throw new Error(ERROR_MESSAGES.ACCOUNT_NOT_FOUND);
+  }
+
+  // Las cuentas de Google guardadas como outlook o yahoo también tienen calendario
+  if (["microsoft", "imap"].includes(account.provider)) {
+    throw new Error(ERROR_MESSAGES.CALENDAR_NOT_SUPPORTED);
+  }
+}
+
+function validateCalendarId(calendarId) {
+  if (
+    !calendarId ||
+    typeof calendarId !== "string" ||
+    calendarId.length > 1024 ||
+    /[\s<>"]/.test(calendarId)
+  ) {
+    throw new Error(ERROR_MESSAGES.CALENDAR_ID_INVALID);
+  }
+}
+
+function validateEventId(eventId) {
+  if (
+    !eventId ||
+    typeof eventId !== "string" ||
+    !/^[a-zA-Z0-9_-]{1,1024}$/.test(eventId)
+  ) {
+    throw new Error(ERROR_MESSAGES.EVENT_ID_INVALID);
+  }
+}
+
+// Fechas del rango como cadenas ISO (null si no se indica)
+function parseCalendarDate(value) {
+  if (value === undefined || value === null) return null;
+
+  const date = new Date(value);
+  if (typeof value !== "string" || isNaN(date.getTime())) {
+    throw new Error(ERROR_MESSAGES.CALENDAR_DATE_INVALID);
+  }
+
+  return date;
+}
+
+function calendarError(action, e, details) {
+  loggers.app.error(action, e, details);
+  return {
+    success: false,
+    error: e.message || ERROR_MESSAGES.UNKNOWN_ERROR,
+    data: null,
+  };
+}
+
+ipcMain.handle("get-calendars", async (event, accountId) => {
+  try {
+    validateCalendarAccount(accountId);
+    return await calendarService.getCalendars(accountId);
+  } catch (e) {
+    return calendarError("Get calendars error", e, { accountId });
+  }
+});
+
+ipcMain.handle(
+  "fetch-calendar-events",
+  async (event, accountId, calendarId, range = {}) => {
+    try {
+      validateCalendarAccount(accountId);
+      validateCalendarId(calendarId);
+
+      const timeMin = parseCalendarDate(range.timeMin) || new Date();
+      const timeMax = parseCalendarDate(range.timeMax);
+      if (timeMax && timeMax <= timeMin) {
+        throw new Error(ERROR_MESSAGES.CALENDAR_DATE_INVALID);
+      }
+
+      return await calendarService.fetchEvents(
+        accountId,
+        calendarId,
+        timeMin,
+        timeMax,
+        CALENDAR.RANGE_MAX_RESULTS,
+      );
+    } catch (e) {
+      return calendarError("Fetch calendar events error", e, {
+        accountId,
+        calendarId,
+      });
+    }
+  },
+);
+
+ipcMain.handle(
+  "get-calendar-event",
+  async (event, accountId, calendarId, eventId) => {
+    try {
+      validateCalendarAccount(accountId);
+      validateCalendarId(calendarId);
+      validateEventId(eventId);
+
+      return await calendarService.getEventDetails(
+        accountId,
+        eventId,
+        calendarId,
+      );
+    } catch (e) {
+      return calendarError("Get calendar event error", e, {
+        accountId,
+        eventId,
+      });
+    }
+  },
+);
+
+ipcMain.handle(
+  "search-calendar-events",
+  async (event, accountId, calendarId, query) => {
+    try {
+      validateCalendarAccount(accountId);
+      validateCalendarId(calendarId);
+
+      if (
+        typeof query !== "string" ||
+        query.trim().length < LIMITS.SEARCH_QUERY_MIN ||
+        query.length > LIMITS.SEARCH_QUERY_MAX
+      ) {
+        throw new Error(ERROR_MESSAGES.QUERY_REQUIRED);
+      }
+
+      return await calendarService.searchEvents(
+        accountId,
+        query.trim(),
+        calendarId,
+      );
+    } catch (e) {
+      return calendarError("Search calendar events error", e, { accountId });
+    }
+  },
+);
+
+ipcMain.handle(
+  "create-calendar-event",
+  async (event, accountId, calendarId, eventData) => {
+    try {
+      validateCalendarAccount(accountId);
+      validateCalendarId(calendarId);
+
+      return await calendarService.createEvent(accountId, {
+        ...eventData,
+        calendarId,
+      });
+    } catch (e) {
+      return calendarError("Create calendar event error", e, { accountId });
+    }
+  },
+);
+
+ipcMain.handle(
+  "update-calendar-event",
+  async (event, accountId, calendarId, eventId, eventData) => {
+    try {
+      validateCalendarAccount(accountId);
+      validateCalendarId(calendarId);
+      validateEventId(eventId);
+
+      return await calendarService.updateEvent(accountId, eventId, {
+        ...eventData,
+        calendarId,
+      });
+    } catch (e) {
+      return calendarError("Update calendar event error", e, {
+        accountId,
+        eventId,
+      });
+    }
+  },
+);
+
+ipcMain.handle(
+  "delete-calendar-event",
+  async (event, accountId, calendarId, eventId) => {
+    try {
+      validateCalendarAccount(accountId);
+      validateCalendarId(calendarId);
+      validateEventId(eventId);
+
+      return await calendarService.deleteEvent(accountId, eventId, calendarId);
+    } catch (e) {
+      return calendarError("Delete calendar event error", e, {
+        accountId,
+        eventId,
+      });
+    }
+  },
+);
 
+ipcMain.handle("get-calendar-stats", async (event, accountId, calendarId) => {
   try {
-    loggers.performance.start("send-email", { accountId: payload.accountId });
+    validateCalendarAccount(accountId);
+    validateCalendarId(calendarId);
+    return await calendarService.getCalendarStats(accountId, calendarId);
+  } catch (e) {
+    return calendarError("Get calendar stats error", e, { accountId });
+  }
+});
+
+// Meeting invitations: the response goes to the organizer as an iTIP REPLY
+// email and, on Google accounts, is saved in the calendar as well
+ipcMain.handle(
+  "respond-invitation",
+  async (event, accountId, emailId, response) => {
+    try {
+      validateMessageId(emailId);
+      if (!ICalendar.RESPONSES.includes(response)) {
+        throw new Error(ERROR_MESSAGES.INVITATION_RESPONSE_INVALID);
+      }
+
+      const account = Accounts.findAccount(accountId);
+      if (!account) {
+        throw new Error(ERROR_MESSAGES.ACCOUNT_NOT_FOUND);
+      }
+
+      // La invitación se lee del mensaje, no de lo que envía el renderer; los
+      // mensajes guardados antes de leer invitaciones se piden de nuevo
+      const provider = mailProviders.getProviderForAccount(accountId);
+      let details = syncService.getEmailDetails(accountId, emailId);
+      if (!details?.data.invitation) {
+        details = await provider.fetchEmailDetails(accountId, emailId);
+      }
+
+      if (!details.success) {
+        throw new Error(details.error);
+      }
+
+      const { invitation } = details.data;
+      if (
+        !invitation ||
+        invitation.method !== "REQUEST" ||
+        !invitation.organizer.email
+      ) {
+        throw new Error(ERROR_MESSAGES.INVITATION_NOT_FOUND);
+      }
+
+      const attendee = ICalendar.findAttendee(
+        invitation,
+        await getAccountAddresses(account),
+      ) || { email: account.email, name: "" };
+      const reply = INVITATION_REPLIES[response];
+      const summary = invitation.summary || details.data.subject;
+
+      const sent = await provider.sendEmail(accountId, {
+        from: attendee.email,
+        to: invitation.organizer.email,
+        subject: `${reply.subject}: ${summary}`,
+        body: `${attendee.name || attendee.email} ${reply.body} "${summary}".`,
+        calendar: {
+          method: "REPLY",
+          content: ICalendar.buildReply(invitation, attendee, response),
+        },
+        inReplyTo: details.data.messageId,
+        references: details.data.messageId,
+        threadId: details.data.threadId,
+      });
+      if (!sent.success) {
+        throw new Error(sent.error);
+      }
+
+      // La respuesta ya salió: si el calendario falla se devuelve el error
+      // para avisar al usuario, sin dar la respuesta por fallida
+      let calendarUpdated = false;
+      let calendarFailure = null;
+      if (!["microsoft", "imap"].includes(account.provider)) {
+        const saved = await calendarService.respondToInvitation(
+          accountId,
+          invitation,
+          attendee.email,
+          response,
+        );
+        calendarUpdated = saved.success;
+        if (!saved.success) {
+          calendarFailure = { error: saved.error, errorType: saved.errorType };
+          loggers.app.warn("Invitation response not saved in calendar", {
+            accountId,
+            error: saved.error,
+          });
+        }
+      }
+
+      return {
+        success: true,
+        data: {
+          response,
+          attendee: attendee.email,
+          calendarUpdated,
+          calendarError: calendarFailure,
+        },
+      };
+    } catch (e) {
+      return calendarError("Respond invitation error", e, {
+        accountId,
+        emailId,
+      });
+    }
+  },
+);
+
+// Addresses an account can send from: its own and the verified send-as
+// aliases of providers that have them
+async function getAccountAddresses(account) {
+  const addresses = [account.email];
 
+  const provider = mailProviders.getProviderForAccount(account.id);
+  if (typeof provider.listSendAs === "function") {
+    const result = await provider.listSendAs(account.id);
+    if (result.success) {
+      addresses.push(...result.data.map((identity) => identity.email));
+    }
+  }
+
+  return addresses;
+}
+
+// Queue an email in the outbox; it is sent through the provider of the
+// selected account once the undo window ends, or at payload.sendAt when it
+// is scheduled. Rejects on invalid payloads
+ipcMain.handle("send-email", async (event, payload) => {
+  try {
     // Validar payload
-    const ValidationManager = require("../common/validation");
     const validation = ValidationManager.validateEmailPayload(payload);
 
     if (!validation.isValid) {
@@ -452,78 +1346,261 @@ ipcMain.handle("send-email", async (event, payload) => {
       throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
     }
 
-    const { accountId, to, subject, body } = validation.sanitizedPayload;
-
-    // Buscar cuenta de forma eficiente
-    const account = Accounts.findAccount(accountId);
-    if (!account || !account.tokens) {
-      throw new Error("Account not found or token missing");
+    // Borrador del que sale el mensaje: se elimina cuando se envía
+    if (payload.draftId) {
+      validateDraftId(payload.draftId);
     }
 
-    const { google } = require("googleapis");
-    const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
-    const gmail = google.gmail({ version: "v1", auth: oauth2Client });
-
-    // Construir mensaje
-    const rawMessage = `From: ${account.email}\r\nTo: ${to}\r\nSubject: ${subject}\r\nMIME-Version: 1.0\r\nContent-Type: text/plain; charset=\"UTF-8\"\r\nContent-Transfer-Encoding: 7bit\r\n\r\n${body}`;
-    const encoded = Buffer.from(rawMessage)
-      .toString("base64")
-      .replace(/\+/g, "-")
-      .replace(/\//g, "_")
-      .replace(/=+$/, "");
-
-    // Enviar email
-    const res = await gmail.users.messages.send({
-      userId: "me",
-      requestBody: { raw: encoded },
-    });
-
-    const duration = Date.now() - startTime;
-    loggers.performance.end("send-email", duration, {
+    const {
       accountId,
+      from,
+      fromName,
       to,
-      subject: subject.substring(0, 50),
-      success: true,
-    });
+      cc,
+      bcc,
+      replyTo,
+      subject,
+      body,
+      html,
+      attachments,
+      inReplyTo,
+      references,
+      threadId,
+    } = validation.sanitizedPayload;
+
+    // Solo se envía desde la cuenta o desde sus alias verificados; los alias
+    // se consultan únicamente si el remitente no es la dirección de la cuenta
+    if (from) {
+      const account = Accounts.findAccount(accountId);
+      if (!account) {
+        throw new Error("Account not found");
+      }
+      if (
+        !ValidationManager.isAllowedSender(from, [account.email]) &&
+        !ValidationManager.isAllowedSender(
+          from,
+          await getAccountAddresses(account),
+        )
+      ) {
+        loggers.security.validation_error("send-email-from", from, {
+          accountId,
+        });
+        throw new Error("Validation failed: Sender address not allowed");
+      }
+    }
 
-    loggers.api.response("POST", API_ENDPOINTS.GMAIL_SEND, HTTP_STATUS.OK, {
+    return outboxService.enqueue(
       accountId,
-      to,
-      subject: subject.substring(0, 50),
-    });
-
-    return { id: res.data.id, threadId: res.data.threadId };
+      {
+        from,
+        fromName,
+        to,
+        cc,
+        bcc,
+        replyTo,
+        subject,
+        body,
+        html,
+        attachments,
+        inReplyTo,
+        references,
+        threadId,
+      },
+      {
+        undoDelay: payload.undoDelay,
+        sendAt: payload.sendAt,
+        draftId: payload.draftId,
+      },
+    );
   } catch (e) {
-    const duration = Date.now() - startTime;
-    loggers.api.error("POST", API_ENDPOINTS.GMAIL_SEND, e, {
-      accountId: payload.accountId,
-    });
-    loggers.performance.end("send-email", duration, {
-      accountId: payload.accountId,
-      error: e.message,
-    });
-
     loggers.app.error("Send email error", e, { accountId: payload.accountId });
     throw e;
   }
 });
 
-app.on("window-all-closed", () => {
-  if (process.platform !== "darwin") {
-    app.quit();
+// Outbox: queued sends, waiting for the undo window or for connectivity
+function validateOutboxId(outboxId) {
+  if (
+    !outboxId ||
+    typeof outboxId !== "string" ||
+    !/^[a-zA-Z0-9_-]+$/.test(outboxId)
+  ) {
+    throw new Error("Invalid Outbox ID format");
   }
-});
+}
 
-app.on("activate", () => {
-  if (mainWindow === null) {
-    createWindow();
-  }
+ipcMain.handle("fetch-outbox", async (event, accountId) => {
+  try {
+    if (!accountId || typeof accountId !== "string") {
+      throw new Error("Valid Account ID is required");
+    }
+
+    return outboxService.list(accountId);
+  } catch (e) {
+    loggers.app.error("Fetch outbox error", e, { accountId });
+    return { success: false, error: e.message || "Unknown error", data: [] };
+  }
+});
+
+// Undo a queued send; the message goes back to drafts so it can be edited
+ipcMain.handle("cancel-outbox-item", async (event, outboxId) => {
+  try {
+    validateOutboxId(outboxId);
+    return await outboxService.cancel(outboxId);
+  } catch (e) {
+    loggers.app.error("Cancel outbox item error", e, { outboxId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+ipcMain.handle("reschedule-outbox-item", async (event, outboxId, sendAt) => {
+  try {
+    validateOutboxId(outboxId);
+    return outboxService.reschedule(outboxId, sendAt);
+  } catch (e) {
+    loggers.app.error("Reschedule outbox item error", e, { outboxId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+// The renderer reports that connectivity is back
+ipcMain.handle("retry-outbox", async () => {
+  outboxService.retryNow();
+  return { success: true };
+});
+
+// Drafts: stored locally first and synced with the provider when possible
+function validateDraftId(draftId) {
+  if (
+    !draftId ||
+    typeof draftId !== "string" ||
+    !/^[a-zA-Z0-9_-]+$/.test(draftId)
+  ) {
+    throw new Error("Invalid Draft ID format");
+  }
+}
+
+ipcMain.handle("fetch-drafts", async (event, accountId) => {
+  try {
+    if (!accountId || typeof accountId !== "string") {
+      throw new Error("Valid Account ID is required");
+    }
+
+    return await draftService.listDrafts(accountId);
+  } catch (e) {
+    loggers.app.error("Fetch drafts error", e, { accountId });
+    return {
+      success: false,
+      error: e.message || "Unknown error",
+      errorType: "api",
+      data: [],
+    };
+  }
+});
+
+ipcMain.handle("get-draft", async (event, draftId) => {
+  try {
+    validateDraftId(draftId);
+    return await draftService.getDraft(draftId);
+  } catch (e) {
+    loggers.app.error("Get draft error", e, { draftId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+ipcMain.handle("save-draft", async (event, draft = {}) => {
+  try {
+    if (draft.id) {
+      validateDraftId(draft.id);
+    }
+
+    // Drafts may be incomplete, but whatever is filled in must be valid
+    const validation = ValidationManager.validateEmailPayload(draft, {
+      isDraft: true,
+    });
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(", ")}`);
+    }
+
+    const {
+      accountId,
+      from,
+      fromName,
+      to,
+      cc,
+      bcc,
+      replyTo,
+      subject,
+      body,
+      html,
+      attachments,
+      inReplyTo,
+      references,
+      threadId,
+    } = validation.sanitizedPayload;
+
+    return await draftService.saveDraft({
+      id: draft.id,
+      accountId,
+      from,
+      fromName,
+      to,
+      cc,
+      bcc,
+      replyTo,
+      subject,
+      body,
+      html,
+      attachments,
+      inReplyTo,
+      references,
+      threadId,
+    });
+  } catch (e) {
+    loggers.app.error("Save draft error", e, { accountId: draft.accountId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+ipcMain.handle("delete-draft", async (event, draftId) => {
+  try {
+    validateDraftId(draftId);
+    return await draftService.deleteDraft(draftId);
+  } catch (e) {
+    loggers.app.error("Delete draft error", e, { draftId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+// Like send-email, rejects when sending fails
+ipcMain.handle("send-draft", async (event, draftId) => {
+  try {
+    validateDraftId(draftId);
+    const res = await draftService.sendDraft(draftId);
+    return { id: res.id, threadId: res.threadId };
+  } catch (e) {
+    loggers.app.error("Send draft error", e, { draftId });
+    throw e;
+  }
+});
+
+app.on("window-all-closed", () => {
+  if (process.platform !== "darwin") {
+    app.quit();
+  }
+});
+
+app.on("activate", () => {
+  if (mainWindow === null) {
+    createWindow();
+  }
 });
 
 // Open Compose window via IPC to ensure it runs in an Electron BrowserWindow
 ipcMain.on("open-compose", (event, options = {}) => {
   try {
-    const { mode = "new", emailData = null } = options;
+    const { mode = "new", emailData = null, accountId = null } = options;
     loggers.app.info(MESSAGES.COMPOSE_OPEN, {
       mode,
       hasEmailData: !!emailData,
@@ -543,7 +1620,13 @@ ipcMain.on("open-compose", (event, options = {}) => {
 
     composeWindow.loadFile(path.join(__dirname, "../renderer/pages/compose.html"));
 
+    // Entregar el mensaje original (respuesta/reenvío) a la ventana de redacción
     composeWindow.webContents.on("did-finish-load", () => {
+      composeWindow.webContents.send("compose-data", {
+        mode,
+        emailData,
+        accountId,
+      });
     });
   } catch (error) {
     loggers.app.error("Failed to open compose window", error);
@@ -569,179 +1652,942 @@ app.on("child-process-gone", (event, details) => {
 ipcMain.handle("search-emails", async (event, accountId, query) => {
   const startTime = Date.now();
 
-  try {
-    loggers.performance.start("search-emails", {
-      accountId,
-      queryLength: query?.length || 0,
-    });
+  try {
+    loggers.performance.start("search-emails", {
+      accountId,
+      queryLength: query?.length || 0,
+    });
+
+    // Validación mejorada de parámetros
+    if (!accountId || typeof accountId !== 'string') {
+      throw new Error(ERROR_MESSAGES.ACCOUNT_ID_REQUIRED);
+    }
+
+    if (!query || typeof query !== 'string') {
+      throw new Error(ERROR_MESSAGES.QUERY_REQUIRED);
+    }
+
+    // Validar longitud de la consulta
+    if (query.length < LIMITS.SEARCH_QUERY_MIN) {
+      throw new Error(ERROR_MESSAGES.QUERY_TOO_SHORT);
+    }
+
+    if (query.length > LIMITS.SEARCH_QUERY_MAX) {
+      throw new Error(ERROR_MESSAGES.QUERY_TOO_LONG);
+    }
+
+    // Validar caracteres peligrosos
+    if (SECURITY.DANGEROUS_CHARS.test(query)) {
+      loggers.security.warn(MESSAGES.SECURITY_VALIDATION_ERROR, { query, accountId });
+      throw new Error(ERROR_MESSAGES.INVALID_CHARACTERS);
+    }
+
+    // Con almacén local se busca primero en él (resultados sin conexión)
+    const provider = mailProviders.getProviderForAccount(accountId);
+    const result = syncService.isSynced(accountId)
+      ? await syncService.searchEmails(accountId, query)
+      : await provider.searchEmails(accountId, query);
+
+    const duration = Date.now() - startTime;
+    loggers.performance.end("search-emails", duration, {
+      accountId,
+      queryLength: query.length,
+      count: result.data?.length || 0,
+    });
+
+    return result;
+  } catch (e) {
+    const duration = Date.now() - startTime;
+    loggers.performance.end("search-emails", duration, {
+      accountId,
+      error: e.message,
+    });
+
+    loggers.api.error("GET", "/gmail/search", e, { accountId, query });
+
+    return {
+      success: false,
+      error: e.message || "Unknown error",
+      data: [],
+    };
+  }
+});
+
+// Delete email handler
+ipcMain.handle("delete-email", async (event, accountId, emailId) => {
+  const startTime = Date.now();
+
+  try {
+    loggers.performance.start("delete-email", { accountId, emailId });
+
+    // Validación mejorada de parámetros
+    if (!accountId || typeof accountId !== 'string') {
+      throw new Error(ERROR_MESSAGES.ACCOUNT_ID_REQUIRED);
+    }
+
+    if (!emailId || typeof emailId !== 'string') {
+      throw new Error(ERROR_MESSAGES.EMAIL_ID_REQUIRED);
+    }
+
+    // Validar formato del email ID
+    if (!/^[a-zA-Z0-9_-]+$/.test(emailId)) {
+      throw new Error(ERROR_MESSAGES.EMAIL_ID_INVALID);
+    }
+
+    // Log de seguridad para operaciones de eliminación
+    loggers.security.info(MESSAGES.EMAIL_DELETION_REQUESTED, { accountId, emailId });
+
+    const provider = mailProviders.getProviderForAccount(accountId);
+    const result = await provider.deleteEmail(accountId, emailId);
+
+    if (result.success) {
+      syncService.removeMessage(accountId, emailId);
+    }
+
+    const duration = Date.now() - startTime;
+    loggers.performance.end("delete-email", duration, {
+      accountId,
+      emailId,
+      success: true,
+    });
+
+    loggers.api.response("DELETE", `/gmail/messages/${emailId}`, 200, {
+      accountId,
+    });
+
+    return result;
+  } catch (e) {
+    const duration = Date.now() - startTime;
+    loggers.performance.end("delete-email", duration, {
+      accountId,
+      emailId,
+      error: e.message,
+    });
+
+    loggers.api.error("DELETE", `/gmail/messages/${emailId}`, e, {
+      accountId,
+      emailId,
+    });
+
+    return {
+      success: false,
+      error: e.message || "Unknown error",
+      errorType: "api",
+    };
+  }
+});
+
+// Mark as read handler
+ipcMain.handle(
+  "mark-as-read",
+  async (event, accountId, emailId, read = true) => {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start("mark-as-read", { accountId, emailId, read });
+
+      // Validación mejorada de parámetros
+      if (!accountId || typeof accountId !== 'string') {
+        throw new Error("Valid Account ID is required");
+      }
+
+      if (!emailId || typeof emailId !== 'string') {
+        throw new Error("Valid Email ID is required");
+      }
+
+      // Validar formato del email ID
+      if (!/^[a-zA-Z0-9_-]+$/.test(emailId)) {
+        throw new Error("Invalid Email ID format");
+      }
+
+      // Validar tipo del parámetro read
+      if (typeof read !== 'boolean') {
+        throw new Error("Read parameter must be a boolean");
+      }
+
+      const provider = mailProviders.getProviderForAccount(accountId);
+      const result = await provider.markAsRead(accountId, emailId, read);
+
+      if (result.success) {
+        syncService.updateReadState(accountId, emailId, read);
+      }
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end("mark-as-read", duration, {
+        accountId,
+        emailId,
+        read,
+        success: true,
+      });
+
+      return result;
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end("mark-as-read", duration, {
+        accountId,
+        emailId,
+        read,
+        error: e.message,
+      });
+
+      loggers.api.error("POST", `/gmail/messages/${emailId}/modify`, e, {
+        accountId,
+        emailId,
+      });
+
+      return {
+        success: false,
+        error: e.message || "Unknown error",
+        errorType: "api",
+      };
+    }
+  },
+);
+
+// Labels: only providers with labels (Gmail) implement these operations
+function getLabelProvider(accountId) {
+  if (!accountId || typeof accountId !== "string") {
+    throw new Error("Valid Account ID is required");
+  }
+
+  const provider = mailProviders.getProviderForAccount(accountId);
+  if (typeof provider.listLabels !== "function") {
+    return null;
+  }
+
+  return provider;
+}
+
+function validateLabelId(labelId) {
+  if (
+    !labelId ||
+    typeof labelId !== "string" ||
+    !/^[a-zA-Z0-9_-]+$/.test(labelId)
+  ) {
+    throw new Error("Invalid Label ID format");
+  }
+}
+
+function validateLabelName(name) {
+  if (
+    typeof name !== "string" ||
+    !name.trim() ||
+    name.length > GMAIL.LABEL_NAME_MAX_LENGTH
+  ) {
+    throw new Error(
+      `Label name must be between 1 and ${GMAIL.LABEL_NAME_MAX_LENGTH} characters`,
+    );
+  }
+}
+
+function validateMessageId(emailId) {
+  if (
+    !emailId ||
+    typeof emailId !== "string" ||
+    !/^[a-zA-Z0-9_-]+$/.test(emailId)
+  ) {
+    throw new Error(ERROR_MESSAGES.EMAIL_ID_INVALID);
+  }
+}
+
+// Cached message lists of the account go stale when its labels change
+function clearEmailCache(accountId) {
+  cache
+    .keys()
+    .filter((key) => key.startsWith(`emails_${accountId}_`))
+    .forEach((key) => cache.delete(key));
+}
+
+ipcMain.handle("fetch-labels", async (event, accountId) => {
+  try {
+    const provider = getLabelProvider(accountId);
+    if (!provider) {
+      return { success: true, data: [], supported: false };
+    }
+
+    return await provider.listLabels(accountId);
+  } catch (e) {
+    loggers.app.error("Fetch labels error", e, { accountId });
+    return {
+      success: false,
+      error: e.message || "Unknown error",
+      errorType: "api",
+      data: [],
+    };
+  }
+});
+
+ipcMain.handle("create-label", async (event, accountId, name) => {
+  try {
+    validateLabelName(name);
+
+    const provider = getLabelProvider(accountId);
+    if (!provider) {
+      throw new Error("Labels are not supported for this account");
+    }
+
+    return await provider.createLabel(accountId, name.trim());
+  } catch (e) {
+    loggers.app.error("Create label error", e, { accountId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+ipcMain.handle("rename-label", async (event, accountId, labelId, name) => {
+  try {
+    validateLabelId(labelId);
+    validateLabelName(name);
+
+    const provider = getLabelProvider(accountId);
+    if (!provider) {
+      throw new Error("Labels are not supported for this account");
+    }
+
+    return await provider.updateLabel(accountId, labelId, name.trim());
+  } catch (e) {
+    loggers.app.error("Rename label error", e, { accountId, labelId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+ipcMain.handle("delete-label", async (event, accountId, labelId) => {
+  try {
+    validateLabelId(labelId);
+
+    const provider = getLabelProvider(accountId);
+    if (!provider) {
+      throw new Error("Labels are not supported for this account");
+    }
+
+    loggers.security.info("Label deletion requested", { accountId, labelId });
+    const result = await provider.deleteLabel(accountId, labelId);
+
+    if (result.success) {
+      clearEmailCache(accountId);
+    }
+
+    return result;
+  } catch (e) {
+    loggers.app.error("Delete label error", e, { accountId, labelId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+// Add and remove labels on a single message
+ipcMain.handle(
+  "modify-labels",
+  async (event, accountId, emailId, addLabelIds = [], removeLabelIds = []) => {
+    try {
+      validateMessageId(emailId);
+
+      if (!Array.isArray(addLabelIds) || !Array.isArray(removeLabelIds)) {
+        throw new Error("Label IDs must be arrays");
+      }
+
+      [...addLabelIds, ...removeLabelIds].forEach(validateLabelId);
+
+      const provider = getLabelProvider(accountId);
+      if (!provider) {
+        throw new Error("Labels are not supported for this account");
+      }
+
+      const result = await provider.modifyLabels(
+        accountId,
+        emailId,
+        addLabelIds,
+        removeLabelIds,
+      );
+
+      if (result.success) {
+        syncService.updateLabels(
+          accountId,
+          emailId,
+          addLabelIds,
+          removeLabelIds,
+        );
+        clearEmailCache(accountId);
+      }
+
+      return result;
+    } catch (e) {
+      loggers.app.error("Modify labels error", e, { accountId, emailId });
+      return {
+        success: false,
+        error: e.message || "Unknown error",
+        data: null,
+      };
+    }
+  },
+);
+
+// Archive, move, star and spam are label changes; the result carries the
+// change that undoes them (applied later through modify-labels)
+async function runMessageAction(action, accountId, emailId, ...args) {
+  validateMessageId(emailId);
+
+  const provider = getLabelProvider(accountId);
+  if (!provider) {
+    throw new Error("This action is not supported for this account");
+  }
+
+  const result = await provider[action](accountId, emailId, ...args);
+
+  if (result.success) {
+    syncService.updateLabels(
+      accountId,
+      emailId,
+      result.data.addLabelIds,
+      result.data.removeLabelIds,
+    );
+    clearEmailCache(accountId);
+  }
+
+  return result;
+}
+
+ipcMain.handle("archive-email", async (event, accountId, emailId) => {
+  try {
+    return await runMessageAction("archiveEmail", accountId, emailId);
+  } catch (e) {
+    loggers.app.error("Archive email error", e, { accountId, emailId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+ipcMain.handle(
+  "move-email",
+  async (event, accountId, emailId, target, source = "INBOX") => {
+    try {
+      validateLabelId(target);
+      validateLabelId(source);
+
+      return await runMessageAction(
+        "moveEmail",
+        accountId,
+        emailId,
+        target,
+        source,
+      );
+    } catch (e) {
+      loggers.app.error("Move email error", e, { accountId, emailId, target });
+      return {
+        success: false,
+        error: e.message || "Unknown error",
+        data: null,
+      };
+    }
+  },
+);
+
+ipcMain.handle(
+  "star-email",
+  async (event, accountId, emailId, starred = true) => {
+    try {
+      if (typeof starred !== "boolean") {
+        throw new Error("Starred parameter must be a boolean");
+      }
+
+      return await runMessageAction("starEmail", accountId, emailId, starred);
+    } catch (e) {
+      loggers.app.error("Star email error", e, { accountId, emailId });
+      return {
+        success: false,
+        error: e.message || "Unknown error",
+        data: null,
+      };
+    }
+  },
+);
+
+ipcMain.handle("mark-spam", async (event, accountId, emailId, spam = true) => {
+  try {
+    if (typeof spam !== "boolean") {
+      throw new Error("Spam parameter must be a boolean");
+    }
+
+    return await runMessageAction("markAsSpam", accountId, emailId, spam);
+  } catch (e) {
+    loggers.app.error("Mark spam error", e, { accountId, emailId });
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
+
+// Bulk operations on a selection of messages. Providers with batch requests
+// (Gmail) handle the whole selection; the rest get one call per message.
+// Progress goes out on "bulk-progress" and the result lists failed messages
+function validateBulkRequest(accountId, emailIds) {
+  if (!accountId || typeof accountId !== "string") {
+    throw new Error(ERROR_MESSAGES.ACCOUNT_ID_REQUIRED);
+  }
+
+  if (!Array.isArray(emailIds) || emailIds.length === 0) {
+    throw new Error("At least one message is required");
+  }
+
+  emailIds.forEach(validateMessageId);
+}
 
-    // Validación mejorada de parámetros
-    if (!accountId || typeof accountId !== 'string') {
-      throw new Error(ERROR_MESSAGES.ACCOUNT_ID_REQUIRED);
+async function runBulkOperation(event, operation, emailIds, { batch, item }) {
+  const reportProgress = (done, total) => {
+    if (!event.sender.isDestroyed()) {
+      event.sender.send("bulk-progress", { operation, done, total });
     }
+  };
 
-    if (!query || typeof query !== 'string') {
-      throw new Error(ERROR_MESSAGES.QUERY_REQUIRED);
-    }
+  if (batch) {
+    return batch(reportProgress);
+  }
 
-    // Validar longitud de la consulta
-    if (query.length < LIMITS.SEARCH_QUERY_MIN) {
-      throw new Error(ERROR_MESSAGES.QUERY_TOO_SHORT);
-    }
+  const succeeded = [];
+  const failed = [];
 
-    if (query.length > LIMITS.SEARCH_QUERY_MAX) {
-      throw new Error(ERROR_MESSAGES.QUERY_TOO_LONG);
-    }
+  for (const emailId of emailIds) {
+    const result = await item(emailId);
 
-    // Validar caracteres peligrosos
-    if (SECURITY.DANGEROUS_CHARS.test(query)) {
-      loggers.security.warn(MESSAGES.SECURITY_VALIDATION_ERROR, { query, accountId });
-      throw new Error(ERROR_MESSAGES.INVALID_CHARACTERS);
+    if (result.success) {
+      succeeded.push(emailId);
+    } else {
+      failed.push({ id: emailId, error: result.error });
     }
 
-    const result = await gmailService.searchEmails(accountId, query);
+    reportProgress(succeeded.length + failed.length, emailIds.length);
+  }
 
-    const duration = Date.now() - startTime;
-    loggers.performance.end("search-emails", duration, {
+  return { success: true, data: { succeeded, failed } };
+}
+
+ipcMain.handle("bulk-delete-emails", async (event, accountId, emailIds) => {
+  try {
+    validateBulkRequest(accountId, emailIds);
+
+    loggers.security.info(MESSAGES.EMAIL_DELETION_REQUESTED, {
       accountId,
-      queryLength: query.length,
-      count: result.data?.length || 0,
+      count: emailIds.length,
     });
 
-    return result;
-  } catch (e) {
-    const duration = Date.now() - startTime;
-    loggers.performance.end("search-emails", duration, {
-      accountId,
-      error: e.message,
+    const provider = mailProviders.getProviderForAccount(accountId);
+    const result = await runBulkOperation(event, "delete", emailIds, {
+      batch:
+        typeof provider.batchDeleteEmails === "function"
+          ? (onProgress) =>
+              provider.batchDeleteEmails(accountId, emailIds, onProgress)
+          : null,
+      item: (emailId) => provider.deleteEmail(accountId, emailId),
     });
 
-    loggers.api.error("GET", "/gmail/search", e, { accountId, query });
+    if (result.success) {
+      result.data.succeeded.forEach((emailId) =>
+        syncService.removeMessage(accountId, emailId),
+      );
+      clearEmailCache(accountId);
+    }
 
-    return {
-      success: false,
-      error: e.message || "Unknown error",
-      data: [],
-    };
+    return result;
+  } catch (e) {
+    loggers.app.error("Bulk delete error", e, { accountId });
+    return { success: false, error: e.message || "Unknown error", data: null };
   }
 });
 
-// Delete email handler
-ipcMain.handle("delete-email", async (event, accountId, emailId) => {
-  const startTime = Date.now();
+ipcMain.handle(
+  "bulk-mark-as-read",
+  async (event, accountId, emailIds, read = true) => {
+    try {
+      validateBulkRequest(accountId, emailIds);
 
-  try {
-    loggers.performance.start("delete-email", { accountId, emailId });
+      if (typeof read !== "boolean") {
+        throw new Error("Read parameter must be a boolean");
+      }
 
-    // Validación mejorada de parámetros
-    if (!accountId || typeof accountId !== 'string') {
-      throw new Error(ERROR_MESSAGES.ACCOUNT_ID_REQUIRED);
-    }
+      // Gmail marks read/unread through the UNREAD label
+      const provider = mailProviders.getProviderForAccount(accountId);
+      const result = await runBulkOperation(event, "read", emailIds, {
+        batch:
+          typeof provider.batchModifyLabels === "function"
+            ? (onProgress) =>
+                provider.batchModifyLabels(
+                  accountId,
+                  emailIds,
+                  read ? [] : ["UNREAD"],
+                  read ? ["UNREAD"] : [],
+                  onProgress,
+                )
+            : null,
+        item: (emailId) => provider.markAsRead(accountId, emailId, read),
+      });
 
-    if (!emailId || typeof emailId !== 'string') {
-      throw new Error(ERROR_MESSAGES.EMAIL_ID_REQUIRED);
-    }
+      if (result.success) {
+        result.data.succeeded.forEach((emailId) =>
+          syncService.updateReadState(accountId, emailId, read),
+        );
+        clearEmailCache(accountId);
+      }
 
-    // Validar formato del email ID
-    if (!/^[a-zA-Z0-9_-]+$/.test(emailId)) {
-      throw new Error(ERROR_MESSAGES.EMAIL_ID_INVALID);
+      return result;
+    } catch (e) {
+      loggers.app.error("Bulk mark as read error", e, { accountId, read });
+      return {
+        success: false,
+        error: e.message || "Unknown error",
+        data: null,
+      };
     }
+  },
+);
 
-    // Log de seguridad para operaciones de eliminación
-    loggers.security.info(MESSAGES.EMAIL_DELETION_REQUESTED, { accountId, emailId });
+// Archive, move and label a selection: label changes on every message
+ipcMain.handle(
+  "bulk-modify-labels",
+  async (event, accountId, emailIds, addLabelIds = [], removeLabelIds = []) => {
+    try {
+      validateBulkRequest(accountId, emailIds);
 
-    const result = await gmailService.deleteEmail(accountId, emailId);
+      if (!Array.isArray(addLabelIds) || !Array.isArray(removeLabelIds)) {
+        throw new Error("Label IDs must be arrays");
+      }
 
-    const duration = Date.now() - startTime;
-    loggers.performance.end("delete-email", duration, {
-      accountId,
-      emailId,
-      success: true,
-    });
+      [...addLabelIds, ...removeLabelIds].forEach(validateLabelId);
 
-    loggers.api.response("DELETE", `/gmail/messages/${emailId}`, 200, {
-      accountId,
-    });
+      const provider = getLabelProvider(accountId);
+      if (!provider) {
+        throw new Error("Labels are not supported for this account");
+      }
 
-    return result;
+      const result = await runBulkOperation(event, "labels", emailIds, {
+        batch:
+          typeof provider.batchModifyLabels === "function"
+            ? (onProgress) =>
+                provider.batchModifyLabels(
+                  accountId,
+                  emailIds,
+                  addLabelIds,
+                  removeLabelIds,
+                  onProgress,
+                )
+            : null,
+        item: (emailId) =>
+          provider.modifyLabels(
+            accountId,
+            emailId,
+            addLabelIds,
+            removeLabelIds,
+          ),
+      });
+
+      if (result.success) {
+        result.data.succeeded.forEach((emailId) =>
+          syncService.updateLabels(
+            accountId,
+            emailId,
+            addLabelIds,
+            removeLabelIds,
+          ),
+        );
+        clearEmailCache(accountId);
+      }
+
+      return result;
+    } catch (e) {
+      loggers.app.error("Bulk modify labels error", e, { accountId });
+      return {
+        success: false,
+        error: e.message || "Unknown error",
+        data: null,
+      };
+    }
+  },
+);
+
+// Received message content: remote images load only for the senders allowed
+// per account, and links open in the default browser instead of the app
+ipcMain.handle("get-image-allowlist", async () => {
+  try {
+    return { success: true, data: ConfigManager.getImageAllowlist() };
   } catch (e) {
-    const duration = Date.now() - startTime;
-    loggers.performance.end("delete-email", duration, {
-      accountId,
-      emailId,
-      error: e.message,
-    });
+    loggers.app.error("Get image allowlist error", e);
+    return { success: false, error: e.message || "Unknown error", data: {} };
+  }
+});
 
-    loggers.api.error("DELETE", `/gmail/messages/${emailId}`, e, {
-      accountId,
-      emailId,
-    });
+// Always load remote images from this sender in this account
+ipcMain.handle("allow-sender-images", async (event, accountId, sender) => {
+  try {
+    const senders = ConfigManager.allowSenderImages(accountId, sender);
+    return { success: true, data: senders };
+  } catch (e) {
+    loggers.app.error("Allow sender images error", e);
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
 
-    return {
-      success: false,
-      error: e.message || "Unknown error",
-      errorType: "api",
-    };
+// Open a link from a message in the default browser (web and mailto only)
+ipcMain.handle("open-external", async (event, url) => {
+  try {
+    const parsed = new URL(String(url));
+    if (!["https:", "http:", "mailto:"].includes(parsed.protocol)) {
+      loggers.security.suspiciousActivity("open_external_protocol", {
+        protocol: parsed.protocol,
+      });
+      throw new Error("Unsupported link");
+    }
+
+    await shell.openExternal(parsed.href);
+    return { success: true, data: null };
+  } catch (e) {
+    loggers.app.error("Open external link error", e);
+    return { success: false, error: e.message || "Unknown error", data: null };
   }
 });
 
-// Mark as read handler
-ipcMain.handle(
-  "mark-as-read",
-  async (event, accountId, emailId, read = true) => {
-    const startTime = Date.now();
+// Keyboard shortcuts: custom bindings are kept in the app config
+ipcMain.handle("get-shortcuts", async () => {
+  try {
+    return { success: true, data: ConfigManager.getShortcutBindings() };
+  } catch (e) {
+    loggers.app.error("Get shortcuts error", e);
+    return { success: false, error: e.message || "Unknown error", data: {} };
+  }
+});
 
-    try {
-      loggers.performance.start("mark-as-read", { accountId, emailId, read });
+ipcMain.handle("save-shortcuts", async (event, bindings) => {
+  try {
+    ConfigManager.saveShortcutBindings(bindings);
+    return { success: true, data: bindings };
+  } catch (e) {
+    loggers.app.error("Save shortcuts error", e);
+    return { success: false, error: e.message || "Unknown error", data: null };
+  }
+});
 
-      // Validación mejorada de parámetros
-      if (!accountId || typeof accountId !== 'string') {
-        throw new Error("Valid Account ID is required");
+// Descarga un adjunto validando parámetros y tamaño máximo
+async function downloadAttachment(accountId, emailId, attachmentId) {
+  if (!accountId || typeof accountId !== "string") {
+    throw new Error(ERROR_MESSAGES.ACCOUNT_ID_REQUIRED);
+  }
+
+  if (!emailId || typeof emailId !== "string" || !/^[a-zA-Z0-9_-]+$/.test(emailId)) {
+    throw new Error(ERROR_MESSAGES.EMAIL_ID_INVALID);
+  }
+
+  if (
+    !attachmentId ||
+    typeof attachmentId !== "string" ||
+    !/^[a-zA-Z0-9_-]+$/.test(attachmentId)
+  ) {
+    throw new Error(ERROR_MESSAGES.ATTACHMENT_ID_INVALID);
+  }
+
+  const provider = mailProviders.getProviderForAccount(accountId);
+  const result = await provider.fetchAttachment(accountId, emailId, attachmentId);
+
+  if (!result.success) {
+    throw new Error(result.error || ERROR_MESSAGES.UNKNOWN_ERROR);
+  }
+
+  if (result.data.size > ATTACHMENTS.MAX_DOWNLOAD_SIZE) {
+    throw new Error(ERROR_MESSAGES.ATTACHMENT_TOO_LARGE);
+  }
+
+  return result.data;
+}
+
+// Formats shown inline in message bodies (the frame only loads data: URLs)
+const INLINE_IMAGE_TYPES = /^image\/(png|jpe?g|gif|webp)$/i;
+
+// Inline (cid:) image of a message: from the local store when it has been
+// downloaded before, otherwise through the attachment download
+ipcMain.handle(
+  "fetch-inline-image",
+  async (event, accountId, emailId, image = {}) => {
+    try {
+      const { contentId, attachmentId, mimeType } = image;
+
+      if (
+        !contentId ||
+        typeof contentId !== "string" ||
+        contentId.length > 256
+      ) {
+        throw new Error("Invalid Content-ID");
       }
 
-      if (!emailId || typeof emailId !== 'string') {
-        throw new Error("Valid Email ID is required");
+      if (typeof mimeType !== "string" || !INLINE_IMAGE_TYPES.test(mimeType)) {
+        throw new Error("Unsupported inline image type");
       }
 
-      // Validar formato del email ID
-      if (!/^[a-zA-Z0-9_-]+$/.test(emailId)) {
-        throw new Error("Invalid Email ID format");
+      if (
+        !emailId ||
+        typeof emailId !== "string" ||
+        !/^[a-zA-Z0-9_-]+$/.test(emailId)
+      ) {
+        throw new Error(ERROR_MESSAGES.EMAIL_ID_INVALID);
       }
 
-      // Validar tipo del parámetro read
-      if (typeof read !== 'boolean') {
-        throw new Error("Read parameter must be a boolean");
+      const cached = syncService.getInlineImage(accountId, emailId, contentId);
+      if (cached) {
+        return { success: true, data: cached };
       }
 
-      const result = await gmailService.markAsRead(accountId, emailId, read);
+      const attachment = await downloadAttachment(
+        accountId,
+        emailId,
+        attachmentId,
+      );
+      // Gmail entrega base64url; el data: URL del visor necesita base64
+      const data = {
+        contentId,
+        mimeType: mimeType.toLowerCase(),
+        data: Buffer.from(attachment.data, "base64").toString("base64"),
+      };
+      syncService.saveInlineImage(accountId, emailId, data);
 
-      const duration = Date.now() - startTime;
-      loggers.performance.end("mark-as-read", duration, {
+      return { success: true, data };
+    } catch (e) {
+      loggers.api.error("GET", `/messages/${emailId}/inline-images`, e, {
         accountId,
         emailId,
-        read,
-        success: true,
       });
 
-      return result;
+      return {
+        success: false,
+        error: e.message || ERROR_MESSAGES.UNKNOWN_ERROR,
+        data: null,
+      };
+    }
+  },
+);
+
+// Devuelve una ruta libre en el directorio ("nombre (1).ext" si ya existe)
+function getAvailablePath(directory, filename) {
+  const { name, ext } = path.parse(filename);
+  let candidate = path.join(directory, filename);
+
+  for (let i = 1; fs.existsSync(candidate); i++) {
+    candidate = path.join(directory, `${name} (${i})${ext}`);
+  }
+
+  return candidate;
+}
+
+// Fetch attachment bytes (base64) for preview
+ipcMain.handle(
+  "fetch-attachment",
+  async (event, accountId, emailId, attachmentId) => {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start("fetch-attachment", { accountId, emailId });
+
+      const attachment = await downloadAttachment(accountId, emailId, attachmentId);
+
+      loggers.performance.end("fetch-attachment", Date.now() - startTime, {
+        accountId,
+        emailId,
+        size: attachment.size,
+      });
+
+      return { success: true, data: attachment };
     } catch (e) {
-      const duration = Date.now() - startTime;
-      loggers.performance.end("mark-as-read", duration, {
+      loggers.performance.end("fetch-attachment", Date.now() - startTime, {
         accountId,
         emailId,
-        read,
         error: e.message,
       });
-
-      loggers.api.error("POST", `/gmail/messages/${emailId}/modify`, e, {
+      loggers.api.error("GET", `/messages/${emailId}/attachments`, e, {
         accountId,
         emailId,
       });
 
       return {
         success: false,
-        error: e.message || "Unknown error",
+        error: e.message || ERROR_MESSAGES.UNKNOWN_ERROR,
         errorType: "api",
+        data: null,
+      };
+    }
+  },
+);
+
+// Save one attachment with a "Save as..." dialog
+ipcMain.handle(
+  "save-attachment",
+  async (event, accountId, emailId, attachment = {}) => {
+    try {
+      const filename = ValidationManager.sanitizeFilename(attachment.filename);
+      const parentWindow = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+
+      const { canceled, filePath } = await dialog.showSaveDialog(parentWindow, {
+        defaultPath: path.join(app.getPath("downloads"), filename),
+      });
+
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+
+      const data = await downloadAttachment(accountId, emailId, attachment.attachmentId);
+      await fs.promises.writeFile(filePath, Buffer.from(data.data, "base64"));
+
+      loggers.app.info(MESSAGES.ATTACHMENTS_SAVED, { accountId, emailId, count: 1 });
+      return { success: true, filePath };
+    } catch (e) {
+      loggers.app.error("Save attachment error", e, { accountId, emailId });
+      return {
+        success: false,
+        error: e.message || ERROR_MESSAGES.UNKNOWN_ERROR,
+      };
+    }
+  },
+);
+
+// Save all attachments of an email to a chosen folder
+ipcMain.handle(
+  "save-all-attachments",
+  async (event, accountId, emailId, attachments = []) => {
+    try {
+      if (!Array.isArray(attachments) || attachments.length === 0) {
+        throw new Error(ERROR_MESSAGES.ATTACHMENTS_REQUIRED);
+      }
+
+      const parentWindow = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+      const { canceled, filePaths } = await dialog.showOpenDialog(parentWindow, {
+        defaultPath: app.getPath("downloads"),
+        properties: ["openDirectory", "createDirectory"],
+      });
+
+      if (canceled || !filePaths || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
+      const directory = filePaths[0];
+      const saved = [];
+      const failed = [];
+
+      // Secuencial para no acumular varios adjuntos grandes en memoria
+      for (const attachment of attachments) {
+        const filename = ValidationManager.sanitizeFilename(attachment?.filename);
+
+        try {
+          const data = await downloadAttachment(accountId, emailId, attachment?.attachmentId);
+          const filePath = getAvailablePath(directory, filename);
+          await fs.promises.writeFile(filePath, Buffer.from(data.data, "base64"));
+          saved.push(filePath);
+        } catch (error) {
+          failed.push({ filename, error: error.message });
+        }
+      }
+
+      loggers.app.info(MESSAGES.ATTACHMENTS_SAVED, {
+        accountId,
+        emailId,
+        count: saved.length,
+        failed: failed.length,
+      });
+
+      return { success: failed.length === 0, directory, saved, failed };
+    } catch (e) {
+      loggers.app.error("Save all attachments error", e, { accountId, emailId });
+      return {
+        success: false,
+        error: e.message || ERROR_MESSAGES.UNKNOWN_ERROR,
       };
     }
   },
@@ -8,12 +8,56 @@ const { contextBridge, ipcRenderer } = require("electron");
 const api = {
   listAccounts: () => ipcRenderer.invoke("list-accounts"),
   addGmailAccount: () => ipcRenderer.invoke("add-gmail-account"),
+  reconnectGmailAccount: (accountId) =>
+    ipcRenderer.invoke("reconnect-gmail-account", accountId),
+  addMicrosoftAccount: () => ipcRenderer.invoke("add-microsoft-account"),
+  addImapAccount: (config) => ipcRenderer.invoke("add-imap-account", config),
   removeAccount: (id) => ipcRenderer.invoke("remove-account", id),
-  fetchEmails: (accountId, folder) =>
-    ipcRenderer.invoke("fetch-emails", accountId, folder),
+  updateAccountSettings: (accountId, settings) =>
+    ipcRenderer.invoke("update-account-settings", accountId, settings),
+  fetchAccountUnreadCounts: () =>
+    ipcRenderer.invoke("fetch-account-unread-counts"),
+  fetchIdentities: (accountId) =>
+    ipcRenderer.invoke("fetch-identities", accountId),
+  fetchEmails: (accountId, folder, pageToken = null) =>
+    ipcRenderer.invoke("fetch-emails", accountId, folder, pageToken),
+  fetchUnifiedEmails: (folder, pageToken = null) =>
+    ipcRenderer.invoke("fetch-unified-emails", folder, pageToken),
   fetchEmailDetails: (accountId, emailId) =>
     ipcRenderer.invoke("fetch-email-details", accountId, emailId),
+  fetchThreads: (accountId, folder, pageToken = null) =>
+    ipcRenderer.invoke("fetch-threads", accountId, folder, pageToken),
+  fetchThreadDetails: (accountId, threadId, messageIds) =>
+    ipcRenderer.invoke("fetch-thread-details", accountId, threadId, messageIds),
   fetchCalendar: (accountId) => ipcRenderer.invoke("fetch-calendar", accountId),
+  getCalendars: (accountId) => ipcRenderer.invoke("get-calendars", accountId),
+  fetchCalendarEvents: (accountId, calendarId, range) =>
+    ipcRenderer.invoke("fetch-calendar-events", accountId, calendarId, range),
+  getCalendarEvent: (accountId, calendarId, eventId) =>
+    ipcRenderer.invoke("get-calendar-event", accountId, calendarId, eventId),
+  searchCalendarEvents: (accountId, calendarId, query) =>
+    ipcRenderer.invoke("search-calendar-events", accountId, calendarId, query),
+  createCalendarEvent: (accountId, calendarId, eventData) =>
+    ipcRenderer.invoke(
+      "create-calendar-event",
+      accountId,
+      calendarId,
+      eventData,
+    ),
+  updateCalendarEvent: (accountId, calendarId, eventId, eventData) =>
+    ipcRenderer.invoke(
+      "update-calendar-event",
+      accountId,
+      calendarId,
+      eventId,
+      eventData,
+    ),
+  deleteCalendarEvent: (accountId, calendarId, eventId) =>
+    ipcRenderer.invoke("delete-calendar-event", accountId, calendarId, eventId),
+  getCalendarStats: (accountId, calendarId) =>
+    ipcRenderer.invoke("get-calendar-stats", accountId, calendarId),
+  respondInvitation: (accountId, emailId, response) =>
+    ipcRenderer.invoke("respond-invitation", accountId, emailId, response),
   sendEmail: (payload) => ipcRenderer.invoke("send-email", payload),
   searchEmails: (accountId, query) =>
     ipcRenderer.invoke("search-emails", accountId, query),
@@ -21,7 +65,73 @@ const api = {
     ipcRenderer.invoke("delete-email", accountId, emailId),
   markAsRead: (accountId, emailId, read) =>
     ipcRenderer.invoke("mark-as-read", accountId, emailId, read),
+  archiveEmail: (accountId, emailId) =>
+    ipcRenderer.invoke("archive-email", accountId, emailId),
+  moveEmail: (accountId, emailId, target, source) =>
+    ipcRenderer.invoke("move-email", accountId, emailId, target, source),
+  starEmail: (accountId, emailId, starred) =>
+    ipcRenderer.invoke("star-email", accountId, emailId, starred),
+  markSpam: (accountId, emailId, spam) =>
+    ipcRenderer.invoke("mark-spam", accountId, emailId, spam),
+  bulkDeleteEmails: (accountId, emailIds) =>
+    ipcRenderer.invoke("bulk-delete-emails", accountId, emailIds),
+  bulkMarkAsRead: (accountId, emailIds, read) =>
+    ipcRenderer.invoke("bulk-mark-as-read", accountId, emailIds, read),
+  bulkModifyLabels: (accountId, emailIds, addLabelIds, removeLabelIds) =>
+    ipcRenderer.invoke(
+      "bulk-modify-labels",
+      accountId,
+      emailIds,
+      addLabelIds,
+      removeLabelIds,
+    ),
+  onBulkProgress: (callback) =>
+    ipcRenderer.on("bulk-progress", (event, progress) => callback(progress)),
+  fetchLabels: (accountId) => ipcRenderer.invoke("fetch-labels", accountId),
+  createLabel: (accountId, name) =>
+    ipcRenderer.invoke("create-label", accountId, name),
+  renameLabel: (accountId, labelId, name) =>
+    ipcRenderer.invoke("rename-label", accountId, labelId, name),
+  deleteLabel: (accountId, labelId) =>
+    ipcRenderer.invoke("delete-label", accountId, labelId),
+  modifyLabels: (accountId, emailId, addLabelIds, removeLabelIds) =>
+    ipcRenderer.invoke(
+      "modify-labels",
+      accountId,
+      emailId,
+      addLabelIds,
+      removeLabelIds,
+    ),
+  openExternal: (url) => ipcRenderer.invoke("open-external", url),
+  getImageAllowlist: () => ipcRenderer.invoke("get-image-allowlist"),
+  allowSenderImages: (accountId, sender) =>
+    ipcRenderer.invoke("allow-sender-images", accountId, sender),
+  getShortcuts: () => ipcRenderer.invoke("get-shortcuts"),
+  saveShortcuts: (bindings) => ipcRenderer.invoke("save-shortcuts", bindings),
+  fetchAttachment: (accountId, emailId, attachmentId) =>
+    ipcRenderer.invoke("fetch-attachment", accountId, emailId, attachmentId),
+  fetchInlineImage: (accountId, emailId, image) =>
+    ipcRenderer.invoke("fetch-inline-image", accountId, emailId, image),
+  saveAttachment: (accountId, emailId, attachment) =>
+    ipcRenderer.invoke("save-attachment", accountId, emailId, attachment),
+  saveAllAttachments: (accountId, emailId, attachments) =>
+    ipcRenderer.invoke("save-all-attachments", accountId, emailId, attachments),
+  fetchDrafts: (accountId) => ipcRenderer.invoke("fetch-drafts", accountId),
+  getDraft: (draftId) => ipcRenderer.invoke("get-draft", draftId),
+  saveDraft: (draft) => ipcRenderer.invoke("save-draft", draft),
+  deleteDraft: (draftId) => ipcRenderer.invoke("delete-draft", draftId),
+  sendDraft: (draftId) => ipcRenderer.invoke("send-draft", draftId),
+  fetchOutbox: (accountId) => ipcRenderer.invoke("fetch-outbox", accountId),
+  cancelOutboxItem: (outboxId) =>
+    ipcRenderer.invoke("cancel-outbox-item", outboxId),
+  rescheduleOutboxItem: (outboxId, sendAt) =>
+    ipcRenderer.invoke("reschedule-outbox-item", outboxId, sendAt),
+  retryOutbox: () => ipcRenderer.invoke("retry-outbox"),
+  onOutboxUpdated: (callback) =>
+    ipcRenderer.on("outbox-updated", (event, update) => callback(update)),
   openCompose: (options = {}) => ipcRenderer.send("open-compose", options),
+  onComposeData: (callback) =>
+    ipcRenderer.on("compose-data", (event, data) => callback(data)),
 };
 
 // Exponer información del entorno de manera segura
@@ -111,6 +111,25 @@ export const ICONS = {
     ]
   },
 
+  REPLY_ALL: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "polyline",
+        attrs: { points: "7 17 2 12 7 7" }
+      },
+      {
+        type: "polyline",
+        attrs: { points: "12 17 7 12 12 7" }
+      },
+      {
+        type: "path",
+        attrs: { d: "M22 18v-2a4 4 0 0 0-4-4H7" }
+      }
+    ]
+  },
+
   FORWARD: {
     viewBox: "0 0 24 24",
     fill: "none",
@@ -149,6 +168,177 @@ export const ICONS = {
     ]
   },
 
+  ARCHIVE: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "polyline",
+        attrs: { points: "21 8 21 21 3 21 3 8" }
+      },
+      {
+        type: "path",
+        attrs: { d: "M1 3h22v5H1z" }
+      },
+      {
+        type: "line",
+        attrs: { x1: "10", y1: "12", x2: "14", y2: "12" }
+      }
+    ]
+  },
+
+  STAR: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "path",
+        attrs: { d: "M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z" }
+      }
+    ]
+  },
+
+  SPAM: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "path",
+        attrs: { d: "M7.86 2h8.28L22 7.86v8.28L16.14 22H7.86L2 16.14V7.86L7.86 2z" }
+      },
+      {
+        type: "line",
+        attrs: { x1: "12", y1: "8", x2: "12", y2: "12" }
+      },
+      {
+        type: "line",
+        attrs: { x1: "12", y1: "16", x2: "12.01", y2: "16" }
+      }
+    ]
+  },
+
+  // Attachments
+  ATTACHMENT: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "path",
+        attrs: { d: "M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48" }
+      }
+    ]
+  },
+
+  FILE: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "path",
+        attrs: { d: "M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z" }
+      },
+      {
+        type: "polyline",
+        attrs: { points: "13 2 13 9 20 9" }
+      }
+    ]
+  },
+
+  FILE_TEXT: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "path",
+        attrs: { d: "M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z" }
+      },
+      {
+        type: "polyline",
+        attrs: { points: "13 2 13 9 20 9" }
+      },
+      {
+        type: "line",
+        attrs: { x1: "16", y1: "13", x2: "8", y2: "13" }
+      },
+      {
+        type: "line",
+        attrs: { x1: "16", y1: "17", x2: "8", y2: "17" }
+      }
+    ]
+  },
+
+  FILE_IMAGE: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "path",
+        attrs: { d: "M5 3h14a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2z" }
+      },
+      {
+        type: "circle",
+        attrs: { cx: "8.5", cy: "8.5", r: "1.5" }
+      },
+      {
+        type: "polyline",
+        attrs: { points: "21 15 16 10 5 21" }
+      }
+    ]
+  },
+
+  FILE_ARCHIVE: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "polyline",
+        attrs: { points: "21 8 21 21 3 21 3 8" }
+      },
+      {
+        type: "path",
+        attrs: { d: "M1 3h22v5H1z" }
+      },
+      {
+        type: "line",
+        attrs: { x1: "10", y1: "12", x2: "14", y2: "12" }
+      }
+    ]
+  },
+
+  DOWNLOAD: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "path",
+        attrs: { d: "M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" }
+      },
+      {
+        type: "polyline",
+        attrs: { points: "7 10 12 15 17 10" }
+      },
+      {
+        type: "line",
+        attrs: { x1: "12", y1: "15", x2: "12", y2: "3" }
+      }
+    ]
+  },
+
+  CLOSE: {
+    viewBox: "0 0 24 24",
+    fill: "none",
+    elements: [
+      {
+        type: "line",
+        attrs: { x1: "18", y1: "6", x2: "6", y2: "18" }
+      },
+      {
+        type: "line",
+        attrs: { x1: "6", y1: "6", x2: "18", y2: "18" }
+      }
+    ]
+  },
+
   // UI Elements
   EDIT: {
     viewBox: "0 0 24 24",
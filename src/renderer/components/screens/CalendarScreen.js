@@ -0,0 +1,500 @@
+/**
+ * CalendarScreen - Panel del calendario
+ * Muestra los eventos de los calendarios seleccionados en vista de agenda,
+ * día o semana, con la lista de calendarios de la cuenta y los botones para
+ * moverse entre periodos, buscar y crear eventos. El estado (periodo,
+ * eventos, calendarios) lo lleva CalendarManager y se pinta con render()
+ */
+
+import { MESSAGES } from '../../config/textConstants.js';
+import { UI_CONSTANTS } from '../../config/uiConfig.js';
+
+// Hora a la que se desplazan las vistas de día y semana al abrirse
+const FIRST_VISIBLE_HOUR = 8;
+// Altura mínima de un evento corto (minutos)
+const MIN_EVENT_MINUTES = 20;
+
+export class CalendarScreen {
+  /**
+   * Abre el panel del calendario
+   * @param {Object} handlers - Handlers de eventos
+   * @param {Function} handlers.onNavigate - (-1 | 0 | 1): anterior, hoy o siguiente
+   * @param {Function} handlers.onViewChange - (vista, fecha?) agenda, day o week
+   * @param {Function} handlers.onToggleCalendar - (calendarId, visible)
+   * @param {Function} handlers.onSearch - (texto) busca eventos; vacío vuelve a la vista
+   * @param {Function} handlers.onCreate - (inicio?) nuevo evento, opcionalmente a una hora
+   * @param {Function} handlers.onEventClick - (evento) abre el evento
+   * @param {Function} handlers.onClose - Se llama al cerrar
+   * @returns {HTMLElement} Overlay creado
+   */
+  static open(handlers = {}) {
+    this.close();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'calendar-overlay';
+    overlay.id = 'calendar-screen';
+    overlay.handlers = handlers;
+
+    const panel = document.createElement('div');
+    panel.className = 'calendar-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', MESSAGES.CALENDAR.TITLE);
+
+    panel.appendChild(this.createHeader(handlers));
+
+    const body = document.createElement('div');
+    body.className = 'calendar-body';
+
+    const sidebar = document.createElement('aside');
+    sidebar.className = 'calendar-sidebar';
+
+    const sidebarTitle = document.createElement('h3');
+    sidebarTitle.className = 'options-section-title';
+    sidebarTitle.textContent = MESSAGES.CALENDAR.CALENDARS;
+    sidebar.appendChild(sidebarTitle);
+
+    const list = document.createElement('div');
+    list.className = 'calendar-list';
+    sidebar.appendChild(list);
+    body.appendChild(sidebar);
+
+    const content = document.createElement('div');
+    content.className = 'calendar-content';
+    body.appendChild(content);
+
+    panel.appendChild(body);
+    overlay.appendChild(panel);
+
+    // Escape cierra el panel (el diálogo de evento lo captura antes)
+    overlay.keyHandler = (event) => {
+      if (event.key === 'Escape') this.close();
+    };
+    document.addEventListener('keydown', overlay.keyHandler);
+
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  /**
+   * Cierra el panel
+   */
+  static close() {
+    const overlay = document.getElementById('calendar-screen');
+    if (!overlay) return;
+
+    document.removeEventListener('keydown', overlay.keyHandler);
+    overlay.remove();
+    if (overlay.handlers.onClose) overlay.handlers.onClose();
+  }
+
+  /**
+   * Indica si el panel está abierto
+   */
+  static isOpen() {
+    return Boolean(document.getElementById('calendar-screen'));
+  }
+
+  /**
+   * Pinta el estado del calendario
+   * @param {Object} state - Estado
+   * @param {string} state.view - agenda, day o week
+   * @param {Date} state.date - Fecha de referencia de la vista
+   * @param {Array} state.calendars - Calendarios de la cuenta
+   * @param {Array} state.selected - IDs de los calendarios visibles
+   * @param {Array} state.events - Eventos ({ ...evento, calendarId, color })
+   * @param {boolean} state.loading - Cargando eventos
+   * @param {string} state.query - Búsqueda activa (vacía si no hay)
+   */
+  static render(state) {
+    const overlay = document.getElementById('calendar-screen');
+    if (!overlay) return;
+
+    const handlers = overlay.handlers;
+    const dates = window.calendarDates;
+
+    overlay.querySelector('.calendar-period').textContent = state.query
+      ? MESSAGES.CALENDAR.SEARCH_RESULTS(state.query)
+      : dates.formatPeriod(state.view, state.date);
+
+    overlay.querySelectorAll('.calendar-view-button').forEach((button) => {
+      const active = !state.query && button.dataset.view === state.view;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+
+    this.renderCalendarList(overlay.querySelector('.calendar-list'), state, handlers);
+
+    const content = overlay.querySelector('.calendar-content');
+    content.innerHTML = '';
+
+    if (state.loading) {
+      content.appendChild(this.createEmpty(MESSAGES.CALENDAR.LOADING));
+    } else if (state.query || state.view === 'agenda') {
+      content.appendChild(this.createAgenda(state, handlers));
+    } else {
+      const start = state.view === 'week' ? dates.startOfWeek(state.date) : dates.startOfDay(state.date);
+      const days = Array.from({ length: state.view === 'week' ? 7 : 1 }, (_, index) => dates.addDays(start, index));
+      content.appendChild(this.createTimeGrid(days, state.events, handlers));
+      content.scrollTop = FIRST_VISIBLE_HOUR * UI_CONSTANTS.CALENDAR_HOUR_HEIGHT;
+    }
+  }
+
+  /**
+   * Crea la cabecera: periodo, navegación, vistas, búsqueda y acciones
+   * @private
+   */
+  static createHeader(handlers) {
+    const header = document.createElement('div');
+    header.className = 'calendar-header';
+
+    const title = document.createElement('h2');
+    title.className = 'shortcut-dialog-title';
+    title.textContent = MESSAGES.CALENDAR.TITLE;
+    header.appendChild(title);
+
+    const button = (label, onClick, className = '') => {
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = `message-action-button ${className}`.trim();
+      element.textContent = label;
+      element.addEventListener('click', onClick);
+      return element;
+    };
+
+    const navigation = document.createElement('div');
+    navigation.className = 'calendar-navigation';
+    navigation.appendChild(button('‹', () => handlers.onNavigate?.(-1)));
+    navigation.lastChild.title = MESSAGES.CALENDAR.PREVIOUS;
+    navigation.appendChild(button(MESSAGES.CALENDAR.TODAY, () => handlers.onNavigate?.(0)));
+    navigation.appendChild(button('›', () => handlers.onNavigate?.(1)));
+    navigation.lastChild.title = MESSAGES.CALENDAR.NEXT;
+    header.appendChild(navigation);
+
+    const period = document.createElement('span');
+    period.className = 'calendar-period';
+    header.appendChild(period);
+
+    const views = document.createElement('div');
+    views.className = 'calendar-views';
+    Object.entries(MESSAGES.CALENDAR.VIEWS).forEach(([view, label]) => {
+      const viewButton = button(label, () => handlers.onViewChange?.(view), 'calendar-view-button');
+      viewButton.dataset.view = view;
+      views.appendChild(viewButton);
+    });
+    header.appendChild(views);
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.className = 'calendar-search';
+    search.placeholder = MESSAGES.CALENDAR.SEARCH_PLACEHOLDER;
+    search.setAttribute('aria-label', MESSAGES.CALENDAR.SEARCH_PLACEHOLDER);
+    search.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') handlers.onSearch?.(search.value.trim());
+    });
+    // Al vaciar el campo se vuelve a la vista
+    search.addEventListener('search', () => {
+      if (!search.value) handlers.onSearch?.('');
+    });
+    header.appendChild(search);
+
+    header.appendChild(button(MESSAGES.CALENDAR.NEW_EVENT, () => handlers.onCreate?.(), 'calendar-new-event'));
+    header.appendChild(button(MESSAGES.CALENDAR.CLOSE, () => this.close()));
+
+    return header;
+  }
+
+  /**
+   * Lista de calendarios con su color y una casilla para mostrarlos
+   * @private
+   */
+  static renderCalendarList(list, state, handlers) {
+    list.innerHTML = '';
+
+    state.calendars.forEach((calendar) => {
+      const item = document.createElement('label');
+      item.className = 'calendar-list-item';
+      item.style.setProperty('--event-color', calendar.backgroundColor || '');
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = state.selected.includes(calendar.id);
+      checkbox.addEventListener('change', () => handlers.onToggleCalendar?.(calendar.id, checkbox.checked));
+      item.appendChild(checkbox);
+
+      const name = document.createElement('span');
+      name.className = 'calendar-list-name';
+      name.textContent = calendar.summaryOverride || calendar.summary || calendar.id;
+      item.appendChild(name);
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Vista de agenda (y resultados de búsqueda): eventos agrupados por día
+   * @private
+   */
+  static createAgenda(state, handlers) {
+    const dates = window.calendarDates;
+    const agenda = document.createElement('div');
+    agenda.className = 'calendar-agenda';
+
+    // Cada evento aparece en todos los días que ocupa dentro del periodo; en
+    // la búsqueda, solo en el día en que empieza
+    const from = dates.startOfDay(state.date);
+    const limit = dates.addDays(from, UI_CONSTANTS.CALENDAR_AGENDA_DAYS);
+    const days = new Map();
+    const add = (day, event) => {
+      const key = dates.toDateValue(day);
+      if (!days.has(key)) days.set(key, { day, events: [] });
+      days.get(key).events.push(event);
+    };
+
+    state.events.forEach((event) => {
+      const { start, end } = dates.getRange(event);
+      if (state.query) {
+        add(dates.startOfDay(start), event);
+        return;
+      }
+
+      let day = start < from ? from : dates.startOfDay(start);
+      while (day < limit && (day < end || dates.isSameDay(day, start))) {
+        add(day, event);
+        day = dates.addDays(day, 1);
+      }
+    });
+
+    if (days.size === 0) {
+      agenda.appendChild(this.createEmpty(MESSAGES.CALENDAR.EMPTY));
+      return agenda;
+    }
+
+    [...days.values()]
+      .sort((a, b) => a.day - b.day)
+      .forEach(({ day, events }) => {
+        const group = document.createElement('section');
+        group.className = 'calendar-agenda-day';
+        if (dates.isSameDay(day, new Date())) group.classList.add('today');
+
+        const heading = document.createElement('h4');
+        heading.className = 'calendar-agenda-date';
+        heading.textContent = dates.formatDay(day);
+        group.appendChild(heading);
+
+        events
+          .sort((a, b) => dates.getRange(a).start - dates.getRange(b).start)
+          .forEach((event) => group.appendChild(this.createAgendaItem(event, day, handlers)));
+
+        agenda.appendChild(group);
+      });
+
+    return agenda;
+  }
+
+  /**
+   * Fila de un evento en la agenda
+   * @private
+   */
+  static createAgendaItem(event, day, handlers) {
+    const dates = window.calendarDates;
+    const { start, end } = dates.getRange(event);
+
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'calendar-agenda-item';
+    item.style.setProperty('--event-color', event.color || '');
+    item.addEventListener('click', () => handlers.onEventClick?.(event));
+
+    const time = document.createElement('span');
+    time.className = 'calendar-agenda-time';
+    const startsToday = dates.isSameDay(start, day);
+    const endsToday = dates.isSameDay(end, day);
+    time.textContent = event.allDay || (!startsToday && !endsToday)
+      ? MESSAGES.CALENDAR.ALL_DAY
+      : `${startsToday ? dates.formatTime(start) : '…'} – ${endsToday ? dates.formatTime(end) : '…'}`;
+    item.appendChild(time);
+
+    const summary = document.createElement('span');
+    summary.className = 'calendar-agenda-summary';
+    summary.textContent = event.summary || MESSAGES.CALENDAR.NO_TITLE;
+    item.appendChild(summary);
+
+    if (event.location) {
+      const location = document.createElement('span');
+      location.className = 'calendar-agenda-location';
+      location.textContent = event.location;
+      item.appendChild(location);
+    }
+
+    return item;
+  }
+
+  /**
+   * Vistas de día y semana: una columna por día con las horas, y arriba los
+   * eventos de día completo. Al pulsar un hueco se crea un evento a esa hora
+   * @private
+   */
+  static createTimeGrid(days, events, handlers) {
+    const dates = window.calendarDates;
+    const hourHeight = UI_CONSTANTS.CALENDAR_HOUR_HEIGHT;
+
+    const grid = document.createElement('div');
+    grid.className = 'calendar-grid';
+    grid.style.setProperty('--calendar-days', days.length);
+    grid.style.setProperty('--calendar-hour-height', `${hourHeight}px`);
+
+    // Cabecera con los días (en la semana, pulsarlo abre el día) y los
+    // eventos de día completo
+    const top = document.createElement('div');
+    top.className = 'calendar-grid-top';
+
+    const head = document.createElement('div');
+    head.className = 'calendar-grid-head';
+    head.appendChild(document.createElement('span'));
+    days.forEach((day) => {
+      const label = document.createElement('button');
+      label.type = 'button';
+      label.className = 'calendar-grid-day';
+      if (dates.isSameDay(day, new Date())) label.classList.add('today');
+      label.textContent = days.length > 1 ? dates.formatShortDay(day) : dates.formatDay(day);
+      label.addEventListener('click', () => handlers.onViewChange?.('day', day));
+      head.appendChild(label);
+    });
+    top.appendChild(head);
+
+    const allDayRow = document.createElement('div');
+    allDayRow.className = 'calendar-grid-all-day';
+    const allDayLabel = document.createElement('span');
+    allDayLabel.className = 'calendar-grid-all-day-label';
+    allDayLabel.textContent = MESSAGES.CALENDAR.ALL_DAY;
+    allDayRow.appendChild(allDayLabel);
+    days.forEach((day) => {
+      const cell = document.createElement('div');
+      cell.className = 'calendar-grid-all-day-cell';
+      events
+        .filter((event) => event.allDay && dates.isOnDay(event, day))
+        .forEach((event) => cell.appendChild(this.createEventChip(event, handlers)));
+      allDayRow.appendChild(cell);
+    });
+    top.appendChild(allDayRow);
+    grid.appendChild(top);
+
+    const body = document.createElement('div');
+    body.className = 'calendar-grid-body';
+
+    const hours = document.createElement('div');
+    hours.className = 'calendar-grid-hours';
+    for (let hour = 0; hour < 24; hour++) {
+      const label = document.createElement('span');
+      label.className = 'calendar-grid-hour';
+      label.textContent = dates.formatTime(new Date(2000, 0, 1, hour));
+      hours.appendChild(label);
+    }
+    body.appendChild(hours);
+
+    days.forEach((day) => {
+      const column = document.createElement('div');
+      column.className = 'calendar-grid-column';
+
+      column.addEventListener('click', (event) => {
+        if (event.target !== column) return;
+        // Media hora más cercana por encima del punto pulsado
+        const minutes = Math.floor((event.offsetY / hourHeight) * 2) * 30;
+        handlers.onCreate?.(new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes));
+      });
+
+      const dayStart = dates.startOfDay(day);
+      const items = events
+        .filter((event) => !event.allDay && dates.isOnDay(event, day))
+        .map((event) => {
+          const { start, end } = dates.getRange(event);
+          const from = Math.max(0, (start - dayStart) / 60000);
+          const to = Math.min(24 * 60, (end - dayStart) / 60000);
+          return { event, start: from, end: Math.max(to, from + MIN_EVENT_MINUTES) };
+        });
+
+      this.layoutColumn(items).forEach((item) => {
+        const chip = this.createEventChip(item.event, handlers, true);
+        chip.style.top = `${(item.start / 60) * hourHeight}px`;
+        chip.style.height = `${((item.end - item.start) / 60) * hourHeight}px`;
+        chip.style.left = `${(item.lane / item.lanes) * 100}%`;
+        chip.style.width = `${100 / item.lanes}%`;
+        column.appendChild(chip);
+      });
+
+      body.appendChild(column);
+    });
+
+    grid.appendChild(body);
+    return grid;
+  }
+
+  /**
+   * Reparte los eventos que se solapan en carriles: cada grupo de eventos
+   * solapados divide el ancho de la columna entre sus carriles
+   * @private
+   * @param {Array} items - { start, end } en minutos del día
+   * @returns {Array} Los mismos elementos con lane y lanes
+   */
+  static layoutColumn(items) {
+    const sorted = [...items].sort((a, b) => a.start - b.start || b.end - a.end);
+    let group = [];
+    let groupEnd = 0;
+    let laneEnds = [];
+
+    const closeGroup = () => {
+      const lanes = laneEnds.length;
+      group.forEach((item) => {
+        item.lanes = lanes;
+      });
+      group = [];
+      laneEnds = [];
+    };
+
+    sorted.forEach((item) => {
+      if (group.length > 0 && item.start >= groupEnd) closeGroup();
+
+      let lane = laneEnds.findIndex((end) => end <= item.start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = item.end;
+
+      item.lane = lane;
+      group.push(item);
+      groupEnd = group.length === 1 ? item.end : Math.max(groupEnd, item.end);
+    });
+    closeGroup();
+
+    return sorted;
+  }
+
+  /**
+   * Evento en las vistas de día y semana
+   * @private
+   */
+  static createEventChip(event, handlers, timed = false) {
+    const dates = window.calendarDates;
+
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = timed ? 'calendar-event timed' : 'calendar-event';
+    chip.style.setProperty('--event-color', event.color || '');
+    chip.addEventListener('click', () => handlers.onEventClick?.(event));
+
+    const summary = event.summary || MESSAGES.CALENDAR.NO_TITLE;
+    chip.textContent = timed ? `${dates.formatTime(dates.getRange(event).start)} ${summary}` : summary;
+    chip.title = event.location ? `${summary}\n${event.location}` : summary;
+
+    return chip;
+  }
+
+  /**
+   * Mensaje cuando no hay nada que mostrar
+   * @private
+   */
+  static createEmpty(text) {
+    const empty = document.createElement('p');
+    empty.className = 'calendar-empty';
+    empty.textContent = text;
+    return empty;
+  }
+}
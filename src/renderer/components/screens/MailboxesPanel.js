@@ -29,6 +29,10 @@ export class MailboxesPanel {
     const mailboxesList = this.createMailboxesList(handlers);
     content.appendChild(mailboxesList);
 
+    // Etiquetas de la cuenta (se rellenan con updateLabels)
+    const labelsSection = this.createLabelsSection();
+    content.appendChild(labelsSection);
+
     // Botón de redactar
     const composeButton = this.createComposeButton(handlers);
     content.appendChild(composeButton);
@@ -78,10 +82,14 @@ export class MailboxesPanel {
 
     // Mailboxes predefinidos
     const mailboxes = [
+      { id: 'unified', type: 'unified', label: MESSAGES.MAILBOX_NAMES.unified || 'Todas las bandejas' },
       { id: 'all', type: 'all', label: MESSAGES.MAILBOX_NAMES.all || 'Recibidos' },
       { id: 'unread', type: 'unread', label: MESSAGES.MAILBOX_NAMES.unread || 'No leídos' },
       { id: 'today', type: 'today', label: MESSAGES.MAILBOX_NAMES.today || 'Hoy' },
-      { id: 'flagged', type: 'flagged', label: MESSAGES.MAILBOX_NAMES.flagged || 'Con indicador' }
+      { id: 'flagged', type: 'flagged', label: MESSAGES.MAILBOX_NAMES.flagged || 'Con indicador' },
+      { id: 'spam', type: 'spam', label: MESSAGES.MAILBOX_NAMES.spam || 'Spam' },
+      { id: 'outbox', type: 'outbox', label: MESSAGES.MAILBOX_NAMES.outbox || 'Bandeja de salida' },
+      { id: 'scheduled', type: 'scheduled', label: MESSAGES.MAILBOX_NAMES.scheduled || 'Programados' }
     ];
 
     // Crear items
@@ -91,6 +99,62 @@ export class MailboxesPanel {
     return list;
   }
 
+  /**
+   * Crea la sección de etiquetas, oculta hasta que la cuenta tenga alguna
+   * @returns {HTMLElement} Sección creada
+   */
+  static createLabelsSection() {
+    const section = document.createElement('div');
+    section.id = 'labels-section';
+    section.className = 'labels-section hidden';
+
+    const title = document.createElement('h3');
+    title.className = 'labels-title';
+    title.textContent = MESSAGES.LABELS.TITLE;
+    section.appendChild(title);
+
+    const list = document.createElement('div');
+    list.id = 'labels-list';
+    list.className = 'space-y-1 mb-4';
+    section.appendChild(list);
+
+    return section;
+  }
+
+  /**
+   * Muestra las etiquetas de la cuenta como buzones (carpetas label:<ID>)
+   * @param {HTMLElement} panel - Panel de mailboxes
+   * @param {Array} labels - Etiquetas { id, name, color, unread }
+   * @param {Object} handlers - { onLabelClick, onRenameLabel, onDeleteLabel }
+   * @param {string} activeType - Buzón activo, para mantenerlo marcado
+   */
+  static updateLabels(panel, labels, handlers = {}, activeType = '') {
+    const section = panel?.querySelector('#labels-section');
+    const list = panel?.querySelector('#labels-list');
+    if (!section || !list) return;
+
+    list.innerHTML = '';
+    section.classList.toggle('hidden', labels.length === 0);
+
+    labels.forEach(label => {
+      const type = `label:${label.id}`;
+      const item = MailboxItemComponent.create({
+        id: label.id,
+        type,
+        label: label.name,
+        count: label.unread,
+        color: label.color,
+        active: type === activeType,
+        actions: [
+          { label: '✎', title: MESSAGES.LABELS.RENAME, onClick: (element) => handlers.onRenameLabel?.(element, label) },
+          { label: '×', title: MESSAGES.LABELS.DELETE, onClick: () => handlers.onDeleteLabel?.(label) }
+        ],
+        onClick: handlers.onLabelClick
+      });
+      list.appendChild(item);
+    });
+  }
+
   /**
    * Crea el botón de redactar
    * @param {Object} handlers - Handlers de eventos
@@ -115,7 +179,13 @@ export class MailboxesPanel {
    */
   static createAccountFooter(handlers) {
     const footer = document.createElement('div');
-    footer.className = 'section-footer';
+    footer.className = 'section-footer account-footer';
+
+    // Selector de cuentas (se abre al pulsar la cuenta actual)
+    const switcher = document.createElement('div');
+    switcher.id = 'account-switcher';
+    switcher.className = 'account-switcher hidden';
+    footer.appendChild(switcher);
 
     const container = document.createElement('div');
     container.style.cssText = `
@@ -125,13 +195,14 @@ export class MailboxesPanel {
       width: 100%;
     `;
 
-    // Información de cuenta actual
-    const accountSpan = document.createElement('span');
-    accountSpan.id = 'currentAccount';
-    accountSpan.className = 'account-alias';
-    accountSpan.textContent = 'Gmail';
-    accountSpan.title = '';
-    container.appendChild(accountSpan);
+    // Cuenta actual: abre el selector de cuentas
+    const accountButton = document.createElement('button');
+    accountButton.type = 'button';
+    accountButton.id = 'currentAccount';
+    accountButton.className = 'account-alias account-switcher-toggle';
+    accountButton.textContent = 'Gmail';
+    accountButton.title = MESSAGES.ACCOUNTS.SWITCH;
+    container.appendChild(accountButton);
 
     // Botón de logout
     const logoutLink = document.createElement('a');
@@ -162,6 +233,7 @@ export class MailboxesPanel {
       const displayName = account.alias || account.provider || 'Gmail';
       accountElement.textContent = displayName;
       accountElement.title = account.email || '';
+      accountElement.style.setProperty('--account-color', account.color || '');
     }
   }
 }
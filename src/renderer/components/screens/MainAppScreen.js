@@ -21,6 +21,8 @@ export class MainAppScreen {
       onMessageAction = null,
       onSearch = null,
       onOptions = null,
+      onCalendar = null,
+      onCreateEvent = null,
       onLogout = null
     } = options;
 
@@ -35,7 +37,9 @@ export class MainAppScreen {
       onEditMailboxes,
       onMessageAction,
       onSearch,
-      onOptions
+      onOptions,
+      onCalendar,
+      onCreateEvent
     });
     screen.appendChild(mainPanel);
 
@@ -49,7 +49,11 @@ export class MessageDetailPanel {
       { icon: 'PREVIOUS', title: 'Anterior' },
       { icon: 'NEXT', title: 'Siguiente' },
       { icon: 'REPLY', title: 'Responder' },
+      { icon: 'REPLY_ALL', title: 'Responder a todos' },
       { icon: 'FORWARD', title: 'Reenviar' },
+      { icon: 'ARCHIVE', title: 'Archivar' },
+      { icon: 'STAR', title: 'Destacar' },
+      { icon: 'SPAM', title: 'Marcar como spam' },
       { icon: 'DELETE', title: 'Eliminar', variant: 'danger' }
     ];
 
@@ -62,6 +66,21 @@ export class MessageDetailPanel {
       actionsContainer.appendChild(button);
     });
 
+    // Crear un evento del calendario a partir del mensaje
+    const createEventButton = ButtonComponent.create({
+      text: MESSAGES.CALENDAR.CREATE_FROM_MESSAGE,
+      id: 'create-event-button',
+      className: 'message-action-button',
+      onClick: handlers.onCreateEvent,
+      title: MESSAGES.CALENDAR.CREATE_FROM_MESSAGE
+    });
+    actionsContainer.appendChild(createEventButton);
+
+    // Selector de etiquetas (lo rellena LabelManager)
+    const labelPicker = document.createElement('div');
+    labelPicker.id = 'label-picker';
+    actionsContainer.appendChild(labelPicker);
+
     header.appendChild(actionsContainer);
     return header;
   }
@@ -80,6 +99,12 @@ export class MessageDetailPanel {
     title.textContent = MESSAGES.SELECT_MESSAGE || 'Selecciona un mensaje';
     content.appendChild(title);
 
+    // Etiquetas aplicadas (las rellena LabelManager)
+    const labels = document.createElement('div');
+    labels.id = 'message-labels';
+    labels.className = 'hidden';
+    content.appendChild(labels);
+
     // Metadatos del mensaje
     const meta = document.createElement('div');
     meta.id = 'message-meta';
@@ -91,12 +116,24 @@ export class MessageDetailPanel {
     `;
     content.appendChild(meta);
 
+    // Invitación de reunión (la rellena InvitationManager)
+    const invitation = document.createElement('div');
+    invitation.id = 'message-invitation';
+    invitation.className = 'hidden';
+    content.appendChild(invitation);
+
     // Cuerpo del mensaje
     const body = document.createElement('div');
     body.id = 'message-body';
     body.innerHTML = `<p>${MESSAGES.MESSAGE_CONTENT_PLACEHOLDER || 'Contenido del mensaje seleccionado aparecerá aquí.'}</p>`;
     content.appendChild(body);
 
+    // Adjuntos (los rellena AttachmentManager)
+    const attachments = document.createElement('div');
+    attachments.id = 'message-attachments';
+    attachments.className = 'hidden';
+    content.appendChild(attachments);
+
     return content;
   }
 
@@ -147,4 +184,73 @@ export class MessageDetailPanel {
       }
     }
   }
+
+  /**
+   * Crea la vista de una conversación con un bloque plegable por mensaje
+   * El último mensaje y los no leídos se muestran desplegados
+   * @param {Array} messages - Mensajes del hilo (más antiguo primero)
+   * @param {Function} renderBody - Crea el elemento con el cuerpo de un mensaje
+   * @returns {HTMLElement} Conversación creada
+   */
+  static createConversation(messages, renderBody) {
+    const conversation = document.createElement('div');
+    conversation.className = 'conversation';
+
+    messages.forEach((message, index) => {
+      const isLatest = index === messages.length - 1;
+      const isUnread = message.read === false || (message.labels || []).includes('UNREAD');
+      conversation.appendChild(
+        this.createConversationMessage(message, renderBody, isLatest || isUnread)
+      );
+    });
+
+    return conversation;
+  }
+
+  /**
+   * Crea un mensaje plegable de la conversación
+   * @param {Object} message - Detalles del mensaje
+   * @param {Function} renderBody - Crea el elemento con el cuerpo del mensaje
+   * @param {boolean} expanded - Mostrar desplegado inicialmente
+   * @returns {HTMLElement} Mensaje creado
+   */
+  static createConversationMessage(message, renderBody, expanded) {
+    const item = document.createElement('details');
+    item.className = 'conversation-message';
+    item.dataset.messageId = message.id;
+    item.open = expanded;
+
+    const summary = document.createElement('summary');
+    summary.className = 'conversation-message-header';
+
+    const from = document.createElement('span');
+    from.className = 'conversation-message-from';
+    from.textContent = message.from || '';
+
+    const date = document.createElement('span');
+    date.className = 'conversation-message-date';
+    date.textContent = message.date ? new Date(message.date).toLocaleString() : '';
+
+    const snippet = document.createElement('span');
+    snippet.className = 'conversation-message-snippet';
+    snippet.textContent = message.snippet || '';
+
+    summary.appendChild(from);
+    summary.appendChild(date);
+    summary.appendChild(snippet);
+    item.appendChild(summary);
+
+    // El cuerpo se crea al desplegar el mensaje por primera vez
+    let rendered = false;
+    const renderOnce = () => {
+      if (rendered || !item.open) return;
+      rendered = true;
+      item.appendChild(renderBody(message));
+    };
+
+    item.addEventListener('toggle', renderOnce);
+    renderOnce();
+
+    return item;
+  }
 }
@@ -1,10 +1,14 @@
 /**
  * MessageListPanel - Componente del panel de lista de mensajes
- * Maneja la creación y gestión del panel central con lista de mensajes
+ * Maneja la creación y gestión del panel central con lista de mensajes,
+ * la multi-selección (casillas, Ctrl/Cmd y Mayús) y la barra de acciones
+ * sobre la selección
  */
 
 import { ButtonComponent } from '../ui/Button.js';
+import { LabelPickerComponent } from '../ui/LabelPicker.js';
 import { MESSAGES } from '../../config/textConstants.js';
+import { CSS_CLASSES, UI_CONSTANTS } from '../../config/uiConfig.js';
 
 export class MessageListPanel {
   /**
@@ -24,12 +28,22 @@ export class MessageListPanel {
     const header = this.createHeader(handlers);
     content.appendChild(header);
 
+    // Barra de acciones sobre la selección (oculta sin selección)
+    const bulkActionBar = document.createElement('div');
+    bulkActionBar.id = 'bulk-action-bar';
+    bulkActionBar.className = `bulk-action-bar ${CSS_CLASSES.HIDDEN}`;
+    content.appendChild(bulkActionBar);
+
     // Contenedor de mensajes
     const messageList = document.createElement('div');
     messageList.id = 'message-list';
     messageList.className = 'scrollable-content';
     content.appendChild(messageList);
 
+    if (handlers.onLoadMore) {
+      this.attachInfiniteScroll(messageList, handlers.onLoadMore);
+    }
+
     panel.appendChild(content);
     return panel;
   }
@@ -75,6 +89,16 @@ export class MessageListPanel {
     });
     actionsContainer.appendChild(searchButton);
 
+    // Botón del calendario
+    const calendarButton = ButtonComponent.create({
+      text: MESSAGES.CALENDAR.OPEN,
+      id: 'calendar-button',
+      className: 'edit-button',
+      onClick: handlers.onCalendar,
+      title: MESSAGES.CALENDAR.TITLE
+    });
+    actionsContainer.appendChild(calendarButton);
+
     // Botón de opciones
     const optionsButton = ButtonComponent.iconOnly('OPTIONS', {
       id: 'options-button',
@@ -108,6 +132,232 @@ export class MessageListPanel {
     }
   }
 
+  /**
+   * Activa el scroll infinito: pide la página siguiente al acercarse al final
+   * @param {HTMLElement} messageList - Contenedor con scroll de la lista
+   * @param {Function} onLoadMore - Carga la página siguiente (debe ignorar
+   *   llamadas mientras haya una carga en curso o no queden páginas)
+   * @returns {Function} Función que desactiva el scroll infinito
+   */
+  static attachInfiniteScroll(messageList, onLoadMore) {
+    if (!messageList) return () => {};
+
+    const handleScroll = () => {
+      if (this.isNearEnd(messageList)) {
+        onLoadMore();
+      }
+    };
+
+    messageList.addEventListener('scroll', handleScroll, { passive: true });
+    return () => messageList.removeEventListener('scroll', handleScroll);
+  }
+
+  /**
+   * Indica si el scroll está a menos del umbral del final de la lista
+   * (también cuando la lista no llena el panel y no se puede hacer scroll)
+   * @param {HTMLElement} messageList - Contenedor con scroll de la lista
+   * @returns {boolean}
+   */
+  static isNearEnd(messageList) {
+    if (!messageList) return false;
+
+    const remaining = messageList.scrollHeight - messageList.scrollTop - messageList.clientHeight;
+    return remaining <= UI_CONSTANTS.INFINITE_SCROLL_THRESHOLD;
+  }
+
+  /**
+   * Muestra u oculta el indicador de carga al final de la lista
+   * @param {HTMLElement} messageList - Contenedor de la lista
+   * @param {boolean} loading - Si hay una página cargándose
+   */
+  static setLoadingMore(messageList, loading) {
+    if (!messageList) return;
+
+    const indicator = messageList.querySelector(`.${CSS_CLASSES.MESSAGE_LIST_LOADING}`);
+
+    if (!loading) {
+      indicator?.remove();
+      return;
+    }
+
+    if (!indicator) {
+      const row = document.createElement('div');
+      row.className = CSS_CLASSES.MESSAGE_LIST_LOADING;
+      row.setAttribute('role', 'status');
+      row.textContent = MESSAGES.LOADING_MORE;
+      messageList.appendChild(row);
+    }
+  }
+
+  /**
+   * Crea la casilla de selección de una fila de mensaje
+   * @returns {HTMLInputElement} Casilla creada
+   */
+  static createSelectCheckbox() {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = CSS_CLASSES.MESSAGE_SELECT;
+    checkbox.setAttribute('aria-label', MESSAGES.BULK_ACTIONS.SELECT);
+    return checkbox;
+  }
+
+  /**
+   * Indica si un clic en una fila cambia la multi-selección en lugar de abrir
+   * el mensaje (clic en la casilla o con Ctrl/Cmd o Mayús)
+   * @param {MouseEvent} event - Clic en la fila
+   * @returns {boolean}
+   */
+  static isMultiSelectClick(event) {
+    return event.ctrlKey || event.metaKey || event.shiftKey ||
+      event.target.classList.contains(CSS_CLASSES.MESSAGE_SELECT);
+  }
+
+  /**
+   * Marca o desmarca una fila. Con extendRange selecciona todas las filas
+   * entre la última marcada y esta (Mayús + clic)
+   * @param {HTMLElement} messageList - Contenedor de la lista
+   * @param {HTMLElement} item - Fila pulsada
+   * @param {boolean} extendRange - Si se selecciona un rango
+   */
+  static toggleSelection(messageList, item, extendRange = false) {
+    if (!messageList || !item) return;
+
+    const items = this.getSelectableItems(messageList);
+    const anchor = items.find((row) => row.dataset.messageId === messageList.dataset.selectionAnchor);
+
+    if (extendRange && anchor) {
+      const [from, to] = [items.indexOf(anchor), items.indexOf(item)].sort((a, b) => a - b);
+      items.slice(from, to + 1).forEach((row) => this.setItemChecked(row, true));
+    } else {
+      this.setItemChecked(item, !item.classList.contains(CSS_CLASSES.MESSAGE_CHECKED));
+    }
+
+    messageList.dataset.selectionAnchor = item.dataset.messageId;
+  }
+
+  /**
+   * Marca o desmarca una fila y su casilla
+   */
+  static setItemChecked(item, checked) {
+    item.classList.toggle(CSS_CLASSES.MESSAGE_CHECKED, checked);
+
+    const checkbox = item.querySelector(`.${CSS_CLASSES.MESSAGE_SELECT}`);
+    if (checkbox) {
+      checkbox.checked = checked;
+    }
+  }
+
+  /**
+   * Filas visibles que se pueden seleccionar (mensajes, no borradores ni
+   * conversaciones)
+   */
+  static getSelectableItems(messageList) {
+    return Array.from(messageList.querySelectorAll(`.${CSS_CLASSES.MESSAGE_ITEM}`))
+      .filter((row) => row.querySelector(`.${CSS_CLASSES.MESSAGE_SELECT}`) &&
+        !row.classList.contains(CSS_CLASSES.HIDDEN));
+  }
+
+  /**
+   * IDs de los mensajes seleccionados, en el orden de la lista
+   * @param {HTMLElement} messageList - Contenedor de la lista
+   * @returns {Array<string>}
+   */
+  static getSelectedIds(messageList) {
+    if (!messageList) return [];
+
+    return this.getSelectableItems(messageList)
+      .filter((row) => row.classList.contains(CSS_CLASSES.MESSAGE_CHECKED))
+      .map((row) => row.dataset.messageId);
+  }
+
+  /**
+   * Desmarca todas las filas (o solo las indicadas)
+   * @param {HTMLElement} messageList - Contenedor de la lista
+   * @param {Array<string>|null} emailIds - IDs a desmarcar (todas si es null)
+   */
+  static clearSelection(messageList, emailIds = null) {
+    if (!messageList) return;
+
+    messageList.querySelectorAll(`.${CSS_CLASSES.MESSAGE_CHECKED}`).forEach((row) => {
+      if (!emailIds || emailIds.includes(row.dataset.messageId)) {
+        this.setItemChecked(row, false);
+      }
+    });
+
+    if (!emailIds) {
+      delete messageList.dataset.selectionAnchor;
+    }
+  }
+
+  /**
+   * Renderiza la barra de acciones sobre la selección; sin selección se oculta
+   * @param {HTMLElement} container - Contenedor de la barra
+   * @param {Object} config - { count, labels, labelsSupported, progress: { done, total } | null, onAction(acción, { target, name }) }
+   */
+  static renderBulkActionBar(container, config = {}) {
+    if (!container) return;
+
+    const {
+      count = 0,
+      labels = [],
+      labelsSupported = false,
+      progress = null,
+      onAction = () => {}
+    } = config;
+
+    container.innerHTML = '';
+    container.classList.toggle(CSS_CLASSES.HIDDEN, count === 0);
+    if (count === 0) return;
+
+    const status = document.createElement('span');
+    status.className = 'bulk-action-status';
+    status.setAttribute('role', 'status');
+    status.textContent = progress
+      ? MESSAGES.BULK_ACTIONS.PROGRESS(progress.done, progress.total)
+      : MESSAGES.BULK_ACTIONS.SELECTED(count);
+    container.appendChild(status);
+
+    // Mientras se procesa la selección no se pueden lanzar otras acciones
+    if (progress) return;
+
+    const actions = [
+      { action: 'delete', label: MESSAGES.BULK_ACTIONS.DELETE },
+      { action: 'archive', label: MESSAGES.BULK_ACTIONS.ARCHIVE, labelsOnly: true },
+      { action: 'read', label: MESSAGES.BULK_ACTIONS.MARK_READ },
+      { action: 'unread', label: MESSAGES.BULK_ACTIONS.MARK_UNREAD }
+    ];
+
+    actions
+      .filter(({ labelsOnly }) => !labelsOnly || labelsSupported)
+      .forEach(({ action, label }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = CSS_CLASSES.MESSAGE_ACTION_BUTTON;
+        button.textContent = label;
+        button.addEventListener('click', () => onAction(action));
+        container.appendChild(button);
+      });
+
+    // Etiquetar y mover solo en cuentas con etiquetas (Gmail)
+    if (labelsSupported) {
+      container.appendChild(LabelPickerComponent.createApplySelect({
+        labels,
+        onApply: (target, name) => onAction('label', { target, name })
+      }));
+      container.appendChild(LabelPickerComponent.createMoveSelect({
+        labels,
+        onMove: (target, name) => onAction('move', { target, name })
+      }));
+    }
+
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.className = `${CSS_CLASSES.MESSAGE_ACTION_BUTTON} bulk-action-clear`;
+    clearButton.textContent = MESSAGES.BULK_ACTIONS.CLEAR;
+    clearButton.addEventListener('click', () => onAction('clear'));
+    container.appendChild(clearButton);
+  }
+
   /**
    * Actualiza los títulos de los botones de acción
    * @param {HTMLElement} panel - Panel de lista de mensajes
@@ -0,0 +1,345 @@
+/**
+ * OptionsScreen - Pantalla de opciones
+ * Permite cambiar los atajos de teclado: añadir una tecla o secuencia a una
+ * acción, quitarla o volver a los predeterminados, avisando de los conflictos.
+ * También edita las firmas (texto y HTML) de cada dirección de envío
+ */
+
+import { ShortcutHelpComponent } from '../ui/ShortcutHelp.js';
+import { AccountSwitcherComponent } from '../ui/AccountSwitcher.js';
+import { MESSAGES } from '../../config/textConstants.js';
+import { SHORTCUTS, UI_CONSTANTS } from '../../config/uiConfig.js';
+
+export class OptionsScreen {
+  /**
+   * Abre la pantalla de opciones
+   * @param {Object} config - Configuración
+   * @param {Object} config.bindings - Atajos actuales (acción -> teclas)
+   * @param {Object} config.defaults - Atajos predeterminados
+   * @param {Function} config.keyFromEvent - Tecla normalizada de una pulsación
+   * @param {Function} config.describeConflict - (atajos, acción, tecla) -> mensaje o null
+   * @param {Function} config.onSave - Recibe los atajos; devuelve si se guardaron
+   * @param {Function} config.onClose - Se llama al cerrar
+   * @param {Object} config.signatures - Firmas: { accounts: [{ account, identities }], onSave(accountId, firmas) }
+   * @returns {HTMLElement} Overlay creado
+   */
+  static open(config = {}) {
+    this.close();
+
+    const state = {
+      ...config,
+      working: this.copyBindings(config.bindings || {}),
+      recording: null
+    };
+
+    const overlay = document.createElement('div');
+    overlay.className = 'shortcut-overlay';
+    overlay.id = 'options-screen';
+    overlay.onClose = config.onClose;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'shortcut-dialog options-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', MESSAGES.SHORTCUTS.OPTIONS_TITLE);
+
+    const title = document.createElement('h2');
+    title.className = 'shortcut-dialog-title';
+    title.textContent = MESSAGES.SHORTCUTS.OPTIONS_TITLE;
+    dialog.appendChild(title);
+
+    const subtitle = document.createElement('h3');
+    subtitle.className = 'options-section-title';
+    subtitle.textContent = MESSAGES.SHORTCUTS.HELP_TITLE;
+    dialog.appendChild(subtitle);
+
+    const list = document.createElement('div');
+    list.className = 'shortcut-bindings';
+    dialog.appendChild(list);
+
+    const render = () => this.renderBindings(list, state, render);
+    render();
+
+    dialog.appendChild(this.createFooter(state, render));
+
+    if (config.signatures) {
+      dialog.appendChild(this.createSignatures(config.signatures));
+    }
+
+    overlay.appendChild(dialog);
+
+    // Escape cierra salvo mientras se graba una tecla
+    overlay.keyHandler = (event) => {
+      if (event.key === 'Escape' && !state.recording) this.close();
+    };
+    document.addEventListener('keydown', overlay.keyHandler);
+
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  /**
+   * Cierra la pantalla de opciones
+   */
+  static close() {
+    const overlay = document.getElementById('options-screen');
+    if (!overlay) return;
+
+    document.removeEventListener('keydown', overlay.keyHandler);
+    overlay.remove();
+    if (overlay.onClose) overlay.onClose();
+  }
+
+  /**
+   * Copia de los atajos para editarla sin tocar los actuales
+   */
+  static copyBindings(bindings) {
+    return Object.fromEntries(Object.entries(bindings).map(([action, keys]) => [action, [...keys]]));
+  }
+
+  /**
+   * Renderiza una fila por acción con sus teclas
+   * @private
+   */
+  static renderBindings(list, state, render) {
+    list.innerHTML = '';
+
+    Object.entries(state.working).forEach(([action, keys]) => {
+      const row = document.createElement('div');
+      row.className = 'shortcut-binding';
+
+      const name = document.createElement('span');
+      name.className = 'shortcut-binding-name';
+      name.textContent = MESSAGES.SHORTCUTS.ACTIONS[action] || action;
+      row.appendChild(name);
+
+      const keyList = document.createElement('span');
+      keyList.className = 'shortcut-binding-keys';
+
+      keys.forEach((key) => {
+        const chip = ShortcutHelpComponent.createKey(key);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'shortcut-remove';
+        removeButton.textContent = '×';
+        removeButton.title = MESSAGES.SHORTCUTS.REMOVE;
+        removeButton.addEventListener('click', () => {
+          state.working[action] = state.working[action].filter((bound) => bound !== key);
+          render();
+        });
+        chip.appendChild(removeButton);
+
+        keyList.appendChild(chip);
+      });
+      row.appendChild(keyList);
+
+      const addButton = document.createElement('button');
+      addButton.type = 'button';
+      addButton.className = 'message-action-button';
+      addButton.textContent = MESSAGES.SHORTCUTS.ADD;
+      addButton.addEventListener('click', () => this.recordKey(state, action, row, addButton, render));
+      row.appendChild(addButton);
+
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Graba la siguiente tecla para una acción. Si se pulsa una segunda tecla
+   * antes de SHORTCUTS.SEQUENCE_TIMEOUT se guarda la secuencia ("g i").
+   * Escape cancela
+   * @private
+   */
+  static recordKey(state, action, row, button, render) {
+    if (state.recording) return;
+
+    button.textContent = MESSAGES.SHORTCUTS.PRESS_KEY;
+    row.querySelector('.shortcut-conflict')?.remove();
+
+    const parts = [];
+    let timer = null;
+
+    const finish = () => {
+      clearTimeout(timer);
+      document.removeEventListener('keydown', handleKey, true);
+      state.recording = null;
+
+      const key = parts.join(' ');
+      const conflict = key ? state.describeConflict(state.working, action, key) : null;
+
+      if (conflict) {
+        button.textContent = MESSAGES.SHORTCUTS.ADD;
+        const message = document.createElement('span');
+        message.className = 'shortcut-conflict';
+        message.setAttribute('role', 'alert');
+        message.textContent = conflict;
+        row.appendChild(message);
+        return;
+      }
+
+      if (key && !state.working[action].includes(key)) {
+        state.working[action].push(key);
+      }
+      render();
+    };
+
+    // Se escucha en captura para que la tecla no llegue a otros atajos
+    const handleKey = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (event.key === 'Escape') {
+        parts.length = 0;
+        finish();
+        return;
+      }
+
+      const key = state.keyFromEvent(event);
+      if (!key) return;
+
+      parts.push(key);
+      clearTimeout(timer);
+      if (parts.length === 2) {
+        finish();
+      } else {
+        timer = setTimeout(finish, SHORTCUTS.SEQUENCE_TIMEOUT);
+      }
+    };
+
+    state.recording = action;
+    document.addEventListener('keydown', handleKey, true);
+  }
+
+  /**
+   * Crea los botones Restablecer, Cerrar y Guardar
+   * @private
+   */
+  static createFooter(state, render) {
+    const footer = document.createElement('div');
+    footer.className = 'options-footer';
+
+    const buttons = [
+      {
+        label: MESSAGES.SHORTCUTS.RESET,
+        onClick: () => {
+          state.working = this.copyBindings(state.defaults || {});
+          render();
+        }
+      },
+      { label: MESSAGES.SHORTCUTS.CLOSE, onClick: () => this.close() },
+      {
+        label: MESSAGES.SHORTCUTS.SAVE,
+        onClick: async () => {
+          if (await state.onSave(this.copyBindings(state.working))) {
+            this.close();
+          }
+        }
+      }
+    ];
+
+    buttons.forEach(({ label, onClick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'message-action-button';
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      footer.appendChild(button);
+    });
+
+    return footer;
+  }
+
+  /**
+   * Crea la sección de firmas: un formulario por cuenta con la firma en texto
+   * y en HTML de cada dirección desde la que se envía
+   * @private
+   */
+  static createSignatures({ accounts = [], onSave = null }) {
+    const section = document.createElement('section');
+    section.className = 'options-signatures';
+
+    const title = document.createElement('h3');
+    title.className = 'options-section-title';
+    title.textContent = MESSAGES.SIGNATURES.TITLE;
+    section.appendChild(title);
+
+    if (accounts.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'options-signatures-empty';
+      empty.textContent = MESSAGES.SIGNATURES.EMPTY;
+      section.appendChild(empty);
+    }
+
+    accounts.forEach(({ account, identities }) => {
+      const form = document.createElement('form');
+      form.className = 'options-signature-account';
+
+      const heading = document.createElement('h4');
+      heading.className = 'options-signature-account-title';
+      heading.textContent = account.alias || account.email;
+      form.appendChild(heading);
+
+      identities.forEach((identity) => form.appendChild(this.createSignatureFields(identity)));
+
+      const saveButton = document.createElement('button');
+      saveButton.type = 'submit';
+      saveButton.className = 'message-action-button';
+      saveButton.textContent = MESSAGES.SIGNATURES.SAVE;
+      form.appendChild(saveButton);
+
+      form.addEventListener('submit', async(event) => {
+        event.preventDefault();
+        if (!onSave) return;
+
+        const signatures = {};
+        form.querySelectorAll('.options-signature').forEach((fieldset) => {
+          signatures[fieldset.dataset.email] = {
+            text: fieldset.querySelector('[name="text"]').value,
+            html: fieldset.querySelector('[name="html"]').value
+          };
+        });
+
+        saveButton.disabled = true;
+        await onSave(account.id, signatures);
+        saveButton.disabled = false;
+      });
+
+      section.appendChild(form);
+    });
+
+    return section;
+  }
+
+  /**
+   * Campos de firma de una dirección de envío
+   * @private
+   */
+  static createSignatureFields(identity) {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'options-signature';
+    fieldset.dataset.email = identity.email;
+
+    const legend = document.createElement('legend');
+    legend.textContent = identity.name ? `${identity.name} <${identity.email}>` : identity.email;
+    fieldset.appendChild(legend);
+
+    const text = document.createElement('textarea');
+    text.name = 'text';
+    text.rows = 3;
+    text.maxLength = UI_CONSTANTS.ACCOUNT_SIGNATURE_MAX_LENGTH;
+    text.placeholder = MESSAGES.ACCOUNTS.SIGNATURE_PLACEHOLDER;
+    text.value = identity.signature?.text || '';
+    fieldset.appendChild(AccountSwitcherComponent.createField(MESSAGES.SIGNATURES.TEXT, text));
+
+    const html = document.createElement('textarea');
+    html.name = 'html';
+    html.rows = 3;
+    html.maxLength = UI_CONSTANTS.ACCOUNT_SIGNATURE_HTML_MAX_LENGTH;
+    html.placeholder = MESSAGES.SIGNATURES.HTML_PLACEHOLDER;
+    html.spellcheck = false;
+    html.value = identity.signature?.html || '';
+    fieldset.appendChild(AccountSwitcherComponent.createField(MESSAGES.SIGNATURES.HTML, html));
+
+    return fieldset;
+  }
+}
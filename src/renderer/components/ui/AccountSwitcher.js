@@ -0,0 +1,232 @@
+/**
+ * AccountSwitcherComponent - Selector de cuentas del pie del panel de buzones
+ * Lista las cuentas con avatar, alias y mensajes sin leer, y el formulario
+ * con los ajustes de cada una (alias, color, firma y cuenta predeterminada)
+ */
+
+import { MESSAGES } from '../../config/textConstants.js';
+import { UI_CONSTANTS } from '../../config/uiConfig.js';
+
+export class AccountSwitcherComponent {
+  /**
+   * Crea la lista de cuentas
+   * @param {Object} config - Configuración
+   * @param {Array} config.accounts - Cuentas de list-accounts
+   * @param {string} config.currentAccountId - Cuenta activa
+   * @param {Object} config.unreadCounts - ID de cuenta -> { count, more }
+   * @param {Function} config.onSelect - Recibe la cuenta elegida
+   * @param {Function} config.onEdit - Recibe la cuenta cuyos ajustes se abren
+   * @returns {HTMLElement} Lista creada
+   */
+  static create(config = {}) {
+    const {
+      accounts = [],
+      currentAccountId = null,
+      unreadCounts = {},
+      onSelect = null,
+      onEdit = null
+    } = config;
+
+    const list = document.createElement('div');
+    list.className = 'account-switcher-list';
+    list.setAttribute('role', 'menu');
+    list.setAttribute('aria-label', MESSAGES.ACCOUNTS.SWITCH);
+
+    const title = document.createElement('h3');
+    title.className = 'account-switcher-title';
+    title.textContent = MESSAGES.ACCOUNTS.TITLE;
+    list.appendChild(title);
+
+    accounts.forEach((account) => {
+      list.appendChild(this.createItem(account, {
+        active: account.id === currentAccountId,
+        unread: unreadCounts[account.id],
+        onSelect,
+        onEdit
+      }));
+    });
+
+    return list;
+  }
+
+  /**
+   * Crea la fila de una cuenta
+   * @private
+   */
+  static createItem(account, { active, unread, onSelect, onEdit }) {
+    const item = document.createElement('div');
+    item.className = 'account-switcher-item';
+    item.classList.toggle('active', active);
+    item.dataset.accountId = account.id;
+
+    const selectButton = document.createElement('button');
+    selectButton.type = 'button';
+    selectButton.className = 'account-switcher-select';
+    selectButton.setAttribute('role', 'menuitemradio');
+    selectButton.setAttribute('aria-checked', String(active));
+    selectButton.appendChild(this.createAvatar(account));
+
+    const names = document.createElement('span');
+    names.className = 'account-switcher-names';
+
+    const alias = document.createElement('span');
+    alias.className = 'account-switcher-alias';
+    alias.textContent = account.alias || account.email;
+    names.appendChild(alias);
+
+    const email = document.createElement('span');
+    email.className = 'account-switcher-email';
+    email.textContent = account.isDefault
+      ? `${account.email} · ${MESSAGES.ACCOUNTS.DEFAULT_BADGE}`
+      : account.email;
+    names.appendChild(email);
+
+    selectButton.appendChild(names);
+
+    const badge = this.createUnreadBadge(unread);
+    if (badge) {
+      selectButton.appendChild(badge);
+    }
+
+    selectButton.addEventListener('click', () => {
+      if (onSelect) onSelect(account);
+    });
+    item.appendChild(selectButton);
+
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'account-switcher-edit link-button';
+    editButton.textContent = MESSAGES.ACCOUNTS.SETTINGS;
+    editButton.addEventListener('click', () => {
+      if (onEdit) onEdit(account);
+    });
+    item.appendChild(editButton);
+
+    return item;
+  }
+
+  /**
+   * Crea el avatar de una cuenta: inicial del alias sobre su color
+   * @param {Object} account - Cuenta
+   * @returns {HTMLElement} Avatar creado
+   */
+  static createAvatar(account) {
+    const avatar = document.createElement('span');
+    avatar.className = 'account-avatar';
+    avatar.textContent = (account.alias || account.email || '?').charAt(0).toUpperCase();
+    avatar.style.backgroundColor = account.color || '';
+    avatar.setAttribute('aria-hidden', 'true');
+    return avatar;
+  }
+
+  /**
+   * Crea el contador de mensajes sin leer ("99+" si hay más)
+   * @param {Object|null} unread - { count, more } o null si no se pudo contar
+   * @returns {HTMLElement|null} Contador o null si no hay mensajes sin leer
+   */
+  static createUnreadBadge(unread) {
+    if (!unread || unread.count === 0) return null;
+
+    const text = unread.more ? `${unread.count}+` : String(unread.count);
+    const badge = document.createElement('span');
+    badge.className = 'mailbox-count account-switcher-unread';
+    badge.textContent = text;
+    badge.title = MESSAGES.ACCOUNTS.UNREAD(text);
+    return badge;
+  }
+
+  /**
+   * Crea el formulario de ajustes de una cuenta
+   * @param {Object} account - Cuenta
+   * @param {Object} handlers - { onSave(ajustes), onCancel() }
+   * @returns {HTMLFormElement} Formulario creado
+   */
+  static createSettingsForm(account, { onSave = null, onCancel = null } = {}) {
+    const form = document.createElement('form');
+    form.className = 'account-settings';
+
+    const title = document.createElement('h3');
+    title.className = 'account-switcher-title';
+    title.textContent = MESSAGES.ACCOUNTS.SETTINGS_TITLE(account.email);
+    form.appendChild(title);
+
+    const alias = document.createElement('input');
+    alias.type = 'text';
+    alias.required = true;
+    alias.maxLength = UI_CONSTANTS.ACCOUNT_ALIAS_MAX_LENGTH;
+    alias.value = account.alias || '';
+    form.appendChild(this.createField(MESSAGES.ACCOUNTS.ALIAS, alias));
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = account.color || '#000000';
+    form.appendChild(this.createField(MESSAGES.ACCOUNTS.COLOR, color));
+
+    const signature = document.createElement('textarea');
+    signature.rows = 4;
+    signature.maxLength = UI_CONSTANTS.ACCOUNT_SIGNATURE_MAX_LENGTH;
+    signature.placeholder = MESSAGES.ACCOUNTS.SIGNATURE_PLACEHOLDER;
+    signature.value = account.signature || '';
+    form.appendChild(this.createField(MESSAGES.ACCOUNTS.SIGNATURE, signature));
+
+    const isDefault = document.createElement('input');
+    isDefault.type = 'checkbox';
+    isDefault.checked = account.isDefault === true;
+
+    const defaultLabel = document.createElement('label');
+    defaultLabel.className = 'account-settings-default';
+    defaultLabel.appendChild(isDefault);
+    defaultLabel.appendChild(document.createTextNode(MESSAGES.ACCOUNTS.DEFAULT));
+    form.appendChild(defaultLabel);
+
+    const footer = document.createElement('div');
+    footer.className = 'account-settings-footer';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'message-action-button';
+    cancelButton.textContent = MESSAGES.ACCOUNTS.CANCEL;
+    cancelButton.addEventListener('click', () => {
+      if (onCancel) onCancel();
+    });
+    footer.appendChild(cancelButton);
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.className = 'message-action-button';
+    saveButton.textContent = MESSAGES.ACCOUNTS.SAVE;
+    footer.appendChild(saveButton);
+
+    form.appendChild(footer);
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (!onSave) return;
+
+      onSave({
+        alias: alias.value.trim(),
+        color: color.value,
+        signature: signature.value,
+        isDefault: isDefault.checked
+      });
+    });
+
+    return form;
+  }
+
+  /**
+   * Crea un campo con su etiqueta
+   * @private
+   */
+  static createField(text, input) {
+    const field = document.createElement('label');
+    field.className = 'account-settings-field';
+
+    const name = document.createElement('span');
+    name.textContent = text;
+    field.appendChild(name);
+    field.appendChild(input);
+
+    return field;
+  }
+}
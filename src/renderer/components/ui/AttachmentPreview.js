@@ -0,0 +1,149 @@
+/**
+ * AttachmentPreviewComponent - Vista previa de adjuntos
+ * Muestra imágenes, PDF y texto en un overlay sobre la ventana principal
+ */
+
+import { IconComponent } from '../icons/IconComponent.js';
+import { MESSAGES, LIMITS } from '../../config/textConstants.js';
+
+export class AttachmentPreviewComponent {
+  /**
+   * Abre la vista previa de un adjunto
+   * @param {Object} config - Configuración de la vista previa
+   * @param {Object} config.attachment - { filename, mimeType }
+   * @param {Blob} config.blob - Contenido del adjunto
+   * @param {Function} config.onSave - Handler de "Guardar como…"
+   * @returns {Promise<HTMLElement>} Overlay creado
+   */
+  static async open(config = {}) {
+    const { attachment = {}, blob, onSave = null } = config;
+
+    this.close();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'attachment-preview';
+    overlay.id = 'attachment-preview';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'attachment-preview-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', attachment.filename || MESSAGES.ATTACHMENTS.PREVIEW);
+
+    dialog.appendChild(this.createHeader(attachment, onSave));
+
+    const body = document.createElement('div');
+    body.className = 'attachment-preview-body';
+    body.appendChild(await this.createContent(attachment, blob, overlay));
+    dialog.appendChild(body);
+
+    overlay.appendChild(dialog);
+
+    // Cerrar al hacer clic fuera o con Escape
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) this.close();
+    });
+    overlay.keyHandler = (event) => {
+      if (event.key === 'Escape') this.close();
+    };
+    document.addEventListener('keydown', overlay.keyHandler);
+
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  /**
+   * Cierra la vista previa y libera la URL del blob
+   */
+  static close() {
+    const overlay = document.getElementById('attachment-preview');
+    if (!overlay) return;
+
+    if (overlay.objectUrl) {
+      URL.revokeObjectURL(overlay.objectUrl);
+    }
+    if (overlay.keyHandler) {
+      document.removeEventListener('keydown', overlay.keyHandler);
+    }
+    overlay.remove();
+  }
+
+  /**
+   * Crea la cabecera con nombre y acciones
+   * @private
+   */
+  static createHeader(attachment, onSave) {
+    const header = document.createElement('div');
+    header.className = 'attachment-preview-header';
+
+    const title = document.createElement('span');
+    title.className = 'attachment-preview-title';
+    title.textContent = attachment.filename || '';
+    header.appendChild(title);
+
+    const actions = document.createElement('div');
+    actions.className = 'attachment-preview-actions';
+
+    if (onSave) {
+      actions.appendChild(IconComponent.createButton('DOWNLOAD', MESSAGES.ATTACHMENTS.SAVE, {
+        buttonClass: 'attachment-action',
+        iconClass: 'icon--sm',
+        onClick: () => onSave(attachment)
+      }));
+    }
+
+    actions.appendChild(IconComponent.createButton('CLOSE', '', {
+      buttonClass: 'attachment-action',
+      iconClass: 'icon--sm',
+      title: MESSAGES.ATTACHMENTS.CLOSE,
+      onClick: () => this.close()
+    }));
+
+    header.appendChild(actions);
+    return header;
+  }
+
+  /**
+   * Crea el contenido según el tipo MIME
+   * @private
+   */
+  static async createContent(attachment, blob, overlay) {
+    const type = (attachment.mimeType || '').toLowerCase();
+
+    // El texto se muestra siempre como texto plano, nunca se interpreta como HTML
+    if (type.startsWith('text/')) {
+      const pre = document.createElement('pre');
+      pre.className = 'attachment-preview-text';
+      pre.textContent = await this.readText(blob);
+      return pre;
+    }
+
+    overlay.objectUrl = URL.createObjectURL(blob);
+
+    if (type === 'application/pdf') {
+      const frame = document.createElement('iframe');
+      frame.className = 'attachment-preview-frame';
+      frame.src = overlay.objectUrl;
+      frame.title = attachment.filename || '';
+      return frame;
+    }
+
+    const image = document.createElement('img');
+    image.className = 'attachment-preview-image';
+    image.src = overlay.objectUrl;
+    image.alt = attachment.filename || '';
+    return image;
+  }
+
+  /**
+   * Lee el texto del blob truncándolo al límite de vista previa
+   * @private
+   */
+  static async readText(blob) {
+    const text = await blob.text();
+
+    if (text.length > LIMITS.ATTACHMENT_TEXT_PREVIEW_MAX) {
+      return text.substring(0, LIMITS.ATTACHMENT_TEXT_PREVIEW_MAX) + '\n' + MESSAGES.ATTACHMENTS.TRUNCATED;
+    }
+    return text;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * AttachmentStripComponent - Franja de adjuntos del mensaje
+ * Muestra cada adjunto con icono según su tipo MIME y acciones de
+ * vista previa y guardado
+ */
+
+import { IconComponent } from '../icons/IconComponent.js';
+import { MESSAGES } from '../../config/textConstants.js';
+
+export class AttachmentStripComponent {
+  /**
+   * Crea la franja de adjuntos
+   * @param {Object} config - Configuración de la franja
+   * @returns {HTMLElement|null} Franja creada o null si no hay adjuntos
+   */
+  static create(config = {}) {
+    const {
+      attachments = [],
+      onPreview = null,
+      onSave = null,
+      onSaveAll = null
+    } = config;
+
+    if (!Array.isArray(attachments) || attachments.length === 0) {
+      return null;
+    }
+
+    const strip = document.createElement('div');
+    strip.className = 'attachment-strip';
+
+    // Cabecera con contador y "Guardar todos"
+    const header = document.createElement('div');
+    header.className = 'attachment-strip-header';
+
+    const title = document.createElement('span');
+    title.className = 'attachment-strip-title';
+    title.appendChild(IconComponent.create('ATTACHMENT', { className: 'icon--sm' }));
+    const titleText = document.createElement('span');
+    titleText.textContent = MESSAGES.ATTACHMENTS.TITLE(attachments.length);
+    title.appendChild(titleText);
+    header.appendChild(title);
+
+    if (onSaveAll && attachments.length > 1) {
+      const saveAllButton = IconComponent.createButton('DOWNLOAD', MESSAGES.ATTACHMENTS.SAVE_ALL, {
+        buttonClass: 'attachment-action',
+        iconClass: 'icon--sm',
+        onClick: () => onSaveAll(attachments)
+      });
+      header.appendChild(saveAllButton);
+    }
+
+    strip.appendChild(header);
+
+    const list = document.createElement('div');
+    list.className = 'attachment-list';
+    attachments.forEach(attachment => {
+      list.appendChild(this.createItem(attachment, { onPreview, onSave }));
+    });
+    strip.appendChild(list);
+
+    return strip;
+  }
+
+  /**
+   * Crea un elemento de adjunto
+   * @param {Object} attachment - { filename, mimeType, size, attachmentId }
+   * @param {Object} handlers - Handlers de vista previa y guardado
+   * @returns {HTMLElement} Elemento creado
+   */
+  static createItem(attachment, handlers = {}) {
+    const item = document.createElement('div');
+    item.className = 'attachment-item';
+    item.dataset.attachmentId = attachment.attachmentId || '';
+    item.title = attachment.filename || '';
+
+    item.appendChild(IconComponent.create(this.getIconName(attachment.mimeType), {
+      className: 'attachment-icon'
+    }));
+
+    const info = document.createElement('div');
+    info.className = 'attachment-info';
+
+    const name = document.createElement('span');
+    name.className = 'attachment-name';
+    name.textContent = attachment.filename || '';
+    info.appendChild(name);
+
+    const size = document.createElement('span');
+    size.className = 'attachment-size';
+    size.textContent = this.formatSize(attachment.size);
+    info.appendChild(size);
+
+    item.appendChild(info);
+
+    if (handlers.onPreview && this.isPreviewable(attachment.mimeType)) {
+      item.classList.add('attachment-item--previewable');
+      item.addEventListener('click', () => handlers.onPreview(attachment));
+    }
+
+    if (handlers.onSave) {
+      const saveButton = IconComponent.createButton('DOWNLOAD', '', {
+        buttonClass: 'attachment-action attachment-save',
+        iconClass: 'icon--sm',
+        title: MESSAGES.ATTACHMENTS.SAVE,
+        onClick: (event) => {
+          event.stopPropagation();
+          handlers.onSave(attachment);
+        }
+      });
+      item.appendChild(saveButton);
+    }
+
+    return item;
+  }
+
+  /**
+   * Obtiene el icono para un tipo MIME
+   * @param {string} mimeType - Tipo MIME
+   * @returns {string} Nombre del icono en ICONS
+   */
+  static getIconName(mimeType = '') {
+    const type = (mimeType || '').toLowerCase();
+
+    if (type.startsWith('image/')) return 'FILE_IMAGE';
+    if (type === 'application/pdf' || type.startsWith('text/')) return 'FILE_TEXT';
+    if (/(zip|compressed|tar|rar|7z|gzip)/.test(type)) return 'FILE_ARCHIVE';
+    return 'FILE';
+  }
+
+  /**
+   * Indica si el adjunto admite vista previa (imágenes, PDF y texto)
+   * @param {string} mimeType - Tipo MIME
+   * @returns {boolean}
+   */
+  static isPreviewable(mimeType = '') {
+    const type = (mimeType || '').toLowerCase();
+    return type.startsWith('image/') || type === 'application/pdf' || type.startsWith('text/');
+  }
+
+  /**
+   * Formatea un tamaño en bytes
+   * @param {number} bytes - Tamaño en bytes
+   * @returns {string} Tamaño legible
+   */
+  static formatSize(bytes) {
+    if (!bytes || bytes < 0) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * EventDialogComponent - Diálogo para crear, editar o ver un evento
+ * Título, calendario, todo el día, inicio y fin, lugar y descripción. Los
+ * eventos de calendarios de solo lectura se muestran sin poder cambiarlos
+ */
+
+import { AccountSwitcherComponent } from './AccountSwitcher.js';
+import { MESSAGES, LIMITS } from '../../config/textConstants.js';
+
+// Duración de un evento nuevo sin fin indicado (minutos)
+const DEFAULT_DURATION = 60;
+// Mismo formato que VALIDATION.EMAIL_REGEX del proceso principal
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class EventDialogComponent {
+  /**
+   * Abre el diálogo
+   * @param {Object} config - Configuración
+   * @param {Object|null} config.event - Evento a editar (null para uno nuevo)
+   * @param {Object} config.draft - Campos iniciales de un evento nuevo (mismo formato que un evento)
+   * @param {Array} config.calendars - Calendarios en los que se puede escribir
+   * @param {string} config.calendarId - Calendario del evento o el preseleccionado
+   * @param {boolean} config.readOnly - Mostrar el evento sin poder cambiarlo
+   * @param {Function} config.onSave - (calendarId, datos) => Promise<boolean>; se cierra si devuelve true
+   * @param {Function} config.onDelete - () => Promise<boolean>; se cierra si devuelve true
+   * @param {Function} config.onClose - Se llama al cerrar el diálogo
+   * @returns {HTMLElement} Overlay creado
+   */
+  static open(config = {}) {
+    const {
+      event = null,
+      draft = {},
+      calendars = [],
+      calendarId = '',
+      readOnly = false,
+      onSave = null,
+      onDelete = null,
+      onClose = null
+    } = config;
+
+    this.close();
+
+    const source = event || draft;
+    const title = readOnly
+      ? MESSAGES.CALENDAR.EVENT_TITLE_VIEW
+      : (event ? MESSAGES.CALENDAR.EVENT_TITLE_EDIT : MESSAGES.CALENDAR.EVENT_TITLE_NEW);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'shortcut-overlay event-dialog-overlay';
+    overlay.id = 'event-dialog';
+
+    const form = document.createElement('form');
+    form.className = 'shortcut-dialog event-dialog';
+    form.setAttribute('role', 'dialog');
+    form.setAttribute('aria-label', title);
+    form.noValidate = true;
+
+    const heading = document.createElement('h2');
+    heading.className = 'shortcut-dialog-title';
+    heading.textContent = title;
+    form.appendChild(heading);
+
+    const fields = this.createFields(form, source, calendars, calendarId, readOnly);
+
+    const error = document.createElement('p');
+    error.className = 'event-dialog-error hidden';
+    error.setAttribute('role', 'alert');
+    form.appendChild(error);
+
+    const footer = document.createElement('div');
+    footer.className = 'options-footer';
+
+    const buttons = [
+      event && !readOnly && onDelete && { label: MESSAGES.CALENDAR.DELETE, className: 'event-dialog-delete', onClick: onDelete },
+      { label: readOnly ? MESSAGES.CALENDAR.CLOSE : MESSAGES.CALENDAR.CANCEL, onClick: () => this.close() },
+      !readOnly && { label: MESSAGES.CALENDAR.SAVE, type: 'submit' }
+    ];
+
+    buttons.filter(Boolean).forEach(({ label, className, type, onClick }) => {
+      const button = document.createElement('button');
+      button.type = type || 'button';
+      button.className = `message-action-button ${className || ''}`.trim();
+      button.textContent = label;
+      if (onClick) {
+        button.addEventListener('click', async() => {
+          button.disabled = true;
+          const done = await onClick();
+          button.disabled = false;
+          if (done) this.close();
+        });
+      }
+      footer.appendChild(button);
+    });
+    form.appendChild(footer);
+
+    form.addEventListener('submit', async(submitEvent) => {
+      submitEvent.preventDefault();
+      if (readOnly || !onSave) return;
+
+      const result = this.readFields(fields, source);
+      error.classList.toggle('hidden', !result.error);
+      error.textContent = result.error || '';
+      if (result.error) return;
+
+      const submit = form.querySelector('[type="submit"]');
+      submit.disabled = true;
+      const saved = await onSave(fields.calendar.value, result.data);
+      submit.disabled = false;
+      if (saved) this.close();
+    });
+
+    overlay.appendChild(form);
+
+    // Escape cierra el diálogo y no llega al calendario ni a los atajos
+    overlay.keyHandler = (keyEvent) => {
+      if (keyEvent.key !== 'Escape') return;
+      keyEvent.stopPropagation();
+      this.close();
+    };
+    document.addEventListener('keydown', overlay.keyHandler, true);
+    overlay.closeHandler = onClose;
+
+    document.body.appendChild(overlay);
+    fields.summary.focus();
+    return overlay;
+  }
+
+  /**
+   * Cierra el diálogo
+   */
+  static close() {
+    const overlay = document.getElementById('event-dialog');
+    if (!overlay) return;
+
+    document.removeEventListener('keydown', overlay.keyHandler, true);
+    overlay.remove();
+    if (overlay.closeHandler) overlay.closeHandler();
+  }
+
+  /**
+   * Indica si el diálogo está abierto
+   */
+  static isOpen() {
+    return Boolean(document.getElementById('event-dialog'));
+  }
+
+  /**
+   * Crea los campos con los valores del evento
+   * @private
+   */
+  static createFields(form, source, calendars, calendarId, readOnly) {
+    const dates = window.calendarDates;
+    const labels = MESSAGES.CALENDAR.FIELDS;
+
+    // Un evento de día completo termina el día anterior a su fecha de fin
+    const range = source.start?.dateTime
+      ? dates.getRange(source)
+      : { start: new Date(), end: null };
+    const start = range.start;
+    const end = range.end && range.end > start
+      ? range.end
+      : new Date(start.getTime() + DEFAULT_DURATION * 60000);
+    const lastDay = source.allDay ? dates.addDays(end, -1) : end;
+
+    const input = (type, name, value) => {
+      const element = document.createElement('input');
+      element.type = type;
+      element.name = name;
+      element.value = value;
+      element.disabled = readOnly;
+      return element;
+    };
+
+    const fields = {
+      summary: input('text', 'summary', source.summary || ''),
+      calendar: document.createElement('select'),
+      allDay: input('checkbox', 'allDay', ''),
+      startDate: input('date', 'startDate', dates.toDateValue(start)),
+      startTime: input('time', 'startTime', dates.toTimeValue(start)),
+      endDate: input('date', 'endDate', dates.toDateValue(lastDay < start ? start : lastDay)),
+      endTime: input('time', 'endTime', dates.toTimeValue(end)),
+      location: input('text', 'location', source.location || ''),
+      attendees: input('text', 'attendees', (source.attendees || []).map((attendee) => attendee.email).join(', ')),
+      description: document.createElement('textarea')
+    };
+
+    fields.summary.required = true;
+    fields.summary.maxLength = LIMITS.EVENT_SUMMARY_MAX;
+    fields.location.maxLength = LIMITS.EVENT_LOCATION_MAX;
+    fields.attendees.placeholder = MESSAGES.CALENDAR.ATTENDEES_PLACEHOLDER;
+
+    // Los calendarios de solo lectura no aparecen en la lista: se añade el
+    // del evento para mostrarlo
+    const options = calendars.some((calendar) => calendar.id === calendarId) || !calendarId
+      ? calendars
+      : [...calendars, { id: calendarId, summary: calendarId }];
+    options.forEach((calendar) => {
+      const option = document.createElement('option');
+      option.value = calendar.id;
+      option.textContent = calendar.summaryOverride || calendar.summary || calendar.id;
+      fields.calendar.appendChild(option);
+    });
+    fields.calendar.value = calendarId || options[0]?.id || '';
+    fields.calendar.disabled = readOnly || Boolean(source.id);
+
+    fields.allDay.checked = Boolean(source.allDay);
+    fields.description.name = 'description';
+    fields.description.rows = 4;
+    fields.description.maxLength = LIMITS.EVENT_DESCRIPTION_MAX;
+    fields.description.value = source.description || '';
+    fields.description.disabled = readOnly;
+
+    const toggleTimes = () => {
+      fields.startTime.classList.toggle('hidden', fields.allDay.checked);
+      fields.endTime.classList.toggle('hidden', fields.allDay.checked);
+    };
+    fields.allDay.addEventListener('change', toggleTimes);
+    toggleTimes();
+
+    const allDayField = document.createElement('label');
+    allDayField.className = 'account-settings-default';
+    allDayField.appendChild(fields.allDay);
+    allDayField.appendChild(document.createTextNode(labels.allDay));
+
+    const dateField = (text, dateInput, timeInput) => {
+      const group = document.createElement('span');
+      group.className = 'event-dialog-date';
+      group.appendChild(dateInput);
+      group.appendChild(timeInput);
+      return AccountSwitcherComponent.createField(text, group);
+    };
+
+    [
+      AccountSwitcherComponent.createField(labels.summary, fields.summary),
+      AccountSwitcherComponent.createField(labels.calendar, fields.calendar),
+      allDayField,
+      dateField(labels.start, fields.startDate, fields.startTime),
+      dateField(labels.end, fields.endDate, fields.endTime),
+      AccountSwitcherComponent.createField(labels.location, fields.location),
+      AccountSwitcherComponent.createField(labels.attendees, fields.attendees),
+      AccountSwitcherComponent.createField(labels.description, fields.description)
+    ].forEach((field) => form.appendChild(field));
+
+    return fields;
+  }
+
+  /**
+   * Datos del evento a partir de los campos
+   * @private
+   * @returns {Object} { data } o { error } si los campos no son válidos
+   */
+  static readFields(fields, source) {
+    const dates = window.calendarDates;
+    const summary = fields.summary.value.trim();
+
+    if (!summary) {
+      return { error: MESSAGES.CALENDAR.SUMMARY_REQUIRED };
+    }
+
+    const allDay = fields.allDay.checked;
+    const start = dates.fromInputs(fields.startDate.value, allDay ? '' : fields.startTime.value);
+    const end = allDay
+      ? dates.addDays(dates.fromInputs(fields.endDate.value), 1)
+      : dates.fromInputs(fields.endDate.value, fields.endTime.value);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      return { error: MESSAGES.CALENDAR.END_BEFORE_START };
+    }
+
+    const emails = fields.attendees.value.split(/[\s,;]+/).filter(Boolean);
+    const invalid = emails.find((email) => !EMAIL_PATTERN.test(email));
+    if (invalid) {
+      return { error: MESSAGES.CALENDAR.ATTENDEE_INVALID(invalid) };
+    }
+
+    const timeZone = dates.getTimeZone();
+    const data = {
+      summary,
+      location: fields.location.value.trim(),
+      description: fields.description.value,
+      allDay,
+      start: { dateTime: allDay ? dates.toDateValue(start) : start.toISOString(), timeZone },
+      end: { dateTime: allDay ? dates.toDateValue(end) : end.toISOString(), timeZone }
+    };
+
+    // Los invitados que ya tenía el evento conservan su nombre y su respuesta
+    const attendees = [...new Set(emails.map((email) => email.toLowerCase()))].map((email) => (
+      (source.attendees || []).find((attendee) => attendee.email?.toLowerCase() === email) || { email }
+    ));
+    if (attendees.length > 0 || source.attendees?.length) {
+      data.attendees = attendees;
+    }
+
+    // Al editar se conservan los recordatorios del evento
+    if (source.reminders && Object.keys(source.reminders).length > 0) {
+      data.reminders = source.reminders;
+    }
+
+    return { data };
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * InvitationCardComponent - Tarjeta de una invitación de reunión
+ * Muestra el evento de la parte text/calendar del mensaje (título, fecha en
+ * la hora local, lugar, organizador e invitados), los eventos del calendario
+ * con los que coincide y los botones para responder
+ */
+
+import { MESSAGES } from '../../config/textConstants.js';
+
+export class InvitationCardComponent {
+  /**
+   * Crea la tarjeta
+   * @param {Object} config - Configuración
+   * @param {Object} config.invitation - Invitación ({ method, summary, start, end, allDay, location, organizer, attendees })
+   * @param {string} config.response - Respuesta actual de la cuenta (ACCEPTED, TENTATIVE, DECLINED o '')
+   * @param {Array|null} config.conflicts - Eventos que coinciden (null si no se han comprobado)
+   * @param {boolean} config.checkingConflicts - Se están buscando los eventos que coinciden
+   * @param {boolean} config.busy - Se está enviando una respuesta
+   * @param {Function} config.onRespond - (respuesta) => void
+   * @returns {HTMLElement} Tarjeta creada
+   */
+  static create(config = {}) {
+    const {
+      invitation,
+      response = '',
+      conflicts = null,
+      checkingConflicts = false,
+      busy = false,
+      onRespond = null
+    } = config;
+    const texts = MESSAGES.INVITATION;
+
+    const card = document.createElement('section');
+    card.className = `invitation-card invitation-card--${invitation.method.toLowerCase()}`;
+    card.setAttribute('aria-label', texts.TITLES[invitation.method]);
+
+    const kind = document.createElement('span');
+    kind.className = 'invitation-card-kind';
+    kind.textContent = texts.TITLES[invitation.method];
+    card.appendChild(kind);
+
+    const title = document.createElement('h3');
+    title.className = 'invitation-card-title';
+    title.textContent = invitation.summary || MESSAGES.CALENDAR.NO_TITLE;
+    card.appendChild(title);
+
+    if (invitation.method === 'CANCEL') {
+      card.appendChild(this.createRow('', texts.CANCELLED));
+    }
+
+    card.appendChild(this.createRow(texts.WHEN, this.formatWhen(invitation)));
+
+    if (invitation.location) {
+      card.appendChild(this.createRow(texts.LOCATION, invitation.location));
+    }
+
+    if (invitation.organizer.email) {
+      card.appendChild(this.createRow(texts.ORGANIZER, this.formatPerson(invitation.organizer)));
+    }
+
+    if (invitation.attendees.length > 0) {
+      const attendees = invitation.attendees
+        .map((attendee) => `${this.formatPerson(attendee)} (${texts.STATUS[attendee.partstat] || texts.STATUS['NEEDS-ACTION']})`)
+        .join(', ');
+      card.appendChild(this.createRow(texts.ATTENDEES, attendees));
+    }
+
+    if (checkingConflicts) {
+      card.appendChild(this.createConflicts(texts.CHECKING_CONFLICTS, []));
+    } else if (conflicts) {
+      card.appendChild(conflicts.length > 0
+        ? this.createConflicts(`${texts.CONFLICTS}:`, conflicts)
+        : this.createConflicts(texts.NO_CONFLICTS, []));
+    }
+
+    if (invitation.method === 'REQUEST' && onRespond) {
+      card.appendChild(this.createActions(response, busy, onRespond));
+    }
+
+    return card;
+  }
+
+  /**
+   * Fila con una etiqueta y su valor
+   * @private
+   */
+  static createRow(label, value) {
+    const row = document.createElement('p');
+    row.className = 'invitation-card-row';
+
+    if (label) {
+      const name = document.createElement('span');
+      name.className = 'invitation-card-label';
+      name.textContent = label;
+      row.appendChild(name);
+    }
+
+    row.appendChild(document.createTextNode(value));
+    return row;
+  }
+
+  /**
+   * Aviso de los eventos del calendario que coinciden con la invitación
+   * @private
+   */
+  static createConflicts(text, events) {
+    const conflicts = document.createElement('div');
+    conflicts.className = 'invitation-card-conflicts';
+    conflicts.classList.toggle('invitation-card-conflicts--found', events.length > 0);
+
+    const summary = document.createElement('p');
+    summary.textContent = text;
+    conflicts.appendChild(summary);
+
+    if (events.length > 0) {
+      const list = document.createElement('ul');
+      events.forEach((event) => {
+        const item = document.createElement('li');
+        item.textContent = `${event.summary || MESSAGES.CALENDAR.NO_TITLE} · ${this.formatWhen(event)}`;
+        list.appendChild(item);
+      });
+      conflicts.appendChild(list);
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Botones de respuesta; la respuesta actual queda marcada
+   * @private
+   */
+  static createActions(response, busy, onRespond) {
+    const actions = document.createElement('div');
+    actions.className = 'invitation-card-actions';
+
+    const label = document.createElement('span');
+    label.textContent = MESSAGES.INVITATION.RESPOND;
+    actions.appendChild(label);
+
+    Object.entries(MESSAGES.INVITATION.RESPONSES).forEach(([value, text]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'message-action-button invitation-card-response';
+      button.classList.toggle('active', response === value);
+      button.setAttribute('aria-pressed', String(response === value));
+      button.textContent = text;
+      button.disabled = busy;
+      button.addEventListener('click', () => onRespond(value));
+      actions.appendChild(button);
+    });
+
+    return actions;
+  }
+
+  /**
+   * Fecha y hora de un evento en la zona local
+   * @private
+   */
+  static formatWhen(event) {
+    const dates = window.calendarDates;
+    const { start, end } = dates.getRange(event);
+
+    if (event.allDay) {
+      // La fecha de fin de un evento de día completo no se incluye
+      const lastDay = dates.addDays(end, -1);
+      return lastDay > start
+        ? `${dates.formatDay(start)} – ${dates.formatDay(lastDay)} (${MESSAGES.CALENDAR.ALL_DAY})`
+        : `${dates.formatDay(start)} (${MESSAGES.CALENDAR.ALL_DAY})`;
+    }
+
+    if (dates.isSameDay(start, end)) {
+      return `${dates.formatDay(start)} · ${dates.formatTime(start)} – ${dates.formatTime(end)}`;
+    }
+
+    return `${dates.formatDay(start)} ${dates.formatTime(start)} – ${dates.formatDay(end)} ${dates.formatTime(end)}`;
+  }
+
+  /**
+   * Nombre y dirección de un organizador o invitado
+   * @private
+   */
+  static formatPerson(person) {
+    return person.name ? `${person.name} <${person.email}>` : person.email;
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * LabelPickerComponent - Selector de etiquetas del mensaje abierto
+ * Botón con un desplegable para marcar o desmarcar etiquetas y crear
+ * una nueva, selector para mover el mensaje y las etiquetas aplicadas
+ * como chips de color
+ */
+
+import { MESSAGES } from '../../config/textConstants.js';
+
+export class LabelPickerComponent {
+  /**
+   * Crea el selector de etiquetas
+   * @param {Object} config - Configuración del selector
+   * @returns {HTMLElement} Selector creado
+   */
+  static create(config = {}) {
+    const {
+      labels = [],
+      selected = [],
+      onToggle = null,
+      onCreate = null
+    } = config;
+
+    const picker = document.createElement('div');
+    picker.className = 'label-picker';
+
+    const toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.className = 'message-action-button';
+    toggleButton.textContent = MESSAGES.LABELS.PICKER;
+    picker.appendChild(toggleButton);
+
+    const menu = document.createElement('div');
+    menu.className = 'label-picker-menu hidden';
+    picker.appendChild(menu);
+
+    if (labels.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'label-picker-empty';
+      empty.textContent = MESSAGES.LABELS.EMPTY;
+      menu.appendChild(empty);
+    }
+
+    labels.forEach(label => {
+      menu.appendChild(this.createOption(label, selected.includes(label.id), onToggle));
+    });
+
+    if (onCreate) {
+      menu.appendChild(this.createNewLabelForm(onCreate));
+    }
+
+    toggleButton.addEventListener('click', () => {
+      menu.classList.toggle('hidden');
+    });
+
+    // Un clic fuera del selector cierra el desplegable
+    const closeOnOutsideClick = (event) => {
+      if (!picker.isConnected) {
+        document.removeEventListener('click', closeOnOutsideClick);
+      } else if (!picker.contains(event.target)) {
+        menu.classList.add('hidden');
+      }
+    };
+    document.addEventListener('click', closeOnOutsideClick);
+
+    return picker;
+  }
+
+  /**
+   * Crea una opción del desplegable (casilla con el nombre de la etiqueta)
+   * @param {Object} label - Etiqueta { id, name, color }
+   * @param {boolean} checked - Si el mensaje ya la tiene
+   * @param {Function} onToggle - Recibe (etiqueta, marcada)
+   * @returns {HTMLElement} Opción creada
+   */
+  static createOption(label, checked, onToggle) {
+    const option = document.createElement('label');
+    option.className = 'label-picker-option';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', () => {
+      if (onToggle) onToggle(label, checkbox.checked);
+    });
+    option.appendChild(checkbox);
+
+    if (label.color) {
+      const colorDot = document.createElement('span');
+      colorDot.className = 'mailbox-label-color';
+      colorDot.style.backgroundColor = label.color;
+      option.appendChild(colorDot);
+    }
+
+    const name = document.createElement('span');
+    name.textContent = label.name;
+    option.appendChild(name);
+
+    return option;
+  }
+
+  /**
+   * Crea el formulario para crear una etiqueta y aplicarla al mensaje
+   * @param {Function} onCreate - Recibe el nombre de la nueva etiqueta
+   * @returns {HTMLElement} Formulario creado
+   */
+  static createNewLabelForm(onCreate) {
+    const form = document.createElement('form');
+    form.className = 'label-picker-new';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = MESSAGES.LABELS.NEW_PLACEHOLDER;
+    form.appendChild(input);
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.className = 'message-action-button';
+    button.textContent = MESSAGES.LABELS.CREATE;
+    form.appendChild(button);
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const name = input.value.trim();
+      if (name) onCreate(name);
+    });
+
+    return form;
+  }
+
+  /**
+   * Crea el selector "Mover a…" con Recibidos y las etiquetas del usuario
+   * @param {Object} config - { labels, onMove(id de destino, nombre) }
+   * @returns {HTMLSelectElement} Selector creado
+   */
+  static createMoveSelect(config = {}) {
+    const { labels = [], onMove = null } = config;
+    const targets = [{ id: 'INBOX', name: MESSAGES.MESSAGE_ACTIONS.INBOX }, ...labels];
+
+    return this.createActionSelect(MESSAGES.MESSAGE_ACTIONS.MOVE_TO, targets, onMove);
+  }
+
+  /**
+   * Crea el selector "Etiquetar…" para aplicar una etiqueta del usuario
+   * @param {Object} config - { labels, onApply(id de la etiqueta, nombre) }
+   * @returns {HTMLSelectElement} Selector creado
+   */
+  static createApplySelect(config = {}) {
+    const { labels = [], onApply = null } = config;
+    return this.createActionSelect(MESSAGES.BULK_ACTIONS.LABEL, labels, onApply);
+  }
+
+  /**
+   * Crea un selector que ejecuta una acción al elegir una opción y vuelve al
+   * texto inicial
+   * @param {string} placeholder - Texto de la opción vacía
+   * @param {Array} targets - Opciones { id, name }
+   * @param {Function} onSelect - Recibe (id, nombre) de la opción elegida
+   * @returns {HTMLSelectElement} Selector creado
+   */
+  static createActionSelect(placeholder, targets, onSelect) {
+    const select = document.createElement('select');
+    select.className = 'message-action-button label-move-select';
+
+    const placeholderOption = document.createElement('option');
+    placeholderOption.value = '';
+    placeholderOption.textContent = placeholder;
+    select.appendChild(placeholderOption);
+
+    targets.forEach(target => {
+      const option = document.createElement('option');
+      option.value = target.id;
+      option.textContent = target.name;
+      select.appendChild(option);
+    });
+
+    select.addEventListener('change', () => {
+      const target = select.value;
+      const name = select.selectedOptions[0]?.textContent || '';
+      select.value = '';
+      if (target && onSelect) onSelect(target, name);
+    });
+
+    return select;
+  }
+
+  /**
+   * Crea los chips de las etiquetas aplicadas a un mensaje
+   * @param {Array} labels - Etiquetas aplicadas { name, color, textColor }
+   * @returns {HTMLElement|null} Contenedor de chips o null si no hay etiquetas
+   */
+  static createChips(labels) {
+    if (labels.length === 0) return null;
+
+    const chips = document.createElement('div');
+    chips.className = 'label-chips';
+
+    labels.forEach(label => {
+      const chip = document.createElement('span');
+      chip.className = 'label-chip';
+      chip.textContent = label.name;
+      if (label.color) {
+        chip.style.backgroundColor = label.color;
+        chip.style.color = label.textColor || '';
+      }
+      chips.appendChild(chip);
+    });
+
+    return chips;
+  }
+}
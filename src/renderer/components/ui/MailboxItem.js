@@ -14,9 +14,11 @@ export class MailboxItemComponent {
   static create(config = {}) {
     const {
       id = '',
-      type = '', // all, unread, today, flagged
+      type = '', // all, unread, today, flagged o label:<ID> (etiquetas)
       label = '',
       count = 0,
+      color = '', // Color de la etiqueta (punto delante del nombre)
+      actions = [], // Botones [{ label, title, onClick }] que aparecen al pasar el ratón
       active = false,
       onClick = null
     } = config;
@@ -34,6 +36,14 @@ export class MailboxItemComponent {
     const container = document.createElement('div');
     container.className = 'mailbox-item-content';
 
+    // Color de la etiqueta
+    if (color) {
+      const colorDot = document.createElement('span');
+      colorDot.className = 'mailbox-label-color';
+      colorDot.style.backgroundColor = color;
+      container.appendChild(colorDot);
+    }
+
     // Label del buzón
     const labelSpan = document.createElement('span');
     labelSpan.className = 'mailbox-label';
@@ -42,7 +52,7 @@ export class MailboxItemComponent {
 
     // Badge de contador
     const badgeSpan = document.createElement('span');
-    badgeSpan.className = 'badge';
+    badgeSpan.className = 'badge mailbox-count';
     badgeSpan.id = `count-${type}`;
     
     // Actualizar contador
@@ -51,6 +61,28 @@ export class MailboxItemComponent {
 
     item.appendChild(container);
 
+    // Acciones del buzón (renombrar, eliminar...)
+    if (actions.length > 0) {
+      const actionsContainer = document.createElement('div');
+      actionsContainer.className = 'mailbox-actions';
+
+      actions.forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'mailbox-action';
+        button.textContent = action.label;
+        button.title = action.title || action.label;
+        button.addEventListener('click', (event) => {
+          // Sin abrir el buzón
+          event.stopPropagation();
+          action.onClick(item);
+        });
+        actionsContainer.appendChild(button);
+      });
+
+      item.appendChild(actionsContainer);
+    }
+
     // Event listener
     if (onClick && typeof onClick === 'function') {
       item.addEventListener('click', (event) => {
@@ -0,0 +1,324 @@
+/**
+ * MessageFrameComponent - Cuerpo HTML de un mensaje recibido
+ * El HTML saneado se muestra en un iframe aislado (sandbox sin scripts y con
+ * una CSP estricta), de modo que el correo no puede ejecutar código ni
+ * cambiar los estilos de la aplicación. Los enlaces no navegan dentro del
+ * iframe: se entregan a onLinkClick para abrirlos en el navegador.
+ * Las imágenes remotas se bloquean salvo que se permitan, y los píxeles y
+ * parámetros de seguimiento se quitan siempre. Las imágenes en línea (cid:)
+ * forman parte del mensaje y se muestran como data: URL
+ */
+
+import { MESSAGES } from '../../config/textConstants.js';
+import { REMOTE_CONTENT } from '../../config/uiConfig.js';
+
+// Sin scripts, formularios, marcos ni conexiones; solo estilos en línea e
+// imágenes (las remotas, si se permiten, se cargan sin Referer)
+const FRAME_CSP = [
+  "default-src 'none'",
+  "style-src 'unsafe-inline'",
+  "form-action 'none'",
+  "base-uri 'none'"
+].join('; ');
+
+// Formatos de imagen en línea que se muestran (los mismos que acepta el
+// saneador en data: URL)
+const INLINE_IMAGE_TYPES = /^image\/(png|jpe?g|gif|webp)$/i;
+
+const FRAME_STYLES = `
+  html, body { margin: 0; padding: 0; }
+  body {
+    font-family: "Helvetica Neue", Helvetica, Arial, sans-serif;
+    font-size: 15px;
+    line-height: 1.6;
+    color: #333;
+    overflow-wrap: break-word;
+  }
+  img { max-width: 100%; height: auto; }
+  table { max-width: 100%; }
+  a { color: #1a5fb4; }
+  blockquote { margin: 0 0 0 8px; padding-left: 8px; border-left: 3px solid #ccc; }
+  img[data-blocked] { outline: 1px dashed #ccc; color: #888; }
+`;
+
+export class MessageFrameComponent {
+  /**
+   * Crea el iframe con el cuerpo HTML de un mensaje
+   * @param {Object} config - Configuración
+   * @param {string} config.html - HTML del mensaje (se sanea aquí)
+   * @param {boolean} config.allowRemoteImages - Cargar las imágenes remotas
+   * @param {Object} config.inlineImages - Content-ID -> data: URL de las imágenes en línea
+   * @param {Function} config.onLinkClick - (href, texto) al pulsar un enlace
+   * @returns {Object} { frame, blockedImages, removedTrackers }
+   */
+  static create(config = {}) {
+    const { html = '', allowRemoteImages = false, inlineImages = {}, onLinkClick = null } = config;
+
+    const content = this.prepareContent(
+      window.htmlSanitizer.sanitize(html, window.htmlSanitizer.PROFILES.MAIL),
+      allowRemoteImages,
+      inlineImages
+    );
+
+    const frame = document.createElement('iframe');
+    frame.className = 'message-frame';
+    frame.title = MESSAGES.MESSAGE_FRAME.TITLE;
+    // allow-same-origin sin allow-scripts: el contenido no ejecuta nada y
+    // la ventana puede ajustar la altura y capturar los clics en enlaces
+    frame.setAttribute('sandbox', 'allow-same-origin');
+    frame.setAttribute('referrerpolicy', 'no-referrer');
+    frame.srcdoc = this.buildDocument(content.html, allowRemoteImages);
+
+    frame.addEventListener('load', () => this.setupDocument(frame, onLinkClick));
+
+    return { frame, blockedImages: content.blockedImages, removedTrackers: content.removedTrackers };
+  }
+
+  /**
+   * Sustituye las referencias cid: por sus imágenes en línea, quita los
+   * píxeles de seguimiento y los parámetros de seguimiento de enlaces e
+   * imágenes, y deja sin cargar las imágenes remotas bloqueadas (conservan
+   * su tamaño y su texto alternativo)
+   * @param {string} html - HTML saneado
+   * @param {boolean} allowRemoteImages - Cargar las imágenes remotas
+   * @param {Object} inlineImages - Content-ID -> data: URL
+   * @returns {Object} { html, blockedImages, removedTrackers }
+   */
+  static prepareContent(html, allowRemoteImages, inlineImages = {}) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    let blockedImages = 0;
+    let removedTrackers = 0;
+
+    doc.querySelectorAll('img[src]').forEach((img) => {
+      const src = img.getAttribute('src');
+
+      if (/^cid:/i.test(src)) {
+        // Las que aún no se han descargado quedan sin cargar hasta tenerlas
+        const source = inlineImages[this.getContentId(src)];
+        if (source) {
+          img.setAttribute('src', source);
+        } else {
+          img.removeAttribute('src');
+        }
+        return;
+      }
+
+      if (!/^https?:/i.test(src)) return;
+
+      if (this.isTrackingPixel(img, src)) {
+        img.remove();
+        removedTrackers++;
+      } else if (allowRemoteImages) {
+        img.setAttribute('src', this.stripTrackingParams(src));
+      } else {
+        img.removeAttribute('src');
+        img.setAttribute('data-blocked', '');
+        blockedImages++;
+      }
+    });
+
+    doc.querySelectorAll('a[href]').forEach((link) => {
+      link.setAttribute('href', this.stripTrackingParams(link.getAttribute('href')));
+    });
+
+    return { html: doc.body.innerHTML, blockedImages, removedTrackers };
+  }
+
+  /**
+   * Content-ID al que apunta una URL cid: (va codificado como una URL)
+   * @param {string} src - URL cid:
+   * @returns {string} Content-ID
+   */
+  static getContentId(src) {
+    const value = src.replace(/^cid:/i, '').trim();
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      return value;
+    }
+  }
+
+  /**
+   * data: URL de una imagen en línea
+   * @param {Object} image - { mimeType, data } con los datos en base64
+   * @returns {string|null} data: URL o null si el formato no se muestra
+   */
+  static createInlineImageSource(image) {
+    const mimeType = (image?.mimeType || '').toLowerCase();
+    const data = image?.data || '';
+
+    if (!INLINE_IMAGE_TYPES.test(mimeType) || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+      return null;
+    }
+    return `data:${mimeType};base64,${data}`;
+  }
+
+  /**
+   * Indica si una imagen remota es un píxel de seguimiento: de un servicio
+   * de seguimiento conocido, con una ruta de apertura típica, de 1×1 o
+   * invisible
+   * @param {HTMLImageElement} img - Imagen
+   * @param {string} src - URL de la imagen
+   * @returns {boolean}
+   */
+  static isTrackingPixel(img, src) {
+    let url;
+    try {
+      url = new URL(src);
+    } catch {
+      return false;
+    }
+
+    const host = url.hostname.toLowerCase();
+    if (REMOTE_CONTENT.TRACKER_HOSTS.some((tracker) => host === tracker || host.endsWith(`.${tracker}`))) {
+      return true;
+    }
+    if (REMOTE_CONTENT.TRACKER_PATHS.some((pattern) => pattern.test(url.pathname))) {
+      return true;
+    }
+
+    const style = img.getAttribute('style') || '';
+    if (/(^|;)\s*display\s*:\s*none/i.test(style)) {
+      return true;
+    }
+
+    // El estilo manda sobre los atributos width y height
+    const size = (name) => {
+      const match = style.match(new RegExp(`(^|;)\\s*${name}\\s*:\\s*(\\d+)px`, 'i'));
+      return match ? Number(match[2]) : parseInt(img.getAttribute(name), 10);
+    };
+    return size('width') <= REMOTE_CONTENT.PIXEL_MAX_SIZE && size('height') <= REMOTE_CONTENT.PIXEL_MAX_SIZE;
+  }
+
+  /**
+   * Quita de una URL web los parámetros de seguimiento (utm_*, fbclid...)
+   * @param {string} href - URL
+   * @returns {string} URL sin los parámetros (la misma si no tiene ninguno)
+   */
+  static stripTrackingParams(href) {
+    if (!/^https?:/i.test(href)) return href;
+
+    try {
+      const url = new URL(href);
+      const params = [...url.searchParams.keys()]
+        .filter((name) => REMOTE_CONTENT.TRACKING_PARAMS.includes(name.toLowerCase()));
+      if (params.length === 0) return href;
+
+      params.forEach((name) => url.searchParams.delete(name));
+      return url.href;
+    } catch {
+      return href;
+    }
+  }
+
+  /**
+   * Aviso de imágenes ocultas con las opciones para mostrarlas
+   * @param {Object} config - Configuración
+   * @param {number} config.removedTrackers - Píxeles de seguimiento quitados
+   * @param {string|null} config.sender - Remitente (sin él no se ofrece "siempre")
+   * @param {Function} config.onShowOnce - Mostrar las imágenes de este mensaje
+   * @param {Function} config.onAlwaysShow - Permitir siempre al remitente
+   * @returns {HTMLElement} Aviso creado
+   */
+  static createImagesBanner(config = {}) {
+    const { removedTrackers = 0, sender = null, onShowOnce = null, onAlwaysShow = null } = config;
+
+    const banner = document.createElement('div');
+    banner.className = 'remote-images-banner';
+    banner.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.className = 'remote-images-banner-text';
+    text.textContent = removedTrackers > 0
+      ? `${MESSAGES.REMOTE_IMAGES.HIDDEN} · ${MESSAGES.REMOTE_IMAGES.TRACKERS_REMOVED(removedTrackers)}`
+      : MESSAGES.REMOTE_IMAGES.HIDDEN;
+    banner.appendChild(text);
+
+    const buttons = [
+      { label: MESSAGES.REMOTE_IMAGES.SHOW_ONCE, onClick: onShowOnce },
+      sender && { label: MESSAGES.REMOTE_IMAGES.ALWAYS_SHOW, title: sender, onClick: onAlwaysShow }
+    ];
+
+    buttons.filter((button) => button?.onClick).forEach(({ label, title, onClick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'message-action-button';
+      button.textContent = label;
+      if (title) button.title = title;
+      button.addEventListener('click', onClick);
+      banner.appendChild(button);
+    });
+
+    return banner;
+  }
+
+  /**
+   * Documento completo del iframe con la CSP y los estilos base
+   * @private
+   */
+  static buildDocument(body, allowRemoteImages) {
+    const imageSources = allowRemoteImages ? 'data: https: http:' : 'data:';
+
+    return '<!doctype html><html><head><meta charset="utf-8">' +
+      `<meta http-equiv="Content-Security-Policy" content="${FRAME_CSP}; img-src ${imageSources}">` +
+      `<style>${FRAME_STYLES}</style></head><body>${body}</body></html>`;
+  }
+
+  /**
+   * Ajusta la altura al contenido y captura los enlaces
+   * @private
+   */
+  static setupDocument(frame, onLinkClick) {
+    const doc = frame.contentDocument;
+    if (!doc?.body) return;
+
+    const resize = () => {
+      frame.style.height = `${doc.documentElement.scrollHeight}px`;
+    };
+    resize();
+
+    // Las imágenes cargan después y el ancho cambia con la ventana
+    frame.resizeObserver?.disconnect();
+    frame.resizeObserver = new ResizeObserver(resize);
+    frame.resizeObserver.observe(doc.body);
+
+    const handleLink = (event) => {
+      const link = event.target.closest?.('a');
+      if (!link) return;
+
+      event.preventDefault();
+      const href = link.getAttribute('href');
+      if (href && onLinkClick && event.button !== 2) {
+        onLinkClick(href, link.textContent);
+      }
+    };
+    doc.addEventListener('click', handleLink);
+    doc.addEventListener('auxclick', handleLink);
+  }
+
+  /**
+   * Indica si el texto de un enlace aparenta otra dirección: el texto parece
+   * una URL o un dominio y no coincide con el dominio real del enlace
+   * @param {string} href - Dirección del enlace
+   * @param {string} text - Texto visible
+   * @returns {boolean} true si no coinciden
+   */
+  static isMismatchedLink(href, text) {
+    const shown = (text || '').trim().replace(/\s+/g, '');
+    if (!/^(https?:\/\/)?([a-z0-9-]+\.)+[a-z]{2,}(:\d+)?([/?#]\S*)?$/i.test(shown)) {
+      return false;
+    }
+
+    const host = (url) => {
+      try {
+        return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+      } catch {
+        return null;
+      }
+    };
+
+    const shownHost = host(/^https?:\/\//i.test(shown) ? shown : `https://${shown}`);
+    const realHost = host(href);
+    return !realHost || shownHost !== realHost;
+  }
+}
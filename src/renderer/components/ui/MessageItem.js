@@ -18,6 +18,10 @@ export class MessageItemComponent {
       snippet = '',
       date = '',
       read = false,
+      participants = [],
+      messageCount = 1,
+      messageIds = [],
+      account = null,
       onClick = null
     } = config;
 
@@ -30,10 +34,16 @@ export class MessageItemComponent {
       item.classList.add('font-bold');
     }
 
-    // Header con remitente y fecha
-    const headerDiv = this.createHeader(from, date);
+    // Header con remitente (o participantes del hilo) y fecha
+    const headerDiv = this.createHeader(from, date, { participants, messageCount });
     item.appendChild(headerDiv);
 
+    // Cuenta de origen en la bandeja unificada
+    if (account) {
+      item.dataset.accountId = account.id;
+      headerDiv.insertBefore(this.createAccountTag(account), headerDiv.lastChild);
+    }
+
     // Asunto
     const subjectP = this.createSubject(subject);
     item.appendChild(subjectP);
@@ -45,7 +55,19 @@ export class MessageItemComponent {
     // Event listener
     if (onClick && typeof onClick === 'function') {
       item.addEventListener('click', (event) => {
-        onClick(event, { id, threadId, from, subject, snippet, date, read });
+        onClick(event, {
+          id,
+          threadId,
+          from,
+          subject,
+          snippet,
+          date,
+          read,
+          participants,
+          messageCount,
+          messageIds,
+          account
+        });
       });
     }
 
@@ -56,16 +78,29 @@ export class MessageItemComponent {
    * Crea el header del mensaje
    * @param {string} from - Remitente
    * @param {string} date - Fecha
+   * @param {Object} thread - { participants, messageCount } en modo conversación
    * @returns {HTMLElement} Header creado
    */
-  static createHeader(from, date) {
+  static createHeader(from, date, thread = {}) {
+    const { participants = [], messageCount = 1 } = thread;
     const headerDiv = document.createElement('div');
     headerDiv.className = 'message-header';
 
     // Remitente
     const fromSpan = document.createElement('span');
     fromSpan.className = 'message-from';
-    fromSpan.textContent = this.extractSenderName(from);
+    fromSpan.textContent = participants.length > 0
+      ? this.formatParticipants(participants)
+      : this.extractSenderName(from);
+
+    // Número de mensajes de la conversación
+    if (messageCount > 1) {
+      const countSpan = document.createElement('span');
+      countSpan.className = 'message-thread-count';
+      countSpan.textContent = String(messageCount);
+      fromSpan.appendChild(countSpan);
+    }
+
     headerDiv.appendChild(fromSpan);
 
     // Fecha
@@ -77,6 +112,20 @@ export class MessageItemComponent {
     return headerDiv;
   }
 
+  /**
+   * Crea la marca de la cuenta de un mensaje (bandeja unificada)
+   * @param {Object} account - { id, email, alias, color }
+   * @returns {HTMLElement} Marca creada
+   */
+  static createAccountTag(account) {
+    const tag = document.createElement('span');
+    tag.className = 'message-account';
+    tag.textContent = account.alias || account.email;
+    tag.title = account.email;
+    tag.style.setProperty('--account-color', account.color);
+    return tag;
+  }
+
   /**
    * Crea el elemento del asunto
    * @param {string} subject - Asunto del mensaje
@@ -123,6 +172,17 @@ export class MessageItemComponent {
     return fromString.replace(/[<>]/g, '').trim() || 'Unknown';
   }
 
+  /**
+   * Lista abreviada de participantes de una conversación
+   * @param {Array<string>} participants - Nombres de los participantes
+   * @returns {string} Participantes separados por comas
+   */
+  static formatParticipants(participants) {
+    const maxVisible = 3;
+    const visible = participants.slice(0, maxVisible).join(', ');
+    return participants.length > maxVisible ? `${visible}…` : visible;
+  }
+
   /**
    * Formatea la fecha de forma segura
    * @param {string} dateString - String de fecha
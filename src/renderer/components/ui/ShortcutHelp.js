@@ -0,0 +1,111 @@
+/**
+ * ShortcutHelpComponent - Ayuda de atajos de teclado
+ * Overlay con la lista de acciones y sus teclas (se abre con "?")
+ */
+
+import { MESSAGES } from '../../config/textConstants.js';
+
+export class ShortcutHelpComponent {
+  /**
+   * Abre la ayuda
+   * @param {Object} config - { bindings: acción -> teclas }
+   * @returns {HTMLElement} Overlay creado
+   */
+  static open(config = {}) {
+    const { bindings = {} } = config;
+
+    this.close();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'shortcut-overlay';
+    overlay.id = 'shortcut-help';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'shortcut-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', MESSAGES.SHORTCUTS.HELP_TITLE);
+
+    const title = document.createElement('h2');
+    title.className = 'shortcut-dialog-title';
+    title.textContent = MESSAGES.SHORTCUTS.HELP_TITLE;
+    dialog.appendChild(title);
+
+    const list = document.createElement('dl');
+    list.className = 'shortcut-list';
+
+    Object.entries(bindings).forEach(([action, keys]) => {
+      const name = document.createElement('dt');
+      name.textContent = MESSAGES.SHORTCUTS.ACTIONS[action] || action;
+      list.appendChild(name);
+
+      const value = document.createElement('dd');
+      if (keys.length === 0) {
+        value.textContent = MESSAGES.SHORTCUTS.NONE;
+      }
+      keys.forEach((key) => value.appendChild(this.createKey(key)));
+      list.appendChild(value);
+    });
+
+    dialog.appendChild(list);
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'message-action-button';
+    closeButton.textContent = MESSAGES.SHORTCUTS.CLOSE;
+    closeButton.addEventListener('click', () => this.close());
+    dialog.appendChild(closeButton);
+
+    overlay.appendChild(dialog);
+
+    // Cerrar al hacer clic fuera o con Escape
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) this.close();
+    });
+    overlay.keyHandler = (event) => {
+      if (event.key === 'Escape') this.close();
+    };
+    document.addEventListener('keydown', overlay.keyHandler);
+
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  /**
+   * Cierra la ayuda
+   */
+  static close() {
+    const overlay = document.getElementById('shortcut-help');
+    if (!overlay) return;
+
+    document.removeEventListener('keydown', overlay.keyHandler);
+    overlay.remove();
+  }
+
+  /**
+   * Indica si la ayuda está abierta
+   */
+  static isOpen() {
+    return Boolean(document.getElementById('shortcut-help'));
+  }
+
+  /**
+   * Crea la representación de una tecla ("g i" se muestra como "g y después i")
+   * @param {string} key - Tecla o secuencia
+   * @returns {HTMLElement} Elemento creado
+   */
+  static createKey(key) {
+    const container = document.createElement('span');
+    container.className = 'shortcut-key';
+
+    key.split(' ').forEach((part, index) => {
+      if (index > 0) {
+        container.appendChild(document.createTextNode(` ${MESSAGES.SHORTCUTS.THEN} `));
+      }
+      const kbd = document.createElement('kbd');
+      kbd.textContent = part;
+      container.appendChild(kbd);
+    });
+
+    return container;
+  }
+}
@@ -6,6 +6,7 @@
 export const MESSAGES = {
   // UI Messages
   NO_MESSAGES: 'No hay mensajes en este buzón.',
+  LOADING_MORE: 'Cargando más mensajes...',
   SELECT_MESSAGE: 'Selecciona un mensaje',
   MESSAGE_CONTENT_PLACEHOLDER: 'Contenido del mensaje seleccionado aparecerá aquí.',
   NO_SUBJECT: 'Sin asunto',
@@ -24,10 +25,15 @@ export const MESSAGES = {
   
   // Mailbox Names
   MAILBOX_NAMES: {
+    unified: 'Todas las bandejas',
     all: 'Recibidos',
     unread: 'No leídos', 
     today: 'Hoy',
-    flagged: 'Destacados'
+    flagged: 'Destacados',
+    drafts: 'Borradores',
+    spam: 'Spam',
+    outbox: 'Bandeja de salida',
+    scheduled: 'Programados'
   },
   
   // Notifications
@@ -56,11 +62,301 @@ export const MESSAGES = {
     LOGOUT_ERROR: 'Error al cerrar sesión',
     COMING_SOON: 'Funcionalidad coming soon.',
     VALIDATION_ERROR: 'Error de validación',
+    ATTACHMENT_LOAD_ERROR: 'Error al descargar el adjunto',
+    ATTACHMENT_TOO_LARGE: 'El adjunto es demasiado grande para previsualizarlo',
+    ATTACHMENT_SAVED: 'Adjunto guardado',
+    ATTACHMENTS_SAVED: (count) => `${count} adjuntos guardados`,
+    ATTACHMENT_SAVE_ERROR: 'Error al guardar el adjunto',
+    ATTACHMENTS_PARTIAL: (saved, failed) => `${saved} adjuntos guardados, ${failed} con errores`,
+    COMPOSE_LOAD_ERROR: 'No se pudo cargar el mensaje original.',
+    THREAD_LOAD_ERROR: 'Error al cargar la conversación',
+    DRAFTS_LOAD_ERROR: 'Error al cargar los borradores',
+    OUTBOX_LOAD_ERROR: 'Error al cargar la bandeja de salida',
+    EMAIL_SENDING_IN: (seconds) => `El mensaje se enviará en ${seconds} s`,
+    EMAIL_SEND_CANCELLED: 'Envío cancelado. El mensaje está en Borradores.',
+    EMAIL_SEND_CANCEL_ERROR: 'No se pudo cancelar el envío',
+    EMAIL_SEND_OFFLINE: 'Sin conexión. El mensaje se enviará al recuperar la conexión.',
+    EMAIL_SEND_FAILED: 'No se pudo enviar el mensaje',
+    EMAIL_SCHEDULED: (date) => `Mensaje programado para el ${date}`,
+    EMAIL_RESCHEDULED: (date) => `Envío reprogramado para el ${date}`,
+    EMAIL_RESCHEDULE_ERROR: 'No se pudo reprogramar el envío',
+    SCHEDULE_TIME_INVALID: 'Elige una fecha y hora futuras',
+    LABELS_LOAD_ERROR: 'Error al cargar las etiquetas',
+    LABEL_CREATED: (name) => `Etiqueta "${name}" creada`,
+    LABEL_CREATE_ERROR: 'No se pudo crear la etiqueta',
+    LABEL_RENAME_ERROR: 'No se pudo renombrar la etiqueta',
+    LABEL_DELETED: (name) => `Etiqueta "${name}" eliminada`,
+    LABEL_DELETE_ERROR: 'No se pudo eliminar la etiqueta',
+    LABEL_UPDATE_ERROR: 'No se pudieron cambiar las etiquetas del mensaje',
+    EMAIL_ARCHIVED: 'Mensaje archivado',
+    EMAIL_MOVED: (name) => `Mensaje movido a ${name}`,
+    EMAIL_STARRED: 'Mensaje destacado',
+    EMAIL_UNSTARRED: 'Mensaje sin destacar',
+    EMAIL_MARKED_SPAM: 'Mensaje marcado como spam',
+    EMAIL_NOT_SPAM: 'Mensaje devuelto a Recibidos',
+    EMAIL_ACTION_ERROR: 'No se pudo completar la acción',
+    EMAIL_ACTION_UNDONE: 'Acción deshecha',
+    EMAIL_UNDO_ERROR: 'No se pudo deshacer la acción',
+    BULK_DONE: (count) => `${count} ${count === 1 ? 'mensaje actualizado' : 'mensajes actualizados'}`,
+    BULK_PARTIAL: (failed, error) => `${failed} ${failed === 1 ? 'mensaje no se pudo' : 'mensajes no se pudieron'} actualizar (siguen seleccionados): ${error}`,
+    BULK_ERROR: 'No se pudo completar la acción sobre la selección',
+    UNIFIED_PARTIAL: (emails) => `No se pudo cargar el correo de ${emails.join(', ')}`,
+    SHORTCUTS_SAVED: 'Atajos de teclado guardados',
+    SHORTCUTS_SAVE_ERROR: 'No se pudieron guardar los atajos de teclado',
+    SHORTCUTS_LOAD_ERROR: 'No se pudieron cargar los atajos de teclado',
+    ACCOUNT_SWITCHED: (name) => `Cuenta activa: ${name}`,
+    ACCOUNT_SETTINGS_SAVED: 'Ajustes de la cuenta guardados',
+    ACCOUNT_SETTINGS_ERROR: 'No se pudieron guardar los ajustes de la cuenta',
+    ACCOUNT_RECONNECT_NEEDED: (email) => `${email} debe volver a conectarse para conceder los permisos nuevos (calendario y correo)`,
+    ACCOUNT_RECONNECTED: 'Cuenta conectada de nuevo',
+    ACCOUNT_RECONNECT_ERROR: 'No se pudo volver a conectar la cuenta',
+    SIGNATURES_SAVED: 'Firmas guardadas',
+    SIGNATURES_SAVE_ERROR: 'No se pudieron guardar las firmas',
+    SIGNATURES_LOAD_ERROR: 'No se pudieron cargar las direcciones de envío',
+    LINK_OPEN_ERROR: 'No se pudo abrir el enlace',
+    SENDER_IMAGES_ALLOWED: (sender) => `Las imágenes de ${sender} se mostrarán siempre`,
+    SENDER_IMAGES_ERROR: 'No se pudo guardar el remitente',
+    IMAGE_ALLOWLIST_LOAD_ERROR: 'No se pudieron cargar los remitentes con imágenes permitidas',
+    CALENDARS_LOAD_ERROR: 'No se pudieron cargar los calendarios',
+    CALENDAR_EVENTS_LOAD_ERROR: 'No se pudieron cargar los eventos',
+    CALENDAR_EVENT_CREATED: 'Evento creado',
+    CALENDAR_EVENT_UPDATED: 'Evento actualizado',
+    CALENDAR_EVENT_DELETED: 'Evento eliminado',
+    CALENDAR_EVENT_SAVE_ERROR: 'No se pudo guardar el evento',
+    CALENDAR_EVENT_DELETE_ERROR: 'No se pudo eliminar el evento',
+    CALENDAR_PERMISSION_NEEDED: 'La cuenta no ha dado permiso para modificar el calendario. Vuelve a conectarla para concederlo',
+    CALENDAR_NOT_SUPPORTED: 'El calendario solo está disponible para cuentas de Google',
+    CALENDAR_NOT_WRITABLE: 'No hay ningún calendario en el que se puedan crear eventos',
+    INVITATION_RESPONSE_SENT: 'Respuesta enviada al organizador',
+    INVITATION_RESPONSE_ERROR: 'No se pudo enviar la respuesta a la invitación',
+    INVITATION_CALENDAR_ERROR: (error) => `Respuesta enviada al organizador, pero no se pudo guardar en el calendario: ${error}`,
+  },
+
+  // Attachments
+  ATTACHMENTS: {
+    TITLE: (count) => `${count} ${count === 1 ? 'adjunto' : 'adjuntos'}`,
+    PREVIEW: 'Vista previa',
+    SAVE: 'Guardar como…',
+    SAVE_ALL: 'Guardar todos',
+    CLOSE: 'Cerrar',
+    LOADING: 'Cargando vista previa...',
+    TRUNCATED: '… (vista previa truncada)'
   },
   
+  // Drafts
+  DRAFTS: {
+    NO_RECIPIENTS: '(sin destinatarios)'
+  },
+
+  // Outbox
+  OUTBOX: {
+    UNDO: 'Deshacer',
+    EDIT: 'Editar',
+    RESCHEDULE: 'Reprogramar',
+    CANCEL: 'Cancelar',
+    STATUS: {
+      pending: (time) => `Se enviará a las ${time}`,
+      scheduled: (date) => `Programado para el ${date}`,
+      retrying: (time) => `Sin conexión, se reintentará a las ${time}`,
+      sending: 'Enviando...',
+      failed: (error) => `No se pudo enviar: ${error}`
+    }
+  },
+
+  // Message actions
+  MESSAGE_ACTIONS: {
+    UNDO: 'Deshacer',
+    STAR: 'Destacar',
+    UNSTAR: 'Quitar destacado',
+    SPAM: 'Spam',
+    NOT_SPAM: 'No es spam',
+    MOVE_TO: 'Mover a…',
+    INBOX: 'Recibidos'
+  },
+
+  // Bulk actions (multi-selección en la lista)
+  BULK_ACTIONS: {
+    SELECT: 'Seleccionar mensaje',
+    SELECTED: (count) => `${count} ${count === 1 ? 'seleccionado' : 'seleccionados'}`,
+    PROGRESS: (done, total) => `Procesando ${done} de ${total}…`,
+    DELETE: 'Eliminar',
+    ARCHIVE: 'Archivar',
+    MARK_READ: 'Marcar leídos',
+    MARK_UNREAD: 'Marcar no leídos',
+    LABEL: 'Etiquetar…',
+    CLEAR: 'Cancelar selección',
+    DELETE_CONFIRM: (count) => `¿Eliminar ${count} ${count === 1 ? 'mensaje' : 'mensajes'}?`
+  },
+
+  // Keyboard shortcuts
+  SHORTCUTS: {
+    HELP_TITLE: 'Atajos de teclado',
+    OPTIONS_TITLE: 'Opciones',
+    CLOSE: 'Cerrar',
+    CHANGE: 'Cambiar',
+    ADD: 'Añadir',
+    REMOVE: 'Quitar',
+    PRESS_KEY: 'Pulsa una tecla…',
+    NONE: 'Sin atajo',
+    RESET: 'Restablecer',
+    SAVE: 'Guardar',
+    THEN: 'y después',
+    CONFLICT: (key, action) => `"${key}" ya se usa para "${action}"`,
+    PREFIX_CONFLICT: (key, action) => `"${key}" choca con la secuencia de "${action}"`,
+    ACTIONS: {
+      next: 'Mensaje siguiente',
+      previous: 'Mensaje anterior',
+      open: 'Abrir mensaje',
+      reply: 'Responder',
+      replyAll: 'Responder a todos',
+      forward: 'Reenviar',
+      archive: 'Archivar',
+      delete: 'Eliminar',
+      compose: 'Redactar',
+      search: 'Buscar',
+      goInbox: 'Ir a Recibidos',
+      help: 'Mostrar atajos'
+    }
+  },
+
+  // Account switcher
+  ACCOUNTS: {
+    TITLE: 'Cuentas',
+    SWITCH: 'Cambiar de cuenta',
+    SETTINGS: 'Ajustes',
+    SETTINGS_TITLE: (email) => `Ajustes de ${email}`,
+    ALIAS: 'Alias',
+    COLOR: 'Color',
+    SIGNATURE: 'Firma',
+    SIGNATURE_PLACEHOLDER: 'Se añade a los mensajes nuevos, respuestas y reenvíos',
+    DEFAULT: 'Cuenta predeterminada para enviar',
+    DEFAULT_BADGE: 'Predeterminada',
+    UNREAD: (count) => `${count} sin leer`,
+    SAVE: 'Guardar',
+    CANCEL: 'Cancelar',
+    RECONNECT: 'Volver a conectar'
+  },
+
+  // Signatures per sender address (options screen)
+  SIGNATURES: {
+    TITLE: 'Firmas',
+    TEXT: 'Texto',
+    HTML: 'HTML',
+    HTML_PLACEHOLDER: 'Se envía en la versión HTML del mensaje',
+    SAVE: 'Guardar firmas',
+    EMPTY: 'No hay cuentas conectadas'
+  },
+
+  // HTML message body (sandboxed frame) and its links
+  MESSAGE_FRAME: {
+    TITLE: 'Contenido del mensaje',
+    LINK_MISMATCH_CONFIRM: (text, url) => `El texto del enlace ("${text}") no coincide con la dirección a la que lleva:\n\n${url}\n\n¿Abrirla de todos modos?`
+  },
+
+  // Remote images of HTML messages
+  REMOTE_IMAGES: {
+    HIDDEN: 'Imágenes ocultas',
+    TRACKERS_REMOVED: (count) => `${count} ${count === 1 ? 'píxel de seguimiento eliminado' : 'píxeles de seguimiento eliminados'}`,
+    SHOW_ONCE: 'Mostrar esta vez',
+    ALWAYS_SHOW: 'Mostrar siempre de este remitente'
+  },
+
+  // Calendar panel and event dialog
+  CALENDAR: {
+    TITLE: 'Calendario',
+    OPEN: 'Calendario',
+    CALENDARS: 'Calendarios',
+    VIEWS: {
+      agenda: 'Agenda',
+      day: 'Día',
+      week: 'Semana'
+    },
+    TODAY: 'Hoy',
+    PREVIOUS: 'Anterior',
+    NEXT: 'Siguiente',
+    NEW_EVENT: 'Nuevo evento',
+    CLOSE: 'Cerrar',
+    SEARCH_PLACEHOLDER: 'Buscar eventos...',
+    SEARCH_RESULTS: (query) => `Eventos con "${query}"`,
+    LOADING: 'Cargando eventos...',
+    EMPTY: 'No hay eventos',
+    ALL_DAY: 'Todo el día',
+    NO_TITLE: '(Sin título)',
+    READ_ONLY: 'Solo lectura',
+    EVENT_TITLE_NEW: 'Nuevo evento',
+    EVENT_TITLE_EDIT: 'Editar evento',
+    EVENT_TITLE_VIEW: 'Evento',
+    FIELDS: {
+      summary: 'Título',
+      calendar: 'Calendario',
+      allDay: 'Todo el día',
+      start: 'Inicio',
+      end: 'Fin',
+      location: 'Lugar',
+      attendees: 'Invitados',
+      description: 'Descripción'
+    },
+    CREATE_FROM_MESSAGE: 'Crear evento',
+    FROM_MESSAGE: (subject, from, date) => `Creado desde el correo "${subject}" de ${from} (${date})`,
+    OPEN_MESSAGE: 'Abrir el correo',
+    ATTENDEES_PLACEHOLDER: 'correo@ejemplo.com, otro@ejemplo.com',
+    ATTENDEE_INVALID: (email) => `Dirección de invitado no válida: ${email}`,
+    SAVE: 'Guardar',
+    CANCEL: 'Cancelar',
+    DELETE: 'Eliminar',
+    DELETE_CONFIRM: (summary) => `¿Eliminar el evento "${summary}"?`,
+    SUMMARY_REQUIRED: 'El evento necesita un título',
+    END_BEFORE_START: 'El fin debe ser posterior al inicio'
+  },
+
+  // Meeting invitations (iCalendar)
+  INVITATION: {
+    TITLES: {
+      REQUEST: 'Invitación',
+      CANCEL: 'Evento cancelado',
+      REPLY: 'Respuesta a una invitación'
+    },
+    CANCELLED: 'El organizador ha cancelado este evento',
+    WHEN: 'Cuándo',
+    LOCATION: 'Lugar',
+    ORGANIZER: 'Organizador',
+    ATTENDEES: 'Invitados',
+    STATUS: {
+      ACCEPTED: 'asiste',
+      TENTATIVE: 'quizá',
+      DECLINED: 'no asiste',
+      'NEEDS-ACTION': 'sin respuesta'
+    },
+    CHECKING_CONFLICTS: 'Comprobando tu calendario...',
+    NO_CONFLICTS: 'No coincide con otros eventos de tu calendario',
+    CONFLICTS: 'Coincide con',
+    RESPOND: '¿Asistirás?',
+    RESPONSES: {
+      ACCEPTED: 'Sí',
+      TENTATIVE: 'Quizá',
+      DECLINED: 'No'
+    }
+  },
+
+  // Labels
+  LABELS: {
+    TITLE: 'Etiquetas',
+    PICKER: 'Etiquetas',
+    EMPTY: 'Todavía no hay etiquetas',
+    NEW_PLACEHOLDER: 'Nueva etiqueta',
+    CREATE: 'Crear',
+    RENAME: 'Renombrar',
+    DELETE: 'Eliminar',
+    DELETE_CONFIRM: (name) => `¿Eliminar la etiqueta "${name}"? Los mensajes no se borran.`
+  },
+
   // Counters
   COUNTER_LABELS: {
     messages: 'mensajes',
+    conversations: 'conversaciones',
+    drafts: 'borradores',
+    outbox: 'mensajes en cola',
+    scheduled: 'mensajes programados',
     search_results: (query) => `Resultados de búsqueda: "${query}"`
   },
   
@@ -91,7 +387,8 @@ export const TIMEOUTS = {
   NOTIFICATION_LONG: 5000,
   NOTIFICATION_SHORT: 2000,
   SEARCH_DEBOUNCE: 300,
-  AUTO_SAVE: 5000
+  AUTO_SAVE: 5000,
+  UNDO_ACTION: 6000
 };
 
 export const LIMITS = {
@@ -100,5 +397,11 @@ export const LIMITS = {
   EMAIL_SUBJECT_MAX: 200,
   EMAIL_BODY_MAX: 10000,
   SNIPPET_LENGTH: 50,
-  MAX_COUNT_DISPLAY: 99
+  MAX_COUNT_DISPLAY: 99,
+  ATTACHMENT_PREVIEW_MAX: 10 * 1024 * 1024,
+  ATTACHMENT_TEXT_PREVIEW_MAX: 100000,
+  // El proceso principal aplica los mismos límites a los eventos
+  EVENT_SUMMARY_MAX: 500,
+  EVENT_LOCATION_MAX: 500,
+  EVENT_DESCRIPTION_MAX: 8000
 };
@@ -16,9 +16,17 @@ export const SELECTORS = {
   MESSAGE_RECIPIENT: "#message-recipient",
   MESSAGE_DATE: "#message-date",
   MESSAGE_BODY: "#message-body",
+  MESSAGE_ATTACHMENTS: "#message-attachments",
+  MESSAGE_INVITATION: "#message-invitation",
+  MESSAGE_LABELS: "#message-labels",
+  LABEL_PICKER: "#label-picker",
+  STAR_BUTTON: "#star-button",
+  SPAM_BUTTON: "#spam-button",
+  BULK_ACTION_BAR: "#bulk-action-bar",
 
   // Account elements
   CURRENT_ACCOUNT: "#currentAccount",
+  ACCOUNT_SWITCHER: "#account-switcher",
   CONNECT_ACCOUNT_BUTTON: "#connect-account-button",
   LOGOUT_BUTTON: "#logout-button",
 
@@ -32,12 +40,17 @@ export const SELECTORS = {
   COUNT_UNREAD: "#count-unread",
   COUNT_TODAY: "#count-today",
   COUNT_FLAGGED: "#count-flagged",
+  COUNT_OUTBOX: "#count-outbox",
+  COUNT_SCHEDULED: "#count-scheduled",
 
   // Action buttons
   COMPOSE_BUTTON: "#compose-button",
   EDIT_BUTTON: ".mailboxes-section .edit-button",
-  OPTIONS_ICON: ".main-content .options-icon",
+  OPTIONS_ICON: "#options-button",
+  CALENDAR_BUTTON: "#calendar-button",
+  CREATE_EVENT_BUTTON: "#create-event-button",
   MESSAGE_DETAIL_BUTTONS: "#message-detail button",
+  THREAD_MODE_TOGGLE: "#thread-mode-toggle",
 
   // Panel elements
   MAILBOXES_PANEL: "#mailboxesPanel",
@@ -69,6 +82,15 @@ export const CSS_CLASSES = {
   MESSAGE_SUBJECT: "message-subject",
   MESSAGE_SNIPPET: "message-snippet",
   MESSAGE_UNREAD: "font-bold",
+  MESSAGE_STARRED: "message-starred",
+  MESSAGE_CHECKED: "message-checked",
+  MESSAGE_CURSOR: "message-cursor",
+  MESSAGE_SELECT: "message-select",
+  MESSAGE_THREAD_COUNT: "message-thread-count",
+  MESSAGE_LIST_LOADING: "message-list-loading",
+  MESSAGE_ACTIONS: "message-actions",
+  MESSAGE_ACTION_BUTTON: "message-action-button",
+  SCHEDULE_CONTROLS: "schedule-controls",
 
   // Tailwind utilities
   PADDING: {
@@ -106,10 +128,15 @@ export const CSS_CLASSES = {
 };
 
 export const MAILBOX_MAPPING = {
+  unified: "INBOX",
   all: "INBOX",
   unread: "UNREAD",
   today: "TODAY",
   flagged: "STARRED",
+  drafts: "DRAFTS",
+  spam: "SPAM",
+  outbox: "OUTBOX",
+  scheduled: "SCHEDULED",
 };
 
 export const UI_CONSTANTS = {
@@ -127,4 +154,98 @@ export const UI_CONSTANTS = {
   // Pagination
   DEFAULT_PAGE_SIZE: 20,
   MAX_PAGE_SIZE: 100,
+  // Distancia (px) al final de la lista a la que se pide la página siguiente
+  INFINITE_SCROLL_THRESHOLD: 200,
+
+  // Preferencias persistidas en localStorage
+  THREAD_MODE_STORAGE_KEY: "threadMode",
+
+  // Ajustes de cuenta (el proceso principal aplica los mismos límites)
+  ACCOUNT_ALIAS_MAX_LENGTH: 40,
+  ACCOUNT_SIGNATURE_MAX_LENGTH: 2000,
+  ACCOUNT_SIGNATURE_HTML_MAX_LENGTH: 10000,
+  // errorType de las respuestas cuando la cuenta debe volver a conectarse
+  // para conceder un permiso (ERROR_TYPES.PERMISSIONS del proceso principal)
+  PERMISSIONS_ERROR_TYPE: "permissions",
+
+  // Imágenes en línea (cid:) descargadas que se guardan en memoria
+  INLINE_IMAGE_CACHE_SIZE: 200,
+
+  // Calendario: calendarios visibles por cuenta (localStorage), días de la
+  // agenda y alto en px de una hora en las vistas de día y semana
+  CALENDAR_SELECTION_STORAGE_KEY: "calendarSelection",
+  CALENDAR_AGENDA_DAYS: 30,
+  CALENDAR_HOUR_HEIGHT: 40,
+};
+
+// Atajos de teclado: acción -> teclas. "g i" es una secuencia (g y después i)
+export const SHORTCUTS = {
+  DEFAULT_BINDINGS: {
+    next: ["j"],
+    previous: ["k"],
+    open: ["o", "Enter"],
+    reply: ["r"],
+    replyAll: ["a"],
+    forward: ["f"],
+    archive: ["e"],
+    delete: ["#"],
+    compose: ["c"],
+    search: ["/"],
+    goInbox: ["g i"],
+    help: ["?"],
+  },
+  // Tiempo (ms) para pulsar la segunda tecla de una secuencia
+  SEQUENCE_TIMEOUT: 1000,
+};
+
+// Contenido remoto de los mensajes HTML: píxeles de seguimiento y parámetros
+// de seguimiento que se quitan de enlaces e imágenes
+export const REMOTE_CONTENT = {
+  // Dominios de servicios de seguimiento de aperturas (y sus subdominios)
+  TRACKER_HOSTS: [
+    "mailtrack.io",
+    "mailsuite.com",
+    "getnotify.com",
+    "bananatag.com",
+    "yesware.com",
+    "mixmax.com",
+    "streak.com",
+    "t.sidekickopen.com",
+    "t.hubspotemail.net",
+    "track.hubspot.com",
+    "open.convertkit-mail.com",
+    "pixel.mailerlite.com",
+  ],
+  // Rutas típicas de los píxeles de apertura
+  TRACKER_PATHS: [
+    /\/track\/open/i,
+    /\/open\.php/i,
+    /\/wf\/open/i,
+    /\/e\/o\//i,
+    /\/pixel(\.gif|\.png)?(\/|$|\?)/i,
+  ],
+  // Tamaño máximo (px) de una imagen para considerarla un píxel
+  PIXEL_MAX_SIZE: 1,
+  TRACKING_PARAMS: [
+    "utm_source",
+    "utm_medium",
+    "utm_campaign",
+    "utm_term",
+    "utm_content",
+    "utm_id",
+    "fbclid",
+    "gclid",
+    "dclid",
+    "msclkid",
+    "yclid",
+    "mc_cid",
+    "mc_eid",
+    "_hsenc",
+    "_hsmi",
+    "mkt_tok",
+    "vero_id",
+    "oly_anon_id",
+    "oly_enc_id",
+    "ck_subscriber_id",
+  ],
 };
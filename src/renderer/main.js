@@ -8,6 +8,12 @@ import { EmailRenderer } from './modules/EmailRenderer.js';
 import { SearchManager } from './modules/SearchManager.js';
 import { AccountManager } from './modules/AccountManager.js';
 import { EventHandler } from './modules/EventHandler.js';
+import { AttachmentManager } from './modules/AttachmentManager.js';
+import { LabelManager } from './modules/LabelManager.js';
+import { ShortcutManager } from './modules/ShortcutManager.js';
+import { RemoteContentManager } from './modules/RemoteContentManager.js';
+import { CalendarManager } from './modules/CalendarManager.js';
+import { InvitationManager } from './modules/InvitationManager.js';
 
 /**
  * Clase principal que coordina todos los módulos
@@ -19,9 +25,15 @@ class MailApp {
     this.searchManager = null;
     this.accountManager = null;
     this.eventHandler = null;
+    this.attachmentManager = null;
+    this.labelManager = null;
+    this.shortcutManager = null;
+    this.remoteContentManager = null;
+    this.calendarManager = null;
     this.isInitialized = false;
     this.isConnecting = false;
     this.connectButton = null;
+    this.connectMicrosoftButton = null;
   }
 
   /**
@@ -61,7 +73,13 @@ class MailApp {
     // Botón conectar cuenta
     this.connectButton = document.getElementById('connect-account-button');
     if (this.connectButton) {
-      this.connectButton.addEventListener('click', () => this.handleConnectAccount());
+      this.connectButton.addEventListener('click', () => this.handleConnectAccount('gmail'));
+    }
+
+    // Botón conectar cuenta Microsoft
+    this.connectMicrosoftButton = document.getElementById('connect-microsoft-button');
+    if (this.connectMicrosoftButton) {
+      this.connectMicrosoftButton.addEventListener('click', () => this.handleConnectAccount('microsoft'));
     }
 
     // Botón logout
@@ -180,13 +198,21 @@ class MailApp {
     this.emailRenderer = new EmailRenderer(this.uiManager);
     this.searchManager = new SearchManager(this.uiManager);
     this.accountManager = new AccountManager(this.uiManager);
+    this.attachmentManager = new AttachmentManager(this.uiManager);
+    this.labelManager = new LabelManager(this.uiManager);
+    this.shortcutManager = new ShortcutManager(this.uiManager);
+    this.remoteContentManager = new RemoteContentManager(this.uiManager);
+    this.calendarManager = new CalendarManager(this.uiManager, this.shortcutManager);
+    this.invitationManager = new InvitationManager(this.uiManager);
     
     // Event Handler al final (coordina a todos los demás)
     this.eventHandler = new EventHandler(
       this.uiManager,
       this.emailRenderer,
       this.searchManager,
-      this.accountManager
+      this.accountManager,
+      this.labelManager,
+      this.shortcutManager
     );
   }
 
@@ -212,19 +238,24 @@ class MailApp {
 
   /**
    * Maneja la conexión de cuenta
+   * @param {string} provider - 'gmail' o 'microsoft'
    */
-  async handleConnectAccount() {
+  async handleConnectAccount(provider = 'gmail') {
     if (this.isConnecting) return;
 
     this.isConnecting = true;
 
-    if (this.connectButton) {
-      this.connectButton.disabled = true;
-      this.connectButton.textContent = 'Conectando...';
+    const button = provider === 'microsoft' ? this.connectMicrosoftButton : this.connectButton;
+    const originalText = button ? button.textContent : '';
+    this.setConnectButtonsDisabled(true);
+    if (button) {
+      button.textContent = 'Conectando...';
     }
 
     try {
-      const result = await this.accountManager.connectGmailAccount();
+      const result = provider === 'microsoft' ?
+        await this.accountManager.connectMicrosoftAccount() :
+        await this.accountManager.connectGmailAccount();
       if (result.success) {
         console.log('Account connected successfully, showing main app');
         this.showMainApp();
@@ -235,13 +266,22 @@ class MailApp {
       console.error('Error connecting account:', error);
     } finally {
       this.isConnecting = false;
-      if (this.connectButton) {
-        this.connectButton.disabled = false;
-        this.connectButton.textContent = 'Conectar con Google';
+      this.setConnectButtonsDisabled(false);
+      if (button) {
+        button.textContent = originalText;
       }
     }
   }
 
+  /**
+   * Habilita o deshabilita los botones de conexión
+   */
+  setConnectButtonsDisabled(disabled) {
+    [this.connectButton, this.connectMicrosoftButton].forEach((btn) => {
+      if (btn) btn.disabled = disabled;
+    });
+  }
+
   /**
    * Maneja el clic en un buzón
    */
@@ -296,7 +336,9 @@ class MailApp {
    * Maneja las opciones
    */
   handleOptions() {
-    console.log('Options clicked');
+    if (this.eventHandler) {
+      this.eventHandler.handleOptions();
+    }
   }
 
   /**
@@ -1,9 +1,12 @@
 /**
  * AccountManager - Gestión de cuentas del lado del renderer
- * Maneja conexión, desconexión y estado de cuentas
+ * Maneja conexión, desconexión y estado de cuentas, y el selector de cuentas
+ * con los ajustes de cada una
  */
 
 import { MESSAGES, TIMEOUTS } from '../config/textConstants.js';
+import { SELECTORS, CSS_CLASSES } from '../config/uiConfig.js';
+import { AccountSwitcherComponent } from '../components/ui/AccountSwitcher.js';
 
 export class AccountManager {
   constructor(uiManager) {
@@ -13,13 +16,22 @@ export class AccountManager {
     this.isAuthenticating = false;
     this.authTimeout = null;
     this.AUTH_TIMEOUT_MS = 120000; // 2 minutes timeout for authentication
+    // Selector de cuentas: mensajes sin leer por cuenta y cuenta en edición
+    this.unreadCounts = {};
+    this.editingAccountId = null;
   }
 
   /**
    * Inicializa el gestor de cuentas
    */
   async initialize() {
+    // Cualquier módulo puede pedir que una cuenta vuelva a autorizar la app
+    document.addEventListener('accountReconnectRequested', (event) => {
+      this.reconnectAccount(event.detail.accountId);
+    });
+
     await this.loadExistingAccounts();
+    this.promptReconnect();
   }
 
   /**
@@ -56,6 +68,22 @@ export class AccountManager {
    * Conecta una nueva cuenta de Gmail
    */
   async connectGmailAccount() {
+    return this.connectAccount('Gmail', () => window.electronAPI.addGmailAccount());
+  }
+
+  /**
+   * Conecta una nueva cuenta de Outlook / Microsoft 365
+   */
+  async connectMicrosoftAccount() {
+    return this.connectAccount('Microsoft', () => window.electronAPI.addMicrosoftAccount());
+  }
+
+  /**
+   * Ejecuta el flujo de conexión de un proveedor
+   * @param {string} providerName - Nombre visible del proveedor
+   * @param {Function} addAccount - Llamada IPC que inicia el flujo OAuth
+   */
+  async connectAccount(providerName, addAccount) {
     if (this.isAuthenticating) {
       this.handleConnectionError('Authentication already in progress. Please wait.');
       return { success: false, error: 'Authentication already in progress. Please wait.' };
@@ -65,14 +93,14 @@ export class AccountManager {
 
     try {
       this.uiManager.showNotification(
-        'Iniciando conexión con Gmail...',
+        `Iniciando conexión con ${providerName}...`,
         'info',
         TIMEOUTS.NOTIFICATION_SHORT
       );
 
-      console.log('Calling window.electronAPI.addGmailAccount()...');
-      const response = await window.electronAPI.addGmailAccount();
-      console.log('addGmailAccount response:', response);
+      console.log(`Starting ${providerName} account connection...`);
+      const response = await addAccount();
+      console.log(`${providerName} account response:`, response);
 
       if (response.success && response.account) {
         console.log('Account connection successful, handling connected account');
@@ -84,7 +112,7 @@ export class AccountManager {
         return { success: false, error: response.error };
       }
     } catch (error) {
-      console.error('Error connecting Gmail account:', error);
+      console.error(`Error connecting ${providerName} account:`, error);
       this.handleConnectionError(error.message);
       return { success: false, error: error.message };
     } finally {
@@ -117,6 +145,63 @@ export class AccountManager {
     this.emitAccountConnected(account);
   }
 
+  /**
+   * Avisa de las cuentas autorizadas antes de que la app pidiera los permisos
+   * que usa ahora, con un botón para volver a conectarlas
+   */
+  promptReconnect() {
+    this.accounts
+      .filter((account) => account.needsReconnect)
+      .forEach((account) => {
+        this.uiManager.showNotification(
+          MESSAGES.NOTIFICATIONS.ACCOUNT_RECONNECT_NEEDED(account.email),
+          'warning',
+          0,
+          [{ label: MESSAGES.ACCOUNTS.RECONNECT, onClick: () => this.reconnectAccount(account.id) }]
+        );
+      });
+  }
+
+  /**
+   * Vuelve a autorizar una cuenta de Google para que conceda los permisos nuevos
+   * @param {string} accountId - ID de la cuenta
+   * @returns {Promise<Object>} { success, account, error }
+   */
+  async reconnectAccount(accountId) {
+    if (this.isAuthenticating) {
+      this.handleConnectionError('Authentication already in progress. Please wait.');
+      return { success: false, error: 'Authentication already in progress. Please wait.' };
+    }
+
+    this.isAuthenticating = true;
+
+    try {
+      const response = await window.electronAPI.reconnectGmailAccount(accountId);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.updateAccount(accountId, { needsReconnect: response.account.needsReconnect });
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.ACCOUNT_RECONNECTED,
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+      return { success: true, account: response.account };
+    } catch (error) {
+      console.error('Error reconnecting account:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.ACCOUNT_RECONNECT_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+      return { success: false, error: error.message };
+    } finally {
+      this.isAuthenticating = false;
+    }
+  }
+
   /**
    * Maneja errores de conexión
    */
@@ -190,12 +275,15 @@ export class AccountManager {
     
     // Limpiar estado
     this.currentAccount = null;
+    this.closeSwitcher();
     this.uiManager.clearCurrentAccount();
     this.uiManager.clearMessageList();
     this.uiManager.clearMessageDetail();
 
-    // Resetear UI
-    this.uiManager.showOnboarding();
+    // Resetear UI (si quedan otras cuentas se sigue con la primera)
+    if (this.accounts.length === 0) {
+      this.uiManager.showOnboarding();
+    }
 
     this.uiManager.showNotification(
       MESSAGES.NOTIFICATIONS.LOGOUT_SUCCESS,
@@ -205,6 +293,10 @@ export class AccountManager {
 
     // Emitir evento de cuenta desconectada
     this.emitAccountDisconnected();
+
+    if (this.accounts.length > 0) {
+      await this.setActiveAccount(this.accounts[0]);
+    }
   }
 
   /**
@@ -288,6 +380,254 @@ export class AccountManager {
     }
   }
 
+  /**
+   * Conecta el selector de cuentas al nombre de la cuenta del pie del panel
+   * de buzones. Se cierra con Escape o con un clic fuera
+   * @param {HTMLElement} toggle - Elemento que abre el selector
+   */
+  attachSwitcher(toggle) {
+    if (!toggle) return;
+
+    toggle.addEventListener('click', () => this.toggleSwitcher());
+
+    // composedPath conserva el recorrido aunque el clic vuelva a pintar el selector
+    document.addEventListener('click', (event) => {
+      const container = document.querySelector(SELECTORS.ACCOUNT_SWITCHER);
+      const path = event.composedPath();
+      if (container && !path.includes(container) && !path.includes(toggle)) {
+        this.closeSwitcher();
+      }
+    });
+
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.closeSwitcher();
+    });
+  }
+
+  /**
+   * Abre o cierra el selector de cuentas. Al abrirlo recarga las cuentas y
+   * los mensajes sin leer de cada una
+   */
+  async toggleSwitcher() {
+    const container = document.querySelector(SELECTORS.ACCOUNT_SWITCHER);
+    if (!container) return;
+
+    if (!container.classList.contains(CSS_CLASSES.HIDDEN)) {
+      this.closeSwitcher();
+      return;
+    }
+
+    container.classList.remove(CSS_CLASSES.HIDDEN);
+    this.renderSwitcher();
+
+    await Promise.all([this.refreshAccounts(), this.loadUnreadCounts()]);
+
+    // No se vuelve a pintar encima del formulario de ajustes
+    if (!this.editingAccountId) {
+      this.renderSwitcher();
+    }
+  }
+
+  /**
+   * Cierra el selector de cuentas
+   */
+  closeSwitcher() {
+    const container = document.querySelector(SELECTORS.ACCOUNT_SWITCHER);
+    this.editingAccountId = null;
+    if (!container) return;
+
+    container.classList.add(CSS_CLASSES.HIDDEN);
+    container.innerHTML = '';
+  }
+
+  /**
+   * Pinta la lista de cuentas o el formulario de la cuenta en edición
+   */
+  renderSwitcher() {
+    const container = document.querySelector(SELECTORS.ACCOUNT_SWITCHER);
+    if (!container || container.classList.contains(CSS_CLASSES.HIDDEN)) return;
+
+    container.innerHTML = '';
+    const editing = this.editingAccountId ? this.findAccountById(this.editingAccountId) : null;
+
+    if (editing) {
+      container.appendChild(AccountSwitcherComponent.createSettingsForm(editing, {
+        onSave: (settings) => this.saveAccountSettings(editing.id, settings),
+        onCancel: () => {
+          this.editingAccountId = null;
+          this.renderSwitcher();
+        }
+      }));
+      return;
+    }
+
+    container.appendChild(AccountSwitcherComponent.create({
+      accounts: this.accounts,
+      currentAccountId: this.getCurrentAccountId(),
+      unreadCounts: this.unreadCounts,
+      onSelect: (account) => this.switchAccount(account),
+      onEdit: (account) => {
+        this.editingAccountId = account.id;
+        this.renderSwitcher();
+      }
+    }));
+  }
+
+  /**
+   * Recarga las cuentas (el color asignado o la cuenta predeterminada pueden
+   * haber cambiado) manteniendo la cuenta activa
+   */
+  async refreshAccounts() {
+    try {
+      const response = await window.electronAPI.listAccounts();
+
+      if (!response?.success) {
+        throw new Error(response?.error);
+      }
+
+      this.accounts = response.data;
+
+      const current = this.currentAccount && this.findAccountById(this.currentAccount.id);
+      if (current) {
+        this.currentAccount = current;
+        this.uiManager.updateCurrentAccount(current);
+      }
+    } catch (error) {
+      console.error('Error refreshing accounts:', error);
+    }
+  }
+
+  /**
+   * Carga los mensajes sin leer de cada cuenta para el selector
+   */
+  async loadUnreadCounts() {
+    try {
+      const response = await window.electronAPI.fetchAccountUnreadCounts();
+
+      if (response.success) {
+        this.unreadCounts = response.data;
+      }
+    } catch (error) {
+      console.error('Error loading unread counts:', error);
+    }
+  }
+
+  /**
+   * Activa otra cuenta desde el selector
+   */
+  async switchAccount(account) {
+    this.closeSwitcher();
+    if (!account || account.id === this.getCurrentAccountId()) return;
+
+    await this.setActiveAccount(account);
+    this.uiManager.showNotification(
+      MESSAGES.NOTIFICATIONS.ACCOUNT_SWITCHED(account.alias || account.email),
+      'info',
+      TIMEOUTS.NOTIFICATION_SHORT
+    );
+  }
+
+  /**
+   * Guarda alias, color, firma y cuenta predeterminada de una cuenta
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} settings - { alias, color, signature, isDefault }
+   */
+  async saveAccountSettings(accountId, settings) {
+    try {
+      const response = await window.electronAPI.updateAccountSettings(accountId, settings);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      // Marcar una cuenta como predeterminada desmarca las demás
+      await this.refreshAccounts();
+      this.emitAccountUpdated(this.findAccountById(accountId) || response.account);
+
+      this.editingAccountId = null;
+      this.renderSwitcher();
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.ACCOUNT_SETTINGS_SAVED,
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+    } catch (error) {
+      console.error('Error saving account settings:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.ACCOUNT_SETTINGS_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Carga las direcciones de envío de cada cuenta con sus firmas
+   * @returns {Promise<Array<Object>>} [{ account, identities }]
+   */
+  async loadIdentities() {
+    let failed = false;
+
+    const results = await Promise.all(this.accounts.map(async(account) => {
+      try {
+        const response = await window.electronAPI.fetchIdentities(account.id);
+
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+
+        return { account, identities: response.data };
+      } catch (error) {
+        console.error('Error loading identities:', error);
+        failed = true;
+        return { account, identities: [] };
+      }
+    }));
+
+    if (failed) {
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.SIGNATURES_LOAD_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+
+    return results.filter((result) => result.identities.length > 0);
+  }
+
+  /**
+   * Guarda las firmas de las direcciones de envío de una cuenta
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} signatures - Dirección -> { text, html }
+   * @returns {Promise<boolean>} Si se han guardado
+   */
+  async saveSignatures(accountId, signatures) {
+    try {
+      const response = await window.electronAPI.updateAccountSettings(accountId, { signatures });
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      // La firma en texto de la dirección principal es la del selector de cuentas
+      await this.refreshAccounts();
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.SIGNATURES_SAVED,
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving signatures:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.SIGNATURES_SAVE_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+      return false;
+    }
+  }
+
   /**
    * Emite evento de cuenta conectada
    */
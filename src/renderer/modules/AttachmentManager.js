@@ -0,0 +1,197 @@
+/**
+ * AttachmentManager - Gestión de adjuntos del mensaje abierto
+ * Renderiza la franja de adjuntos, la vista previa y el guardado a disco
+ */
+
+import { AttachmentStripComponent } from '../components/ui/AttachmentStrip.js';
+import { AttachmentPreviewComponent } from '../components/ui/AttachmentPreview.js';
+import { SELECTORS } from '../config/uiConfig.js';
+import { MESSAGES, TIMEOUTS, LIMITS } from '../config/textConstants.js';
+
+export class AttachmentManager {
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.currentMessage = null;
+    this.setupEventListeners();
+  }
+
+  /**
+   * Escucha los cambios del mensaje mostrado
+   */
+  setupEventListeners() {
+    document.addEventListener('messageDisplayed', (event) => {
+      this.render(event.detail.message);
+    });
+  }
+
+  /**
+   * Renderiza la franja de adjuntos del mensaje
+   * @param {Object|null} message - Mensaje mostrado (null al limpiar)
+   */
+  render(message) {
+    const container = document.querySelector(SELECTORS.MESSAGE_ATTACHMENTS);
+    if (!container) return;
+
+    this.currentMessage = message;
+    AttachmentPreviewComponent.close();
+    container.innerHTML = '';
+
+    const strip = AttachmentStripComponent.create({
+      attachments: message?.attachments || [],
+      onPreview: (attachment) => this.preview(attachment),
+      onSave: (attachment) => this.save(attachment),
+      onSaveAll: (attachments) => this.saveAll(attachments)
+    });
+
+    if (strip) {
+      container.appendChild(strip);
+      container.classList.remove('hidden');
+    } else {
+      container.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Muestra la vista previa de un adjunto
+   * @param {Object} attachment - Adjunto a previsualizar
+   */
+  async preview(attachment) {
+    if (attachment.size > LIMITS.ATTACHMENT_PREVIEW_MAX) {
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.ATTACHMENT_TOO_LARGE,
+        'warning',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+      return;
+    }
+
+    const message = this.currentMessage;
+    const accountId = this.uiManager.getCurrentEmailAccountId();
+    if (!message || !accountId) return;
+
+    try {
+      this.uiManager.showNotification(MESSAGES.ATTACHMENTS.LOADING, 'info', TIMEOUTS.NOTIFICATION_SHORT);
+
+      const response = await window.electronAPI.fetchAttachment(
+        accountId,
+        message.id,
+        attachment.attachmentId
+      );
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      // El usuario pudo cambiar de mensaje mientras se descargaba
+      if (this.currentMessage !== message) return;
+
+      await AttachmentPreviewComponent.open({
+        attachment,
+        blob: this.toBlob(response.data.data, attachment.mimeType),
+        onSave: (att) => this.save(att)
+      });
+    } catch (error) {
+      console.error('Error previewing attachment:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.ATTACHMENT_LOAD_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Guarda un adjunto con el diálogo "Guardar como…"
+   * @param {Object} attachment - Adjunto a guardar
+   */
+  async save(attachment) {
+    const message = this.currentMessage;
+    const accountId = this.uiManager.getCurrentEmailAccountId();
+    if (!message || !accountId) return;
+
+    try {
+      const response = await window.electronAPI.saveAttachment(accountId, message.id, {
+        attachmentId: attachment.attachmentId,
+        filename: attachment.filename
+      });
+
+      if (response.canceled) return;
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.ATTACHMENT_SAVED,
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+    } catch (error) {
+      console.error('Error saving attachment:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.ATTACHMENT_SAVE_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Guarda todos los adjuntos en una carpeta elegida
+   * @param {Array} attachments - Adjuntos del mensaje
+   */
+  async saveAll(attachments) {
+    const message = this.currentMessage;
+    const accountId = this.uiManager.getCurrentEmailAccountId();
+    if (!message || !accountId) return;
+
+    try {
+      const response = await window.electronAPI.saveAllAttachments(
+        accountId,
+        message.id,
+        attachments.map(({ attachmentId, filename }) => ({ attachmentId, filename }))
+      );
+
+      if (response.canceled) return;
+
+      if (response.error) {
+        throw new Error(response.error);
+      }
+
+      if (response.failed.length > 0) {
+        console.warn('Some attachments could not be saved:', response.failed);
+        this.uiManager.showNotification(
+          MESSAGES.NOTIFICATIONS.ATTACHMENTS_PARTIAL(response.saved.length, response.failed.length),
+          'warning',
+          TIMEOUTS.NOTIFICATION_LONG
+        );
+        return;
+      }
+
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.ATTACHMENTS_SAVED(response.saved.length),
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+    } catch (error) {
+      console.error('Error saving attachments:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.ATTACHMENT_SAVE_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Convierte base64 en Blob
+   * @private
+   */
+  toBlob(base64, mimeType) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType || 'application/octet-stream' });
+  }
+}
@@ -0,0 +1,620 @@
+/**
+ * CalendarManager - Calendario de la cuenta (Google Calendar)
+ * Abre el panel del calendario, carga los calendarios de la cuenta y los
+ * eventos del periodo visible de los calendarios seleccionados, y crea,
+ * edita y elimina eventos con el diálogo de evento
+ */
+
+import { CalendarScreen } from '../components/screens/CalendarScreen.js';
+import { EventDialogComponent } from '../components/ui/EventDialog.js';
+import { SELECTORS, UI_CONSTANTS } from '../config/uiConfig.js';
+import { MESSAGES, TIMEOUTS, LIMITS } from '../config/textConstants.js';
+
+// Permisos de calendario que permiten crear y cambiar eventos
+const WRITABLE_ROLES = ['owner', 'writer'];
+
+export class CalendarManager {
+  constructor(uiManager, shortcutManager) {
+    this.uiManager = uiManager;
+    this.shortcutManager = shortcutManager;
+    this.account = null;
+    // Mensaje abierto, para crear eventos a partir de él
+    this.message = null;
+    this.state = {
+      view: 'agenda',
+      date: new Date(),
+      calendars: [],
+      selected: [],
+      events: [],
+      loading: false,
+      query: ''
+    };
+    // Cada carga tiene un número: solo se pinta la última
+    this.loadId = 0;
+    this.setupEventListeners();
+  }
+
+  /**
+   * Escucha el botón del calendario y los cambios de cuenta
+   */
+  setupEventListeners() {
+    const calendarButton = document.querySelector(SELECTORS.CALENDAR_BUTTON);
+    if (calendarButton) {
+      calendarButton.addEventListener('click', () => this.open());
+    }
+
+    // Sin mensaje abierto el aviso lo da EventHandler, como en el resto de
+    // acciones del mensaje
+    const createEventButton = document.querySelector(SELECTORS.CREATE_EVENT_BUTTON);
+    if (createEventButton) {
+      createEventButton.addEventListener('click', () => this.createFromMessage());
+    }
+
+    document.addEventListener('messageDisplayed', (event) => {
+      this.message = event.detail.message;
+    });
+
+    const setAccount = (account) => {
+      this.account = account || null;
+      this.state.calendars = [];
+      this.state.selected = [];
+      CalendarScreen.close();
+    };
+
+    document.addEventListener('accountConnected', (event) => setAccount(event.detail.account));
+    document.addEventListener('accountChanged', (event) => setAccount(event.detail.account));
+    document.addEventListener('accountDisconnected', () => setAccount(null));
+  }
+
+  /**
+   * Cuenta del calendario (la activa)
+   */
+  getAccountId() {
+    return this.account?.id || this.uiManager.getCurrentAccountId();
+  }
+
+  /**
+   * Indica si la cuenta activa tiene calendario (solo las de Google, aunque
+   * se hayan guardado como outlook o yahoo por el dominio de su dirección)
+   */
+  isSupported() {
+    return !this.account || !['microsoft', 'imap'].includes(this.account.provider);
+  }
+
+  /**
+   * Abre el panel del calendario en el periodo actual
+   */
+  async open() {
+    const accountId = this.getAccountId();
+    if (!accountId) return;
+
+    if (!this.isSupported()) {
+      this.uiManager.showNotification(MESSAGES.NOTIFICATIONS.CALENDAR_NOT_SUPPORTED, 'warning', TIMEOUTS.NOTIFICATION_LONG);
+      return;
+    }
+
+    this.shortcutManager.setSuspended(true);
+
+    CalendarScreen.open({
+      onNavigate: (direction) => this.navigate(direction),
+      onViewChange: (view, date) => this.changeView(view, date),
+      onToggleCalendar: (calendarId, visible) => this.toggleCalendar(calendarId, visible),
+      onSearch: (query) => this.search(query),
+      onCreate: (start) => this.openNewEvent(this.createDraft(start || this.getSuggestedStart())),
+      onEventClick: (event) => this.openEvent(event),
+      onClose: () => {
+        EventDialogComponent.close();
+        this.shortcutManager.setSuspended(false);
+      }
+    });
+
+    this.state.query = '';
+    this.state.events = [];
+    this.state.loading = true;
+    this.render();
+
+    if (this.state.calendars.length === 0) {
+      await this.loadCalendars(accountId);
+    }
+    await this.loadEvents();
+  }
+
+  render() {
+    CalendarScreen.render(this.state);
+  }
+
+  /**
+   * Carga los calendarios de la cuenta y los que se muestran
+   * @param {string} accountId - ID de la cuenta
+   */
+  async loadCalendars(accountId) {
+    try {
+      const response = await window.electronAPI.getCalendars(accountId);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.state.calendars = response.data.filter((calendar) => !calendar.deleted);
+
+      // Los elegidos en el panel; la primera vez, los que Google marca como
+      // visibles o el principal
+      const ids = this.state.calendars.map((calendar) => calendar.id);
+      const stored = this.getStoredSelection()[accountId];
+      this.state.selected = Array.isArray(stored)
+        ? stored.filter((id) => ids.includes(id))
+        : this.state.calendars.filter((calendar) => calendar.selected || calendar.primary).map((calendar) => calendar.id);
+    } catch (error) {
+      console.error('Error loading calendars:', error);
+      this.state.calendars = [];
+      this.state.selected = [];
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.CALENDARS_LOAD_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Periodo visible: la agenda empieza en la fecha, el día y la semana
+   * (de lunes a domingo) completos
+   * @returns {Object} { timeMin, timeMax }
+   */
+  getRange() {
+    const dates = window.calendarDates;
+    const { view, date } = this.state;
+
+    const timeMin = view === 'week' ? dates.startOfWeek(date) : dates.startOfDay(date);
+    const days = { day: 1, week: 7 }[view] || UI_CONSTANTS.CALENDAR_AGENDA_DAYS;
+    return { timeMin, timeMax: dates.addDays(timeMin, days) };
+  }
+
+  /**
+   * Carga los eventos del periodo visible
+   */
+  async loadEvents() {
+    const accountId = this.getAccountId();
+    const { timeMin, timeMax } = this.getRange();
+    const range = { timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString() };
+
+    await this.fetchEvents(
+      (calendarId) => window.electronAPI.fetchCalendarEvents(accountId, calendarId, range),
+      MESSAGES.NOTIFICATIONS.CALENDAR_EVENTS_LOAD_ERROR
+    );
+  }
+
+  /**
+   * Pide los eventos a cada calendario seleccionado y los junta, con el
+   * calendario y su color
+   * @param {Function} request - (calendarId) => Promise con la respuesta del proceso principal
+   * @param {string} errorMessage - Aviso si falla algún calendario
+   */
+  async fetchEvents(request, errorMessage) {
+    const loadId = ++this.loadId;
+    this.state.loading = true;
+    this.render();
+
+    const results = await Promise.all(this.state.selected.map(async(calendarId) => {
+      try {
+        const response = await request(calendarId);
+
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+
+        const calendar = this.getCalendar(calendarId);
+        return response.data.map((event) => ({ ...event, calendarId, color: calendar?.backgroundColor || '' }));
+      } catch (error) {
+        console.error('Error loading calendar events:', calendarId, error);
+        return null;
+      }
+    }));
+
+    // Otra carga empezó mientras tanto (cambio de periodo o de vista)
+    if (loadId !== this.loadId) return;
+
+    if (results.includes(null)) {
+      this.uiManager.showNotification(errorMessage, 'error', TIMEOUTS.NOTIFICATION_LONG);
+    }
+
+    const dates = window.calendarDates;
+    this.state.events = results
+      .filter(Boolean)
+      .flat()
+      .sort((a, b) => dates.getRange(a).start - dates.getRange(b).start);
+    this.state.loading = false;
+    this.render();
+  }
+
+  /**
+   * Periodo anterior (-1), hoy (0) o siguiente (1)
+   */
+  navigate(direction) {
+    const dates = window.calendarDates;
+    const days = { day: 1, week: 7 }[this.state.view] || UI_CONSTANTS.CALENDAR_AGENDA_DAYS;
+
+    this.state.date = direction === 0 ? new Date() : dates.addDays(this.state.date, direction * days);
+    this.state.query = '';
+    this.loadEvents();
+  }
+
+  /**
+   * Cambia de vista, opcionalmente a otra fecha
+   * @param {string} view - agenda, day o week
+   * @param {Date} date - Fecha a mostrar
+   */
+  changeView(view, date = null) {
+    this.state.view = view;
+    if (date) this.state.date = date;
+    this.state.query = '';
+    this.loadEvents();
+  }
+
+  /**
+   * Muestra u oculta un calendario y guarda la selección de la cuenta
+   */
+  toggleCalendar(calendarId, visible) {
+    const selected = this.state.selected.filter((id) => id !== calendarId);
+    this.state.selected = visible ? [...selected, calendarId] : selected;
+
+    const selection = this.getStoredSelection();
+    selection[this.getAccountId()] = this.state.selected;
+    localStorage.setItem(UI_CONSTANTS.CALENDAR_SELECTION_STORAGE_KEY, JSON.stringify(selection));
+
+    if (this.state.query) {
+      this.search(this.state.query);
+    } else {
+      this.loadEvents();
+    }
+  }
+
+  /**
+   * Calendarios visibles guardados por cuenta
+   * @returns {Object} ID de cuenta -> IDs de calendario
+   */
+  getStoredSelection() {
+    try {
+      return JSON.parse(localStorage.getItem(UI_CONSTANTS.CALENDAR_SELECTION_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Busca eventos en los calendarios seleccionados; sin texto vuelve a la vista
+   * @param {string} query - Texto a buscar
+   */
+  async search(query) {
+    if (!query) {
+      this.state.query = '';
+      await this.loadEvents();
+      return;
+    }
+
+    if (query.length < LIMITS.SEARCH_QUERY_MIN || query.length > LIMITS.SEARCH_QUERY_MAX) return;
+
+    const accountId = this.getAccountId();
+    this.state.query = query;
+    await this.fetchEvents(
+      (calendarId) => window.electronAPI.searchCalendarEvents(accountId, calendarId, query),
+      MESSAGES.NOTIFICATIONS.CALENDAR_EVENTS_LOAD_ERROR
+    );
+  }
+
+  getCalendar(calendarId) {
+    return this.state.calendars.find((calendar) => calendar.id === calendarId) || null;
+  }
+
+  /**
+   * Calendarios en los que se pueden crear eventos
+   */
+  getWritableCalendars() {
+    return this.state.calendars.filter((calendar) => WRITABLE_ROLES.includes(calendar.accessRole));
+  }
+
+  /**
+   * Calendario para un evento nuevo: el principal si se puede escribir en él
+   * y se muestra; si no, el primero visible con escritura
+   */
+  getDefaultCalendarId() {
+    const writable = this.getWritableCalendars();
+    const visible = writable.filter((calendar) => this.state.selected.includes(calendar.id));
+    const candidates = visible.length > 0 ? visible : writable;
+    return (candidates.find((calendar) => calendar.primary) || candidates[0])?.id || '';
+  }
+
+  /**
+   * Inicio de un evento nuevo sin hora elegida: la próxima hora en punto si
+   * se está viendo hoy y las 9:00 de otro día
+   */
+  getSuggestedStart() {
+    const dates = window.calendarDates;
+    const now = new Date();
+
+    if (!dates.isSameDay(this.state.date, now)) {
+      const day = dates.startOfDay(this.state.date);
+      day.setHours(9);
+      return day;
+    }
+
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours() + 1);
+  }
+
+  /**
+   * Campos de un evento nuevo que empieza a una hora
+   * @param {Date} start - Inicio
+   * @returns {Object} Borrador para el diálogo
+   */
+  createDraft(start) {
+    return {
+      start: { dateTime: start.toISOString() },
+      end: { dateTime: new Date(start.getTime() + 60 * 60000).toISOString() }
+    };
+  }
+
+  /**
+   * Abre el diálogo de un evento nuevo
+   * @param {Object} draft - Campos iniciales (mismo formato que un evento)
+   * @param {Function} onClose - Se llama al cerrar el diálogo
+   */
+  openNewEvent(draft = {}, onClose = null) {
+    EventDialogComponent.open({
+      draft,
+      calendars: this.getWritableCalendars(),
+      calendarId: this.getDefaultCalendarId(),
+      onSave: (calendarId, eventData) => this.saveEvent(calendarId, eventData),
+      onClose
+    });
+  }
+
+  /**
+   * Abre el diálogo de un evento nuevo con los datos del mensaje abierto
+   */
+  async createFromMessage() {
+    const message = this.message;
+    const accountId = this.getAccountId();
+    if (!message || !accountId) return;
+
+    if (!this.isSupported()) {
+      this.uiManager.showNotification(MESSAGES.NOTIFICATIONS.CALENDAR_NOT_SUPPORTED, 'warning', TIMEOUTS.NOTIFICATION_LONG);
+      return;
+    }
+
+    if (this.state.calendars.length === 0) {
+      await this.loadCalendars(accountId);
+      if (this.state.calendars.length === 0) return;
+    }
+
+    if (this.getWritableCalendars().length === 0) {
+      this.uiManager.showNotification(MESSAGES.NOTIFICATIONS.CALENDAR_NOT_WRITABLE, 'warning', TIMEOUTS.NOTIFICATION_LONG);
+      return;
+    }
+
+    // Los atajos del correo no deben actuar mientras se rellena el evento
+    this.shortcutManager.setSuspended(true);
+    this.openNewEvent(this.createDraftFromMessage(message), () => {
+      this.shortcutManager.setSuspended(CalendarScreen.isOpen());
+    });
+  }
+
+  /**
+   * Borrador de un evento a partir de un mensaje: el asunto como título, la
+   * fecha y hora que se mencionan en el texto, el remitente y los
+   * destinatarios como invitados y un enlace al correo en la descripción
+   * @param {Object} message - Mensaje
+   * @returns {Object} Borrador para el diálogo
+   */
+  createDraftFromMessage(message) {
+    const dates = window.calendarDates;
+    const subject = (message.subject || '').replace(/^\s*((re|fwd?|rv|reenviado)\s*:\s*)+/i, '');
+
+    // "Mañana" o "el jueves" se cuentan desde el día en que se envió
+    const sent = new Date(message.date);
+    const detected = window.eventDetector.detect(
+      `${subject}\n${this.getMessageText(message)}`,
+      isNaN(sent.getTime()) ? new Date() : sent
+    );
+
+    let draft;
+    if (detected?.allDay) {
+      draft = {
+        allDay: true,
+        start: { dateTime: dates.toDateValue(detected.start) },
+        end: { dateTime: dates.toDateValue(dates.addDays(detected.start, 1)) }
+      };
+    } else {
+      draft = this.createDraft(detected?.start || this.getSuggestedStart());
+      if (detected?.end) {
+        draft.end = { dateTime: detected.end.toISOString() };
+      }
+    }
+
+    const link = this.getMessageLink(message);
+    const reference = MESSAGES.CALENDAR.FROM_MESSAGE(
+      message.subject || MESSAGES.NO_SUBJECT,
+      message.from || '',
+      isNaN(sent.getTime()) ? message.date || '' : sent.toLocaleString()
+    );
+
+    return {
+      ...draft,
+      summary: subject.trim().slice(0, LIMITS.EVENT_SUMMARY_MAX),
+      description: (link ? `${reference}\n${MESSAGES.CALENDAR.OPEN_MESSAGE}: ${link}` : reference)
+        .slice(0, LIMITS.EVENT_DESCRIPTION_MAX),
+      attendees: this.getMessageAttendees(message)
+    };
+  }
+
+  /**
+   * Texto del mensaje en el que se buscan la fecha y la hora
+   */
+  getMessageText(message) {
+    if (message.body && message.body !== message.htmlBody) {
+      return message.body;
+    }
+
+    // El HTML se lee en un documento aparte que no ejecuta ni carga nada
+    if (message.htmlBody) {
+      const doc = new DOMParser().parseFromString(message.htmlBody, 'text/html');
+      return doc.body?.innerText || doc.body?.textContent || '';
+    }
+
+    return '';
+  }
+
+  /**
+   * Remitente y destinatarios del mensaje, sin la cuenta propia
+   */
+  getMessageAttendees(message) {
+    const own = (this.account?.email || '').toLowerCase();
+    const addresses = [message.from, message.to, message.cc]
+      .join(',')
+      .match(/[^\s<>,;"']+@[^\s<>,;"']+/g) || [];
+
+    return [...new Set(addresses.map((address) => address.toLowerCase()))]
+      .filter((address) => address !== own)
+      .map((email) => ({ email }));
+  }
+
+  /**
+   * Enlace al mensaje: en Gmail, la conversación en la web; en el resto, una
+   * URL mid: con su Message-ID (RFC 2392) que abren los clientes de correo
+   */
+  getMessageLink(message) {
+    const accountId = this.uiManager.getCurrentEmailAccountId();
+    const sameAccount = !accountId || accountId === this.account?.id;
+
+    if (sameAccount && this.account?.email && this.isSupported()) {
+      return `https://mail.google.com/mail/u/${encodeURIComponent(this.account.email)}/#all/${message.threadId || message.id}`;
+    }
+
+    const messageId = (message.messageId || '').replace(/^<|>$/g, '');
+    return messageId ? `mid:${encodeURIComponent(messageId)}` : '';
+  }
+
+  /**
+   * Abre un evento: editable si su calendario lo permite
+   * @param {Object} event - Evento ({ ...evento, calendarId })
+   */
+  openEvent(event) {
+    const readOnly = !WRITABLE_ROLES.includes(this.getCalendar(event.calendarId)?.accessRole);
+
+    EventDialogComponent.open({
+      event,
+      calendars: readOnly ? this.state.calendars : this.getWritableCalendars(),
+      calendarId: event.calendarId,
+      readOnly,
+      onSave: (calendarId, eventData) => this.saveEvent(calendarId, eventData, event.id),
+      onDelete: () => this.deleteEvent(event)
+    });
+  }
+
+  /**
+   * Crea o actualiza un evento y recarga el periodo visible
+   * @param {string} calendarId - Calendario del evento
+   * @param {Object} eventData - Datos del diálogo
+   * @param {string|null} eventId - Evento a actualizar (null para crear)
+   * @returns {Promise<boolean>} true si se guardó
+   */
+  async saveEvent(calendarId, eventData, eventId = null) {
+    const accountId = this.getAccountId();
+
+    try {
+      const response = eventId
+        ? await window.electronAPI.updateCalendarEvent(accountId, calendarId, eventId, eventData)
+        : await window.electronAPI.createCalendarEvent(accountId, calendarId, eventData);
+
+      if (response.errorType === UI_CONSTANTS.PERMISSIONS_ERROR_TYPE) {
+        this.showPermissionError(accountId);
+        return false;
+      }
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.uiManager.showNotification(
+        eventId ? MESSAGES.NOTIFICATIONS.CALENDAR_EVENT_UPDATED : MESSAGES.NOTIFICATIONS.CALENDAR_EVENT_CREATED,
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+      this.reload();
+      return true;
+    } catch (error) {
+      console.error('Error saving calendar event:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.CALENDAR_EVENT_SAVE_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Elimina un evento tras confirmarlo
+   * @param {Object} event - Evento ({ ...evento, calendarId })
+   * @returns {Promise<boolean>} true si se eliminó
+   */
+  async deleteEvent(event) {
+    if (!confirm(MESSAGES.CALENDAR.DELETE_CONFIRM(event.summary || MESSAGES.CALENDAR.NO_TITLE))) {
+      return false;
+    }
+
+    try {
+      const response = await window.electronAPI.deleteCalendarEvent(this.getAccountId(), event.calendarId, event.id);
+
+      if (response.errorType === UI_CONSTANTS.PERMISSIONS_ERROR_TYPE) {
+        this.showPermissionError(this.getAccountId());
+        return false;
+      }
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.uiManager.showNotification(MESSAGES.NOTIFICATIONS.CALENDAR_EVENT_DELETED, 'success', TIMEOUTS.NOTIFICATION_DEFAULT);
+      this.reload();
+      return true;
+    } catch (error) {
+      console.error('Error deleting calendar event:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.CALENDAR_EVENT_DELETE_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Avisa de que la cuenta no concedió el permiso para modificar el
+   * calendario, con un botón para volver a conectarla
+   * @param {string} accountId - ID de la cuenta
+   */
+  showPermissionError(accountId) {
+    this.uiManager.showNotification(
+      MESSAGES.NOTIFICATIONS.CALENDAR_PERMISSION_NEEDED,
+      'warning',
+      0,
+      [{
+        label: MESSAGES.ACCOUNTS.RECONNECT,
+        onClick: () => document.dispatchEvent(new CustomEvent('accountReconnectRequested', {
+          detail: { accountId }
+        }))
+      }]
+    );
+  }
+
+  /**
+   * Vuelve a cargar lo que muestra el panel, si está abierto
+   */
+  reload() {
+    if (!CalendarScreen.isOpen()) return;
+
+    if (this.state.query) {
+      this.search(this.state.query);
+    } else {
+      this.loadEvents();
+    }
+  }
+}
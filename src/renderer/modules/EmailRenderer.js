@@ -4,11 +4,15 @@
  */
 
 import { CSS_CLASSES } from '../config/uiConfig.js';
-import { MESSAGES, LIMITS } from '../config/textConstants.js';
+import { MESSAGES, LIMITS, TIMEOUTS } from '../config/textConstants.js';
+import { MessageItemComponent } from '../components/ui/MessageItem.js';
+import { MessageListPanel } from '../components/screens/MessageListPanel.js';
 
 export class EmailRenderer {
   constructor(uiManager) {
     this.uiManager = uiManager;
+    // Fila abierta cuando se movió el cursor del teclado por última vez
+    this.cursorOrigin = null;
   }
 
   /**
@@ -55,6 +59,453 @@ export class EmailRenderer {
     }
   }
 
+  /**
+   * Añade la página siguiente de mensajes al final de la lista (scroll infinito)
+   * sin volver a seleccionar el primer mensaje
+   */
+  appendMessages(messages) {
+    const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
+    if (!messageList || !Array.isArray(messages)) return;
+
+    const offset = messageList.querySelectorAll(`.${CSS_CLASSES.MESSAGE_ITEM}`).length;
+    const fragment = document.createDocumentFragment();
+
+    messages.forEach((message, index) => {
+      try {
+        const messageElement = this.createMessageElement(message, offset + index);
+        if (messageElement) {
+          messageElement.addEventListener('click', async (event) => {
+            await this.handleMessageClick(event);
+          });
+          fragment.appendChild(messageElement);
+        }
+      } catch (error) {
+        console.error(`Error rendering message at index ${offset + index}:`, error, message);
+      }
+    });
+
+    messageList.appendChild(fragment);
+  }
+
+  /**
+   * Renderiza una lista de conversaciones (una fila por hilo)
+   */
+  renderThreads(threads) {
+    if (!threads || !Array.isArray(threads)) {
+      console.error('Invalid threads data provided to renderThreads');
+      return;
+    }
+
+    this.uiManager.clearMessageList();
+
+    if (threads.length === 0) {
+      this.uiManager.showEmptyMessage();
+      this.uiManager.clearMessageDetail();
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+
+    threads.forEach((thread, index) => {
+      try {
+        fragment.appendChild(this.createThreadElement(thread));
+      } catch (error) {
+        console.error(`Error rendering thread at index ${index}:`, error, thread);
+      }
+    });
+
+    const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
+    if (!messageList) {
+      console.error('message-list element not found for rendering');
+      return;
+    }
+    messageList.appendChild(fragment);
+
+    // Seleccionar la primera conversación por defecto
+    const firstThreadElement = messageList.querySelector(`.${CSS_CLASSES.MESSAGE_ITEM}`);
+    if (firstThreadElement) {
+      firstThreadElement.classList.add(CSS_CLASSES.SELECTED);
+      this.loadThread(threads[0]);
+    }
+  }
+
+  /**
+   * Añade la página siguiente de conversaciones al final de la lista
+   */
+  appendThreads(threads) {
+    const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
+    if (!messageList || !Array.isArray(threads)) return;
+
+    const fragment = document.createDocumentFragment();
+
+    threads.forEach((thread, index) => {
+      try {
+        fragment.appendChild(this.createThreadElement(thread));
+      } catch (error) {
+        console.error(`Error rendering thread at index ${index}:`, error, thread);
+      }
+    });
+
+    messageList.appendChild(fragment);
+  }
+
+  /**
+   * Crea la fila de una conversación con participantes y número de mensajes
+   */
+  createThreadElement(thread) {
+    const threadItem = MessageItemComponent.create({
+      ...thread,
+      onClick: (event) => this.handleThreadClick(event, thread)
+    });
+
+    threadItem.classList.add(
+      CSS_CLASSES.PADDING.P3,
+      CSS_CLASSES.BORDERS.BORDER_B,
+      CSS_CLASSES.BORDERS.BORDER_GRAY_200,
+      CSS_CLASSES.INTERACTION.HOVER_BG_GRAY_50,
+      CSS_CLASSES.INTERACTION.CURSOR_POINTER
+    );
+
+    return threadItem;
+  }
+
+  /**
+   * Maneja el clic en una conversación
+   */
+  async handleThreadClick(event, thread) {
+    const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
+    if (!messageList) return;
+
+    messageList
+      .querySelectorAll(`.${CSS_CLASSES.SELECTED}`)
+      .forEach(item => item.classList.remove(CSS_CLASSES.SELECTED));
+
+    event.currentTarget.classList.add(CSS_CLASSES.SELECTED);
+
+    await this.loadThread(thread);
+  }
+
+  /**
+   * Carga y muestra la conversación completa
+   */
+  async loadThread(thread) {
+    const currentAccountId = this.uiManager.getCurrentAccountId();
+    if (!currentAccountId || !thread?.id) return;
+
+    try {
+      const response = await window.electronAPI.fetchThreadDetails(
+        currentAccountId,
+        thread.id,
+        thread.messageIds
+      );
+
+      if (response.success) {
+        this.uiManager.displayThread(response.data);
+      } else {
+        console.error('Error loading thread details:', response.error);
+        this.uiManager.showNotification(
+          MESSAGES.NOTIFICATIONS.THREAD_LOAD_ERROR,
+          'error',
+          TIMEOUTS.NOTIFICATION_DEFAULT
+        );
+      }
+    } catch (error) {
+      console.error('Error loading thread:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.THREAD_LOAD_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+    }
+  }
+
+  /**
+   * Renderiza la lista de borradores; al hacer clic se reabren en la
+   * ventana de redacción
+   */
+  renderDrafts(drafts) {
+    if (!drafts || !Array.isArray(drafts)) {
+      console.error('Invalid drafts data provided to renderDrafts');
+      return;
+    }
+
+    this.uiManager.clearMessageList();
+    this.uiManager.clearMessageDetail();
+
+    if (drafts.length === 0) {
+      this.uiManager.showEmptyMessage();
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+
+    drafts.forEach((draft, index) => {
+      try {
+        fragment.appendChild(this.createDraftElement(draft));
+      } catch (error) {
+        console.error(`Error rendering draft at index ${index}:`, error, draft);
+      }
+    });
+
+    const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
+    if (messageList) {
+      messageList.appendChild(fragment);
+    } else {
+      console.error('message-list element not found for rendering');
+    }
+  }
+
+  /**
+   * Crea la fila de un borrador (destinatarios en lugar de remitente)
+   */
+  createDraftElement(draft) {
+    const draftItem = MessageItemComponent.create({
+      id: draft.id,
+      from: draft.to || MESSAGES.DRAFTS.NO_RECIPIENTS,
+      subject: draft.subject,
+      snippet: draft.body,
+      date: draft.updatedAt,
+      read: true,
+      onClick: () => this.openDraft(draft)
+    });
+
+    draftItem.classList.add(
+      CSS_CLASSES.PADDING.P3,
+      CSS_CLASSES.BORDERS.BORDER_B,
+      CSS_CLASSES.BORDERS.BORDER_GRAY_200,
+      CSS_CLASSES.INTERACTION.HOVER_BG_GRAY_50,
+      CSS_CLASSES.INTERACTION.CURSOR_POINTER
+    );
+
+    return draftItem;
+  }
+
+  /**
+   * Reabre un borrador en la ventana de redacción
+   */
+  openDraft(draft) {
+    window.electronAPI.openCompose({
+      mode: 'draft',
+      emailData: { id: draft.id },
+      accountId: draft.accountId
+    });
+  }
+
+  /**
+   * Renderiza la bandeja de salida o los programados; al hacer clic en un
+   * envío de la bandeja de salida se cancela y se abre en la ventana de
+   * redacción, los programados tienen sus propios controles
+   */
+  renderOutbox(items) {
+    if (!items || !Array.isArray(items)) {
+      console.error('Invalid outbox data provided to renderOutbox');
+      return;
+    }
+
+    this.uiManager.clearMessageList();
+    this.uiManager.clearMessageDetail();
+
+    if (items.length === 0) {
+      this.uiManager.showEmptyMessage();
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+
+    items.forEach((item, index) => {
+      try {
+        fragment.appendChild(item.scheduled ? this.createScheduledElement(item) : this.createOutboxElement(item));
+      } catch (error) {
+        console.error(`Error rendering outbox item at index ${index}:`, error, item);
+      }
+    });
+
+    const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
+    if (messageList) {
+      messageList.appendChild(fragment);
+    } else {
+      console.error('message-list element not found for rendering');
+    }
+  }
+
+  /**
+   * Crea la fila de un envío en cola (estado en lugar del extracto)
+   */
+  createOutboxElement(item) {
+    const outboxItem = MessageItemComponent.create({
+      id: item.id,
+      from: item.to || MESSAGES.DRAFTS.NO_RECIPIENTS,
+      subject: item.subject,
+      snippet: this.getOutboxStatus(item),
+      date: item.sendAt,
+      read: item.status !== 'failed',
+      onClick: () => this.cancelQueuedEmail(item, true)
+    });
+
+    outboxItem.classList.add(
+      CSS_CLASSES.PADDING.P3,
+      CSS_CLASSES.BORDERS.BORDER_B,
+      CSS_CLASSES.BORDERS.BORDER_GRAY_200,
+      CSS_CLASSES.INTERACTION.HOVER_BG_GRAY_50,
+      CSS_CLASSES.INTERACTION.CURSOR_POINTER
+    );
+
+    return outboxItem;
+  }
+
+  /**
+   * Crea la fila de un envío programado con los controles para cambiar la
+   * hora, editarlo o cancelarlo
+   */
+  createScheduledElement(item) {
+    const scheduledItem = MessageItemComponent.create({
+      id: item.id,
+      from: item.to || MESSAGES.DRAFTS.NO_RECIPIENTS,
+      subject: item.subject,
+      snippet: this.getOutboxStatus(item),
+      date: item.sendAt,
+      read: true
+    });
+
+    scheduledItem.classList.add(
+      CSS_CLASSES.PADDING.P3,
+      CSS_CLASSES.BORDERS.BORDER_B,
+      CSS_CLASSES.BORDERS.BORDER_GRAY_200
+    );
+
+    const controls = document.createElement('div');
+    controls.classList.add(CSS_CLASSES.MESSAGE_ACTIONS, CSS_CLASSES.SCHEDULE_CONTROLS);
+
+    const sendAtInput = document.createElement('input');
+    sendAtInput.type = 'datetime-local';
+    sendAtInput.value = this.toDateTimeLocal(item.sendAt);
+    sendAtInput.setAttribute('aria-label', MESSAGES.OUTBOX.RESCHEDULE);
+    controls.appendChild(sendAtInput);
+
+    const actions = [
+      { label: MESSAGES.OUTBOX.RESCHEDULE, onClick: () => this.rescheduleQueuedEmail(item, sendAtInput.value) },
+      { label: MESSAGES.OUTBOX.EDIT, onClick: () => this.cancelQueuedEmail(item, true) },
+      { label: MESSAGES.OUTBOX.CANCEL, onClick: () => this.cancelQueuedEmail(item) }
+    ];
+
+    actions.forEach(({ label, onClick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = CSS_CLASSES.MESSAGE_ACTION_BUTTON;
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      controls.appendChild(button);
+    });
+
+    scheduledItem.appendChild(controls);
+    return scheduledItem;
+  }
+
+  /**
+   * Texto de estado de un envío en cola
+   */
+  getOutboxStatus(item) {
+    const time = new Date(item.sendAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    if (item.scheduled) return MESSAGES.OUTBOX.STATUS.scheduled(this.formatSendAt(item.sendAt));
+    if (item.status === 'sending') return MESSAGES.OUTBOX.STATUS.sending;
+    if (item.status === 'failed') return MESSAGES.OUTBOX.STATUS.failed(item.lastError);
+    if (item.attempts > 0) return MESSAGES.OUTBOX.STATUS.retrying(time);
+    return MESSAGES.OUTBOX.STATUS.pending(time);
+  }
+
+  /**
+   * Fecha y hora de envío legibles (hora local)
+   */
+  formatSendAt(sendAt) {
+    return new Date(sendAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  /**
+   * Valor de un input datetime-local (hora local) para una fecha ISO
+   */
+  toDateTimeLocal(isoDate) {
+    const date = new Date(isoDate);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  /**
+   * Cambia la hora de un envío programado (valor de un input datetime-local)
+   */
+  async rescheduleQueuedEmail(item, value) {
+    const sendAt = value ? new Date(value) : null;
+
+    if (!sendAt || Number.isNaN(sendAt.getTime()) || sendAt <= new Date()) {
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.SCHEDULE_TIME_INVALID,
+        'warning',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+      return;
+    }
+
+    try {
+      const response = await window.electronAPI.rescheduleOutboxItem(item.id, sendAt.toISOString());
+
+      if (response.success) {
+        this.uiManager.showNotification(
+          MESSAGES.NOTIFICATIONS.EMAIL_RESCHEDULED(this.formatSendAt(response.data.sendAt)),
+          'success',
+          TIMEOUTS.NOTIFICATION_DEFAULT
+        );
+      } else {
+        this.uiManager.showNotification(
+          `${MESSAGES.NOTIFICATIONS.EMAIL_RESCHEDULE_ERROR}: ${response.error}`,
+          'error',
+          TIMEOUTS.NOTIFICATION_LONG
+        );
+      }
+    } catch (error) {
+      console.error('Error rescheduling email:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.EMAIL_RESCHEDULE_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Cancela un envío en cola; el mensaje vuelve a borradores y, si se pide,
+   * se abre para editarlo
+   */
+  async cancelQueuedEmail(item, edit = false) {
+    try {
+      const response = await window.electronAPI.cancelOutboxItem(item.id);
+
+      if (!response.success) {
+        this.uiManager.showNotification(
+          `${MESSAGES.NOTIFICATIONS.EMAIL_SEND_CANCEL_ERROR}: ${response.error}`,
+          'error',
+          TIMEOUTS.NOTIFICATION_LONG
+        );
+        return;
+      }
+
+      if (edit) {
+        this.openDraft({ id: response.data.draftId, accountId: response.data.accountId });
+      } else {
+        this.uiManager.showNotification(
+          MESSAGES.NOTIFICATIONS.EMAIL_SEND_CANCELLED,
+          'info',
+          TIMEOUTS.NOTIFICATION_DEFAULT
+        );
+      }
+    } catch (error) {
+      console.error('Error cancelling queued email:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.EMAIL_SEND_CANCEL_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
   /**
    * Crea un elemento DOM para un mensaje individual
    */
@@ -79,10 +530,19 @@ export class EmailRenderer {
       messageItem.classList.add(CSS_CLASSES.MESSAGE_UNREAD);
     }
 
+    if ((message.labels || []).includes('STARRED')) {
+      messageItem.classList.add(CSS_CLASSES.MESSAGE_STARRED);
+    }
+
     // Generar ID seguro
     const emailId = this.generateEmailId(message, index);
     messageItem.dataset.messageId = emailId;
 
+    // En la bandeja unificada las acciones van a la cuenta del mensaje
+    if (message.accountId) {
+      messageItem.dataset.accountId = message.accountId;
+    }
+
     // Crear contenido del mensaje
     const headerDiv = this.createMessageHeader(message);
     const subjectP = this.createMessageSubject(message);
@@ -102,6 +562,9 @@ export class EmailRenderer {
     const headerDiv = document.createElement('div');
     headerDiv.className = CSS_CLASSES.MESSAGE_HEADER;
 
+    // Casilla para seleccionar varios mensajes
+    headerDiv.appendChild(MessageListPanel.createSelectCheckbox());
+
     const fromSpan = document.createElement('span');
     fromSpan.className = CSS_CLASSES.MESSAGE_FROM;
     fromSpan.textContent = this.extractSenderName(message.from);
@@ -111,6 +574,9 @@ export class EmailRenderer {
     dateSpan.textContent = this.formatDate(message.date);
 
     headerDiv.appendChild(fromSpan);
+    if (message.account) {
+      headerDiv.appendChild(MessageItemComponent.createAccountTag(message.account));
+    }
     headerDiv.appendChild(dateSpan);
 
     return headerDiv;
@@ -249,7 +715,20 @@ export class EmailRenderer {
     try {
       const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
       if (!messageList) return;
-      
+
+      // La casilla, Ctrl/Cmd y Mayús cambian la multi-selección sin abrir el mensaje
+      if (MessageListPanel.isMultiSelectClick(event)) {
+        MessageListPanel.toggleSelection(messageList, event.currentTarget, event.shiftKey);
+        this.emitSelectionChanged(messageList);
+        return;
+      }
+
+      // Un clic normal abre el mensaje y descarta la multi-selección
+      if (MessageListPanel.getSelectedIds(messageList).length > 0) {
+        MessageListPanel.clearSelection(messageList);
+        this.emitSelectionChanged(messageList);
+      }
+
       // Remover selección previa
       messageList
         .querySelectorAll(`.${CSS_CLASSES.SELECTED}`)
@@ -259,17 +738,17 @@ export class EmailRenderer {
       event.currentTarget.classList.add(CSS_CLASSES.SELECTED);
 
       const selectedId = event.currentTarget.dataset.messageId;
-      const currentAccountId = this.uiManager.getCurrentAccountId();
+      const accountId = event.currentTarget.dataset.accountId || this.uiManager.getCurrentAccountId();
 
-      if (currentAccountId && selectedId) {
+      if (accountId && selectedId) {
         // Cargar detalles completos del mensaje
         const detailResponse = await window.electronAPI.fetchEmailDetails(
-          currentAccountId,
+          accountId,
           selectedId
         );
 
         if (detailResponse.success) {
-          this.uiManager.displayMessageDetail(detailResponse.data);
+          this.uiManager.displayMessageDetail({ ...detailResponse.data, accountId });
         } else {
           console.error('Error loading email details:', detailResponse.error);
           this.uiManager.showNotification(
@@ -289,6 +768,15 @@ export class EmailRenderer {
     }
   }
 
+  /**
+   * Emite evento con los mensajes seleccionados para acciones en bloque
+   */
+  emitSelectionChanged(messageList) {
+    document.dispatchEvent(new CustomEvent('messageSelectionChanged', {
+      detail: { emailIds: MessageListPanel.getSelectedIds(messageList) }
+    }));
+  }
+
   /**
    * Selecciona y carga el primer mensaje
    */
@@ -304,15 +792,15 @@ export class EmailRenderer {
       if (firstMessageElement) {
         firstMessageElement.classList.add(CSS_CLASSES.SELECTED);
         
-        const currentAccountId = this.uiManager.getCurrentAccountId();
-        if (currentAccountId && firstMessage.id) {
+        const accountId = firstMessage.accountId || this.uiManager.getCurrentAccountId();
+        if (accountId && firstMessage.id) {
           const detailResponse = await window.electronAPI.fetchEmailDetails(
-            currentAccountId,
+            accountId,
             firstMessage.id
           );
 
           if (detailResponse.success) {
-            this.uiManager.displayMessageDetail(detailResponse.data);
+            this.uiManager.displayMessageDetail({ ...detailResponse.data, accountId });
           } else {
             console.error('Error loading first message details:', detailResponse.error);
           }
@@ -323,6 +811,45 @@ export class EmailRenderer {
     }
   }
 
+  /**
+   * Mueve el cursor del teclado a la fila siguiente o anterior (j/k) sin
+   * abrirla. Si se ha abierto otra fila con el ratón, el cursor parte de ella
+   * @param {number} offset - 1 siguiente, -1 anterior
+   */
+  moveCursor(offset) {
+    const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
+    if (!messageList) return;
+
+    const rows = Array.from(messageList.querySelectorAll(`.${CSS_CLASSES.MESSAGE_ITEM}`))
+      .filter((row) => !row.classList.contains(CSS_CLASSES.HIDDEN));
+    if (rows.length === 0) return;
+
+    const selected = rows.find((row) => row.classList.contains(CSS_CLASSES.SELECTED)) || null;
+    let current = rows.findIndex((row) => row.classList.contains(CSS_CLASSES.MESSAGE_CURSOR));
+    if (current < 0 || selected !== this.cursorOrigin) {
+      current = rows.indexOf(selected);
+    }
+
+    const next = Math.min(Math.max(current + offset, 0), rows.length - 1);
+
+    rows.forEach((row) => row.classList.remove(CSS_CLASSES.MESSAGE_CURSOR));
+    rows[next].classList.add(CSS_CLASSES.MESSAGE_CURSOR);
+    rows[next].scrollIntoView({ block: 'nearest' });
+    this.cursorOrigin = selected;
+  }
+
+  /**
+   * Abre la fila del cursor del teclado (o/Enter)
+   */
+  openCursorMessage() {
+    const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
+    const row = messageList?.querySelector(`.${CSS_CLASSES.MESSAGE_CURSOR}`);
+    if (!row) return;
+
+    row.click();
+    this.cursorOrigin = row;
+  }
+
   /**
    * Actualiza el estado de leído/no leído de un mensaje
    */
@@ -343,6 +870,34 @@ export class EmailRenderer {
     }
   }
 
+  /**
+   * Refleja en la lista una acción sobre un mensaje antes de que la confirme
+   * el proveedor (archivar, mover, destacar, spam)
+   * @param {string} emailId - ID del mensaje
+   * @param {Object} change - { hide: el mensaje sale del buzón actual, starred: nuevo estado de destacado }
+   * @returns {Function} Revierte el cambio (si la acción falla o se deshace)
+   */
+  applyOptimisticUpdate(emailId, { hide = false, starred } = {}) {
+    const messageList = this.uiManager.elements.messageList || document.querySelector('#message-list');
+    const messageElement = messageList?.querySelector(`[data-message-id="${emailId}"]`);
+    if (!messageElement) return () => {};
+
+    const wasHidden = messageElement.classList.contains(CSS_CLASSES.HIDDEN);
+    const wasStarred = messageElement.classList.contains(CSS_CLASSES.MESSAGE_STARRED);
+
+    if (hide) {
+      messageElement.classList.add(CSS_CLASSES.HIDDEN);
+    }
+    if (starred !== undefined) {
+      messageElement.classList.toggle(CSS_CLASSES.MESSAGE_STARRED, starred);
+    }
+
+    return () => {
+      messageElement.classList.toggle(CSS_CLASSES.HIDDEN, wasHidden);
+      messageElement.classList.toggle(CSS_CLASSES.MESSAGE_STARRED, wasStarred);
+    };
+  }
+
   /**
    * Elimina un mensaje de la lista
    */
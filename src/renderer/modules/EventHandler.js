@@ -3,17 +3,40 @@
  * Coordina todos los eventos de la aplicación
  */
 
-import { SELECTORS, CSS_CLASSES, MAILBOX_MAPPING } from '../config/uiConfig.js';
+import { SELECTORS, CSS_CLASSES, MAILBOX_MAPPING, UI_CONSTANTS } from '../config/uiConfig.js';
 import { MESSAGES, TIMEOUTS } from '../config/textConstants.js';
+import { MessageListPanel } from '../components/screens/MessageListPanel.js';
 
 export class EventHandler {
-  constructor(uiManager, emailRenderer, searchManager, accountManager) {
+  constructor(uiManager, emailRenderer, searchManager, accountManager, labelManager, shortcutManager) {
     this.uiManager = uiManager;
     this.emailRenderer = emailRenderer;
     this.searchManager = searchManager;
     this.accountManager = accountManager;
+    this.labelManager = labelManager;
+    this.shortcutManager = shortcutManager;
     
     this.currentFetchedMessages = [];
+    // Mensaje abierto en el detalle (sus etiquetas deciden destacar/spam)
+    this.currentMessage = null;
+    this.currentFolder = 'INBOX';
+    this.currentMailboxType = 'all';
+    // Paginación del buzón actual: nextPageToken del proveedor y versión de la
+    // lista para descartar páginas que llegan tras cambiar de buzón
+    this.nextPageToken = null;
+    this.loadingMore = false;
+    this.listVersion = 0;
+    // Notificaciones "Deshacer" abiertas por ID de envío en cola
+    this.undoNotifications = new Map();
+    // Multi-selección de la lista y acción en bloque en curso
+    this.selectedEmailIds = [];
+    this.bulkInProgress = false;
+    // Mensajes ya procesados y total de la acción en bloque (en la bandeja
+    // unificada se hace una llamada por cuenta)
+    this.bulkDone = 0;
+    this.bulkTotal = 0;
+    this.threadMode = localStorage.getItem(UI_CONSTANTS.THREAD_MODE_STORAGE_KEY) === 'true';
+    this.uiManager.setThreadModeToggle(this.threadMode);
     this.initEventListeners();
   }
 
@@ -41,6 +64,9 @@ export class EventHandler {
       });
     }
 
+    // Selector de cuentas
+    this.accountManager.attachSwitcher(this.uiManager.elements.currentAccount);
+
     // Botón de logout
     const logoutButton = this.uiManager.elements.logoutButton;
     if (logoutButton) {
@@ -83,6 +109,14 @@ export class EventHandler {
       });
     }
 
+    // Botón de modo conversación
+    const threadModeToggle = document.querySelector(SELECTORS.THREAD_MODE_TOGGLE);
+    if (threadModeToggle) {
+      threadModeToggle.addEventListener('click', async () => {
+        await this.handleThreadModeToggle();
+      });
+    }
+
     // Botón de opciones
     const optionsIcon = document.querySelector(SELECTORS.OPTIONS_ICON);
     if (optionsIcon) {
@@ -116,6 +150,31 @@ export class EventHandler {
 
     // Eventos de redimensionamiento
     this.initResizablePanels();
+
+    // Scroll infinito de la lista de mensajes
+    MessageListPanel.attachInfiniteScroll(this.uiManager.elements.messageList, () => {
+      this.loadMoreEmails();
+    });
+
+    // Cambios de la bandeja de salida (envíos en cola, enviados y fallidos)
+    window.electronAPI.onOutboxUpdated((update) => {
+      this.handleOutboxUpdate(update);
+    });
+
+    // Atajos de teclado
+    this.shortcutManager.attach(this.getShortcutHandlers());
+
+    // Progreso de las acciones sobre varios mensajes
+    window.electronAPI.onBulkProgress(({ done }) => {
+      if (this.bulkInProgress) {
+        this.renderBulkActionBar({ done: this.bulkDone + done, total: this.bulkTotal });
+      }
+    });
+
+    // Al recuperar la conexión se reintentan los envíos pendientes
+    window.addEventListener('online', () => {
+      window.electronAPI.retryOutbox();
+    });
   }
 
   /**
@@ -143,6 +202,37 @@ export class EventHandler {
     document.addEventListener('accountChanged', (event) => {
       this.handleAccountChanged(event.detail.account);
     });
+
+    // Eventos de etiquetas
+    document.addEventListener('labelMailboxSelected', (event) => {
+      this.loadEmailsForMailbox(event.detail.mailboxType, event.detail.mailboxType);
+    });
+
+    document.addEventListener('labelDeleted', (event) => {
+      this.handleLabelDeleted(event.detail.mailboxType);
+    });
+
+    document.addEventListener('messageLabelsChanged', (event) => {
+      this.handleMessageLabelsChanged(event.detail);
+    });
+
+    // Acciones del mensaje abierto
+    document.addEventListener('messageDisplayed', (event) => {
+      this.currentMessage = event.detail.message;
+      this.uiManager.updateMessageActionButtons(this.currentMessage);
+    });
+
+    document.addEventListener('moveMessageRequested', (event) => {
+      this.handleMoveEmail(event.detail.target, event.detail.name);
+    });
+
+    // Multi-selección de la lista
+    document.addEventListener('messageSelectionChanged', (event) => {
+      this.selectedEmailIds = event.detail.emailIds;
+      if (!this.bulkInProgress) {
+        this.renderBulkActionBar();
+      }
+    });
   }
 
   /**
@@ -174,8 +264,8 @@ export class EventHandler {
       return;
     }
 
-    // Actualizar UI
-    this.uiManager.elements.mailboxItems.forEach(item => {
+    // Actualizar UI (incluidos los buzones de etiquetas, que se crean después)
+    document.querySelectorAll(SELECTORS.MAILBOX_ITEMS).forEach(item => {
       item.classList.remove(CSS_CLASSES.ACTIVE);
     });
     mailboxItem.classList.add(CSS_CLASSES.ACTIVE);
@@ -215,14 +305,72 @@ export class EventHandler {
   }
 
   /**
-   * Maneja las opciones
+   * Alterna entre la lista de mensajes y la de conversaciones
    */
-  handleOptions() {
-    this.uiManager.showNotification(
-      'Opciones de lista de mensajes coming soon.',
-      'info',
-      TIMEOUTS.NOTIFICATION_DEFAULT
-    );
+  async handleThreadModeToggle() {
+    this.threadMode = !this.threadMode;
+    localStorage.setItem(UI_CONSTANTS.THREAD_MODE_STORAGE_KEY, String(this.threadMode));
+    this.uiManager.setThreadModeToggle(this.threadMode);
+
+    if (this.accountManager.canPerformAction()) {
+      await this.loadEmailsForMailbox(this.currentFolder, this.currentMailboxType);
+    }
+  }
+
+  /**
+   * Maneja las opciones: atajos y firmas de las direcciones de envío
+   */
+  async handleOptions() {
+    const accounts = await this.accountManager.loadIdentities();
+
+    this.shortcutManager.openOptions({
+      signatures: {
+        accounts,
+        onSave: (accountId, signatures) => this.accountManager.saveSignatures(accountId, signatures)
+      }
+    });
+  }
+
+  /**
+   * Acciones de los atajos de teclado
+   * @returns {Object} Acción -> función
+   */
+  getShortcutHandlers() {
+    return {
+      next: () => this.emailRenderer.moveCursor(1),
+      previous: () => this.emailRenderer.moveCursor(-1),
+      open: () => this.emailRenderer.openCursorMessage(),
+      reply: () => this.runOnOpenMessage((accountId, emailId) => this.handleReplyEmail(accountId, emailId)),
+      replyAll: () => this.runOnOpenMessage((accountId, emailId) => this.handleReplyEmail(accountId, emailId, true)),
+      forward: () => this.runOnOpenMessage((accountId, emailId) => this.handleForwardEmail(accountId, emailId)),
+      archive: () => this.runOnOpenMessage((accountId, emailId) => this.handleMessageAction('archive', accountId, emailId)),
+      delete: () => this.runOnOpenMessage((accountId, emailId) => this.handleDeleteEmail(accountId, emailId)),
+      compose: () => this.handleCompose(),
+      search: () => this.searchManager.focus(),
+      goInbox: () => {
+        const inbox = document.querySelector(SELECTORS.MAILBOX_BY_TYPE('all'));
+        if (inbox) this.handleMailboxClick(inbox);
+      }
+    };
+  }
+
+  /**
+   * Ejecuta una acción sobre el mensaje abierto (o avisa si no hay ninguno)
+   */
+  async runOnOpenMessage(action) {
+    const currentAccountId = this.uiManager.getCurrentEmailAccountId();
+    const currentEmailId = this.uiManager.getCurrentEmailId();
+
+    if (!currentAccountId || !currentEmailId) {
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.NO_MESSAGE_SELECTED,
+        'warning',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+      return;
+    }
+
+    await action(currentAccountId, currentEmailId);
   }
 
   /**
@@ -230,7 +378,7 @@ export class EventHandler {
    */
   async handleMessageDetailAction(button) {
     const buttonText = button.textContent.trim().toLowerCase();
-    const currentAccountId = this.accountManager.getCurrentAccountId();
+    const currentAccountId = this.uiManager.getCurrentEmailAccountId();
     const currentEmailId = this.uiManager.getCurrentEmailId();
 
     if (!currentAccountId || !currentEmailId) {
@@ -242,10 +390,18 @@ export class EventHandler {
       return;
     }
 
+    // Archivar, destacar y spam (cambios de etiquetas que se pueden deshacer)
+    if (button.dataset.action) {
+      await this.handleToggleAction(button.dataset.action, currentAccountId, currentEmailId);
+    }
     // Eliminar mensaje
-    if (buttonText.includes('eliminar') || buttonText.includes('trash') || button.textContent.includes('🗑')) {
+    else if (buttonText.includes('eliminar') || buttonText.includes('trash') || button.textContent.includes('🗑')) {
       await this.handleDeleteEmail(currentAccountId, currentEmailId);
     }
+    // Responder a todos
+    else if (buttonText.includes('responder a todos') || buttonText.includes('reply all') || buttonText.includes('reply_all')) {
+      await this.handleReplyEmail(currentAccountId, currentEmailId, true);
+    }
     // Responder mensaje
     else if (buttonText.includes('responder') || buttonText.includes('reply')) {
       await this.handleReplyEmail(currentAccountId, currentEmailId);
@@ -273,7 +429,7 @@ export class EventHandler {
         );
         
         // Recargar mensajes
-        await this.loadEmailsForMailbox('INBOX', 'all');
+        await this.loadEmailsForMailbox(this.currentFolder, this.currentMailboxType);
         this.uiManager.clearMessageDetail();
         
         // Eliminar de la lista renderizada
@@ -296,47 +452,359 @@ export class EventHandler {
   }
 
   /**
-   * Maneja la respuesta de email
+   * Resuelve el botón de acción según el estado del mensaje abierto
+   * (destacar o quitar destacado, spam o no es spam)
    */
-  async handleReplyEmail(accountId, emailId) {
-    const selectedEmail = this.currentFetchedMessages.find(
-      email => email.id === emailId || email.threadId === emailId
-    );
+  async handleToggleAction(action, accountId, emailId) {
+    const labels = this.currentMessage?.labels || [];
 
-    if (selectedEmail) {
-      window.electronAPI.openCompose({
-        mode: 'reply',
-        emailData: selectedEmail,
-        accountId: accountId
-      });
+    if (action === 'star') {
+      await this.handleMessageAction(labels.includes('STARRED') ? 'unstar' : 'star', accountId, emailId);
+    } else if (action === 'spam') {
+      await this.handleMessageAction(labels.includes('SPAM') ? 'notSpam' : 'spam', accountId, emailId);
     } else {
+      await this.handleMessageAction(action, accountId, emailId);
+    }
+  }
+
+  /**
+   * Mueve el mensaje abierto a Recibidos o a una etiqueta; sale del buzón actual
+   */
+  async handleMoveEmail(target, targetName) {
+    const accountId = this.uiManager.getCurrentEmailAccountId();
+    const emailId = this.uiManager.getCurrentEmailId();
+    if (!accountId || !emailId) return;
+
+    await this.handleMessageAction('move', accountId, emailId, { target, targetName });
+  }
+
+  /**
+   * Archiva, mueve, destaca o marca como spam un mensaje. La lista se
+   * actualiza al momento y se revierte si el proveedor falla; la
+   * notificación ofrece deshacer el cambio de etiquetas durante unos segundos
+   * @param {string} action - archive | move | star | unstar | spam | notSpam
+   * @param {Object} options - { target, targetName } al mover
+   */
+  async handleMessageAction(action, accountId, emailId, { target, targetName } = {}) {
+    const api = window.electronAPI;
+    const folder = this.currentFolder;
+    const actions = {
+      archive: {
+        run: () => api.archiveEmail(accountId, emailId),
+        hide: folder === 'INBOX',
+        message: MESSAGES.NOTIFICATIONS.EMAIL_ARCHIVED
+      },
+      move: {
+        run: () => api.moveEmail(accountId, emailId, target, this.getMoveSource()),
+        hide: this.getMoveSource() !== target,
+        message: MESSAGES.NOTIFICATIONS.EMAIL_MOVED(targetName)
+      },
+      star: {
+        run: () => api.starEmail(accountId, emailId, true),
+        starred: true,
+        message: MESSAGES.NOTIFICATIONS.EMAIL_STARRED
+      },
+      unstar: {
+        run: () => api.starEmail(accountId, emailId, false),
+        hide: folder === 'STARRED',
+        starred: false,
+        message: MESSAGES.NOTIFICATIONS.EMAIL_UNSTARRED
+      },
+      spam: {
+        run: () => api.markSpam(accountId, emailId, true),
+        hide: folder !== 'SPAM',
+        message: MESSAGES.NOTIFICATIONS.EMAIL_MARKED_SPAM
+      },
+      notSpam: {
+        run: () => api.markSpam(accountId, emailId, false),
+        hide: folder === 'SPAM',
+        message: MESSAGES.NOTIFICATIONS.EMAIL_NOT_SPAM
+      }
+    };
+
+    const { run, hide = false, starred, message } = actions[action];
+    const revert = this.emailRenderer.applyOptimisticUpdate(emailId, { hide, starred });
+    if (hide) {
+      this.uiManager.clearMessageDetail();
+    }
+
+    try {
+      const response = await run();
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.updateCurrentMessageLabels(emailId, response.data.labels);
       this.uiManager.showNotification(
-        MESSAGES.NOTIFICATIONS.NO_MESSAGE_REPLY,
-        'warning',
+        message,
+        'success',
+        TIMEOUTS.UNDO_ACTION,
+        [{ label: MESSAGES.MESSAGE_ACTIONS.UNDO, onClick: () => this.undoMessageAction(accountId, emailId, response.data.undo, revert) }]
+      );
+      await this.updateMailboxCounts();
+    } catch (error) {
+      console.error(`Error running message action ${action}:`, error);
+      revert();
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.EMAIL_ACTION_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Deshace una acción aplicando el cambio de etiquetas inverso
+   * @param {Object} undo - { addLabelIds, removeLabelIds } devuelto por la acción
+   * @param {Function} revert - Revierte la actualización de la lista
+   */
+  async undoMessageAction(accountId, emailId, undo, revert) {
+    try {
+      const response = await window.electronAPI.modifyLabels(
+        accountId,
+        emailId,
+        undo.addLabelIds,
+        undo.removeLabelIds
+      );
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      revert();
+      this.updateCurrentMessageLabels(emailId, response.data.labels);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.EMAIL_ACTION_UNDONE,
+        'info',
         TIMEOUTS.NOTIFICATION_DEFAULT
       );
+      await this.updateMailboxCounts();
+    } catch (error) {
+      console.error('Error undoing message action:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.EMAIL_UNDO_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Etiqueta de la que sale un mensaje al moverlo: la del buzón de etiqueta
+   * abierto, Spam o, en el resto de buzones, Recibidos
+   */
+  getMoveSource() {
+    if (this.currentFolder.startsWith('label:')) {
+      return this.currentFolder.slice('label:'.length);
     }
+
+    return this.currentFolder === 'SPAM' ? 'SPAM' : 'INBOX';
+  }
+
+  /**
+   * Actualiza las etiquetas del mensaje abierto tras una acción
+   */
+  updateCurrentMessageLabels(emailId, labels) {
+    if (this.currentMessage?.id !== emailId) return;
+
+    this.currentMessage.labels = labels;
+    this.uiManager.updateMessageActionButtons(this.currentMessage);
+  }
+
+  /**
+   * Renderiza la barra de acciones de la selección
+   * @param {Object|null} progress - { done, total } mientras se procesa
+   */
+  renderBulkActionBar(progress = null) {
+    MessageListPanel.renderBulkActionBar(document.querySelector(SELECTORS.BULK_ACTION_BAR), {
+      count: this.selectedEmailIds.length,
+      labels: this.labelManager.labels,
+      // Las etiquetas son de la cuenta activa: no se ofrecen en la bandeja unificada
+      labelsSupported: this.labelManager.supported && this.currentMailboxType !== 'unified',
+      progress,
+      onAction: (action, options) => this.handleBulkAction(action, options)
+    });
+  }
+
+  /**
+   * Aplica una acción a todos los mensajes seleccionados con una sola llamada
+   * al proceso principal. Los mensajes que fallan siguen seleccionados para
+   * poder reintentarlo
+   * @param {string} action - delete | archive | read | unread | label | move | clear
+   * @param {Object} options - { target, name } al etiquetar o mover
+   */
+  async handleBulkAction(action, { target } = {}) {
+    const messageList = this.uiManager.elements.messageList;
+    const emailIds = [...this.selectedEmailIds];
+
+    if (action === 'clear' || !this.accountManager.getCurrentAccountId() || emailIds.length === 0) {
+      MessageListPanel.clearSelection(messageList);
+      this.emailRenderer.emitSelectionChanged(messageList);
+      return;
+    }
+
+    if (action === 'delete' && !confirm(MESSAGES.BULK_ACTIONS.DELETE_CONFIRM(emailIds.length))) {
+      return;
+    }
+
+    const api = window.electronAPI;
+    const source = this.getMoveSource();
+    const operations = {
+      delete: {
+        run: (accountId, ids) => api.bulkDeleteEmails(accountId, ids),
+        remove: true
+      },
+      archive: {
+        run: (accountId, ids) => api.bulkModifyLabels(accountId, ids, [], ['INBOX']),
+        remove: this.currentFolder === 'INBOX'
+      },
+      read: {
+        run: (accountId, ids) => api.bulkMarkAsRead(accountId, ids, true),
+        update: (emailId) => this.emailRenderer.updateMessageReadStatus(emailId, true)
+      },
+      unread: {
+        run: (accountId, ids) => api.bulkMarkAsRead(accountId, ids, false),
+        update: (emailId) => this.emailRenderer.updateMessageReadStatus(emailId, false)
+      },
+      label: {
+        run: (accountId, ids) => api.bulkModifyLabels(accountId, ids, [target], [])
+      },
+      move: {
+        run: (accountId, ids) => api.bulkModifyLabels(accountId, ids, [target], source === target ? [] : [source]),
+        remove: source !== target
+      }
+    };
+
+    const { run, remove = false, update = null } = operations[action];
+    const groups = this.groupByAccount(emailIds);
+    this.bulkInProgress = true;
+    this.bulkDone = 0;
+    this.bulkTotal = emailIds.length;
+    this.renderBulkActionBar({ done: 0, total: emailIds.length });
+
+    try {
+      const succeeded = [];
+      const failed = [];
+
+      // Una llamada por cuenta; si solo hay una cuenta su error se notifica
+      // como fallo de toda la acción
+      for (const [accountId, ids] of groups) {
+        const response = await run(accountId, ids);
+
+        if (!response.success) {
+          if (groups.size === 1) {
+            throw new Error(response.error);
+          }
+          failed.push(...ids.map((id) => ({ id, error: response.error })));
+        } else {
+          succeeded.push(...response.data.succeeded);
+          failed.push(...response.data.failed);
+        }
+        this.bulkDone += ids.length;
+      }
+
+      succeeded.forEach((emailId) => {
+        if (remove) {
+          this.emailRenderer.removeMessageFromList(emailId);
+        } else if (update) {
+          update(emailId);
+        }
+      });
+
+      if (remove && succeeded.includes(this.uiManager.getCurrentEmailId())) {
+        this.uiManager.clearMessageDetail();
+      }
+
+      MessageListPanel.clearSelection(messageList, succeeded);
+
+      if (failed.length > 0) {
+        console.error(`Bulk action ${action} failed for some messages:`, failed);
+        this.uiManager.showNotification(
+          MESSAGES.NOTIFICATIONS.BULK_PARTIAL(failed.length, failed[0].error),
+          'warning',
+          TIMEOUTS.NOTIFICATION_LONG
+        );
+      } else {
+        this.uiManager.showNotification(
+          MESSAGES.NOTIFICATIONS.BULK_DONE(succeeded.length),
+          'success',
+          TIMEOUTS.NOTIFICATION_DEFAULT
+        );
+      }
+
+      await this.updateMailboxCounts();
+    } catch (error) {
+      console.error(`Error running bulk action ${action}:`, error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.BULK_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    } finally {
+      this.bulkInProgress = false;
+      this.selectedEmailIds = MessageListPanel.getSelectedIds(messageList);
+      this.renderBulkActionBar();
+    }
+  }
+
+  /**
+   * Agrupa mensajes por la cuenta a la que pertenecen: en la bandeja
+   * unificada cada fila lleva su cuenta, en el resto es la cuenta activa
+   * @param {Array<string>} emailIds - IDs de los mensajes
+   * @returns {Map<string, Array<string>>} ID de cuenta -> IDs de mensaje
+   */
+  groupByAccount(emailIds) {
+    const currentAccountId = this.accountManager.getCurrentAccountId();
+    const groups = new Map();
+
+    emailIds.forEach((emailId) => {
+      const message = this.currentFetchedMessages.find((item) => item.id === emailId);
+      const accountId = message?.accountId || currentAccountId;
+      groups.set(accountId, [...(groups.get(accountId) || []), emailId]);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Maneja la respuesta de email
+   * @param {boolean} replyAll - Responder también a los destinatarios en To/Cc
+   */
+  async handleReplyEmail(accountId, emailId, replyAll = false) {
+    await this.openComposeWithMessage(replyAll ? 'replyAll' : 'reply', accountId, emailId);
   }
 
   /**
    * Maneja el reenvío de email
    */
   async handleForwardEmail(accountId, emailId) {
-    const selectedEmail = this.currentFetchedMessages.find(
-      email => email.id === emailId || email.threadId === emailId
-    );
+    await this.openComposeWithMessage('forward', accountId, emailId);
+  }
+
+  /**
+   * Abre la ventana de redacción con los detalles completos del mensaje
+   * (cuerpo, Message-ID, References y threadId para mantener el hilo)
+   */
+  async openComposeWithMessage(mode, accountId, emailId) {
+    try {
+      const response = await window.electronAPI.fetchEmailDetails(accountId, emailId);
+
+      if (!response.success || !response.data) {
+        throw new Error(response.error);
+      }
 
-    if (selectedEmail) {
       window.electronAPI.openCompose({
-        mode: 'forward',
-        emailData: selectedEmail,
-        accountId: accountId
+        mode,
+        emailData: response.data,
+        accountId
       });
-    } else {
+    } catch (error) {
+      console.error('Error loading message for compose:', error);
       this.uiManager.showNotification(
-        MESSAGES.NOTIFICATIONS.NO_MESSAGE_REPLY,
-        'warning',
-        TIMEOUTS.NOTIFICATION_DEFAULT
+        MESSAGES.NOTIFICATIONS.COMPOSE_LOAD_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
       );
     }
   }
@@ -354,6 +822,21 @@ export class EventHandler {
       return;
     }
 
+    this.currentFolder = folder;
+    this.currentMailboxType = mailboxType;
+    this.resetPagination();
+
+    // Los borradores se listan desde el almacén local sincronizado
+    if (mailboxType === 'drafts') {
+      await this.loadDrafts();
+      return;
+    }
+
+    if (mailboxType === 'outbox' || mailboxType === 'scheduled') {
+      await this.loadOutbox();
+      return;
+    }
+
     try {
       this.uiManager.showNotification(
         MESSAGES.NOTIFICATIONS.EMAIL_LOADING,
@@ -361,18 +844,33 @@ export class EventHandler {
         TIMEOUTS.NOTIFICATION_SHORT
       );
 
-      const currentAccountId = this.accountManager.getCurrentAccountId();
-      const response = await window.electronAPI.fetchEmails(currentAccountId, folder);
+      const response = await this.fetchMailboxPage(folder);
 
       if (response.success) {
         this.currentFetchedMessages = response.data;
+        this.nextPageToken = response.nextPageToken || null;
         
         // Actualizar header
-        const mailboxName = this.getMailboxDisplayName(mailboxType);
-        this.uiManager.updateMessageListHeader(mailboxName, response.data.length);
+        this.updateMailboxHeader();
         
-        // Renderizar mensajes
-        this.emailRenderer.renderMessages(response.data, mailboxType);
+        // Renderizar mensajes o conversaciones
+        if (this.isThreadListing()) {
+          this.emailRenderer.renderThreads(response.data);
+        } else {
+          this.emailRenderer.renderMessages(response.data, mailboxType);
+        }
+
+        // Si la primera página no llena el panel no habrá scroll
+        this.loadMoreIfNeeded();
+
+        // Bandeja unificada: las cuentas que fallan no impiden ver el resto
+        if (response.errors?.length > 0) {
+          this.uiManager.showNotification(
+            MESSAGES.NOTIFICATIONS.UNIFIED_PARTIAL(response.errors.map((error) => error.email)),
+            'warning',
+            TIMEOUTS.NOTIFICATION_LONG
+          );
+        }
         
         // Actualizar contadores
         await this.updateMailboxCounts();
@@ -393,10 +891,345 @@ export class EventHandler {
     }
   }
 
+  /**
+   * Carga la página siguiente del buzón actual al final de la lista
+   * (scroll infinito). Ignora la llamada si no quedan páginas o ya hay una
+   * carga en curso
+   */
+  async loadMoreEmails() {
+    if (!this.nextPageToken || this.loadingMore) return;
+
+    const listVersion = this.listVersion;
+    const threadMode = this.isThreadListing();
+    const messageList = this.uiManager.elements.messageList;
+    let loaded = false;
+
+    this.loadingMore = true;
+    MessageListPanel.setLoadingMore(messageList, true);
+
+    try {
+      const response = await this.fetchMailboxPage(this.currentFolder, this.nextPageToken);
+
+      // Se cambió de buzón, cuenta o búsqueda mientras se cargaba la página
+      if (listVersion !== this.listVersion) return;
+
+      MessageListPanel.setLoadingMore(messageList, false);
+
+      if (!response.success) {
+        // El token se conserva para reintentar con el siguiente scroll
+        this.uiManager.showNotification(
+          `${MESSAGES.NOTIFICATIONS.EMAIL_LOAD_ERROR}: ${response.error}`,
+          'error',
+          TIMEOUTS.NOTIFICATION_LONG
+        );
+        return;
+      }
+
+      // La paginación por desplazamiento (IMAP) repite mensajes si llegan
+      // correos nuevos entre páginas
+      const loadedIds = new Set(this.currentFetchedMessages.map((item) => item.id));
+      const newItems = response.data.filter((item) => !loadedIds.has(item.id));
+
+      this.nextPageToken = response.nextPageToken || null;
+      this.currentFetchedMessages = [...this.currentFetchedMessages, ...newItems];
+
+      if (threadMode) {
+        this.emailRenderer.appendThreads(newItems);
+      } else {
+        this.emailRenderer.appendMessages(newItems);
+      }
+
+      this.updateMailboxHeader();
+      loaded = true;
+    } catch (error) {
+      console.error('Error loading more emails:', error);
+      this.uiManager.showNotification(
+        this.getErrorMessage(error),
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    } finally {
+      if (listVersion === this.listVersion) {
+        this.loadingMore = false;
+        MessageListPanel.setLoadingMore(messageList, false);
+      }
+    }
+
+    if (loaded) {
+      this.loadMoreIfNeeded();
+    }
+  }
+
+  /**
+   * Pide la página siguiente si el final de la lista ya está a la vista
+   */
+  loadMoreIfNeeded() {
+    if (MessageListPanel.isNearEnd(this.uiManager.elements.messageList)) {
+      this.loadMoreEmails();
+    }
+  }
+
+  /**
+   * Pide una página del buzón actual: la bandeja unificada a todas las
+   * cuentas y el resto a la cuenta activa (mensajes o conversaciones)
+   * @param {string} folder - Carpeta
+   * @param {string|null} pageToken - nextPageToken de la página anterior
+   */
+  fetchMailboxPage(folder, pageToken = null) {
+    const api = window.electronAPI;
+    const currentAccountId = this.accountManager.getCurrentAccountId();
+
+    if (this.currentMailboxType === 'unified') {
+      return api.fetchUnifiedEmails(folder, pageToken);
+    }
+
+    return this.threadMode
+      ? api.fetchThreads(currentAccountId, folder, pageToken)
+      : api.fetchEmails(currentAccountId, folder, pageToken);
+  }
+
+  /**
+   * Indica si la lista muestra conversaciones: la bandeja unificada siempre
+   * lista mensajes sueltos
+   */
+  isThreadListing() {
+    return this.threadMode && this.currentMailboxType !== 'unified';
+  }
+
+  /**
+   * Olvida la paginación de la lista anterior (cambio de buzón o búsqueda)
+   */
+  resetPagination() {
+    this.nextPageToken = null;
+    this.loadingMore = false;
+    this.listVersion++;
+  }
+
+  /**
+   * Actualiza el header con el buzón actual y los elementos cargados
+   */
+  updateMailboxHeader() {
+    const counterLabel = this.isThreadListing()
+      ? MESSAGES.COUNTER_LABELS.conversations
+      : MESSAGES.COUNTER_LABELS.messages;
+
+    this.uiManager.updateMessageListHeader(
+      this.getMailboxDisplayName(this.currentMailboxType),
+      this.currentFetchedMessages.length,
+      false,
+      counterLabel
+    );
+  }
+
+  /**
+   * Carga los borradores de la cuenta actual (incluidos los no sincronizados)
+   */
+  async loadDrafts() {
+    try {
+      const currentAccountId = this.accountManager.getCurrentAccountId();
+      const response = await window.electronAPI.fetchDrafts(currentAccountId);
+
+      if (response.success) {
+        this.currentFetchedMessages = response.data;
+
+        this.uiManager.updateMessageListHeader(
+          this.getMailboxDisplayName('drafts'),
+          response.data.length,
+          false,
+          MESSAGES.COUNTER_LABELS.drafts
+        );
+
+        this.emailRenderer.renderDrafts(response.data);
+      } else {
+        this.uiManager.showNotification(
+          `${MESSAGES.NOTIFICATIONS.DRAFTS_LOAD_ERROR}: ${response.error}`,
+          'error',
+          TIMEOUTS.NOTIFICATION_LONG
+        );
+      }
+    } catch (error) {
+      console.error('Error loading drafts:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.DRAFTS_LOAD_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Carga la bandeja de salida o los programados de la cuenta actual (los
+   * dos buzones comparten la cola del proceso principal)
+   */
+  async loadOutbox() {
+    const mailboxType = this.currentMailboxType;
+
+    try {
+      const currentAccountId = this.accountManager.getCurrentAccountId();
+      const response = await window.electronAPI.fetchOutbox(currentAccountId);
+
+      if (response.success) {
+        const items = response.data.filter((item) => item.scheduled === (mailboxType === 'scheduled'));
+        this.currentFetchedMessages = items;
+
+        this.uiManager.updateMessageListHeader(
+          this.getMailboxDisplayName(mailboxType),
+          items.length,
+          false,
+          MESSAGES.COUNTER_LABELS[mailboxType]
+        );
+        this.uiManager.updateMailboxCounts(this.countOutbox(response.data));
+
+        this.emailRenderer.renderOutbox(items);
+      } else {
+        this.uiManager.showNotification(
+          `${MESSAGES.NOTIFICATIONS.OUTBOX_LOAD_ERROR}: ${response.error}`,
+          'error',
+          TIMEOUTS.NOTIFICATION_LONG
+        );
+      }
+    } catch (error) {
+      console.error('Error loading outbox:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.OUTBOX_LOAD_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Maneja un cambio de la bandeja de salida enviado por el proceso principal
+   * @param {Object} update - { type: queued|rescheduled|cancelled|sending|sent|retrying|failed, item }
+   */
+  async handleOutboxUpdate({ type, item }) {
+    switch (type) {
+    case 'queued':
+      this.showUndoSend(item);
+      break;
+    case 'cancelled':
+    case 'sending':
+      this.closeUndoSend(item.id);
+      break;
+    case 'sent':
+      this.closeUndoSend(item.id);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.EMAIL_SENT,
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+      break;
+    case 'retrying':
+      // Solo se avisa del primer fallo, no de cada reintento
+      if (item.attempts === 1) {
+        this.uiManager.showNotification(
+          MESSAGES.NOTIFICATIONS.EMAIL_SEND_OFFLINE,
+          'warning',
+          TIMEOUTS.NOTIFICATION_LONG
+        );
+      }
+      break;
+    case 'failed':
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.EMAIL_SEND_FAILED}: ${item.lastError}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+      break;
+    }
+
+    if (item.accountId !== this.accountManager.getCurrentAccountId()) return;
+
+    if (this.currentMailboxType === 'outbox' || this.currentMailboxType === 'scheduled') {
+      await this.loadOutbox();
+    } else {
+      await this.updateOutboxCount();
+    }
+  }
+
+  /**
+   * Muestra la notificación para deshacer o editar un envío durante su
+   * ventana de espera (o al programarlo)
+   */
+  showUndoSend(item) {
+    const remaining = Math.max(1, Math.round((new Date(item.sendAt).getTime() - Date.now()) / 1000));
+    const message = item.scheduled
+      ? MESSAGES.NOTIFICATIONS.EMAIL_SCHEDULED(this.emailRenderer.formatSendAt(item.sendAt))
+      : MESSAGES.NOTIFICATIONS.EMAIL_SENDING_IN(remaining);
+
+    const notification = this.uiManager.showNotification(
+      message,
+      'info',
+      item.scheduled ? TIMEOUTS.NOTIFICATION_LONG : remaining * 1000,
+      [
+        { label: MESSAGES.OUTBOX.UNDO, onClick: () => this.emailRenderer.cancelQueuedEmail(item) },
+        { label: MESSAGES.OUTBOX.EDIT, onClick: () => this.emailRenderer.cancelQueuedEmail(item, true) }
+      ]
+    );
+
+    if (notification) {
+      this.undoNotifications.set(item.id, notification);
+    }
+  }
+
+  /**
+   * Cierra la notificación para deshacer de un envío
+   */
+  closeUndoSend(id) {
+    this.uiManager.removeNotification(this.undoNotifications.get(id));
+    this.undoNotifications.delete(id);
+  }
+
+  /**
+   * Actualiza los contadores de la bandeja de salida y los programados
+   */
+  async updateOutboxCount() {
+    if (!this.accountManager.canPerformAction()) return;
+
+    try {
+      const response = await window.electronAPI.fetchOutbox(this.accountManager.getCurrentAccountId());
+      if (response.success) {
+        this.uiManager.updateMailboxCounts(this.countOutbox(response.data));
+      }
+    } catch (error) {
+      console.error('Error updating outbox count:', error);
+    }
+  }
+
+  /**
+   * Contadores de la bandeja de salida y los programados
+   */
+  countOutbox(items) {
+    const scheduled = items.filter((item) => item.scheduled).length;
+    return { outbox: items.length - scheduled, scheduled };
+  }
+
+  /**
+   * Vuelve a Recibidos si se elimina la etiqueta abierta
+   */
+  async handleLabelDeleted(mailboxType) {
+    if (this.currentMailboxType !== mailboxType) return;
+
+    await this.loadEmailsForMailbox('INBOX', 'all');
+    this.uiManager.setActiveMailbox('all');
+  }
+
+  /**
+   * Quita de la lista el mensaje al que se quita la etiqueta abierta
+   */
+  handleMessageLabelsChanged({ emailId, removeLabelIds }) {
+    const removed = removeLabelIds.some((labelId) => this.currentMailboxType === `label:${labelId}`);
+
+    if (removed && !this.isThreadListing()) {
+      this.emailRenderer.removeMessageFromList(emailId);
+    }
+  }
+
   /**
    * Maneja resultados de búsqueda
    */
   handleSearchResults(results, query) {
+    this.resetPagination();
     this.currentFetchedMessages = results;
     this.emailRenderer.renderMessages(results, 'search');
   }
@@ -438,6 +1271,8 @@ export class EventHandler {
    * Maneja cambio de cuenta
    */
   async handleAccountChanged(account) {
+    this.uiManager.clearMessageDetail();
+    this.uiManager.setActiveMailbox('all');
     await this.loadEmailsForMailbox('INBOX', 'all');
     await this.updateMailboxCounts();
   }
@@ -467,6 +1302,8 @@ export class EventHandler {
       };
 
       this.uiManager.updateMailboxCounts(counts);
+      await this.updateOutboxCount();
+      await this.labelManager.loadLabels();
     } catch (error) {
       console.error('Error updating mailbox counts:', error);
     }
@@ -476,7 +1313,7 @@ export class EventHandler {
    * Obtiene el nombre para mostrar del buzón
    */
   getMailboxDisplayName(mailboxType) {
-    return MESSAGES.MAILBOX_NAMES[mailboxType] || mailboxType;
+    return MESSAGES.MAILBOX_NAMES[mailboxType] || this.labelManager.getLabelName(mailboxType) || mailboxType;
   }
 
   /**
@@ -0,0 +1,218 @@
+/**
+ * InvitationManager - Invitaciones de reunión del mensaje abierto
+ * Muestra la tarjeta de la invitación (parte text/calendar), busca en el
+ * calendario principal los eventos con los que coincide y envía la respuesta
+ * del usuario (Sí, Quizá, No) al organizador
+ */
+
+import { InvitationCardComponent } from '../components/ui/InvitationCard.js';
+import { SELECTORS, UI_CONSTANTS } from '../config/uiConfig.js';
+import { MESSAGES, TIMEOUTS } from '../config/textConstants.js';
+
+// Calendario en el que se buscan los eventos que coinciden
+const PRIMARY_CALENDAR = 'primary';
+
+export class InvitationManager {
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.account = null;
+    this.message = null;
+    this.state = {};
+    // Respuestas enviadas en esta sesión, por cuenta y mensaje
+    this.responses = new Map();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Escucha los cambios del mensaje mostrado y de la cuenta activa
+   */
+  setupEventListeners() {
+    document.addEventListener('messageDisplayed', (event) => {
+      this.show(event.detail.message);
+    });
+
+    const setAccount = (account) => {
+      this.account = account || null;
+    };
+
+    document.addEventListener('accountConnected', (event) => setAccount(event.detail.account));
+    document.addEventListener('accountChanged', (event) => setAccount(event.detail.account));
+    document.addEventListener('accountDisconnected', () => setAccount(null));
+  }
+
+  /**
+   * Muestra la invitación del mensaje (o nada si no tiene)
+   * @param {Object|null} message - Mensaje mostrado (null al limpiar)
+   */
+  show(message) {
+    this.message = message?.invitation ? message : null;
+    this.state = {
+      accountId: this.uiManager.getCurrentEmailAccountId(),
+      conflicts: null,
+      checkingConflicts: false,
+      busy: false
+    };
+
+    this.render();
+
+    if (this.message && this.message.invitation.method === 'REQUEST') {
+      this.loadConflicts(this.message);
+    }
+  }
+
+  /**
+   * Pinta la tarjeta con el estado actual
+   */
+  render() {
+    const container = document.querySelector(SELECTORS.MESSAGE_INVITATION);
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.classList.toggle('hidden', !this.message);
+    if (!this.message) return;
+
+    container.appendChild(InvitationCardComponent.create({
+      invitation: this.message.invitation,
+      response: this.getResponse(this.message),
+      conflicts: this.state.conflicts,
+      checkingConflicts: this.state.checkingConflicts,
+      busy: this.state.busy,
+      onRespond: (response) => this.respond(response)
+    }));
+  }
+
+  /**
+   * Respuesta actual de la cuenta: la enviada en esta sesión o la que trae
+   * la invitación para su dirección
+   * @param {Object} message - Mensaje con invitación
+   * @returns {string} ACCEPTED, TENTATIVE, DECLINED o ''
+   */
+  getResponse(message) {
+    const sent = this.responses.get(this.getResponseKey(message));
+    if (sent) return sent;
+
+    const email = (this.account?.email || '').toLowerCase();
+    const attendee = message.invitation.attendees.find((item) => item.email.toLowerCase() === email);
+    return attendee && attendee.partstat !== 'NEEDS-ACTION' ? attendee.partstat : '';
+  }
+
+  getResponseKey(message) {
+    return `${this.state.accountId}:${message.id}`;
+  }
+
+  /**
+   * Busca en el calendario principal los eventos que coinciden con la
+   * invitación. Las cuentas sin calendario no muestran el aviso
+   * @param {Object} message - Mensaje con invitación
+   */
+  async loadConflicts(message) {
+    const { invitation } = message;
+    const { start, end } = window.calendarDates.getRange(invitation);
+    if (!this.state.accountId || end <= start) return;
+
+    this.state.checkingConflicts = true;
+    this.render();
+
+    try {
+      const response = await window.electronAPI.fetchCalendarEvents(this.state.accountId, PRIMARY_CALENDAR, {
+        timeMin: start.toISOString(),
+        timeMax: end.toISOString()
+      });
+
+      // El usuario pudo cambiar de mensaje mientras se buscaba
+      if (this.message !== message) return;
+
+      this.state.conflicts = response.success
+        ? response.data.filter((event) => this.isConflict(event, invitation))
+        : null;
+    } catch (error) {
+      console.error('Error loading invitation conflicts:', error);
+      if (this.message !== message) return;
+      this.state.conflicts = null;
+    }
+
+    this.state.checkingConflicts = false;
+    this.render();
+  }
+
+  /**
+   * Indica si un evento del calendario ocupa el hueco de la invitación: no
+   * es la propia invitación, no está libre ni cancelado y no se ha rechazado
+   */
+  isConflict(event, invitation) {
+    const self = event.attendees.find((attendee) => attendee.self);
+    return event.iCalUID !== invitation.uid &&
+      event.transparency !== 'transparent' &&
+      event.status !== 'cancelled' &&
+      self?.responseStatus !== 'declined';
+  }
+
+  /**
+   * Envía la respuesta al organizador (y la guarda en el calendario)
+   * @param {string} response - ACCEPTED, TENTATIVE o DECLINED
+   */
+  async respond(response) {
+    const message = this.message;
+    if (!message || this.state.busy) return;
+
+    this.state.busy = true;
+    this.render();
+
+    try {
+      const result = await window.electronAPI.respondInvitation(this.state.accountId, message.id, response);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.responses.set(this.getResponseKey(message), response);
+      if (result.data.calendarError) {
+        this.showCalendarError(this.state.accountId, result.data.calendarError);
+      } else {
+        this.uiManager.showNotification(
+          MESSAGES.NOTIFICATIONS.INVITATION_RESPONSE_SENT,
+          'success',
+          TIMEOUTS.NOTIFICATION_DEFAULT
+        );
+      }
+    } catch (error) {
+      console.error('Error responding to invitation:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.INVITATION_RESPONSE_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+
+    if (this.message !== message) return;
+    this.state.busy = false;
+    this.render();
+  }
+
+  /**
+   * Avisa de que la respuesta salió pero el calendario no se actualizó; si
+   * faltan permisos ofrece volver a conectar la cuenta
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} calendarError - { error, errorType }
+   */
+  showCalendarError(accountId, calendarError) {
+    const needsReconnect = calendarError.errorType === UI_CONSTANTS.PERMISSIONS_ERROR_TYPE;
+    const message = needsReconnect
+      ? MESSAGES.NOTIFICATIONS.CALENDAR_PERMISSION_NEEDED
+      : calendarError.error;
+
+    this.uiManager.showNotification(
+      MESSAGES.NOTIFICATIONS.INVITATION_CALENDAR_ERROR(message),
+      'warning',
+      needsReconnect ? 0 : TIMEOUTS.NOTIFICATION_LONG,
+      needsReconnect
+        ? [{
+          label: MESSAGES.ACCOUNTS.RECONNECT,
+          onClick: () => document.dispatchEvent(new CustomEvent('accountReconnectRequested', {
+            detail: { accountId }
+          }))
+        }]
+        : []
+    );
+  }
+}
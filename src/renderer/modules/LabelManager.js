@@ -0,0 +1,319 @@
+/**
+ * LabelManager - Gestión de etiquetas de la cuenta (Gmail)
+ * Muestra las etiquetas como buzones, permite crearlas, renombrarlas y
+ * eliminarlas, aplicarlas al mensaje abierto con el selector de etiquetas y
+ * moverlo a otra etiqueta
+ */
+
+import { MailboxesPanel } from '../components/screens/MailboxesPanel.js';
+import { LabelPickerComponent } from '../components/ui/LabelPicker.js';
+import { SELECTORS, CSS_CLASSES } from '../config/uiConfig.js';
+import { MESSAGES, TIMEOUTS } from '../config/textConstants.js';
+
+export class LabelManager {
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.labels = [];
+    // Las cuentas sin etiquetas (Outlook, IMAP) no muestran el selector
+    this.supported = false;
+    this.currentMessage = null;
+    this.setupEventListeners();
+  }
+
+  /**
+   * Escucha los cambios de cuenta y del mensaje mostrado
+   */
+  setupEventListeners() {
+    document.addEventListener('messageDisplayed', (event) => {
+      this.renderMessageLabels(event.detail.message);
+    });
+
+    document.addEventListener('accountDisconnected', () => {
+      this.labels = [];
+      this.supported = false;
+      this.renderMailboxes();
+      this.renderMessageLabels(null);
+    });
+  }
+
+  /**
+   * Carga las etiquetas de la cuenta actual con sus contadores
+   */
+  async loadLabels() {
+    const accountId = this.uiManager.getCurrentAccountId();
+    if (!accountId) return;
+
+    try {
+      const response = await window.electronAPI.fetchLabels(accountId);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.labels = response.data;
+      this.supported = response.supported !== false;
+      this.renderMailboxes();
+      this.renderMessageLabels(this.currentMessage);
+    } catch (error) {
+      console.error('Error loading labels:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.LABELS_LOAD_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Nombre de una etiqueta a partir de su buzón (label:<ID>)
+   * @param {string} mailboxType - Tipo de buzón
+   * @returns {string|null} Nombre o null si no es una etiqueta conocida
+   */
+  getLabelName(mailboxType) {
+    const label = this.labels.find((l) => `label:${l.id}` === mailboxType);
+    return label ? label.name : null;
+  }
+
+  /**
+   * Renderiza las etiquetas en el panel de buzones
+   */
+  renderMailboxes() {
+    const panel = document.querySelector(SELECTORS.MAILBOXES_PANEL);
+    const active = panel?.querySelector(`.mailbox-item.${CSS_CLASSES.ACTIVE}`);
+
+    MailboxesPanel.updateLabels(panel, this.labels, {
+      onLabelClick: (event, mailbox) => this.emitLabelSelected(mailbox.type),
+      onRenameLabel: (item, label) => this.startRename(item, label),
+      onDeleteLabel: (label) => this.deleteLabel(label)
+    }, active?.dataset.mailbox || '');
+  }
+
+  /**
+   * Avisa de que se ha abierto el buzón de una etiqueta
+   */
+  emitLabelSelected(mailboxType) {
+    document.dispatchEvent(new CustomEvent('labelMailboxSelected', {
+      detail: { mailboxType }
+    }));
+  }
+
+  /**
+   * Sustituye el nombre de la etiqueta por un campo para renombrarla
+   * (Enter guarda, Escape o perder el foco cancela)
+   * @param {HTMLElement} item - Buzón de la etiqueta
+   * @param {Object} label - Etiqueta
+   */
+  startRename(item, label) {
+    const nameElement = item.querySelector('.mailbox-label');
+    if (!nameElement) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'mailbox-rename-input';
+    input.value = label.name;
+
+    let done = false;
+    const finish = async(save) => {
+      if (done) return;
+      done = true;
+
+      const name = input.value.trim();
+      input.replaceWith(nameElement);
+
+      if (save && name && name !== label.name) {
+        await this.renameLabel(label, name);
+      }
+    };
+
+    input.addEventListener('click', (event) => event.stopPropagation());
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') finish(true);
+      if (event.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(false));
+
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Renombra una etiqueta
+   */
+  async renameLabel(label, name) {
+    try {
+      const response = await window.electronAPI.renameLabel(this.uiManager.getCurrentAccountId(), label.id, name);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      await this.loadLabels();
+    } catch (error) {
+      console.error('Error renaming label:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.LABEL_RENAME_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Elimina una etiqueta tras confirmarlo (los mensajes se conservan)
+   */
+  async deleteLabel(label) {
+    if (!confirm(MESSAGES.LABELS.DELETE_CONFIRM(label.name))) return;
+
+    try {
+      const response = await window.electronAPI.deleteLabel(this.uiManager.getCurrentAccountId(), label.id);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.LABEL_DELETED(label.name),
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+
+      document.dispatchEvent(new CustomEvent('labelDeleted', {
+        detail: { mailboxType: `label:${label.id}` }
+      }));
+      await this.loadLabels();
+    } catch (error) {
+      console.error('Error deleting label:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.LABEL_DELETE_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Renderiza las etiquetas aplicadas y el selector del mensaje mostrado
+   * @param {Object|null} message - Mensaje mostrado (null al limpiar)
+   */
+  renderMessageLabels(message) {
+    this.currentMessage = message;
+
+    const chipsContainer = document.querySelector(SELECTORS.MESSAGE_LABELS);
+    const pickerContainer = document.querySelector(SELECTORS.LABEL_PICKER);
+
+    if (chipsContainer) {
+      chipsContainer.innerHTML = '';
+      const applied = this.labels.filter((label) => (message?.labels || []).includes(label.id));
+      const chips = LabelPickerComponent.createChips(applied);
+
+      if (chips) {
+        chipsContainer.appendChild(chips);
+      }
+      chipsContainer.classList.toggle(CSS_CLASSES.HIDDEN, !chips);
+    }
+
+    if (pickerContainer) {
+      pickerContainer.innerHTML = '';
+      if (!message || !this.supported) return;
+
+      // Las etiquetas cargadas son de la cuenta activa: en la bandeja
+      // unificada no se ofrecen para mensajes de otras cuentas
+      if (message.accountId && message.accountId !== this.uiManager.getCurrentAccountId()) return;
+
+      pickerContainer.appendChild(LabelPickerComponent.create({
+        labels: this.labels,
+        selected: message.labels || [],
+        onToggle: (label, checked) => this.toggleLabel(label, checked),
+        onCreate: (name) => this.createAndApplyLabel(name)
+      }));
+
+      // Mover lo hace EventHandler, que sabe de qué buzón sale el mensaje
+      pickerContainer.appendChild(LabelPickerComponent.createMoveSelect({
+        labels: this.labels,
+        onMove: (target, name) => {
+          document.dispatchEvent(new CustomEvent('moveMessageRequested', {
+            detail: { target, name }
+          }));
+        }
+      }));
+    }
+  }
+
+  /**
+   * Añade o quita una etiqueta del mensaje mostrado
+   */
+  async toggleLabel(label, checked) {
+    await this.modifyMessageLabels(checked ? [label.id] : [], checked ? [] : [label.id]);
+  }
+
+  /**
+   * Crea una etiqueta y la aplica al mensaje mostrado
+   */
+  async createAndApplyLabel(name) {
+    try {
+      const response = await window.electronAPI.createLabel(this.uiManager.getCurrentAccountId(), name);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.labels = [...this.labels, response.data].sort((a, b) => a.name.localeCompare(b.name));
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.LABEL_CREATED(response.data.name),
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+
+      if (this.currentMessage) {
+        await this.modifyMessageLabels([response.data.id], []);
+      } else {
+        this.renderMailboxes();
+      }
+    } catch (error) {
+      console.error('Error creating label:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.LABEL_CREATE_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+
+  /**
+   * Cambia las etiquetas del mensaje mostrado y actualiza contadores
+   */
+  async modifyMessageLabels(addLabelIds, removeLabelIds) {
+    const message = this.currentMessage;
+    if (!message) return;
+
+    try {
+      const response = await window.electronAPI.modifyLabels(
+        this.uiManager.getCurrentAccountId(),
+        message.id,
+        addLabelIds,
+        removeLabelIds
+      );
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      message.labels = response.data.labels;
+      document.dispatchEvent(new CustomEvent('messageLabelsChanged', {
+        detail: { emailId: message.id, addLabelIds, removeLabelIds }
+      }));
+
+      // Recarga los contadores y vuelve a pintar el selector con el estado nuevo
+      await this.loadLabels();
+    } catch (error) {
+      console.error('Error updating message labels:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.LABEL_UPDATE_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+      this.renderMessageLabels(message);
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * RemoteContentManager - Remitentes con imágenes remotas permitidas
+ * Las imágenes remotas de los mensajes HTML se bloquean por defecto; este
+ * módulo carga y guarda (por cuenta) los remitentes cuyas imágenes se
+ * muestran siempre y se los pasa a UIManager
+ */
+
+import { MESSAGES, TIMEOUTS } from '../config/textConstants.js';
+
+export class RemoteContentManager {
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.allowlist = {};
+    this.setupEventListeners();
+    this.loadAllowlist();
+  }
+
+  /**
+   * Escucha "Mostrar siempre de este remitente" del aviso de imágenes
+   */
+  setupEventListeners() {
+    document.addEventListener('senderImagesAllowed', (event) => {
+      const { accountId, sender } = event.detail;
+      this.allowSender(accountId, sender);
+    });
+  }
+
+  /**
+   * Carga los remitentes permitidos de todas las cuentas
+   */
+  async loadAllowlist() {
+    try {
+      const response = await window.electronAPI.getImageAllowlist();
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.allowlist = response.data;
+      this.uiManager.setImageAllowlist(this.allowlist);
+    } catch (error) {
+      console.error('Error loading image allowlist:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.IMAGE_ALLOWLIST_LOAD_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+    }
+  }
+
+  /**
+   * Permite siempre las imágenes de un remitente en una cuenta
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} sender - Dirección del remitente
+   */
+  async allowSender(accountId, sender) {
+    try {
+      const response = await window.electronAPI.allowSenderImages(accountId, sender);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.allowlist = { ...this.allowlist, [accountId]: response.data };
+      this.uiManager.setImageAllowlist(this.allowlist);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.SENDER_IMAGES_ALLOWED(sender),
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+    } catch (error) {
+      console.error('Error allowing sender images:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.SENDER_IMAGES_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+    }
+  }
+}
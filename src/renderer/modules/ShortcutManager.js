@@ -0,0 +1,286 @@
+/**
+ * ShortcutManager - Atajos de teclado al estilo Gmail
+ * Traduce las pulsaciones a acciones (j/k, o, r, e, "g i"...), carga y guarda
+ * las teclas personalizadas en la configuración y detecta conflictos
+ */
+
+import { SHORTCUTS } from '../config/uiConfig.js';
+import { MESSAGES, TIMEOUTS } from '../config/textConstants.js';
+import { ShortcutHelpComponent } from '../components/ui/ShortcutHelp.js';
+import { OptionsScreen } from '../components/screens/OptionsScreen.js';
+
+// Teclas que por sí solas no forman un atajo
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+// Campos en los que se escribe: ahí las teclas no son atajos
+const NON_TEXT_INPUTS = ['checkbox', 'radio', 'button', 'submit', 'reset'];
+
+export class ShortcutManager {
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.bindings = this.getDefaultBindings();
+    this.handlers = {};
+    // Primera tecla de una secuencia pendiente ("g" de "g i")
+    this.pendingPrefix = null;
+    this.pendingTimer = null;
+    // Los atajos se pausan mientras la pantalla de opciones está abierta
+    this.suspended = false;
+  }
+
+  /**
+   * Copia de los atajos predeterminados
+   */
+  getDefaultBindings() {
+    return Object.fromEntries(
+      Object.entries(SHORTCUTS.DEFAULT_BINDINGS).map(([action, keys]) => [action, [...keys]])
+    );
+  }
+
+  /**
+   * Empieza a escuchar el teclado
+   * @param {Object} handlers - Acción -> función que la ejecuta
+   */
+  attach(handlers) {
+    this.handlers = handlers;
+    document.addEventListener('keydown', (event) => this.handleKeydown(event));
+    this.loadBindings();
+  }
+
+  /**
+   * Carga los atajos guardados sobre los predeterminados
+   */
+  async loadBindings() {
+    try {
+      const response = await window.electronAPI.getShortcuts();
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.bindings = { ...this.getDefaultBindings(), ...response.data };
+    } catch (error) {
+      console.error('Error loading shortcuts:', error);
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.SHORTCUTS_LOAD_ERROR,
+        'error',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+    }
+  }
+
+  /**
+   * Guarda los atajos si no tienen conflictos
+   * @param {Object} bindings - Acción -> teclas
+   * @returns {Promise<boolean>} Si se han guardado
+   */
+  async saveBindings(bindings) {
+    if (this.findConflicts(bindings).length > 0) return false;
+
+    try {
+      const response = await window.electronAPI.saveShortcuts(bindings);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.bindings = bindings;
+      this.uiManager.showNotification(
+        MESSAGES.NOTIFICATIONS.SHORTCUTS_SAVED,
+        'success',
+        TIMEOUTS.NOTIFICATION_DEFAULT
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving shortcuts:', error);
+      this.uiManager.showNotification(
+        `${MESSAGES.NOTIFICATIONS.SHORTCUTS_SAVE_ERROR}: ${error.message}`,
+        'error',
+        TIMEOUTS.NOTIFICATION_LONG
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Busca teclas asignadas a más de una acción y teclas sueltas que son el
+   * comienzo de una secuencia de otra acción ("g" frente a "g i")
+   * @param {Object} bindings - Acción -> teclas
+   * @returns {Array<Object>} Conflictos { key, action, otherAction, prefix }
+   */
+  findConflicts(bindings) {
+    const conflicts = [];
+    const owners = new Map();
+
+    Object.entries(bindings).forEach(([action, keys]) => {
+      keys.forEach((key) => {
+        if (owners.has(key) && owners.get(key) !== action) {
+          conflicts.push({ key, action, otherAction: owners.get(key), prefix: false });
+        } else {
+          owners.set(key, action);
+        }
+      });
+    });
+
+    owners.forEach((action, key) => {
+      const [prefix] = key.split(' ');
+      if (prefix !== key && owners.has(prefix)) {
+        conflicts.push({ key: prefix, action: owners.get(prefix), otherAction: action, prefix: true });
+      }
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Texto del conflicto que provoca asignar una tecla a una acción
+   * @returns {string|null} Mensaje o null si la tecla está libre
+   */
+  describeConflict(bindings, action, key) {
+    const candidate = { ...bindings, [action]: [...(bindings[action] || []), key] };
+    const conflict = this.findConflicts(candidate).find((c) => c.action === action || c.otherAction === action);
+    if (!conflict) return null;
+
+    const other = conflict.action === action ? conflict.otherAction : conflict.action;
+    const otherName = MESSAGES.SHORTCUTS.ACTIONS[other] || other;
+
+    return conflict.prefix
+      ? MESSAGES.SHORTCUTS.PREFIX_CONFLICT(conflict.key, otherName)
+      : MESSAGES.SHORTCUTS.CONFLICT(conflict.key, otherName);
+  }
+
+  /**
+   * Tecla normalizada de una pulsación: "j", "#", "Enter", "Ctrl+k".
+   * Mayús solo se añade a teclas con nombre: en las imprimibles ya está
+   * en el carácter ("?" o "#")
+   * @param {KeyboardEvent} event - Pulsación
+   * @returns {string|null} Tecla o null si es solo un modificador
+   */
+  static keyFromEvent(event) {
+    if (MODIFIER_KEYS.includes(event.key)) return null;
+
+    const key = event.key === ' ' ? 'Space' : event.key;
+    const modifiers = [];
+
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.metaKey) modifiers.push('Meta');
+    if (event.shiftKey && key.length > 1) modifiers.push('Shift');
+
+    return [...modifiers, key].join('+');
+  }
+
+  /**
+   * Indica si el foco está en un campo de texto
+   */
+  static isTyping(target) {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable) return true;
+    if (['TEXTAREA', 'SELECT'].includes(target.tagName)) return true;
+    return target.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(target.type);
+  }
+
+  /**
+   * Acción asignada a una tecla o secuencia
+   */
+  getAction(key) {
+    return Object.keys(this.bindings).find((action) => this.bindings[action].includes(key)) || null;
+  }
+
+  /**
+   * Indica si una tecla es el comienzo de alguna secuencia
+   */
+  isSequencePrefix(key) {
+    return Object.values(this.bindings).some((keys) => keys.some((bound) => bound.startsWith(`${key} `)));
+  }
+
+  /**
+   * Ejecuta la acción de la pulsación
+   */
+  handleKeydown(event) {
+    if (this.suspended || event.defaultPrevented || ShortcutManager.isTyping(event.target)) return;
+
+    const key = ShortcutManager.keyFromEvent(event);
+    if (!key) return;
+
+    const prefix = this.pendingPrefix;
+    this.clearPendingPrefix();
+
+    const sequenceAction = prefix ? this.getAction(`${prefix} ${key}`) : null;
+    if (sequenceAction) {
+      this.runAction(sequenceAction, event);
+      return;
+    }
+
+    if (this.isSequencePrefix(key)) {
+      this.pendingPrefix = key;
+      this.pendingTimer = setTimeout(() => this.clearPendingPrefix(), SHORTCUTS.SEQUENCE_TIMEOUT);
+      event.preventDefault();
+      return;
+    }
+
+    const action = this.getAction(key);
+    if (action) {
+      this.runAction(action, event);
+    }
+  }
+
+  /**
+   * Olvida la primera tecla de una secuencia
+   */
+  clearPendingPrefix() {
+    clearTimeout(this.pendingTimer);
+    this.pendingPrefix = null;
+    this.pendingTimer = null;
+  }
+
+  /**
+   * Ejecuta una acción; "help" se resuelve aquí mismo
+   */
+  runAction(action, event) {
+    const handler = action === 'help' ? () => this.toggleHelp() : this.handlers[action];
+    if (!handler) return;
+
+    // Evita que "/" se escriba en el buscador o que Enter active el botón con foco
+    event.preventDefault();
+    handler();
+  }
+
+  /**
+   * Muestra u oculta la ayuda con los atajos
+   */
+  toggleHelp() {
+    if (ShortcutHelpComponent.isOpen()) {
+      ShortcutHelpComponent.close();
+    } else {
+      ShortcutHelpComponent.open({ bindings: this.bindings });
+    }
+  }
+
+  /**
+   * Desactiva los atajos mientras otra pantalla tiene el teclado (calendario)
+   * @param {boolean} suspended - true para desactivarlos
+   */
+  setSuspended(suspended) {
+    this.suspended = suspended;
+  }
+
+  /**
+   * Abre la pantalla de opciones para cambiar los atajos
+   * @param {Object} extra - Otras secciones de la pantalla (p. ej. signatures)
+   */
+  openOptions(extra = {}) {
+    this.suspended = true;
+
+    OptionsScreen.open({
+      ...extra,
+      bindings: this.bindings,
+      defaults: this.getDefaultBindings(),
+      keyFromEvent: (event) => ShortcutManager.keyFromEvent(event),
+      describeConflict: (bindings, action, key) => this.describeConflict(bindings, action, key),
+      onSave: (bindings) => this.saveBindings(bindings),
+      onClose: () => {
+        this.suspended = false;
+      }
+    });
+  }
+}
@@ -5,6 +5,8 @@
 
 import { SELECTORS, CSS_CLASSES, UI_CONSTANTS } from '../config/uiConfig.js';
 import { MESSAGES, TIMEOUTS, LIMITS } from '../config/textConstants.js';
+import { MessageDetailPanel } from '../components/screens/MessageDetailPanel.js';
+import { MessageFrameComponent } from '../components/ui/MessageFrame.js';
 
 export class UIManager {
   constructor() {
@@ -12,8 +14,14 @@ export class UIManager {
     this.state = {
       currentAccountId: null,
       currentEmailId: null,
-      isSearchMode: false
+      // Cuenta del mensaje mostrado (en la bandeja unificada puede ser otra)
+      currentEmailAccountId: null,
+      isSearchMode: false,
+      // ID de cuenta -> remitentes con imágenes remotas permitidas
+      imageAllowlist: {}
     };
+    // "cuenta:mensaje:Content-ID" -> data: URL (null si no se pudo descargar)
+    this.inlineImageCache = new Map();
     this.initElements();
   }
 
@@ -44,6 +52,7 @@ export class UIManager {
         // Search elements
         searchInput: document.querySelector(SELECTORS.SEARCH_INPUT),
         searchButton: document.querySelector(SELECTORS.SEARCH_BUTTON),
+        threadModeToggle: document.querySelector(SELECTORS.THREAD_MODE_TOGGLE),
         
         // Mailbox elements
         mailboxItems: document.querySelectorAll(SELECTORS.MAILBOX_ITEMS),
@@ -51,7 +60,9 @@ export class UIManager {
           all: document.querySelector(SELECTORS.COUNT_ALL),
           unread: document.querySelector(SELECTORS.COUNT_UNREAD),
           today: document.querySelector(SELECTORS.COUNT_TODAY),
-          flagged: document.querySelector(SELECTORS.COUNT_FLAGGED)
+          flagged: document.querySelector(SELECTORS.COUNT_FLAGGED),
+          outbox: document.querySelector(SELECTORS.COUNT_OUTBOX),
+          scheduled: document.querySelector(SELECTORS.COUNT_SCHEDULED)
         },
         
         // Dynamic selectors
@@ -131,6 +142,7 @@ export class UIManager {
     const displayName = account.alias || account.provider || 'Gmail';
     this.elements.currentAccount.textContent = displayName;
     this.elements.currentAccount.title = account.email;
+    this.elements.currentAccount.style.setProperty('--account-color', account.color || '');
     
     this.state.currentAccountId = account.id;
   }
@@ -142,6 +154,7 @@ export class UIManager {
     if (this.elements.currentAccount) {
       this.elements.currentAccount.textContent = 'Gmail';
       this.elements.currentAccount.title = '';
+      this.elements.currentAccount.style.removeProperty('--account-color');
     }
     this.state.currentAccountId = null;
   }
@@ -166,7 +179,7 @@ export class UIManager {
   /**
    * Actualiza el título y contador de la lista de mensajes
    */
-  updateMessageListHeader(title, count, isSearch = false) {
+  updateMessageListHeader(title, count, isSearch = false, counterLabel = MESSAGES.COUNTER_LABELS.messages) {
     if (this.elements.messageListTitle) {
       this.elements.messageListTitle.textContent = title;
     }
@@ -174,7 +187,7 @@ export class UIManager {
     if (this.elements.messageListCount) {
       const label = isSearch 
         ? MESSAGES.COUNTER_LABELS.search_results(title)
-        : `${count} ${MESSAGES.COUNTER_LABELS.messages}`;
+        : `${count} ${counterLabel}`;
       this.elements.messageListCount.textContent = label;
     }
   }
@@ -189,6 +202,7 @@ export class UIManager {
     }
 
     this.state.currentEmailId = message.id;
+    this.state.currentEmailAccountId = message.accountId || this.state.currentAccountId;
 
     if (this.elements.messageTitle) {
       this.elements.messageTitle.textContent = message.subject || MESSAGES.NO_SUBJECT;
@@ -207,6 +221,81 @@ export class UIManager {
     }
 
     this.renderMessageBody(message);
+    this.emitMessageDisplayed(message);
+  }
+
+  /**
+   * Muestra una conversación completa con sus mensajes plegables
+   * Las acciones (responder, reenviar...) se aplican al último mensaje
+   */
+  displayThread(thread) {
+    const messages = thread?.messages || [];
+    if (messages.length === 0) {
+      this.clearMessageDetail();
+      return;
+    }
+
+    const latest = messages[messages.length - 1];
+    this.state.currentEmailId = latest.id;
+    this.state.currentEmailAccountId = this.state.currentAccountId;
+
+    if (this.elements.messageTitle) {
+      this.elements.messageTitle.textContent = thread.subject || MESSAGES.NO_SUBJECT;
+    }
+
+    if (this.elements.messageSender) {
+      this.elements.messageSender.textContent = (thread.participants || []).join(', ') || latest.from || '';
+    }
+
+    if (this.elements.messageRecipient) {
+      this.elements.messageRecipient.textContent = latest.to || 'me';
+    }
+
+    if (this.elements.messageDate) {
+      this.elements.messageDate.textContent = new Date(latest.date).toLocaleString();
+    }
+
+    if (this.elements.messageBody) {
+      this.elements.messageBody.innerHTML = '';
+      this.elements.messageBody.appendChild(
+        MessageDetailPanel.createConversation(messages, (message) => this.createMessageBodyElement(message))
+      );
+    }
+
+    this.emitMessageDisplayed(latest);
+  }
+
+  /**
+   * Refleja el modo conversación en su botón
+   */
+  setThreadModeToggle(enabled) {
+    const toggle = this.elements.threadModeToggle;
+    if (!toggle) return;
+
+    toggle.classList.toggle(CSS_CLASSES.ACTIVE, enabled);
+    toggle.setAttribute('aria-pressed', String(enabled));
+  }
+
+  /**
+   * Ajusta los botones destacar y spam al estado del mensaje mostrado
+   * @param {Object|null} message - Mensaje mostrado (null al limpiar)
+   */
+  updateMessageActionButtons(message) {
+    const labels = message?.labels || [];
+    const starButton = document.querySelector(SELECTORS.STAR_BUTTON);
+    const spamButton = document.querySelector(SELECTORS.SPAM_BUTTON);
+
+    if (starButton) {
+      starButton.textContent = labels.includes('STARRED')
+        ? MESSAGES.MESSAGE_ACTIONS.UNSTAR
+        : MESSAGES.MESSAGE_ACTIONS.STAR;
+    }
+
+    if (spamButton) {
+      spamButton.textContent = labels.includes('SPAM')
+        ? MESSAGES.MESSAGE_ACTIONS.NOT_SPAM
+        : MESSAGES.MESSAGE_ACTIONS.SPAM;
+    }
   }
 
   /**
@@ -231,6 +320,18 @@ export class UIManager {
     }
 
     this.state.currentEmailId = null;
+    this.state.currentEmailAccountId = null;
+    this.emitMessageDisplayed(null);
+  }
+
+  /**
+   * Emite evento con el mensaje mostrado (null si se limpia el detalle)
+   */
+  emitMessageDisplayed(message) {
+    const event = new CustomEvent('messageDisplayed', {
+      detail: { message }
+    });
+    document.dispatchEvent(event);
   }
 
   /**
@@ -240,12 +341,18 @@ export class UIManager {
     if (!this.elements.messageBody) return;
 
     this.elements.messageBody.innerHTML = '';
+    this.elements.messageBody.appendChild(this.createMessageBodyElement(message));
+  }
 
+  /**
+   * Crea el elemento con el cuerpo de un mensaje (HTML o texto plano)
+   */
+  createMessageBodyElement(message) {
     const container = document.createElement('div');
     container.className = 'email-content';
 
     if (message.htmlBody) {
-      container.innerHTML = message.htmlBody;
+      this.renderHtmlBody(container, message, this.isSenderImagesAllowed(message));
     } else if (message.body) {
       const bodyText = document.createElement('div');
       bodyText.className = 'plain-text';
@@ -259,7 +366,178 @@ export class UIManager {
       container.appendChild(noContentMsg);
     }
 
-    this.elements.messageBody.appendChild(container);
+    return container;
+  }
+
+  /**
+   * Renderiza un cuerpo HTML aislado en un iframe (el HTML del correo nunca
+   * entra en este documento), con el aviso de imágenes ocultas si las hay
+   * @param {HTMLElement} container - Contenedor del cuerpo
+   * @param {Object} message - Mensaje
+   * @param {boolean} allowRemoteImages - Cargar las imágenes remotas
+   */
+  renderHtmlBody(container, message, allowRemoteImages) {
+    const { frame, blockedImages, removedTrackers } = MessageFrameComponent.create({
+      html: message.htmlBody,
+      allowRemoteImages,
+      inlineImages: this.getInlineImageSources(message),
+      onLinkClick: (href, text) => this.openMessageLink(href, text)
+    });
+
+    // Las imágenes en línea que faltan se descargan y el cuerpo se vuelve a
+    // pintar una vez (las que fallan quedan en la caché y no se repiten)
+    this.loadInlineImages(message).then((loaded) => {
+      if (loaded && container.isConnected && container.contains(frame)) {
+        this.renderHtmlBody(container, message, allowRemoteImages);
+      }
+    });
+
+    container.innerHTML = '';
+
+    if (blockedImages > 0) {
+      const sender = this.getSenderAddress(message);
+      const showImages = () => this.renderHtmlBody(container, message, true);
+
+      container.appendChild(MessageFrameComponent.createImagesBanner({
+        removedTrackers,
+        sender,
+        onShowOnce: showImages,
+        onAlwaysShow: () => {
+          document.dispatchEvent(new CustomEvent('senderImagesAllowed', {
+            detail: { accountId: this.getMessageAccountId(message), sender }
+          }));
+          showImages();
+        }
+      }));
+    }
+
+    container.appendChild(frame);
+  }
+
+  /**
+   * Imágenes en línea disponibles de un mensaje: las que vienen con el
+   * mensaje y las ya descargadas
+   * @param {Object} message - Mensaje
+   * @returns {Object} Content-ID -> data: URL
+   */
+  getInlineImageSources(message) {
+    const sources = {};
+
+    (message.inlineImages || []).forEach((image) => {
+      const source = image.data
+        ? MessageFrameComponent.createInlineImageSource(image)
+        : this.inlineImageCache.get(this.getInlineImageKey(message, image));
+      if (source) sources[image.contentId] = source;
+    });
+
+    return sources;
+  }
+
+  /**
+   * Descarga las imágenes en línea de un mensaje que no están en la caché
+   * @param {Object} message - Mensaje
+   * @returns {Promise<number>} Número de imágenes descargadas
+   */
+  async loadInlineImages(message) {
+    const accountId = this.getMessageAccountId(message);
+    const missing = (message.inlineImages || [])
+      .filter((image) => !image.data && !this.inlineImageCache.has(this.getInlineImageKey(message, image)));
+
+    const results = await Promise.all(missing.map(async(image) => {
+      let source = null;
+      try {
+        const response = await window.electronAPI.fetchInlineImage(accountId, message.id, image);
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        source = MessageFrameComponent.createInlineImageSource(response.data);
+      } catch (error) {
+        console.error('Error loading inline image:', error);
+      }
+
+      this.cacheInlineImage(this.getInlineImageKey(message, image), source);
+      return source;
+    }));
+
+    return results.filter(Boolean).length;
+  }
+
+  /**
+   * Guarda una imagen en línea en la caché, quitando las más antiguas
+   * @private
+   */
+  cacheInlineImage(key, source) {
+    this.inlineImageCache.delete(key);
+    this.inlineImageCache.set(key, source);
+
+    while (this.inlineImageCache.size > UI_CONSTANTS.INLINE_IMAGE_CACHE_SIZE) {
+      this.inlineImageCache.delete(this.inlineImageCache.keys().next().value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  getInlineImageKey(message, image) {
+    return `${this.getMessageAccountId(message)}:${message.id}:${image.contentId}`;
+  }
+
+  /**
+   * Dirección del remitente de un mensaje ("Nombre <a@b.com>" -> a@b.com)
+   * @returns {string|null} Dirección en minúsculas o null si no la hay
+   */
+  getSenderAddress(message) {
+    const from = message.from || '';
+    const address = (from.match(/<([^>]+)>/)?.[1] || from).trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+$/.test(address) ? address : null;
+  }
+
+  /**
+   * Cuenta de un mensaje (en la bandeja unificada puede no ser la activa)
+   */
+  getMessageAccountId(message) {
+    return message.accountId || this.state.currentAccountId;
+  }
+
+  /**
+   * Actualiza los remitentes con imágenes remotas permitidas
+   * @param {Object} allowlist - ID de cuenta -> direcciones
+   */
+  setImageAllowlist(allowlist) {
+    this.state.imageAllowlist = allowlist || {};
+  }
+
+  /**
+   * Indica si se cargan las imágenes remotas del remitente de un mensaje
+   */
+  isSenderImagesAllowed(message) {
+    const sender = this.getSenderAddress(message);
+    const senders = this.state.imageAllowlist[this.getMessageAccountId(message)] || [];
+    return Boolean(sender) && senders.includes(sender);
+  }
+
+  /**
+   * Abre un enlace del mensaje en el navegador, pidiendo confirmación si el
+   * texto muestra una dirección distinta de la real
+   * @param {string} href - Dirección del enlace
+   * @param {string} text - Texto visible del enlace
+   */
+  async openMessageLink(href, text) {
+    if (MessageFrameComponent.isMismatchedLink(href, text) &&
+        !confirm(MESSAGES.MESSAGE_FRAME.LINK_MISMATCH_CONFIRM(text.trim(), href))) {
+      return;
+    }
+
+    try {
+      const response = await window.electronAPI.openExternal(href);
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+    } catch (error) {
+      console.error('Error opening link:', error);
+      this.showNotification(MESSAGES.NOTIFICATIONS.LINK_OPEN_ERROR, 'error', TIMEOUTS.NOTIFICATION_LONG);
+    }
   }
 
   /**
@@ -268,7 +546,13 @@ export class UIManager {
   clearMessageList() {
     if (this.elements.messageList) {
       this.elements.messageList.innerHTML = '';
+      delete this.elements.messageList.dataset.selectionAnchor;
     }
+
+    // La selección desaparece con la lista
+    document.dispatchEvent(new CustomEvent('messageSelectionChanged', {
+      detail: { emailIds: [] }
+    }));
   }
 
   /**
@@ -287,7 +571,7 @@ export class UIManager {
    * Activa/desactiva buzones
    */
   setActiveMailbox(mailboxType) {
-    this.elements.mailboxItems.forEach(item => {
+    document.querySelectorAll(SELECTORS.MAILBOX_ITEMS).forEach(item => {
       item.classList.remove(CSS_CLASSES.ACTIVE);
     });
 
@@ -306,7 +590,7 @@ export class UIManager {
     this.state.isSearchMode = isSearchMode;
     
     if (isSearchMode) {
-      this.elements.mailboxItems.forEach(item => {
+      document.querySelectorAll(SELECTORS.MAILBOX_ITEMS).forEach(item => {
         item.classList.remove(CSS_CLASSES.ACTIVE);
       });
     }
@@ -314,12 +598,24 @@ export class UIManager {
 
   /**
    * Muestra notificación usando el sistema global
+   * @param {Array} actions - Botones opcionales [{ label, onClick }]
+   * @returns {HTMLElement|null} La notificación, para cerrarla antes de tiempo
    */
-  showNotification(message, type = 'info', duration = TIMEOUTS.NOTIFICATION_DEFAULT) {
+  showNotification(message, type = 'info', duration = TIMEOUTS.NOTIFICATION_DEFAULT, actions = []) {
     if (window.showNotification) {
-      window.showNotification(message, type, duration);
-    } else {
-      console.log(`Notification [${type}]: ${message}`);
+      return window.showNotification(message, type, duration, actions);
+    }
+
+    console.log(`Notification [${type}]: ${message}`);
+    return null;
+  }
+
+  /**
+   * Cierra una notificación devuelta por showNotification
+   */
+  removeNotification(notification) {
+    if (notification && window.removeNotification) {
+      window.removeNotification(notification);
     }
   }
 
@@ -350,4 +646,12 @@ export class UIManager {
   getCurrentEmailId() {
     return this.state.currentEmailId;
   }
+
+  /**
+   * Obtiene el ID de la cuenta del email actual: las acciones sobre el
+   * mensaje van a su cuenta aunque no sea la activa (bandeja unificada)
+   */
+  getCurrentEmailAccountId() {
+    return this.state.currentEmailAccountId || this.state.currentAccountId;
+  }
 }
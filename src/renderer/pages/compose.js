@@ -1,20 +1,313 @@
 // Sending emails is performed via Gmail API through the main process
 // Using window.api exposed by preload.js (secure context isolation)
 
-let composeMode = "new";
-let originalEmailData = null;
+let accounts = [];
+const attachments = [];
+// In-Reply-To/References/threadId of the message being written
+let threadingHeaders = {};
 
-// Listen for compose data from main process
-window.api.openCompose = (options) => {
+// Draft state: the ID is assigned up front so the save on close can never
+// create a second copy while an autosave is still in flight
+let draftId = createDraftId();
+let draftStored = false;
+let draftDirty = false;
+let draftFinished = false;
+let draftSaving = Promise.resolve();
+let autosaveTimer = null;
+const AUTOSAVE_DELAY = 2000;
+
+// Undo-send window in seconds, remembered between compose windows (the main
+// process keeps it within its 5-30 s limits)
+const UNDO_DELAY_STORAGE_KEY = "undoSendDelay";
+// Rich text (HTML part plus a generated text/plain one) or plain text only,
+// also remembered between compose windows
+const BODY_FORMAT_STORAGE_KEY = "composeFormat";
+let richMode = localStorage.getItem(BODY_FORMAT_STORAGE_KEY) !== "plain";
+// Formats kept as inline images; others would be dropped by the sanitizer
+const INLINE_IMAGE_TYPES = /^image\/(png|jpe?g|gif|webp)$/;
+
+// Quoted original body is capped so replies stay under the body length limit
+const QUOTE_MAX_LENGTH = 6000;
+// References keeps the thread root plus the most recent message IDs
+const MAX_REFERENCES = 20;
+// Malformed IDs from the original are dropped rather than blocking the send
+const MESSAGE_ID_REGEX = /^<[^<>\s]+>$/;
+// Signature block ("-- " is the usual delimiter)
+const SIGNATURE_DELIMITER = "\n\n-- \n";
+// Identities (send-as addresses) of the selected account
+let identities = [];
+// Signature inserted in the body, so it can be swapped when the sender
+// changes (null: reopened drafts, which keep their own text)
+let insertedSignature = null;
+// Quoted original of a reply or forward; the signature goes right above it
+let quotedText = "";
+// The same quote for the rich text editor
+let quotedHtml = "";
+
+// Accounts must be in the dropdown before a reply can preselect one
+const accountsLoaded = new Promise((resolve) => {
+  document.addEventListener("DOMContentLoaded", () => {
+    loadAccountsIntoDropdown().then(resolve);
+  });
+});
+
+// Listen for compose data (original message for reply/forward, or a draft
+// to reopen) from main process
+window.api.onComposeData(async (options) => {
   const { mode = "new", emailData = null, accountId = null } = options;
-  composeMode = mode;
-  originalEmailData = emailData;
-  applyComposeMode(mode, emailData, accountId);
-};
+  await accountsLoaded;
+
+  if (mode === "draft") {
+    await loadDraft(emailData?.id, accountId);
+  } else {
+    await applyComposeMode(mode, emailData, accountId);
+  }
+});
+
+// Same format as the IDs generated by the main process draft store
+function createDraftId() {
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(4)))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+  return `draft_${Date.now()}_${random}`;
+}
+
+// Bare addresses from a header like "Name <a@b.com>, c@d.com"
+function extractAddresses(value) {
+  return (value || "").match(/[^\s<>,;"']+@[^\s<>,;"']+/g) || [];
+}
+
+function getAccountEmail(accountId) {
+  const account = accounts.find(
+    (a) => a.id === accountId || a.email === accountId,
+  );
+  return account?.email || "";
+}
+
+// Fill the From dropdown with the account identities, selecting the first
+// preferred address found (e.g. the alias a reply was sent to), then the
+// default identity
+async function loadIdentities(accountId, preferred = []) {
+  const fromSelect = document.getElementById("fromSelect");
+  const account = accounts.find(
+    (a) => a.id === accountId || a.email === accountId,
+  );
+  const response = accountId
+    ? await window.api.fetchIdentities(accountId)
+    : null;
+
+  identities = response?.success ? response.data : [];
+  if (identities.length === 0 && account) {
+    // Without the identity list the account address is the only sender
+    identities = [
+      {
+        email: account.email,
+        name: "",
+        isDefault: true,
+        signature: { text: account.signature || "", html: null },
+      },
+    ];
+  }
+
+  fromSelect.innerHTML = "";
+  identities.forEach((identity) => {
+    const option = document.createElement("option");
+    option.value = identity.email;
+    option.textContent = identity.name
+      ? `${identity.name} <${identity.email}>`
+      : identity.email;
+    fromSelect.appendChild(option);
+  });
+
+  const wanted = preferred.map((address) => address.toLowerCase());
+  const selected =
+    identities.find((i) => wanted.includes(i.email.toLowerCase())) ||
+    identities.find((i) => i.isDefault) ||
+    identities[0];
+  fromSelect.value = selected?.email || "";
+
+  // A single identity needs no choice
+  document.getElementById("fromGroup").style.display =
+    identities.length > 1 ? "block" : "none";
+}
+
+function getSelectedIdentity() {
+  const email = document.getElementById("fromSelect").value;
+  return identities.find((identity) => identity.email === email) || null;
+}
+
+// Plain text signature (Gmail only stores HTML ones, which are converted)
+function getSignatureBlock(identity) {
+  const text =
+    identity?.signature?.text ||
+    window.richEditor.htmlToText(identity?.signature?.html);
+  return text ? `${SIGNATURE_DELIMITER}${text}` : "";
+}
+
+// Signature as an editor element: the HTML signature, or the text one
+function createSignatureElement(identity) {
+  const { text = "", html = "" } = identity?.signature || {};
+  if (!text && !html) return null;
+
+  const element = document.createElement("div");
+  element.className = "compose-signature";
+  element.innerHTML = `-- <br>${
+    html
+      ? window.validation.sanitizeHtml(html)
+      : window.richEditor.textToHtml(text)
+  }`;
+  return element;
+}
+
+function createQuoteElement() {
+  if (!quotedHtml) return null;
+
+  const element = document.createElement("div");
+  element.className = "compose-quote";
+  element.innerHTML = quotedHtml;
+  return element;
+}
+
+// Replace the inserted signature with the one of the selected identity,
+// unless the user has already edited it or the quote below it
+function updateSignature() {
+  if (insertedSignature === null) return;
+
+  if (richMode) {
+    updateEditorSignature();
+    return;
+  }
+
+  const bodyInput = document.getElementById("body");
+  const tail = `${insertedSignature}${quotedText}`;
+
+  if (!bodyInput.value.endsWith(tail)) {
+    return;
+  }
+
+  const signature = getSignatureBlock(getSelectedIdentity());
+  bodyInput.value =
+    bodyInput.value.slice(0, bodyInput.value.length - tail.length) +
+    signature +
+    quotedText;
+  insertedSignature = signature;
+}
+
+// In the editor the signature is its own element, right above the quote
+function updateEditorSignature() {
+  const editor = document.getElementById("richBody");
+  const current = editor.querySelector(".compose-signature");
+  const identity = getSelectedIdentity();
+
+  // Deleted by the user: it is not added back
+  if (insertedSignature && !current) return;
+
+  const next = createSignatureElement(identity);
+  if (current) {
+    current.replaceWith(...(next ? [next] : []));
+  } else if (next) {
+    editor.insertBefore(next, editor.querySelector(".compose-quote"));
+  }
+  insertedSignature = getSignatureBlock(identity);
+}
+
+// Text of the body; in rich text mode it is generated from the editor
+function getBodyText() {
+  return richMode
+    ? window.richEditor.htmlToText(window.richEditor.getHtml())
+    : document.getElementById("body").value;
+}
+
+// HTML version of the body: the editor content, or in plain text mode the
+// text with the HTML signature of the identity when it is still untouched
+// (otherwise the message goes as plain text only)
+function buildHtmlBody() {
+  if (richMode) {
+    return window.richEditor.getHtml();
+  }
+
+  const html = getSelectedIdentity()?.signature?.html;
+  const body = document.getElementById("body").value;
+  const tail = `${insertedSignature}${quotedText}`;
+
+  if (!html || !insertedSignature || !body.endsWith(tail)) {
+    return "";
+  }
+
+  const { textToHtml } = window.richEditor;
+  const text = body.slice(0, body.length - tail.length).trim();
+  return [
+    text ? `<div>${textToHtml(text)}</div>` : "",
+    `<div>-- <br>${window.validation.sanitizeHtml(html)}</div>`,
+    quotedText.trim() ? `<div>${textToHtml(quotedText.trim())}</div>` : "",
+  ]
+    .filter(Boolean)
+    .join("<br>");
+}
+
+// Reply all: sender plus original To/Cc, without our own address or duplicates
+function computeReplyAllRecipients(emailData, ownEmail) {
+  const seen = new Set([ownEmail.toLowerCase()]);
+  const unique = (addresses) =>
+    addresses.filter((address) => {
+      const key = address.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  const to = unique([
+    ...extractAddresses(emailData.from),
+    ...extractAddresses(emailData.to),
+  ]);
+  const cc = unique(extractAddresses(emailData.cc));
+
+  return {
+    to: (to.length > 0 ? to : extractAddresses(emailData.from)).join(", "),
+    cc: cc.join(", "),
+  };
+}
 
-function applyComposeMode(mode, emailData, preselectedAccountId) {
+// References chain of the original plus its own Message-ID (RFC 5322 3.6.4)
+function buildReferences(emailData) {
+  const parentReferences = emailData.references || emailData.inReplyTo || "";
+  const ids = `${parentReferences} ${emailData.messageId || ""}`
+    .trim()
+    .split(/\s+/)
+    .filter((id) => MESSAGE_ID_REGEX.test(id));
+
+  if (ids.length > MAX_REFERENCES) {
+    return [ids[0], ...ids.slice(-(MAX_REFERENCES - 1))].join(" ");
+  }
+  return ids.join(" ");
+}
+
+// Plain text of the original body (HTML-only messages are converted)
+function getPlainBody(emailData) {
+  if (emailData.body && emailData.body !== emailData.htmlBody) {
+    return emailData.body;
+  }
+
+  return window.richEditor.htmlToText(emailData.htmlBody || emailData.body);
+}
+
+function truncateQuote(text) {
+  return text.length > QUOTE_MAX_LENGTH
+    ? `${text.slice(0, QUOTE_MAX_LENGTH)}\n[...]`
+    : text;
+}
+
+function quoteBody(text) {
+  return truncateQuote(text.replace(/\r\n/g, "\n"))
+    .split("\n")
+    .map((line) => `> ${line}`)
+    .join("\n");
+}
+
+async function applyComposeMode(mode, emailData, preselectedAccountId) {
   const titleElement = document.getElementById("composeTitle");
   const toInput = document.getElementById("to");
+  const ccInput = document.getElementById("cc");
   const subjectInput = document.getElementById("subject");
   const bodyInput = document.getElementById("body");
   const replyToGroup = document.getElementById("replyToGroup");
@@ -22,30 +315,57 @@ function applyComposeMode(mode, emailData, preselectedAccountId) {
   const replyToField = document.getElementById("replyTo");
   const originalSubjectField = document.getElementById("originalSubject");
 
-  if (mode === "reply") {
-    titleElement.textContent = "Reply to Email";
+  const accountSelect = document.getElementById("accountSelect");
+  if (preselectedAccountId) {
+    accountSelect.value = preselectedAccountId;
+  }
+
+  // Replies go out from the alias the original was sent to
+  await loadIdentities(
+    accountSelect.value,
+    extractAddresses(`${emailData?.to || ""},${emailData?.cc || ""}`),
+  );
+
+  if (mode === "reply" || mode === "replyAll") {
+    titleElement.textContent =
+      mode === "replyAll" ? "Reply All" : "Reply to Email";
     replyToGroup.style.display = "block";
     originalSubjectGroup.style.display = "block";
 
     if (emailData) {
-      toInput.value = emailData.from || "";
-      subjectInput.value = emailData.subject?.startsWith("Re: ")
+      if (mode === "replyAll") {
+        const recipients = computeReplyAllRecipients(
+          emailData,
+          getAccountEmail(preselectedAccountId),
+        );
+        toInput.value = recipients.to;
+        ccInput.value = recipients.cc;
+      } else {
+        toInput.value = extractAddresses(emailData.from).join(", ");
+      }
+
+      threadingHeaders = {
+        inReplyTo: MESSAGE_ID_REGEX.test(emailData.messageId)
+          ? emailData.messageId
+          : "",
+        references: buildReferences(emailData),
+        threadId: emailData.threadId || "",
+      };
+
+      subjectInput.value = /^re:/i.test(emailData.subject || "")
         ? emailData.subject
         : `Re: ${emailData.subject || ""}`;
       replyToField.value = emailData.from || "";
       originalSubjectField.value = emailData.subject || "";
 
-      const quote = `
----
-On ${new Date(emailData.date).toLocaleString()}, ${emailData.from} wrote:
-${emailData.snippet || ""}
-`;
-      bodyInput.value = quote;
-    }
+      const header = `On ${new Date(emailData.date).toLocaleString()}, ${emailData.from} wrote:`;
+      const original = getPlainBody(emailData);
+      quotedText = `
 
-    if (preselectedAccountId) {
-      const accountSelect = document.getElementById("accountSelect");
-      accountSelect.value = preselectedAccountId;
+${header}
+${quoteBody(original)}
+`;
+      quotedHtml = `${window.richEditor.textToHtml(header)}<blockquote>${window.richEditor.textToHtml(truncateQuote(original))}</blockquote>`;
     }
   } else if (mode === "forward") {
     titleElement.textContent = "Forward Email";
@@ -57,7 +377,7 @@ ${emailData.snippet || ""}
         : `Fwd: ${emailData.subject || ""}`;
       originalSubjectField.value = emailData.subject || "";
 
-      const quote = `
+      quotedText = `
 ---
 Forwarded message ---
 From: ${emailData.from}
@@ -65,44 +385,512 @@ Date: ${new Date(emailData.date).toLocaleString()}
 Subject: ${emailData.subject}
 To: ${emailData.to || "me"}
 
-${emailData.snippet || ""}
+${truncateQuote(getPlainBody(emailData))}
 `;
-      bodyInput.value = quote;
+      quotedHtml = window.richEditor.textToHtml(quotedText.trim());
     }
+  } else {
+    titleElement.textContent = "Compose Email";
+  }
+
+  if (richMode) {
+    const editor = document.getElementById("richBody");
+    editor.innerHTML = "<div><br></div>";
+    const quote = createQuoteElement();
+    if (quote) editor.appendChild(quote);
+  } else {
+    bodyInput.value = quotedText;
+  }
+  insertedSignature = "";
+  updateSignature();
+}
+
+// Reopen a saved draft, including its attachments and thread headers
+async function loadDraft(id, accountId) {
+  const response = id ? await window.api.getDraft(id) : null;
 
-    if (preselectedAccountId) {
-      const accountSelect = document.getElementById("accountSelect");
-      accountSelect.value = preselectedAccountId;
+  if (!response?.success) {
+    window.showNotification(
+      `Could not open draft: ${response?.error || "not found"}`,
+      "error",
+      5000,
+    );
+    return;
+  }
+
+  const draft = response.data;
+  draftId = draft.id;
+  draftStored = true;
+
+  document.getElementById("composeTitle").textContent = "Edit Draft";
+  document.getElementById("accountSelect").value = draft.accountId || accountId;
+  await loadIdentities(
+    document.getElementById("accountSelect").value,
+    draft.from ? [draft.from] : [],
+  );
+  document.getElementById("to").value = draft.to || "";
+  document.getElementById("cc").value = draft.cc || "";
+  document.getElementById("bcc").value = draft.bcc || "";
+  document.getElementById("replyToAddress").value = draft.replyTo || "";
+  document.getElementById("subject").value = draft.subject || "";
+
+  // Inline images come back from their cid: attachments; the editor keeps
+  // them as data: URLs until the next save
+  const inlineImages = (draft.attachments || []).filter((a) => a.contentId);
+  if (richMode) {
+    window.richEditor.setHtml(
+      draft.html
+        ? restoreInlineImages(
+            window.validation.sanitizeHtml(draft.html),
+            inlineImages,
+          )
+        : window.richEditor.textToHtml(draft.body || "") || "<div><br></div>",
+    );
+  } else {
+    document.getElementById("body").value = draft.body || "";
+  }
+
+  threadingHeaders = {
+    inReplyTo: draft.inReplyTo || "",
+    references: draft.references || "",
+    threadId: draft.threadId || "",
+  };
+
+  attachments.push(
+    ...(draft.attachments || [])
+      .filter((attachment) => !attachment.contentId)
+      .map((attachment) => ({
+        ...attachment,
+        size: attachment.size || Math.floor((attachment.data.length * 3) / 4),
+      })),
+  );
+  renderAttachmentList();
+  setDraftStatus(draft.synced ? "Draft saved" : "Draft saved on this device");
+}
+
+function getFormValues() {
+  return {
+    accountId: document.getElementById("accountSelect").value || null,
+    from: getSelectedIdentity()?.email || "",
+    fromName: getSelectedIdentity()?.name || "",
+    to: document.getElementById("to").value.trim(),
+    cc: document.getElementById("cc").value.trim(),
+    bcc: document.getElementById("bcc").value.trim(),
+    replyTo: document.getElementById("replyToAddress").value.trim(),
+    subject: document.getElementById("subject").value.trim(),
+    body: getBodyText().trim(),
+  };
+}
+
+// Payload for the main process (validated and sanitized again there)
+function buildPayload(values, body = extractInlineImages(buildHtmlBody())) {
+  return {
+    ...values,
+    html: body.html,
+    attachments: [...attachments, ...body.images].map(
+      ({ filename, mimeType, data, contentId }) => ({
+        filename,
+        mimeType,
+        data,
+        contentId,
+      }),
+    ),
+    ...threadingHeaders,
+  };
+}
+
+// Inline images of the HTML body are sent as attachments referenced by cid:
+function extractInlineImages(html) {
+  if (!html) return { html: "", images: [] };
+
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const images = [];
+
+  doc.querySelectorAll('img[src^="data:"]').forEach((img, index) => {
+    const match = img.getAttribute("src").match(/^data:([^;]+);base64,(.+)$/);
+    if (!match) {
+      img.remove();
+      return;
     }
+
+    const contentId = `image${index + 1}.${draftId}@compose`;
+    images.push({
+      filename: img.getAttribute("alt") || `image${index + 1}`,
+      mimeType: match[1],
+      data: match[2],
+      size: Math.floor((match[2].length * 3) / 4),
+      contentId,
+    });
+    img.setAttribute("src", `cid:${contentId}`);
+  });
+
+  return { html: doc.body.innerHTML, images };
+}
+
+// Inverse of extractInlineImages, for reopened drafts
+function restoreInlineImages(html, images) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+
+  doc.querySelectorAll('img[src^="cid:"]').forEach((img) => {
+    const image = images.find(
+      (i) => `cid:${i.contentId}` === img.getAttribute("src"),
+    );
+    if (image) {
+      img.setAttribute("src", `data:${image.mimeType};base64,${image.data}`);
+    } else {
+      img.remove();
+    }
+  });
+
+  return doc.body.innerHTML;
+}
+
+// Inline images are checked against the attachment limits and stay in the
+// editor as data: URLs until the message is saved or sent
+async function readInlineImage(file) {
+  if (!INLINE_IMAGE_TYPES.test(file.type)) {
+    window.showNotification(
+      `"${file.name}" can only be added as an attachment`,
+      "error",
+      4000,
+    );
+    return null;
+  }
+
+  const errors = window.validation.validateAttachments([
+    ...attachments,
+    { filename: file.name, size: file.size },
+  ]);
+  if (errors.length > 0) {
+    window.showNotification(errors[0], "error", 4000);
+    return null;
+  }
+
+  try {
+    return `data:${file.type};base64,${await readFileAsBase64(file)}`;
+  } catch (error) {
+    console.error("Error reading image:", error);
+    window.showNotification(`Could not read "${file.name}"`, "error", 4000);
+    return null;
+  }
+}
+
+// Switch between rich text and plain text, converting the body. The
+// signature and quote keep being tracked when they are still untouched
+function setBodyFormat(rich) {
+  if (rich === richMode) return;
+
+  const editor = document.getElementById("richBody");
+  const bodyInput = document.getElementById("body");
+  const { htmlToText, textToHtml } = window.richEditor;
+
+  if (rich) {
+    const tail = `${insertedSignature}${quotedText}`;
+    const tracked =
+      insertedSignature !== null && bodyInput.value.endsWith(tail);
+    const text = tracked
+      ? bodyInput.value.slice(0, bodyInput.value.length - tail.length)
+      : bodyInput.value;
+
+    editor.innerHTML = text.trim() ? textToHtml(text) : "<div><br></div>";
+    if (tracked) {
+      const quote = createQuoteElement();
+      if (quote) editor.appendChild(quote);
+    }
+    insertedSignature = tracked ? "" : null;
   } else {
-    titleElement.textContent = "Compose Email";
+    const content = editor.cloneNode(true);
+    const signature = content.querySelector(".compose-signature");
+    const quote = content.querySelector(".compose-quote");
+    const tracked =
+      insertedSignature !== null &&
+      (signature || !insertedSignature) &&
+      (quote || !quotedHtml);
+
+    if (tracked) {
+      signature?.remove();
+      quote?.remove();
+    }
+    const text = htmlToText(window.validation.sanitizeHtml(content.innerHTML));
+    bodyInput.value = tracked ? `${text}${quotedText}` : text;
+    insertedSignature = tracked ? "" : null;
   }
+
+  richMode = rich;
+  localStorage.setItem(BODY_FORMAT_STORAGE_KEY, rich ? "rich" : "plain");
+  showBodyFormat();
+  updateSignature();
+  scheduleAutosave();
+}
+
+function showBodyFormat() {
+  document.getElementById("richBody").style.display = richMode ? "" : "none";
+  document.getElementById("body").style.display = richMode ? "none" : "";
+  document.getElementById("linkBar").style.display = "none";
+  document
+    .getElementById("editorToolbar")
+    .classList.toggle("plain-text", !richMode);
+  document.getElementById("bodyFormatToggle").textContent = richMode
+    ? "Plain text"
+    : "Rich text";
+}
+
+function hasDraftContent(values) {
+  return (
+    attachments.length > 0 ||
+    ["to", "cc", "bcc", "replyTo", "subject", "body"].some(
+      (field) => values[field],
+    )
+  );
 }
 
+function setDraftStatus(text) {
+  document.getElementById("draftStatus").textContent = text;
+}
+
+function scheduleAutosave() {
+  draftDirty = true;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(saveDraft, AUTOSAVE_DELAY);
+}
+
+// Store the draft locally; the main process syncs it with the provider
+// (Gmail) when online, otherwise it stays on this device until the next save
+function saveDraft() {
+  clearTimeout(autosaveTimer);
+
+  const values = getFormValues();
+  if (!draftDirty || draftFinished || !values.accountId) {
+    return Promise.resolve(null);
+  }
+  if (!hasDraftContent(values) && !draftStored) {
+    return Promise.resolve(null);
+  }
+
+  draftDirty = false;
+  draftSaving = window.api
+    .saveDraft({ id: draftId, ...buildPayload(values) })
+    .then((response) => {
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+      draftStored = true;
+      setDraftStatus(
+        response.data.synced ? "Draft saved" : "Draft saved on this device",
+      );
+      return response;
+    })
+    .catch((error) => {
+      console.error("Error saving draft:", error);
+      draftDirty = true;
+      setDraftStatus("Could not save draft");
+      return null;
+    });
+  return draftSaving;
+}
+
+// Read a file as base64 (without the data URL prefix)
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Add files from the picker or a drop, rejecting those over the size limits
+async function addAttachments(files) {
+  for (const file of Array.from(files)) {
+    const attachment = {
+      filename: file.name,
+      mimeType: file.type || "application/octet-stream",
+      size: file.size,
+    };
+
+    const errors = window.validation.validateAttachments([
+      ...attachments,
+      attachment,
+    ]);
+    if (errors.length > 0) {
+      window.showNotification(errors[0], "error", 4000);
+      continue;
+    }
+
+    try {
+      attachment.data = await readFileAsBase64(file);
+      attachments.push(attachment);
+      scheduleAutosave();
+    } catch (error) {
+      console.error("Error reading attachment:", error);
+      window.showNotification(`Could not read "${file.name}"`, "error", 4000);
+    }
+  }
+
+  renderAttachmentList();
+}
+
+function renderAttachmentList() {
+  const list = document.getElementById("attachmentList");
+  list.innerHTML = "";
+
+  attachments.forEach((attachment, index) => {
+    const item = document.createElement("li");
+
+    const name = document.createElement("span");
+    name.textContent = `${attachment.filename} (${formatFileSize(attachment.size)}) `;
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "button button-secondary";
+    removeButton.textContent = "Remove";
+    removeButton.setAttribute("aria-label", `Remove ${attachment.filename}`);
+    removeButton.addEventListener("click", () => {
+      attachments.splice(index, 1);
+      renderAttachmentList();
+      scheduleAutosave();
+    });
+
+    item.append(name, removeButton);
+    list.appendChild(item);
+  });
+}
+
+document.getElementById("attachmentInput").addEventListener("change", (e) => {
+  addAttachments(e.target.files);
+  // Allow picking the same file again after removing it
+  e.target.value = "";
+});
+
+// Drag and drop files onto the form
+const composeForm = document.getElementById("composeForm");
+
+composeForm.addEventListener("dragover", (e) => {
+  if (!e.dataTransfer.types.includes("Files")) return;
+  e.preventDefault();
+  composeForm.style.outline = "2px dashed #666";
+});
+
+composeForm.addEventListener("dragleave", (e) => {
+  if (!composeForm.contains(e.relatedTarget)) {
+    composeForm.style.outline = "";
+  }
+});
+
+composeForm.addEventListener("drop", (e) => {
+  e.preventDefault();
+  composeForm.style.outline = "";
+  addAttachments(e.dataTransfer.files);
+});
+
+// Keep files dropped outside the form from navigating the window
+document.addEventListener("dragover", (e) => e.preventDefault());
+document.addEventListener("drop", (e) => e.preventDefault());
+
+// Autosave while typing, and once more when the window closes
+composeForm.addEventListener("input", (e) => {
+  if (e.target.id !== "attachmentInput") {
+    scheduleAutosave();
+  }
+});
+document
+  .getElementById("accountSelect")
+  .addEventListener("change", async (e) => {
+    await loadIdentities(e.target.value);
+    updateSignature();
+    scheduleAutosave();
+  });
+document.getElementById("fromSelect").addEventListener("change", () => {
+  updateSignature();
+  scheduleAutosave();
+});
+
+// Rich text editor, and the switch back to plain text
+window.richEditor.init({
+  element: document.getElementById("richBody"),
+  toolbar: document.getElementById("editorToolbar"),
+  linkBar: document.getElementById("linkBar"),
+  linkInput: document.getElementById("linkUrl"),
+  imageInput: document.getElementById("inlineImageInput"),
+  onImage: readInlineImage,
+  onChange: scheduleAutosave,
+});
+document
+  .getElementById("applyLink")
+  .addEventListener("click", () => window.richEditor.applyLink());
+document
+  .getElementById("cancelLink")
+  .addEventListener("click", () => window.richEditor.closeLinkBar());
+document
+  .getElementById("bodyFormatToggle")
+  .addEventListener("click", () => setBodyFormat(!richMode));
+showBodyFormat();
+
+window.addEventListener("beforeunload", () => {
+  // The IPC message goes out before the window is destroyed
+  saveDraft();
+});
+
+// Restore the preferred undo-send window
+const undoDelaySelect = document.getElementById("undoDelay");
+const savedUndoDelay = localStorage.getItem(UNDO_DELAY_STORAGE_KEY);
+if (
+  [...undoDelaySelect.options].some((option) => option.value === savedUndoDelay)
+) {
+  undoDelaySelect.value = savedUndoDelay;
+}
+undoDelaySelect.addEventListener("change", () => {
+  localStorage.setItem(UNDO_DELAY_STORAGE_KEY, undoDelaySelect.value);
+});
+
 // Close Compose Window
 document.getElementById("closeCompose").addEventListener("click", () => {
   window.close();
 });
 
-// Send Email via IPC to be handled with Gmail API in main process
-document.getElementById("composeForm").addEventListener("submit", async (e) => {
-  e.preventDefault();
+// Discard the draft (local copy and the one synced with the provider)
+document.getElementById("discardDraft").addEventListener("click", async () => {
+  draftFinished = true;
+  clearTimeout(autosaveTimer);
 
-  const toInput = document.getElementById("to");
-  const subjectInput = document.getElementById("subject");
-  const bodyInput = document.getElementById("body");
-  const accountSelect = document.getElementById("accountSelect");
-  const sendButton = document.getElementById("sendButton");
+  if (draftStored) {
+    const response = await window.api.deleteDraft(draftId);
+    if (!response.success) {
+      window.showNotification(
+        `Could not discard draft: ${response.error}`,
+        "error",
+        5000,
+      );
+      draftFinished = false;
+      return;
+    }
+  }
 
-  // Get values
-  const to = toInput.value.trim();
-  const subject = subjectInput.value.trim();
-  const body = bodyInput.value.trim();
-  const accountId = accountSelect.value || null;
+  window.close();
+});
+
+// Queue the email in the outbox via IPC; the main process sends it through
+// the account's provider once the undo window ends, or at sendAt when it is
+// scheduled (the main window shows the Undo/Edit notification)
+async function queueEmail(sendAt = null) {
+  const sendButton = document.getElementById("sendButton");
+  const scheduleButton = document.getElementById("scheduleButton");
+  const activeButton = sendAt ? scheduleButton : sendButton;
+  const idleText = activeButton.textContent;
+  const values = getFormValues();
+  const body = extractInlineImages(buildHtmlBody());
 
   // Validate in frontend
-  const payload = { accountId, to, subject, body };
-  const validation = window.validation.validateEmailPayload(payload);
+  const validation = window.validation.validateEmailPayload({
+    ...values,
+    attachments: [...attachments, ...body.images],
+  });
 
   if (!validation.isValid) {
     // Mostrar errores de validación
@@ -112,30 +900,35 @@ document.getElementById("composeForm").addEventListener("submit", async (e) => {
     return;
   }
 
-  // Sanitize content
-  const sanitizedPayload = {
-    accountId,
-    to: to,
-    subject: window.validation.sanitizeText(subject),
-    body: window.validation.sanitizeText(body),
-  };
+  // Thread headers keep a reply in the original conversation
+  const sanitizedPayload = buildPayload(values, body);
 
-  // Disable button and show loading
+  // Disable buttons and show loading
   sendButton.disabled = true;
-  sendButton.textContent = "Sending...";
+  scheduleButton.disabled = true;
+  activeButton.textContent = sendAt ? "Scheduling..." : "Sending...";
   const loadingNotification = window.showNotification(
-    "Sending email...",
+    sendAt ? "Scheduling email..." : "Sending email...",
     "info",
     0,
   );
 
+  // No autosave while sending; the draft is removed once the email is sent
+  clearTimeout(autosaveTimer);
+  draftFinished = true;
+
   try {
-    const result = await window.api.sendEmail(sanitizedPayload);
+    // An autosave still in flight decides whether a stored draft exists
+    await draftSaving;
+
+    await window.api.sendEmail({
+      ...sanitizedPayload,
+      draftId: draftStored ? draftId : null,
+      undoDelay: Number(undoDelaySelect.value),
+      sendAt,
+    });
     loadingNotification.remove();
-    window.showNotification("Email sent successfully!", "success", 3000);
-    setTimeout(() => {
-      window.close();
-    }, 1000);
+    window.close();
   } catch (error) {
     loadingNotification.remove();
     console.error("Error sending email:", error);
@@ -163,16 +956,91 @@ document.getElementById("composeForm").addEventListener("submit", async (e) => {
     }
 
     window.showNotification(errorMessage, "error", 5000);
+    draftFinished = false;
     sendButton.disabled = false;
-    sendButton.textContent = "Send";
+    scheduleButton.disabled = false;
+    activeButton.textContent = idleText;
+  }
+}
+
+composeForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  queueEmail();
+});
+
+// Send later: time zones for the recipient's local time, defaulting to ours
+const scheduleTimeZone = document.getElementById("scheduleTimeZone");
+const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const timeZones = Intl.supportedValuesOf("timeZone");
+(timeZones.includes(localTimeZone)
+  ? timeZones
+  : [localTimeZone, ...timeZones]
+).forEach((zone) => {
+  const option = document.createElement("option");
+  option.value = zone;
+  option.textContent = zone.replace(/_/g, " ");
+  scheduleTimeZone.appendChild(option);
+});
+scheduleTimeZone.value = localTimeZone;
+
+// Offset (ms) of a time zone from UTC at the given instant
+function getTimeZoneOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant of a datetime-local value ("2024-05-01T09:00") read as wall-clock
+// time in timeZone; the offset is checked twice in case DST changes between
+function zonedTimeToDate(value, timeZone) {
+  const asUtc = new Date(`${value}:00Z`).getTime();
+  const guess = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone);
+  return new Date(asUtc - getTimeZoneOffset(new Date(guess), timeZone));
+}
+
+document.getElementById("scheduleButton").addEventListener("click", () => {
+  const value = document.getElementById("scheduleAt").value;
+  const sendAt = value ? zonedTimeToDate(value, scheduleTimeZone.value) : null;
+
+  if (!sendAt || Number.isNaN(sendAt.getTime()) || sendAt <= new Date()) {
+    window.showNotification(
+      "Choose a future date and time to send later.",
+      "error",
+      4000,
+    );
+    return;
   }
+
+  queueEmail(sendAt.toISOString());
 });
 
 // Populate account dropdown from available accounts at startup
 async function loadAccountsIntoDropdown() {
   try {
     const response = await window.api.listAccounts();
-    const accounts = response?.data || [];
+    accounts = response?.data || [];
     const select = document.getElementById("accountSelect");
     select.innerHTML = "";
 
@@ -187,7 +1055,7 @@ async function loadAccountsIntoDropdown() {
 
     accounts.forEach((a) => {
       const option = document.createElement("option");
-      option.value = a.email || a.id || "";
+      option.value = a.id || a.email || "";
       option.textContent = a.email || a.id || "Account";
       if (a.email) {
         option.textContent = `${a.alias || a.provider || "Gmail"} (${a.email})`;
@@ -195,10 +1063,9 @@ async function loadAccountsIntoDropdown() {
       select.appendChild(option);
     });
 
-    // Select first account by default
-    if (accounts.length > 0 && select.options.length > 0) {
-      select.selectedIndex = 0;
-    }
+    // Select the default sending account, or the first one
+    const defaultIndex = accounts.findIndex((a) => a.isDefault);
+    select.selectedIndex = Math.max(defaultIndex, 0);
   } catch (error) {
     console.error("Error loading accounts:", error);
     window.showNotification(
@@ -208,8 +1075,3 @@ async function loadAccountsIntoDropdown() {
     );
   }
 }
-
-// Initialize
-document.addEventListener("DOMContentLoaded", () => {
-  loadAccountsIntoDropdown();
-});
@@ -0,0 +1,146 @@
+/**
+ * Calendar Dates
+ * Date helpers for the calendar panel and the event dialog. Everything works
+ * in local time: all-day events come as YYYY-MM-DD dates (end excluded) and
+ * timed events as ISO date-times
+ */
+
+const CalendarDates = {
+  DATE_ONLY: /^\d{4}-\d{2}-\d{2}$/,
+
+  /**
+   * Parse an event date; YYYY-MM-DD is local midnight, not UTC
+   * @param {string} value - Date or date-time
+   * @returns {Date} Parsed date
+   */
+  parse(value) {
+    if (this.DATE_ONLY.test(value || '')) {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    }
+    return new Date(value);
+  },
+
+  /**
+   * Start and end of an event
+   * @param {Object} event - Event with start.dateTime and end.dateTime
+   * @returns {Object} { start, end } as Dates
+   */
+  getRange(event) {
+    const start = this.parse(event.start?.dateTime);
+    const end = event.end?.dateTime ? this.parse(event.end.dateTime) : start;
+    return { start, end: end > start ? end : start };
+  },
+
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  },
+
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes());
+  },
+
+  /**
+   * Monday of the week of a date
+   */
+  startOfWeek(date) {
+    const day = this.startOfDay(date);
+    return this.addDays(day, -((day.getDay() + 6) % 7));
+  },
+
+  isSameDay(a, b) {
+    return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+  },
+
+  /**
+   * Whether an event takes place (even partly) on a day
+   * @param {Object} event - Event
+   * @param {Date} day - Any time of the day
+   * @returns {boolean}
+   */
+  isOnDay(event, day) {
+    const { start, end } = this.getRange(event);
+    const dayStart = this.startOfDay(day);
+    const dayEnd = this.addDays(dayStart, 1);
+    return start < dayEnd && (end > dayStart || start.getTime() === dayStart.getTime());
+  },
+
+  /**
+   * Value for an <input type="date">
+   * @param {Date} date - Date
+   * @returns {string} YYYY-MM-DD
+   */
+  toDateValue(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  /**
+   * Value for an <input type="time">
+   * @param {Date} date - Date
+   * @returns {string} HH:MM
+   */
+  toTimeValue(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  },
+
+  /**
+   * Local date from the values of a date and a time input
+   * @param {string} dateValue - YYYY-MM-DD
+   * @param {string} timeValue - HH:MM (midnight when empty)
+   * @returns {Date} Date (invalid if the inputs are)
+   */
+  fromInputs(dateValue, timeValue = '') {
+    if (!this.DATE_ONLY.test(dateValue || '')) return new Date(NaN);
+
+    const [hours, minutes] = (timeValue || '00:00').split(':').map(Number);
+    const date = this.parse(dateValue);
+    date.setHours(hours || 0, minutes || 0);
+    return date;
+  },
+
+  /**
+   * Local time zone, sent with timed events
+   * @returns {string} IANA time zone
+   */
+  getTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  },
+
+  formatDay(date) {
+    return date.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' });
+  },
+
+  formatShortDay(date) {
+    return date.toLocaleDateString([], { weekday: 'short', day: 'numeric' });
+  },
+
+  formatTime(date) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  },
+
+  /**
+   * Title for the period shown in the calendar
+   * @param {string} view - agenda, day or week
+   * @param {Date} date - Reference date of the view
+   * @returns {string} Title
+   */
+  formatPeriod(view, date) {
+    if (view === 'day') {
+      return date.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    if (view === 'week') {
+      const start = this.startOfWeek(date);
+      const end = this.addDays(start, 6);
+      const options = { day: 'numeric', month: 'short' };
+      return `${start.toLocaleDateString([], options)} – ${end.toLocaleDateString([], { ...options, year: 'numeric' })}`;
+    }
+
+    return date.toLocaleDateString([], { month: 'long', year: 'numeric' });
+  }
+};
+
+// Expose to window
+window.calendarDates = CalendarDates;
@@ -0,0 +1,235 @@
+/**
+ * Event Detector
+ * Finds the date and time of a meeting proposed in plain text (Spanish or
+ * English): "el jueves 23 de octubre a las 10:30", "mañana de 16 a 17h",
+ * "Oct 23, 3pm"... Used to pre-fill an event created from an email
+ */
+
+const EventDetector = {
+  MONTHS: {
+    enero: 0, january: 0, ene: 0, jan: 0,
+    febrero: 1, february: 1, feb: 1,
+    marzo: 2, march: 2, mar: 2,
+    abril: 3, april: 3, abr: 3, apr: 3,
+    mayo: 4, may: 4,
+    junio: 5, june: 5, jun: 5,
+    julio: 6, july: 6, jul: 6,
+    agosto: 7, august: 7, ago: 7, aug: 7,
+    septiembre: 8, setiembre: 8, september: 8, sept: 8, sep: 8,
+    octubre: 9, october: 9, oct: 9,
+    noviembre: 10, november: 10, nov: 10,
+    diciembre: 11, december: 11, dic: 11, dec: 11
+  },
+
+  WEEKDAYS: {
+    domingo: 0, sunday: 0,
+    lunes: 1, monday: 1,
+    martes: 2, tuesday: 2,
+    miercoles: 3, wednesday: 3,
+    jueves: 4, thursday: 4,
+    viernes: 5, friday: 5,
+    sabado: 6, saturday: 6
+  },
+
+  // Only the start of the body is searched (quoted replies come later)
+  MAX_TEXT_LENGTH: 20000,
+
+  // Distance (characters) at which a time still belongs to a date
+  TIME_DISTANCE: 80,
+
+  /**
+   * Find the first date (and time, if any) in a text
+   * @param {string} text - Subject and body of the message
+   * @param {Date} reference - Date the text is read from (dates without a year are the next ones after it)
+   * @returns {Object|null} { start: Date, end: Date|null, allDay } or null when there is no date
+   */
+  detect(text, reference = new Date()) {
+    const source = this.normalize(this.stripQuotes(text || '').slice(0, this.MAX_TEXT_LENGTH));
+
+    // Written dates win over relative ones ("el lunes 20 de octubre")
+    const dates = this.findDates(source, reference);
+    const date = dates.find((match) => !match.relative) || dates[0];
+    if (!date) return null;
+
+    const times = this.findTimes(source);
+    const time = times.find((match) => match.index >= date.index && match.index - date.end <= this.TIME_DISTANCE) ||
+      times.find((match) => match.index < date.index && date.index - match.end <= this.TIME_DISTANCE) ||
+      times[0];
+
+    if (!time) {
+      return { start: date.value, end: null, allDay: true };
+    }
+
+    const start = new Date(date.value);
+    start.setHours(time.hours, time.minutes);
+
+    let end = null;
+    if (time.endHours !== null) {
+      end = new Date(date.value);
+      end.setHours(time.endHours, time.endMinutes);
+    }
+
+    return { start, end: end && end > start ? end : null, allDay: false };
+  },
+
+  /**
+   * Lower case without accents, so "Miércoles" and "miercoles" match alike
+   */
+  normalize(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  },
+
+  /**
+   * Drop quoted lines ("> ...") of previous messages
+   */
+  stripQuotes(text) {
+    return text.split('\n').filter((line) => !/^\s*>/.test(line)).join('\n');
+  },
+
+  /**
+   * All the dates in a text, in order of appearance
+   * @returns {Array} [{ index, end, value: Date, relative }]
+   */
+  findDates(text, reference) {
+    const today = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate());
+    const months = Object.keys(this.MONTHS).sort((a, b) => b.length - a.length).join('|');
+    const weekdays = Object.keys(this.WEEKDAYS).join('|');
+    const found = [];
+
+    const add = (match, value, relative = false) => {
+      if (value && !isNaN(value.getTime())) {
+        found.push({ index: match.index, end: match.index + match[0].length, value, relative });
+      }
+    };
+
+    const patterns = [
+      // 2026-10-23
+      [/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, (m) => this.createDate(today, m[3], m[2], m[1])],
+      // 23/10/2026, 23/10, 23-10-2026, 23.10.2026
+      [/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b|\b(\d{1,2})[-.](\d{1,2})[-.](\d{2,4})\b/g,
+        (m) => m[1] ? this.createDate(today, m[1], m[2], m[3]) : this.createDate(today, m[4], m[5], m[6])],
+      // 23 de octubre (de 2026), 23rd of October 2026, 23 oct
+      [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:de\\s+|of\\s+)?(${months})\\b\\.?(?:,?\\s+(?:de\\s+|del\\s+)?(\\d{4}))?`, 'g'),
+        (m) => this.createDate(today, m[1], this.MONTHS[m[2]] + 1, m[3])],
+      // October 23(rd)(, 2026)
+      [new RegExp(`\\b(${months})\\b\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'g'),
+        (m) => this.createDate(today, m[2], this.MONTHS[m[1]] + 1, m[3])]
+    ];
+
+    patterns.forEach(([pattern, toDate]) => {
+      for (const match of text.matchAll(pattern)) {
+        add(match, toDate(match));
+      }
+    });
+
+    // Hoy, mañana (no "por la mañana"), pasado mañana, today, tomorrow
+    const relative = /\b(?:hoy|today|tomorrow|(?:pasado\s+)?(?<!(?:la|esta)\s)manana)\b/g;
+    for (const match of text.matchAll(relative)) {
+      const days = /hoy|today/.test(match[0]) ? 0 : (match[0].startsWith('pasado') ? 2 : 1);
+      add(match, this.addDays(today, days), true);
+    }
+
+    // El lunes, el próximo jueves, next Friday: the next one after today
+    for (const match of text.matchAll(new RegExp(`\\b(${weekdays})\\b`, 'g'))) {
+      const days = (this.WEEKDAYS[match[1]] - today.getDay() + 7) % 7 || 7;
+      add(match, this.addDays(today, days), true);
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+  },
+
+  /**
+   * Date from its parts; without a year, the next one on or after today
+   * @returns {Date|null} Date, or null if the parts are not a valid date
+   */
+  createDate(today, day, month, year) {
+    const d = Number(day);
+    const m = Number(month) - 1;
+    let y = year ? Number(year) : today.getFullYear();
+    if (year && year.length === 2) y += 2000;
+
+    const date = new Date(y, m, d);
+    if (date.getMonth() !== m || date.getDate() !== d) return null;
+
+    if (!year && date < today) {
+      date.setFullYear(y + 1);
+    }
+    return date;
+  },
+
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  },
+
+  /**
+   * All the times in a text, with the end of a range when there is one
+   * ("de 10 a 11:30", "3-4pm", "10:00–11:00")
+   * @returns {Array} [{ index, end, hours, minutes, endHours, endMinutes }]
+   */
+  findTimes(text) {
+    // "10", "10:30", "10.30h", "3pm", "3 p.m.", "17h"
+    const time = (n) => `(?<hours${n}>\\d{1,2})(?:(?<separator${n}>[:.])(?<minutes${n}>\\d{2}))?` +
+      `(?:\\s*(?:(?<meridiem${n}>[ap]\\.?\\s?m\\.?)(?![a-z])|(?<suffix${n}>h)(?:rs?)?\\b))?`;
+    const pattern = new RegExp(
+      `(?:\\b(?<prefix>a\\s+las?|at|de|desde|from|entre)\\s+)?\\b${time(1)}` +
+      `(?:\\s*(?:-|–|\\ba\\b|\\bto\\b|\\buntil\\b|\\bhasta\\b|\\by\\b)\\s*(?:las?\\s+)?${time(2)})?` +
+      '(?:\\s+(?:de\\s+la\\s+)?(?<period>manana|tarde|noche)\\b)?',
+      'g'
+    );
+    const found = [];
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const groups = match.groups;
+
+      // A bare number is only a time after "a las" or "at", or with a
+      // meridiem, an "h" or "de la tarde"; "10.30" alone is more likely a
+      // price. The search goes on right after the number, so "el 5/11 a las 9"
+      // still finds "a las 9"
+      const explicit = groups.separator1 === ':' || groups.separator2 === ':' ||
+        groups.meridiem1 || groups.meridiem2 || groups.suffix1 || groups.suffix2 || groups.period ||
+        /^(a\s+las?|at)$/.test(groups.prefix || '');
+      if (!explicit) {
+        pattern.lastIndex = match.index + match[0].indexOf(groups.hours1) + groups.hours1.length;
+        continue;
+      }
+
+      // "3-4pm" and "de 4 a 6 de la tarde": the range shares the meridiem
+      const shared = groups.meridiem2 || groups.period;
+      const start = this.toHours(groups.hours1, groups.meridiem1 || shared);
+      const end = groups.hours2 !== undefined ? this.toHours(groups.hours2, shared) : null;
+      const minutes = Number(groups.minutes1 || 0);
+      const endMinutes = Number(groups.minutes2 || 0);
+
+      if (start > 23 || minutes > 59 || (end !== null && (end > 23 || endMinutes > 59))) {
+        continue;
+      }
+
+      found.push({
+        index: match.index,
+        end: match.index + match[0].length,
+        hours: start,
+        minutes,
+        endHours: end,
+        endMinutes: end !== null ? endMinutes : null
+      });
+    }
+
+    return found;
+  },
+
+  /**
+   * 24-hour value of an hour with its meridiem ("pm") or period ("tarde")
+   */
+  toHours(value, meridiem = '') {
+    const hours = Number(value);
+    const afternoon = /^p/.test(meridiem) || meridiem === 'tarde' || meridiem === 'noche';
+
+    if (afternoon && hours < 12) return hours + 12;
+    if (/^a/.test(meridiem) && hours === 12) return 0;
+    return hours;
+  }
+};
+
+// Expose to window
+window.eventDetector = EventDetector;
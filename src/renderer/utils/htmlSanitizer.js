@@ -0,0 +1,206 @@
+/**
+ * HTML Sanitizer
+ * Allowlist sanitizer for the HTML written in the compose window and for the
+ * HTML of received mail. Markup is parsed with DOMParser (nothing runs or
+ * loads while parsing) and only allowed tags, attributes, URLs and CSS
+ * properties are kept
+ */
+
+const HtmlSanitizer = {
+  // Removed together with their content. Other tags outside the profile (form,
+  // label...) are unwrapped and keep their text
+  DROPPED_TAGS: [
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'head', 'title', 'meta', 'link', 'base', 'template', 'noscript', 'svg', 'math',
+    'input', 'button', 'select', 'textarea', 'audio', 'video', 'canvas',
+    'portal', 'dialog'
+  ],
+
+  PROFILES: {
+    // Formatting the rich text editor can produce (no styles or classes)
+    COMPOSE: {
+      TAGS: [
+        'a', 'b', 'strong', 'i', 'em', 'u', 's', 'br', 'p', 'div', 'span', 'ul', 'ol',
+        'li', 'blockquote', 'pre', 'code', 'h1', 'h2', 'h3', 'h4', 'hr', 'img',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+      ],
+      ATTRIBUTES: {
+        a: ['href', 'title'],
+        img: ['src', 'alt', 'width', 'height'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan']
+      },
+      GLOBAL_ATTRIBUTES: [],
+      STYLES: [],
+      LINK_PROTOCOLS: /^(https?:|mailto:)/i,
+      // Inline images travel as cid: attachments; data: only while editing
+      IMAGE_SOURCES: /^(cid:|data:image\/(png|jpe?g|gif|webp);base64,)/i
+    },
+
+    // Received mail: layout tables and inline styles, still without scripts,
+    // forms, embedded content or CSS that can load resources
+    MAIL: {
+      TAGS: [
+        'a', 'abbr', 'address', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br', 'caption',
+        'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'dfn', 'div', 'dl',
+        'dt', 'em', 'figcaption', 'figure', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp',
+        'small', 'span', 'strike', 'strong', 'sub', 'sup', 'table', 'tbody', 'td',
+        'tfoot', 'th', 'thead', 'tr', 'tt', 'u', 'ul', 'var', 'wbr'
+      ],
+      ATTRIBUTES: {
+        a: ['href', 'title'],
+        img: ['src', 'alt', 'title', 'width', 'height', 'align', 'border'],
+        font: ['color', 'face', 'size'],
+        table: ['width', 'height', 'align', 'bgcolor', 'border', 'cellpadding', 'cellspacing'],
+        tr: ['align', 'valign', 'bgcolor', 'height'],
+        td: ['width', 'height', 'align', 'valign', 'bgcolor', 'colspan', 'rowspan', 'nowrap'],
+        th: ['width', 'height', 'align', 'valign', 'bgcolor', 'colspan', 'rowspan', 'nowrap', 'scope'],
+        col: ['width', 'span', 'align', 'valign'],
+        colgroup: ['width', 'span', 'align', 'valign'],
+        ol: ['start', 'type', 'reversed'],
+        ul: ['type'],
+        li: ['value'],
+        blockquote: ['cite'],
+        q: ['cite'],
+        div: ['align'],
+        p: ['align'],
+        h1: ['align'],
+        h2: ['align'],
+        h3: ['align'],
+        h4: ['align'],
+        h5: ['align'],
+        h6: ['align'],
+        hr: ['align', 'width', 'size', 'noshade']
+      },
+      GLOBAL_ATTRIBUTES: ['style', 'dir', 'lang', 'title'],
+      STYLES: [
+        'background-color', 'border', 'border-bottom', 'border-collapse', 'border-color',
+        'border-left', 'border-radius', 'border-right', 'border-spacing', 'border-style',
+        'border-top', 'border-width', 'clear', 'color', 'direction', 'display', 'float',
+        'font', 'font-family', 'font-size', 'font-style', 'font-variant', 'font-weight',
+        'height', 'letter-spacing', 'line-height', 'list-style-type', 'margin',
+        'margin-bottom', 'margin-left', 'margin-right', 'margin-top', 'max-height',
+        'max-width', 'min-height', 'min-width', 'padding', 'padding-bottom',
+        'padding-left', 'padding-right', 'padding-top', 'table-layout', 'text-align',
+        'text-decoration', 'text-indent', 'text-transform', 'vertical-align',
+        'white-space', 'width', 'word-break', 'word-spacing', 'overflow-wrap'
+      ],
+      LINK_PROTOCOLS: /^(https?:|mailto:)/i,
+      IMAGE_SOURCES: /^(cid:|https?:|data:image\/(png|jpe?g|gif|webp);base64,)/i
+    }
+  },
+
+  // CSS values that load resources, run code or escape the allowlist
+  UNSAFE_STYLE_VALUE: /url\s*\(|image-set\s*\(|expression\s*\(|javascript:|@import|\\|<|>/i,
+
+  /**
+   * Sanitizes HTML with a profile
+   * @param {string} html - The HTML to sanitize
+   * @param {Object} profile - One of PROFILES (COMPOSE by default)
+   * @returns {string} Sanitized HTML (content of <body>)
+   */
+  sanitize(html, profile = this.PROFILES.COMPOSE) {
+    if (!html) return '';
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    this.sanitizeNode(doc.body, profile);
+    return doc.body.innerHTML;
+  },
+
+  /**
+   * Sanitizes the children of a node in place
+   * @param {Node} node - Parent node
+   * @param {Object} profile - Allowed markup
+   */
+  sanitizeNode(node, profile) {
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) return;
+
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        child.remove();
+        return;
+      }
+
+      const tag = child.tagName.toLowerCase();
+
+      // Elements in other namespaces (svg, math) keep their own tag names
+      if (this.DROPPED_TAGS.includes(tag) || child.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+        child.remove();
+        return;
+      }
+
+      this.sanitizeNode(child, profile);
+
+      if (!profile.TAGS.includes(tag)) {
+        child.replaceWith(...child.childNodes);
+        return;
+      }
+
+      this.sanitizeAttributes(child, tag, profile);
+
+      if (tag === 'img' && !child.hasAttribute('src')) {
+        child.remove();
+      }
+    });
+  },
+
+  /**
+   * Keeps the allowed attributes of an element, with safe URLs and styles
+   * @param {Element} element - Element to clean
+   * @param {string} tag - Lowercase tag name
+   * @param {Object} profile - Allowed markup
+   */
+  sanitizeAttributes(element, tag, profile) {
+    const allowed = [...(profile.ATTRIBUTES[tag] || []), ...profile.GLOBAL_ATTRIBUTES];
+
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      // Markup inside an attribute can turn into elements when the result is
+      // parsed again (mutation XSS, e.g. title="</noscript><img onerror=...>")
+      if (!allowed.includes(name) || /[<>]/.test(value)) {
+        element.removeAttribute(name);
+      } else if (name === 'href' && !profile.LINK_PROTOCOLS.test(value.trim())) {
+        element.removeAttribute(name);
+      } else if (name === 'src' && !profile.IMAGE_SOURCES.test(value.trim())) {
+        element.removeAttribute(name);
+      } else if (name === 'cite' && !/^https?:/i.test(value.trim())) {
+        element.removeAttribute(name);
+      } else if (name === 'style') {
+        const style = this.sanitizeStyle(value, profile);
+        if (style) {
+          element.setAttribute('style', style);
+        } else {
+          element.removeAttribute('style');
+        }
+      }
+    });
+  },
+
+  /**
+   * Keeps the allowed declarations of a style attribute
+   * @param {string} style - Value of the style attribute
+   * @param {Object} profile - Allowed markup
+   * @returns {string} Sanitized declarations
+   */
+  sanitizeStyle(style, profile) {
+    return style
+      .split(';')
+      .map((declaration) => {
+        const separator = declaration.indexOf(':');
+        if (separator === -1) return null;
+
+        const property = declaration.slice(0, separator).trim().toLowerCase();
+        const value = declaration.slice(separator + 1).trim();
+
+        if (!profile.STYLES.includes(property) || !value || this.UNSAFE_STYLE_VALUE.test(value)) {
+          return null;
+        }
+        return `${property}: ${value}`;
+      })
+      .filter(Boolean)
+      .join('; ');
+  }
+};
+
+// Expose to window
+window.htmlSanitizer = HtmlSanitizer;
@@ -25,9 +25,10 @@ const NotificationSystem = {
    * @param {string} message - The message to display
    * @param {string} type - Type: success, error, warning, info, loading
    * @param {number} duration - Duration in ms (0 for persistent)
+   * @param {Array} actions - Optional buttons: [{ label, onClick }]; clicking one closes the notification
    * @returns {HTMLElement} The notification element
    */
-  show(message, type = 'info', duration = 3000) {
+  show(message, type = 'info', duration = 3000, actions = []) {
     this.init();
 
     const notification = document.createElement('div');
@@ -57,6 +58,18 @@ const NotificationSystem = {
 
     notification.appendChild(icon);
     notification.appendChild(messageEl);
+
+    actions.forEach(({ label, onClick }) => {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'notification-action';
+      actionBtn.textContent = label;
+      actionBtn.onclick = () => {
+        this.remove(notification);
+        onClick();
+      };
+      notification.appendChild(actionBtn);
+    });
+
     notification.appendChild(closeBtn);
     this.container.appendChild(notification);
 
@@ -138,8 +151,8 @@ const NotificationSystem = {
 };
 
 // Expose to window
-window.showNotification = (message, type = 'info', duration = 3000) => {
-  return NotificationSystem.show(message, type, duration);
+window.showNotification = (message, type = 'info', duration = 3000, actions = []) => {
+  return NotificationSystem.show(message, type, duration, actions);
 };
 window.removeNotification = (notification) => {
   NotificationSystem.remove(notification);
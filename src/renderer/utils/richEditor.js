@@ -0,0 +1,323 @@
+/**
+ * Rich Text Editor
+ * Contenteditable editor for the compose window: bold, italic, lists, quotes,
+ * links and inline images. Pasted HTML is cleaned with validation.sanitizeHtml
+ * and the text/plain alternative is generated from the same markup
+ */
+
+const RichEditor = {
+  element: null,
+  options: {},
+  // Selection to restore after typing a link URL outside the editor
+  savedRange: null,
+
+  // Elements that start and end a line in the plain text version
+  BLOCK_TAGS: ['P', 'DIV', 'UL', 'OL', 'PRE', 'H1', 'H2', 'H3', 'H4', 'HR', 'TABLE', 'TR'],
+
+  /**
+   * Attach the editor to its elements
+   * @param {Object} options - Editor elements and callbacks
+   * @param {HTMLElement} options.element - Contenteditable body
+   * @param {HTMLElement} options.toolbar - Buttons with data-command
+   * @param {HTMLElement} options.linkBar - Bar with the URL input for links
+   * @param {HTMLInputElement} options.linkInput - URL input
+   * @param {HTMLInputElement} options.imageInput - File input for inline images
+   * @param {Function} options.onImage - (file) => Promise<string|null> data: URL
+   * @param {Function} options.onChange - Called when the content changes
+   */
+  init(options) {
+    this.options = options;
+    this.element = options.element;
+
+    // Paragraphs as <div>, the same markup Enter produces
+    document.execCommand('defaultParagraphSeparator', false, 'div');
+
+    options.toolbar.addEventListener('mousedown', (event) => {
+      // Keep the selection in the editor while clicking the toolbar
+      if (event.target.closest('[data-command]')) event.preventDefault();
+    });
+    options.toolbar.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-command]');
+      if (button) this.runCommand(button.dataset.command);
+    });
+
+    this.element.addEventListener('paste', (event) => this.handlePaste(event));
+    this.element.addEventListener('input', () => this.notifyChange());
+    this.element.addEventListener('keydown', (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        this.runCommand('createLink');
+      }
+    });
+
+    options.linkInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.applyLink();
+      }
+      if (event.key === 'Escape') this.closeLinkBar();
+    });
+
+    options.imageInput.addEventListener('change', async(event) => {
+      await this.insertImages(Array.from(event.target.files));
+      event.target.value = '';
+    });
+  },
+
+  /**
+   * Run a toolbar command on the current selection
+   * @param {string} command - bold, italic, insertUnorderedList,
+   *   insertOrderedList, blockquote, createLink or insertImage
+   */
+  runCommand(command) {
+    this.element.focus();
+
+    if (command === 'createLink') {
+      this.openLinkBar();
+      return;
+    }
+
+    if (command === 'insertImage') {
+      this.saveSelection();
+      this.options.imageInput.click();
+      return;
+    }
+
+    if (command === 'blockquote') {
+      // formatBlock toggles: a second click removes the quote
+      const inQuote = this.getSelectionParent()?.closest('blockquote');
+      document.execCommand('formatBlock', false, inQuote ? 'div' : 'blockquote');
+    } else {
+      document.execCommand(command);
+    }
+
+    this.notifyChange();
+  },
+
+  /**
+   * Element that contains the caret, if it is inside the editor
+   * @returns {HTMLElement|null}
+   */
+  getSelectionParent() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+
+    const node = selection.getRangeAt(0).commonAncestorContainer;
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return this.element.contains(element) ? element : null;
+  },
+
+  saveSelection() {
+    const selection = window.getSelection();
+    this.savedRange = selection.rangeCount && this.getSelectionParent()
+      ? selection.getRangeAt(0).cloneRange()
+      : null;
+  },
+
+  restoreSelection() {
+    this.element.focus();
+    if (!this.savedRange) return;
+
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(this.savedRange);
+  },
+
+  /**
+   * Show the URL input, prefilled when the selection is already a link
+   */
+  openLinkBar() {
+    this.saveSelection();
+
+    const link = this.getSelectionParent()?.closest('a');
+    this.options.linkInput.value = link ? link.getAttribute('href') || '' : '';
+    this.options.linkBar.style.display = 'flex';
+    this.options.linkInput.focus();
+  },
+
+  closeLinkBar() {
+    this.options.linkBar.style.display = 'none';
+    this.restoreSelection();
+  },
+
+  /**
+   * Link the saved selection to the typed URL (an empty URL removes the link).
+   * Without protocol the URL is taken as a web address
+   */
+  applyLink() {
+    let url = this.options.linkInput.value.trim();
+    if (url && !/^(https?:|mailto:)/i.test(url)) {
+      url = url.includes('@') && !url.includes('/') ? `mailto:${url}` : `https://${url}`;
+    }
+
+    this.closeLinkBar();
+
+    if (!url) {
+      document.execCommand('unlink');
+    } else if (window.getSelection().isCollapsed) {
+      document.execCommand('insertHTML', false, `<a href="${this.escapeHtml(url)}">${this.escapeHtml(url)}</a>`);
+    } else {
+      document.execCommand('createLink', false, url);
+    }
+
+    this.notifyChange();
+  },
+
+  /**
+   * Paste images as inline images and HTML without the styles, classes and
+   * scripts of the source page
+   */
+  async handlePaste(event) {
+    const data = event.clipboardData;
+    const images = Array.from(data.files).filter((file) => file.type.startsWith('image/'));
+    const html = data.getData('text/html');
+
+    if (images.length > 0) {
+      event.preventDefault();
+      this.saveSelection();
+      await this.insertImages(images);
+      return;
+    }
+
+    event.preventDefault();
+    if (html) {
+      document.execCommand('insertHTML', false, window.validation.sanitizeHtml(html));
+    } else {
+      document.execCommand('insertText', false, data.getData('text/plain'));
+    }
+    this.notifyChange();
+  },
+
+  /**
+   * Insert images at the saved selection; onImage checks each file and
+   * returns its src as a data: URL (or null if it was rejected)
+   * @param {Array<File>} files - Image files
+   */
+  async insertImages(files) {
+    for (const file of files) {
+      const src = await this.options.onImage(file);
+      if (!src) continue;
+
+      this.restoreSelection();
+      document.execCommand('insertHTML', false, `<img src="${this.escapeHtml(src)}" alt="${this.escapeHtml(file.name)}">`);
+      this.saveSelection();
+    }
+    this.notifyChange();
+  },
+
+  notifyChange() {
+    if (this.options.onChange) this.options.onChange();
+  },
+
+  /**
+   * Current content, sanitized
+   * @returns {string} HTML
+   */
+  getHtml() {
+    return window.validation.sanitizeHtml(this.element.innerHTML);
+  },
+
+  /**
+   * Replace the content
+   * @param {string} html - Trusted HTML (built by the compose window)
+   */
+  setHtml(html) {
+    this.element.innerHTML = html;
+  },
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * HTML for plain text, keeping its line breaks
+   * @param {string} text - Plain text
+   * @returns {string} HTML
+   */
+  textToHtml(text) {
+    return this.escapeHtml(text).replace(/\n/g, '<br>');
+  },
+
+  /**
+   * Plain text version of HTML: line breaks for <br> and blocks, "- " or
+   * "1. " for list items, "> " for quotes and "text (url)" for links
+   * @param {string} html - HTML
+   * @returns {string} Plain text
+   */
+  htmlToText(html) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+
+    return this.nodeToText(doc.body)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n[ \t]+/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  },
+
+  /**
+   * Plain text of the children of a node
+   * @param {Node} root - Parent node
+   * @returns {string} Plain text
+   */
+  nodeToText(root) {
+    let text = '';
+    const breakLine = () => {
+      if (text && !text.endsWith('\n')) text += '\n';
+    };
+
+    root.childNodes.forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        // Whitespace collapses as in HTML; &nbsp; stays a space
+        text += node.textContent.replace(/[ \t\r\n]+/g, ' ').replace(/\u00a0/g, ' ');
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName;
+
+      if (tag === 'BR') {
+        text += '\n';
+      } else if (tag === 'IMG') {
+        text += node.alt ? `[${node.alt}]` : '';
+      } else if (tag === 'PRE') {
+        breakLine();
+        text += `${node.textContent}\n`;
+      } else if (tag === 'BLOCKQUOTE') {
+        breakLine();
+        text += `${this.nodeToText(node).trim().split('\n').map((line) => `> ${line}`).join('\n')}\n`;
+      } else if (tag === 'LI') {
+        const list = node.parentElement;
+        const marker = list?.tagName === 'OL' ? `${Array.from(list.children).indexOf(node) + 1}. ` : '- ';
+        breakLine();
+        text += `${marker}${this.nodeToText(node).trim()}\n`;
+      } else if (tag === 'TD' || tag === 'TH') {
+        text += `${this.nodeToText(node).trim()} `;
+      } else if (tag === 'A') {
+        const label = this.nodeToText(node);
+        const href = node.getAttribute('href') || '';
+        const showUrl = href && !href.startsWith('mailto:') && href !== label.trim();
+        text += showUrl ? `${label} (${href})` : label;
+      } else if (this.BLOCK_TAGS.includes(tag)) {
+        breakLine();
+        text += this.nodeToText(node);
+        breakLine();
+      } else {
+        text += this.nodeToText(node);
+      }
+    });
+
+    return text;
+  }
+};
+
+// Expose to window
+window.richEditor = RichEditor;
@@ -4,6 +4,13 @@
  */
 
 const ValidationUtils = {
+  // Same limits as ATTACHMENTS in src/config/constants.js
+  ATTACHMENT_LIMITS: {
+    MAX_COUNT: 20,
+    MAX_FILE_SIZE: 10 * 1024 * 1024,
+    MAX_TOTAL_SIZE: 18 * 1024 * 1024
+  },
+
   /**
    * Validates an email payload
    * @param {Object} payload - The email payload to validate
@@ -20,10 +27,22 @@ const ValidationUtils = {
 
     if (!payload.to) {
       errors.push('Recipient email is required');
-    } else if (!this.isValidEmail(payload.to)) {
+    } else if (!this.isValidEmailList(payload.to)) {
       errors.push('Invalid recipient email format');
     }
 
+    if (payload.cc && !this.isValidEmailList(payload.cc)) {
+      errors.push('Invalid Cc email format');
+    }
+
+    if (payload.bcc && !this.isValidEmailList(payload.bcc)) {
+      errors.push('Invalid Bcc email format');
+    }
+
+    if (payload.replyTo && !this.isValidEmail(payload.replyTo)) {
+      errors.push('Invalid Reply-To email format');
+    }
+
     if (!payload.subject) {
       errors.push('Subject is required');
     } else if (payload.subject.length > 200) {
@@ -38,6 +57,8 @@ const ValidationUtils = {
       sanitizedPayload.body = payload.body.substring(0, 10000);
     }
 
+    errors.push(...this.validateAttachments(payload.attachments || []));
+
     return {
       isValid: errors.length === 0,
       errors,
@@ -45,6 +66,52 @@ const ValidationUtils = {
     };
   },
 
+  /**
+   * Validates attachment count, per-file size and total size
+   * @param {Array} attachments - Attachments with a `size` in bytes
+   * @returns {Array<string>} Validation errors
+   */
+  validateAttachments(attachments) {
+    const errors = [];
+    const limits = this.ATTACHMENT_LIMITS;
+
+    if (attachments.length > limits.MAX_COUNT) {
+      errors.push(`No more than ${limits.MAX_COUNT} attachments are allowed`);
+    }
+
+    attachments.forEach((attachment) => {
+      if (attachment.size > limits.MAX_FILE_SIZE) {
+        errors.push(`"${attachment.filename}" exceeds the ${this.formatMegabytes(limits.MAX_FILE_SIZE)} limit per file`);
+      }
+    });
+
+    const totalSize = attachments.reduce((total, attachment) => total + attachment.size, 0);
+    if (totalSize > limits.MAX_TOTAL_SIZE) {
+      errors.push(`Attachments exceed ${this.formatMegabytes(limits.MAX_TOTAL_SIZE)} in total`);
+    }
+
+    return errors;
+  },
+
+  /**
+   * Formats a byte count as megabytes
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Formatted size
+   */
+  formatMegabytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+  },
+
+  /**
+   * Validates a comma-separated list of email addresses
+   * @param {string} emails - The email list to validate
+   * @returns {boolean} True if every address is valid
+   */
+  isValidEmailList(emails) {
+    const emailList = emails.split(',').map((e) => e.trim()).filter((e) => e.length > 0);
+    return emailList.length > 0 && emailList.every((email) => this.isValidEmail(email));
+  },
+
   /**
    * Validates an email address format
    * @param {string} email - The email to validate
@@ -74,39 +141,13 @@ const ValidationUtils = {
 
   /**
    * Sanitizes HTML content (allows basic formatting)
+   * Keeps only the formatting of the compose editor (see htmlSanitizer.js),
+   * so styles, classes, event handlers and unsafe URLs never survive
    * @param {string} html - The HTML to sanitize
    * @returns {string} Sanitized HTML
    */
   sanitizeHtml(html) {
-    if (!html) return '';
-
-    // Remove script tags and their content
-    html = html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
-
-    // Remove event handlers
-    html = html.replace(/\s*on\w+\s*=\s*(['"])[^'"]*\1/gi, '');
-    html = html.replace(/\s*on\w+\s*=\s*[^\s>]+/gi, '');
-
-    // Remove javascript: links
-    html = html.replace(/javascript:/gi, '');
-
-    // Allow basic formatting tags
-    const allowedTags = ['p', 'br', 'b', 'i', 'u', 'em', 'strong', 'a', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code'];
-    const tagPattern = /<\/?(\w+)[^>]*>/g;
-
-    html = html.replace(tagPattern, (match, tagName) => {
-      const lowerTag = tagName.toLowerCase();
-      if (allowedTags.includes(lowerTag)) {
-        // For anchor tags, remove href if it contains javascript:
-        if (lowerTag === 'a') {
-          return match.replace(/href\s*=\s*(['"])[^'"]*\1/gi, 'href="$1#"$1');
-        }
-        return match;
-      }
-      return '';
-    });
-
-    return html;
+    return window.htmlSanitizer.sanitize(html, window.htmlSanitizer.PROFILES.COMPOSE);
   },
 
   /**
@@ -9,6 +9,14 @@ const OAuthHelper = require('../common/oauthHelper');
 const { loggers } = require('../common/logger');
 const { CALENDAR, VALIDATION, ERROR_TYPES } = require('../config/constants');
 
+// Respuesta a una invitación (PARTSTAT de iCalendar) → responseStatus de Google
+const INVITATION_RESPONSES = {
+  ACCEPTED: 'accepted',
+  TENTATIVE: 'tentative',
+  DECLINED: 'declined',
+  'NEEDS-ACTION': 'needsAction'
+};
+
 class CalendarService {
   constructor() {
     this.maxRetries = 3;
@@ -156,6 +164,8 @@ class CalendarService {
         throw new Error('Account ID and Event ID are required');
       }
 
+      this.validateEventData(eventData);
+
       const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
       const calendar = google.calendar({ version: CALENDAR.API_VERSION, auth: oauth2Client });
 
@@ -242,6 +252,86 @@ class CalendarService {
     }
   }
 
+  /**
+   * Guarda en el calendario la respuesta a una invitación recibida por correo.
+   * Si el evento ya está en el calendario (por su iCalUID) solo cambia el
+   * estado del invitado; si no, al aceptarla se importa. No se avisa al
+   * organizador: la respuesta le llega por correo (iTIP REPLY)
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} invitation - Invitación leída de la parte text/calendar
+   * @param {string} email - Dirección del invitado que responde
+   * @param {string} response - ACCEPTED, TENTATIVE o DECLINED
+   * @param {string} calendarId - ID del calendario
+   * @returns {Promise<Object>} Resultado con el evento (null si no se guardó)
+   */
+  async respondToInvitation(accountId, invitation, email, response, calendarId = CALENDAR.CALENDAR_ID) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('calendar.respondToInvitation', { accountId, response });
+
+      if (!accountId || !invitation?.uid || !email) {
+        throw new Error('Account ID, invitation and attendee are required');
+      }
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const calendar = google.calendar({ version: CALENDAR.API_VERSION, auth: oauth2Client });
+      const responseStatus = INVITATION_RESPONSES[response] || 'needsAction';
+
+      const existing = await this.retryOperation(async() => {
+        return await calendar.events.list({ calendarId, iCalUID: invitation.uid });
+      });
+      const event = (existing.data.items || [])[0];
+
+      let res = null;
+      if (event) {
+        // Solo cambia el estado de este invitado; el resto del evento es del organizador
+        const attendees = event.attendees || [];
+        const own = attendees.some((attendee) => attendee.email?.toLowerCase() === email.toLowerCase());
+        const updated = own
+          ? attendees.map((attendee) => attendee.email?.toLowerCase() === email.toLowerCase()
+            ? { ...attendee, responseStatus }
+            : attendee)
+          : [...attendees, { email, responseStatus }];
+
+        res = await this.retryOperation(async() => {
+          return await calendar.events.patch({
+            calendarId,
+            eventId: event.id,
+            sendUpdates: 'none',
+            requestBody: { attendees: updated }
+          });
+        });
+      } else if (response !== 'DECLINED') {
+        res = await this.retryOperation(async() => {
+          return await calendar.events.import({
+            calendarId,
+            requestBody: this.buildImportedEvent(invitation, email, responseStatus)
+          });
+        });
+      }
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('calendar.respondToInvitation', duration, {
+        accountId,
+        response,
+        imported: !event && !!res,
+        success: true
+      });
+
+      return { success: true, data: res ? this.parseEvent(res.data) : null };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('calendar.respondToInvitation', duration, {
+        accountId,
+        error: e.message
+      });
+
+      loggers.api.error('PATCH', '/calendar/events/invitation', e, { accountId });
+      return this.handleError(e, null);
+    }
+  }
+
   /**
    * Obtiene detalles de un evento específico
    * @param {string} accountId - ID de la cuenta
@@ -530,6 +620,8 @@ class CalendarService {
         dateTime: event.end?.dateTime || event.end?.date,
         timeZone: event.end?.timeZone
       },
+      // Los eventos de día completo traen fechas (el final no se incluye)
+      allDay: Boolean(event.start?.date),
       attendees: event.attendees || [],
       organizer: event.organizer || {},
       creator: event.creator || {},
@@ -581,11 +673,11 @@ class CalendarService {
       summary: eventData.summary,
       description: eventData.description || '',
       location: eventData.location || '',
-      start: {
+      start: eventData.allDay ? { date: eventData.start.dateTime } : {
         dateTime: eventData.start.dateTime,
         timeZone: eventData.start.timeZone || 'UTC'
       },
-      end: {
+      end: eventData.allDay ? { date: eventData.end.dateTime } : {
         dateTime: eventData.end.dateTime,
         timeZone: eventData.end.timeZone || 'UTC'
       }
@@ -610,6 +702,41 @@ class CalendarService {
     return event;
   }
 
+  /**
+   * Evento para events.import a partir de una invitación, con la respuesta
+   * del invitado
+   * @private
+   */
+  buildImportedEvent(invitation, email, responseStatus) {
+    const toTime = (time) => (invitation.allDay
+      ? { date: time.dateTime }
+      : { dateTime: time.dateTime, timeZone: time.timeZone || 'UTC' });
+
+    const attendees = invitation.attendees.map((attendee) => ({
+      email: attendee.email,
+      displayName: attendee.name || undefined,
+      responseStatus: attendee.email.toLowerCase() === email.toLowerCase()
+        ? responseStatus
+        : INVITATION_RESPONSES[attendee.partstat] || 'needsAction'
+    }));
+    if (!attendees.some((attendee) => attendee.email.toLowerCase() === email.toLowerCase())) {
+      attendees.push({ email, responseStatus });
+    }
+
+    return {
+      iCalUID: invitation.uid,
+      sequence: invitation.sequence,
+      summary: invitation.summary,
+      description: invitation.description,
+      location: invitation.location,
+      start: toTime(invitation.start),
+      end: toTime(invitation.end),
+      organizer: { email: invitation.organizer.email, displayName: invitation.organizer.name || undefined },
+      attendees,
+      recurrence: invitation.recurrence.length > 0 ? invitation.recurrence : undefined
+    };
+  }
+
   /**
    * Valida datos del evento
    * @private
@@ -627,9 +754,18 @@ class CalendarService {
       throw new Error('Event end time is required');
     }
 
+    // Día completo: fechas AAAA-MM-DD, con el día final sin incluir
+    if (eventData.allDay && ![eventData.start, eventData.end].every(({ dateTime }) => /^\d{4}-\d{2}-\d{2}$/.test(dateTime))) {
+      throw new Error('All-day events need dates in YYYY-MM-DD format');
+    }
+
     const start = new Date(eventData.start.dateTime);
     const end = new Date(eventData.end.dateTime);
 
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('Invalid event date');
+    }
+
     if (start >= end) {
       throw new Error('Event end time must be after start time');
     }
@@ -641,6 +777,15 @@ class CalendarService {
     if (eventData.description && eventData.description.length > VALIDATION.EVENT_DESCRIPTION_MAX_LENGTH) {
       throw new Error(`Event description must be ${VALIDATION.EVENT_DESCRIPTION_MAX_LENGTH} characters or less`);
     }
+
+    if (eventData.location && eventData.location.length > VALIDATION.EVENT_LOCATION_MAX_LENGTH) {
+      throw new Error(`Event location must be ${VALIDATION.EVENT_LOCATION_MAX_LENGTH} characters or less`);
+    }
+
+    if (eventData.attendees && (!Array.isArray(eventData.attendees) ||
+      eventData.attendees.some((attendee) => !VALIDATION.EMAIL_REGEX.test(attendee?.email || '')))) {
+      throw new Error('Event attendees need valid email addresses');
+    }
   }
 
   /**
@@ -710,7 +855,10 @@ class CalendarService {
     const errorMessage = e.message || 'Unknown error';
     let errorType = ERROR_TYPES.UNKNOWN;
 
-    if (errorMessage.includes('token') || errorMessage.includes('auth') || errorMessage.includes('credentials')) {
+    // Falta un permiso: hay que volver a conectar la cuenta, no solo refrescar el token
+    if (OAuthHelper.isInsufficientScopeError(e)) {
+      errorType = ERROR_TYPES.PERMISSIONS;
+    } else if (errorMessage.includes('token') || errorMessage.includes('auth') || errorMessage.includes('credentials')) {
       errorType = ERROR_TYPES.AUTHENTICATION;
     } else if (errorMessage.includes('network') || errorMessage.includes('timeout') || errorMessage.includes('ECONNREFUSED')) {
       errorType = ERROR_TYPES.NETWORK;
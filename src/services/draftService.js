@@ -0,0 +1,341 @@
+/**
+ * Draft Service
+ * Coordina el almacén local de borradores con los borradores del proveedor.
+ * Los borradores se guardan siempre primero en local (DraftStore) y después
+ * se sincronizan con los proveedores que los soportan (Gmail); si la
+ * sincronización falla quedan pendientes hasta el siguiente guardado o listado.
+ */
+
+const DraftStore = require('../common/draftStore');
+const ValidationManager = require('../common/validation');
+const { loggers } = require('../common/logger');
+const { DRAFTS } = require('../config/constants');
+const mailProviders = require('./mailProviders');
+
+// Métodos opcionales que un proveedor implementa si soporta borradores
+const DRAFT_METHODS = ['fetchDrafts', 'createDraft', 'updateDraft', 'deleteDraft', 'sendDraft'];
+
+class DraftService {
+  constructor() {
+    // Sincronizaciones en curso por borrador: se encadenan para que dos
+    // autoguardados seguidos no creen dos borradores remotos
+    this.pendingSyncs = new Map();
+  }
+
+  /**
+   * Guarda un borrador en local y lo sincroniza con el proveedor
+   * @param {Object} draft - { id?, accountId, from, fromName, to, cc, bcc, replyTo, subject, body, html, attachments, inReplyTo, references, threadId }
+   * @returns {Promise<Object>} { success, data: { id, remoteId, synced, updatedAt } }
+   */
+  async saveDraft(draft) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('drafts.saveDraft', { accountId: draft.accountId });
+
+      // La ventana de redacción asigna el ID al abrirse, así un guardado al
+      // cerrar nunca duplica el borrador aunque otro siga en curso
+      const saved = DraftStore.save({ ...draft, synced: false });
+
+      const synced = await this.queueSync(saved.id);
+
+      loggers.performance.end('drafts.saveDraft', Date.now() - startTime, {
+        accountId: draft.accountId,
+        synced: synced.synced
+      });
+
+      return { success: true, data: this.toStatus(synced) };
+    } catch (e) {
+      loggers.app.error('Save draft error', { accountId: draft.accountId, error: e.message });
+      return { success: false, error: e.message || 'Unknown error', data: null };
+    }
+  }
+
+  /**
+   * Lista los borradores de una cuenta tras sincronizar con el proveedor
+   * @param {string} accountId - ID de la cuenta
+   * @returns {Promise<Object>} { success, data: borradores locales (más reciente primero) }
+   */
+  async listDrafts(accountId) {
+    try {
+      const provider = mailProviders.getProviderForAccount(accountId);
+
+      if (this.supportsDrafts(provider)) {
+        // Subir primero los pendientes para no duplicarlos al importar
+        for (const draft of DraftStore.list(accountId).filter((d) => !d.synced)) {
+          await this.queueSync(draft.id);
+        }
+
+        const remote = await provider.fetchDrafts(accountId, DRAFTS.MAX_RESULTS);
+        if (remote.success) {
+          this.reconcile(accountId, remote.data);
+        } else {
+          loggers.app.warn('Using local drafts only', { accountId, error: remote.error });
+        }
+      }
+
+      return { success: true, data: DraftStore.list(accountId) };
+    } catch (e) {
+      loggers.app.error('List drafts error', { accountId, error: e.message });
+      return { success: false, error: e.message || 'Unknown error', data: [] };
+    }
+  }
+
+  /**
+   * Obtiene un borrador completo para reabrirlo en la ventana de redacción
+   * Descarga los adjuntos de borradores importados del proveedor
+   * @param {string} id - ID local del borrador
+   * @returns {Promise<Object>} { success, data: borrador }
+   */
+  async getDraft(id) {
+    try {
+      const draft = DraftStore.get(id);
+      if (!draft) {
+        throw new Error('Draft not found');
+      }
+
+      const missing = draft.attachments.filter((att) => !att.data && att.attachmentId);
+      if (missing.length === 0) {
+        return { success: true, data: draft };
+      }
+
+      const provider = mailProviders.getProviderForAccount(draft.accountId);
+      const attachments = await Promise.all(draft.attachments.map(async(att) => {
+        if (att.data || !att.attachmentId) return att;
+
+        const res = await provider.fetchAttachment(draft.accountId, draft.remoteMessageId, att.attachmentId);
+        if (!res.success) {
+          throw new Error(res.error || 'Could not download draft attachment');
+        }
+
+        return { filename: att.filename, mimeType: att.mimeType, size: res.data.size, data: res.data.data };
+      }));
+
+      // Conservar el estado de sincronización: el contenido no ha cambiado
+      const complete = DraftStore.save({ ...draft, attachments });
+
+      return { success: true, data: complete };
+    } catch (e) {
+      loggers.app.error('Get draft error', { id, error: e.message });
+      return { success: false, error: e.message || 'Unknown error', data: null };
+    }
+  }
+
+  /**
+   * Elimina un borrador en local y en el proveedor
+   * @param {string} id - ID local del borrador
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async deleteDraft(id) {
+    try {
+      const draft = DraftStore.get(id);
+      if (!draft) {
+        return { success: true, data: { id } };
+      }
+
+      await this.deleteRemoteDraft(draft);
+      DraftStore.remove(id);
+
+      return { success: true, data: { id } };
+    } catch (e) {
+      loggers.app.error('Delete draft error', { id, error: e.message });
+      return { success: false, error: e.message || 'Unknown error', data: null };
+    }
+  }
+
+  /**
+   * Envía un borrador guardado y lo elimina del almacén local
+   * Gmail envía el borrador remoto (conserva el hilo); el resto de
+   * proveedores envían el contenido local con sendEmail.
+   * Como sendEmail, lanza excepción si el envío falla
+   * @param {string} id - ID local del borrador
+   * @returns {Promise<Object>} { success, id, threadId }
+   */
+  async sendDraft(id) {
+    await this.pendingSyncs.get(id);
+
+    const draft = DraftStore.get(id);
+    if (!draft) {
+      throw new Error('Draft not found');
+    }
+
+    const validation = ValidationManager.validateEmailPayload(draft);
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const provider = mailProviders.getProviderForAccount(draft.accountId);
+    let result;
+
+    if (this.supportsDrafts(provider) && draft.remoteId && draft.synced) {
+      result = await provider.sendDraft(draft.accountId, draft.remoteId);
+    } else {
+      const { from, fromName, to, cc, bcc, replyTo, subject, body, html, attachments, inReplyTo, references, threadId } =
+        validation.sanitizedPayload;
+      result = await provider.sendEmail(draft.accountId, {
+        from,
+        fromName,
+        to,
+        cc,
+        bcc,
+        replyTo,
+        subject,
+        body,
+        html,
+        attachments,
+        inReplyTo,
+        references,
+        threadId
+      });
+      await this.deleteRemoteDraft(draft);
+    }
+
+    DraftStore.remove(id);
+    loggers.app.info('Draft sent', { accountId: draft.accountId, id });
+
+    return result;
+  }
+
+  /**
+   * Elimina los borradores locales de una cuenta (al quitar la cuenta)
+   * @param {string} accountId - ID de la cuenta
+   */
+  removeAccountDrafts(accountId) {
+    DraftStore.removeAccount(accountId);
+  }
+
+  /**
+   * Encola la sincronización de un borrador tras las que estén en curso
+   * @private
+   */
+  queueSync(id) {
+    const previous = this.pendingSyncs.get(id) || Promise.resolve();
+    const next = previous.then(() => this.syncDraft(id));
+
+    this.pendingSyncs.set(id, next);
+    next.finally(() => {
+      if (this.pendingSyncs.get(id) === next) {
+        this.pendingSyncs.delete(id);
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * Crea o actualiza el borrador remoto con el contenido local
+   * Si falla, el borrador queda pendiente (synced: false)
+   * @private
+   */
+  async syncDraft(id) {
+    const draft = DraftStore.get(id);
+    if (!draft || draft.synced) return draft;
+
+    const provider = mailProviders.getProviderForAccount(draft.accountId);
+    if (!this.supportsDrafts(provider)) return draft;
+
+    const result = draft.remoteId
+      ? await provider.updateDraft(draft.accountId, draft.remoteId, draft)
+      : await provider.createDraft(draft.accountId, draft);
+
+    if (!result.success) {
+      loggers.app.warn('Draft kept locally until next sync', { id, error: result.error });
+      return draft;
+    }
+
+    return DraftStore.markSynced(id, result.data, draft.updatedAt) || draft;
+  }
+
+  /**
+   * Importa borradores remotos nuevos o modificados y elimina los que ya no
+   * existen en el proveedor (enviados o borrados desde otro cliente)
+   * @private
+   */
+  reconcile(accountId, remoteDrafts) {
+    const local = DraftStore.list(accountId);
+    const byRemoteId = new Map(local.filter((d) => d.remoteId).map((d) => [d.remoteId, d]));
+
+    remoteDrafts.forEach((remote) => {
+      const existing = byRemoteId.get(remote.draftId);
+
+      // Los cambios locales pendientes tienen prioridad
+      if (existing && !existing.synced) return;
+      if (existing && existing.remoteMessageId === remote.id) return;
+
+      DraftStore.save({
+        id: existing?.id,
+        accountId,
+        remoteId: remote.draftId,
+        remoteMessageId: remote.id,
+        synced: true,
+        updatedAt: this.toIsoDate(remote.date),
+        to: remote.to,
+        cc: remote.cc,
+        bcc: remote.bcc,
+        subject: remote.subject === 'No Subject' ? '' : remote.subject,
+        body: remote.body,
+        inReplyTo: remote.inReplyTo,
+        references: remote.references,
+        threadId: remote.threadId,
+        attachments: remote.attachments
+      });
+    });
+
+    // Con la lista truncada no se puede saber qué borradores faltan
+    if (remoteDrafts.length >= DRAFTS.MAX_RESULTS) return;
+
+    const remoteIds = new Set(remoteDrafts.map((d) => d.draftId));
+    local
+      .filter((d) => d.synced && d.remoteId && !remoteIds.has(d.remoteId))
+      .forEach((d) => DraftStore.remove(d.id));
+  }
+
+  /**
+   * Elimina el borrador remoto si existe (los fallos solo se registran)
+   * @private
+   */
+  async deleteRemoteDraft(draft) {
+    if (!draft.remoteId) return;
+
+    const provider = mailProviders.getProviderForAccount(draft.accountId);
+    if (!this.supportsDrafts(provider)) return;
+
+    const result = await provider.deleteDraft(draft.accountId, draft.remoteId);
+    if (!result.success) {
+      loggers.app.warn('Could not delete remote draft', { id: draft.id, error: result.error });
+    }
+  }
+
+  /**
+   * Indica si el proveedor implementa las operaciones de borradores
+   * @private
+   */
+  supportsDrafts(provider) {
+    return DRAFT_METHODS.every((method) => typeof provider[method] === 'function');
+  }
+
+  /**
+   * Estado de un borrador devuelto a la ventana de redacción
+   * @private
+   */
+  toStatus(draft) {
+    return {
+      id: draft.id,
+      remoteId: draft.remoteId,
+      synced: draft.synced,
+      updatedAt: draft.updatedAt
+    };
+  }
+
+  /**
+   * Fecha ISO de una cabecera Date (ahora si no es válida)
+   * @private
+   */
+  toIsoDate(date) {
+    const time = new Date(date).getTime();
+    return new Date(Number.isNaN(time) ? Date.now() : time).toISOString();
+  }
+}
+
+// Exportar instancia única
+module.exports = new DraftService();
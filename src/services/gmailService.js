@@ -6,6 +6,9 @@
 
 const { google } = require('googleapis');
 const OAuthHelper = require('../common/oauthHelper');
+const MimeBuilder = require('../common/mimeBuilder');
+const ThreadBuilder = require('../common/threading');
+const ICalendar = require('../common/icalendar');
 const { loggers } = require('../common/logger');
 const { GMAIL, VALIDATION, ERROR_TYPES } = require('../config/constants');
 
@@ -20,8 +23,8 @@ class GmailService {
    * @param {string} accountId - ID de la cuenta
    * @param {string} folder - Carpeta (INBOX, SENT, etc.)
    * @param {number} maxResults - Máximo de resultados
-   * @param {string} pageToken - Token de paginación
-   * @returns {Promise<Object>} Resultado con emails
+   * @param {string} pageToken - Token de paginación (nextPageToken de la página anterior)
+   * @returns {Promise<Object>} Resultado con emails y nextPageToken de la página siguiente
    */
   async fetchEmails(accountId, folder = GMAIL.DEFAULT_FOLDER, maxResults = GMAIL.MAX_RESULTS, pageToken = null) {
     const startTime = Date.now();
@@ -36,13 +39,11 @@ class GmailService {
       const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
       const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
 
-      // Construir query según la carpeta
-      const query = GMAIL.FOLDERS[folder.toUpperCase()] || GMAIL.FOLDERS.INBOX;
-
+      // Construir query (o etiqueta) según la carpeta
       const params = {
         userId: 'me',
         maxResults,
-        q: query
+        ...this.getFolderParams(folder)
       };
 
       if (pageToken) {
@@ -116,243 +117,1113 @@ class GmailService {
       const emailData = this.parseEmailDetails(res.data);
 
       const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.fetchEmailDetails', duration, {
-        accountId,
-        emailId,
-        hasAttachments: emailData.attachments.length > 0
-      });
+      loggers.performance.end('gmail.fetchEmailDetails', duration, {
+        accountId,
+        emailId,
+        hasAttachments: emailData.attachments.length > 0
+      });
+
+      return { success: true, data: emailData };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.fetchEmailDetails', duration, {
+        accountId,
+        emailId,
+        error: e.message
+      });
+
+      loggers.api.error('GET', `/gmail/messages/${emailId}`, e, { accountId, emailId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Obtiene conversaciones (users.threads) con paginación
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} folder - Carpeta (INBOX, SENT, etc.)
+   * @param {number} maxResults - Máximo de conversaciones
+   * @param {string} pageToken - Token de paginación
+   * @returns {Promise<Object>} Resultado con resúmenes de hilo
+   */
+  async fetchThreads(accountId, folder = GMAIL.DEFAULT_FOLDER, maxResults = GMAIL.MAX_RESULTS, pageToken = null) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.fetchThreads', { accountId, folder, maxResults });
+
+      if (!accountId) {
+        throw new Error('Account ID is required');
+      }
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const params = {
+        userId: 'me',
+        maxResults,
+        ...this.getFolderParams(folder)
+      };
+
+      if (pageToken) {
+        params.pageToken = pageToken;
+      }
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.threads.list(params);
+      });
+
+      const detailed = await this.fetchThreadsBatch(accountId, res.data.threads || []);
+      const threads = detailed.map((thread) =>
+        ThreadBuilder.summarize((thread.messages || []).map((m) => this.parseEmailMessage(m)), thread.id)
+      );
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.fetchThreads', duration, {
+        accountId,
+        folder,
+        count: threads.length,
+        hasMore: !!res.data.nextPageToken
+      });
+
+      return {
+        success: true,
+        data: threads,
+        folder,
+        nextPageToken: res.data.nextPageToken,
+        total: res.data.resultSizeEstimate
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.fetchThreads', duration, {
+        accountId,
+        folder,
+        error: e.message
+      });
+
+      loggers.api.error('GET', `/gmail/threads?folder=${folder}`, e, { accountId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Obtiene una conversación completa
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} threadId - ID del hilo
+   * @returns {Promise<Object>} Conversación { id, subject, participants, messages }
+   */
+  async fetchThreadDetails(accountId, threadId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.fetchThreadDetails', { accountId, threadId });
+
+      if (!accountId || !threadId) {
+        throw new Error('Account ID and Thread ID are required');
+      }
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.threads.get({
+          userId: 'me',
+          id: threadId,
+          format: 'full'
+        });
+      });
+
+      const messages = (res.data.messages || []).map((m) => this.parseEmailDetails(m));
+      const conversation = ThreadBuilder.toConversation(threadId, messages);
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.fetchThreadDetails', duration, {
+        accountId,
+        threadId,
+        count: messages.length
+      });
+
+      return { success: true, data: conversation };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.fetchThreadDetails', duration, {
+        accountId,
+        threadId,
+        error: e.message
+      });
+
+      loggers.api.error('GET', `/gmail/threads/${threadId}`, e, { accountId, threadId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Envía un email con validación y encriptación
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} emailData - Datos del email { from, fromName, to, cc, bcc, replyTo, subject, body, html, attachments, inReplyTo, references, threadId }
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async sendEmail(accountId, emailData) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.sendEmail', { accountId });
+
+      // Validar datos
+      this.validateEmailData(emailData);
+
+      const Accounts = require('../common/accounts');
+      const accountsList = Accounts.getAccounts();
+      const account = accountsList.find((a) => a.email === accountId || a.id === accountId);
+
+      if (!account || !account.tokens) {
+        throw new Error('Account not found or token missing');
+      }
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const rawMessage = await this.buildRawMessage(this.getFromAddress(account, emailData), emailData);
+      const encoded = this.encodeMessage(rawMessage);
+
+      // threadId mantiene la respuesta en la conversación original
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.messages.send({
+          userId: 'me',
+          requestBody: { raw: encoded, threadId: emailData.threadId || undefined }
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.sendEmail', duration, {
+        accountId,
+        to: emailData.to.substring(0, 50),
+        subject: emailData.subject.substring(0, 50),
+        success: true
+      });
+
+      loggers.api.response('POST', '/gmail/send', 200, {
+        accountId,
+        to: emailData.to.substring(0, 50)
+      });
+
+      return {
+        success: true,
+        id: res.data.id,
+        threadId: res.data.threadId
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.sendEmail', duration, {
+        accountId,
+        error: e.message
+      });
+
+      loggers.api.error('POST', '/gmail/send', e, { accountId });
+      throw e;
+    }
+  }
+
+  /**
+   * Obtiene los borradores con su contenido completo
+   * @param {string} accountId - ID de la cuenta
+   * @param {number} maxResults - Máximo de resultados
+   * @returns {Promise<Object>} Borradores ({ draftId, ...detalles del mensaje })
+   */
+  async fetchDrafts(accountId, maxResults = GMAIL.MAX_RESULTS) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.fetchDrafts', { accountId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.drafts.list({
+          userId: 'me',
+          maxResults
+        });
+      });
+
+      const drafts = await Promise.all((res.data.drafts || []).map((d) =>
+        this.retryOperation(async() => {
+          return await gmail.users.drafts.get({
+            userId: 'me',
+            id: d.id,
+            format: 'full'
+          });
+        })
+      ));
+
+      const data = drafts.map(({ data: draft }) => ({
+        draftId: draft.id,
+        ...this.parseEmailDetails(draft.message)
+      }));
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.fetchDrafts', duration, {
+        accountId,
+        count: data.length
+      });
+
+      return { success: true, data };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.fetchDrafts', duration, {
+        accountId,
+        error: e.message
+      });
+
+      loggers.api.error('GET', '/gmail/drafts', e, { accountId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Crea un borrador
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} emailData - Datos del email (todos los campos son opcionales)
+   * @returns {Promise<Object>} { draftId, id, threadId }
+   */
+  async createDraft(accountId, emailData) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.createDraft', { accountId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+      const message = await this.buildDraftMessage(accountId, emailData);
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.drafts.create({
+          userId: 'me',
+          requestBody: { message }
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.createDraft', duration, { accountId, success: true });
+
+      return { success: true, data: this.parseDraftResponse(res.data) };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.createDraft', duration, {
+        accountId,
+        error: e.message
+      });
+
+      loggers.api.error('POST', '/gmail/drafts', e, { accountId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Reemplaza el contenido de un borrador
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} draftId - ID del borrador en Gmail
+   * @param {Object} emailData - Datos del email (todos los campos son opcionales)
+   * @returns {Promise<Object>} { draftId, id, threadId }
+   */
+  async updateDraft(accountId, draftId, emailData) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.updateDraft', { accountId, draftId });
+
+      if (!draftId) {
+        throw new Error('Draft ID is required');
+      }
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+      const message = await this.buildDraftMessage(accountId, emailData);
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.drafts.update({
+          userId: 'me',
+          id: draftId,
+          requestBody: { id: draftId, message }
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.updateDraft', duration, { accountId, draftId, success: true });
+
+      return { success: true, data: this.parseDraftResponse(res.data) };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.updateDraft', duration, {
+        accountId,
+        draftId,
+        error: e.message
+      });
+
+      loggers.api.error('PUT', `/gmail/drafts/${draftId}`, e, { accountId, draftId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Elimina un borrador definitivamente
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} draftId - ID del borrador en Gmail
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async deleteDraft(accountId, draftId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.deleteDraft', { accountId, draftId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      await this.retryOperation(async() => {
+        return await gmail.users.drafts.delete({
+          userId: 'me',
+          id: draftId
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.deleteDraft', duration, { accountId, draftId, success: true });
+
+      return { success: true, data: { draftId } };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.deleteDraft', duration, {
+        accountId,
+        draftId,
+        error: e.message
+      });
+
+      loggers.api.error('DELETE', `/gmail/drafts/${draftId}`, e, { accountId, draftId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Envía un borrador ya guardado en Gmail
+   * Como sendEmail, lanza excepción si el envío falla
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} draftId - ID del borrador en Gmail
+   * @returns {Promise<Object>} { success, id, threadId }
+   */
+  async sendDraft(accountId, draftId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.sendDraft', { accountId, draftId });
+
+      if (!draftId) {
+        throw new Error('Draft ID is required');
+      }
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.drafts.send({
+          userId: 'me',
+          requestBody: { id: draftId }
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.sendDraft', duration, { accountId, draftId, success: true });
+
+      loggers.api.response('POST', '/gmail/drafts/send', 200, { accountId, draftId });
+
+      return {
+        success: true,
+        id: res.data.id,
+        threadId: res.data.threadId
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.sendDraft', duration, {
+        accountId,
+        draftId,
+        error: e.message
+      });
+
+      loggers.api.error('POST', '/gmail/drafts/send', e, { accountId, draftId });
+      throw e;
+    }
+  }
+
+  /**
+   * Lista las identidades desde las que se puede enviar (users.settings.sendAs):
+   * la dirección principal y los alias verificados
+   * @param {string} accountId - ID de la cuenta
+   * @returns {Promise<Object>} Identidades { email, name, replyTo, isPrimary, isDefault, signature }
+   */
+  async listSendAs(accountId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.listSendAs', { accountId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.settings.sendAs.list({ userId: 'me' });
+      });
+
+      // Los alias pendientes de verificar no se pueden usar como remitente
+      const identities = (res.data.sendAs || [])
+        .filter((sendAs) => sendAs.isPrimary || sendAs.verificationStatus === 'accepted')
+        .map((sendAs) => this.parseSendAs(sendAs));
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.listSendAs', duration, { accountId, count: identities.length });
+
+      return { success: true, data: identities };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.listSendAs', duration, { accountId, error: e.message });
+
+      loggers.api.error('GET', '/gmail/settings/sendAs', e, { accountId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Busca emails con query avanzada
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} query - Query de búsqueda
+   * @param {number} maxResults - Máximo de resultados
+   * @returns {Promise<Object>} Resultado de búsqueda
+   */
+  async searchEmails(accountId, query, maxResults = GMAIL.MAX_RESULTS) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.searchEmails', { accountId, queryLength: query.length });
+
+      if (!accountId || !query) {
+        throw new Error('Account ID and query are required');
+      }
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.messages.list({
+          userId: 'me',
+          q: query,
+          maxResults
+        });
+      });
+
+      const msgs = res.data.messages || [];
+      const detailed = await this.fetchEmailDetailsBatch(accountId, msgs);
+      const emails = detailed.map((d) => this.parseEmailMessage(d));
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.searchEmails', duration, {
+        accountId,
+        queryLength: query.length,
+        count: emails.length
+      });
+
+      return {
+        success: true,
+        data: emails,
+        query,
+        total: res.data.resultSizeEstimate
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.searchEmails', duration, {
+        accountId,
+        queryLength: query?.length || 0,
+        error: e.message
+      });
+
+      loggers.api.error('GET', '/gmail/search', e, { accountId, query });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Marca un email como leído o no leído
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @param {boolean} read - Estado de lectura
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async markAsRead(accountId, emailId, read = true) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.markAsRead', { accountId, emailId, read });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const removeLabel = read ? ['UNREAD'] : [];
+      const addLabel = read ? [] : ['UNREAD'];
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.messages.modify({
+          userId: 'me',
+          id: emailId,
+          requestBody: {
+            removeLabelIds: removeLabel,
+            addLabelIds: addLabel
+          }
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.markAsRead', duration, {
+        accountId,
+        emailId,
+        read,
+        success: true
+      });
+
+      return { success: true, data: res.data };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.markAsRead', duration, {
+        accountId,
+        emailId,
+        read,
+        error: e.message
+      });
+
+      loggers.api.error('POST', `/gmail/messages/${emailId}/modify`, e, { accountId, emailId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Elimina un email moviéndolo a la papelera, igual que la eliminación en lote
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async deleteEmail(accountId, emailId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.deleteEmail', { accountId, emailId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.messages.trash({
+          userId: 'me',
+          id: emailId
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.deleteEmail', duration, {
+        accountId,
+        emailId,
+        success: true
+      });
+
+      return { success: true, data: res.data };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.deleteEmail', duration, {
+        accountId,
+        emailId,
+        error: e.message
+      });
+
+      loggers.api.error('POST', `/gmail/messages/${emailId}/trash`, e, { accountId, emailId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Lista las etiquetas creadas por el usuario con su color y no leídos
+   * @param {string} accountId - ID de la cuenta
+   * @returns {Promise<Object>} Etiquetas { id, name, color, textColor, unread, total } por nombre
+   */
+  async listLabels(accountId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.listLabels', { accountId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.labels.list({ userId: 'me' });
+      });
+
+      // labels.list no incluye contadores: se piden por etiqueta
+      const userLabels = (res.data.labels || []).filter((label) => label.type === 'user');
+      const detailed = await Promise.all(userLabels.map(async(label) => {
+        try {
+          const detail = await this.retryOperation(async() => {
+            return await gmail.users.labels.get({ userId: 'me', id: label.id });
+          });
+          return detail.data;
+        } catch (e) {
+          loggers.app.warn('Error fetching label details', { accountId, labelId: label.id, error: e.message });
+          return label;
+        }
+      }));
+
+      const labels = detailed
+        .map((label) => this.parseLabel(label))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.listLabels', duration, { accountId, count: labels.length });
+
+      return { success: true, data: labels };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.listLabels', duration, { accountId, error: e.message });
+
+      loggers.api.error('GET', '/gmail/labels', e, { accountId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Crea una etiqueta
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} name - Nombre de la etiqueta ('Padre/Hija' para anidarla)
+   * @returns {Promise<Object>} Etiqueta creada
+   */
+  async createLabel(accountId, name) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.createLabel', { accountId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.labels.create({
+          userId: 'me',
+          requestBody: {
+            name,
+            labelListVisibility: 'labelShow',
+            messageListVisibility: 'show'
+          }
+        });
+      });
+
+      loggers.app.info('Label created', { accountId, labelId: res.data.id });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.createLabel', duration, { accountId, success: true });
+
+      return { success: true, data: this.parseLabel(res.data) };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.createLabel', duration, { accountId, error: e.message });
+
+      loggers.api.error('POST', '/gmail/labels', e, { accountId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Renombra una etiqueta
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} labelId - ID de la etiqueta
+   * @param {string} name - Nuevo nombre
+   * @returns {Promise<Object>} Etiqueta actualizada
+   */
+  async updateLabel(accountId, labelId, name) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.updateLabel', { accountId, labelId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.labels.patch({
+          userId: 'me',
+          id: labelId,
+          requestBody: { name }
+        });
+      });
+
+      loggers.app.info('Label renamed', { accountId, labelId });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.updateLabel', duration, { accountId, labelId, success: true });
+
+      return { success: true, data: this.parseLabel(res.data) };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.updateLabel', duration, { accountId, labelId, error: e.message });
+
+      loggers.api.error('PATCH', `/gmail/labels/${labelId}`, e, { accountId, labelId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Elimina una etiqueta (los mensajes se conservan sin ella)
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} labelId - ID de la etiqueta
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async deleteLabel(accountId, labelId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.deleteLabel', { accountId, labelId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      await this.retryOperation(async() => {
+        return await gmail.users.labels.delete({ userId: 'me', id: labelId });
+      });
+
+      loggers.app.info('Label deleted', { accountId, labelId });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.deleteLabel', duration, { accountId, labelId, success: true });
+
+      return { success: true, data: { id: labelId } };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.deleteLabel', duration, { accountId, labelId, error: e.message });
+
+      loggers.api.error('DELETE', `/gmail/labels/${labelId}`, e, { accountId, labelId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Añade y quita etiquetas de un mensaje
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @param {Array<string>} addLabelIds - Etiquetas a añadir
+   * @param {Array<string>} removeLabelIds - Etiquetas a quitar
+   * @returns {Promise<Object>} Mensaje con sus etiquetas actualizadas ({ id, labels })
+   */
+  async modifyLabels(accountId, emailId, addLabelIds = [], removeLabelIds = []) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('gmail.modifyLabels', { accountId, emailId });
+
+      const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+      const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+      const res = await this.retryOperation(async() => {
+        return await gmail.users.messages.modify({
+          userId: 'me',
+          id: emailId,
+          requestBody: { addLabelIds, removeLabelIds }
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('gmail.modifyLabels', duration, { accountId, emailId, success: true });
 
-      return { success: true, data: emailData };
+      return { success: true, data: { id: res.data.id, labels: res.data.labelIds || [] } };
     } catch (e) {
       const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.fetchEmailDetails', duration, {
-        accountId,
-        emailId,
-        error: e.message
-      });
+      loggers.performance.end('gmail.modifyLabels', duration, { accountId, emailId, error: e.message });
 
-      loggers.api.error('GET', `/gmail/messages/${emailId}`, e, { accountId, emailId });
+      loggers.api.error('POST', `/gmail/messages/${emailId}/modify`, e, { accountId, emailId });
       return this.handleError(e, null);
     }
   }
 
   /**
-   * Envía un email con validación y encriptación
+   * Archiva un email (lo quita de Recibidos)
    * @param {string} accountId - ID de la cuenta
-   * @param {Object} emailData - Datos del email { to, subject, body }
-   * @returns {Promise<Object>} Resultado del envío
+   * @param {string} emailId - ID del email
+   * @returns {Promise<Object>} Ver applyLabelChange
    */
-  async sendEmail(accountId, emailData) {
-    const startTime = Date.now();
-
-    try {
-      loggers.performance.start('gmail.sendEmail', { accountId });
+  async archiveEmail(accountId, emailId) {
+    return this.applyLabelChange(accountId, emailId, [], ['INBOX']);
+  }
 
-      // Validar datos
-      this.validateEmailData(emailData);
+  /**
+   * Mueve un email de una carpeta o etiqueta a otra
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @param {string} target - Etiqueta de destino (INBOX o ID de etiqueta)
+   * @param {string} source - Etiqueta de la que sale (INBOX por defecto)
+   * @returns {Promise<Object>} Ver applyLabelChange
+   */
+  async moveEmail(accountId, emailId, target, source = 'INBOX') {
+    return this.applyLabelChange(accountId, emailId, [target], source === target ? [] : [source]);
+  }
 
-      const Accounts = require('../common/accounts');
-      const accountsList = Accounts.getAccounts();
-      const account = accountsList.find((a) => a.email === accountId || a.id === accountId);
+  /**
+   * Destaca o quita el destacado de un email
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @param {boolean} starred - Destacar (true) o quitar (false)
+   * @returns {Promise<Object>} Ver applyLabelChange
+   */
+  async starEmail(accountId, emailId, starred = true) {
+    return starred ?
+      this.applyLabelChange(accountId, emailId, ['STARRED'], []) :
+      this.applyLabelChange(accountId, emailId, [], ['STARRED']);
+  }
 
-      if (!account || !account.tokens) {
-        throw new Error('Account not found or token missing');
-      }
+  /**
+   * Marca un email como spam (sale de Recibidos) o lo devuelve a Recibidos
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @param {boolean} spam - Spam (true) o no es spam (false)
+   * @returns {Promise<Object>} Ver applyLabelChange
+   */
+  async markAsSpam(accountId, emailId, spam = true) {
+    return spam ?
+      this.applyLabelChange(accountId, emailId, ['SPAM'], ['INBOX']) :
+      this.applyLabelChange(accountId, emailId, ['INBOX'], ['SPAM']);
+  }
 
+  /**
+   * Aplica un cambio de etiquetas y devuelve el cambio inverso para deshacerlo.
+   * Solo cuenta lo que cambia de verdad: archivar un mensaje que ya no estaba
+   * en Recibidos no debe devolverlo a Recibidos al deshacer
+   * @private
+   * @returns {Promise<Object>} { success, data: { id, labels, addLabelIds, removeLabelIds, undo: { addLabelIds, removeLabelIds } } }
+   */
+  async applyLabelChange(accountId, emailId, addLabelIds, removeLabelIds) {
+    try {
       const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
       const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
 
-      const rawMessage = this.buildRawMessage(account.email, emailData);
-      const encoded = this.encodeMessage(rawMessage);
-
       const res = await this.retryOperation(async() => {
-        return await gmail.users.messages.send({
-          userId: 'me',
-          requestBody: { raw: encoded }
-        });
+        return await gmail.users.messages.get({ userId: 'me', id: emailId, format: 'minimal' });
       });
 
-      const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.sendEmail', duration, {
-        accountId,
-        to: emailData.to.substring(0, 50),
-        subject: emailData.subject.substring(0, 50),
-        success: true
-      });
+      const current = res.data.labelIds || [];
+      const added = addLabelIds.filter((label) => !current.includes(label));
+      const removed = removeLabelIds.filter((label) => current.includes(label));
 
-      loggers.api.response('POST', '/gmail/send', 200, {
-        accountId,
-        to: emailData.to.substring(0, 50)
-      });
+      const result = await this.modifyLabels(accountId, emailId, added, removed);
+      if (!result.success) {
+        return result;
+      }
 
       return {
         success: true,
-        id: res.data.id,
-        threadId: res.data.threadId
+        data: {
+          ...result.data,
+          addLabelIds: added,
+          removeLabelIds: removed,
+          undo: { addLabelIds: removed, removeLabelIds: added }
+        }
       };
     } catch (e) {
-      const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.sendEmail', duration, {
-        accountId,
-        error: e.message
-      });
-
-      loggers.api.error('POST', '/gmail/send', e, { accountId });
-      throw e;
+      loggers.api.error('GET', `/gmail/messages/${emailId}`, e, { accountId, emailId });
+      return this.handleError(e, null);
     }
   }
 
   /**
-   * Busca emails con query avanzada
+   * Añade y quita etiquetas de varios mensajes con batchModify
    * @param {string} accountId - ID de la cuenta
-   * @param {string} query - Query de búsqueda
-   * @param {number} maxResults - Máximo de resultados
-   * @returns {Promise<Object>} Resultado de búsqueda
+   * @param {Array<string>} emailIds - IDs de los mensajes
+   * @param {Array<string>} addLabelIds - Etiquetas a añadir
+   * @param {Array<string>} removeLabelIds - Etiquetas a quitar
+   * @param {Function} onProgress - Recibe (procesados, total) tras cada lote
+   * @returns {Promise<Object>} Ver runBatch
    */
-  async searchEmails(accountId, query, maxResults = GMAIL.MAX_RESULTS) {
+  async batchModifyLabels(accountId, emailIds, addLabelIds = [], removeLabelIds = [], onProgress = null) {
     const startTime = Date.now();
 
     try {
-      loggers.performance.start('gmail.searchEmails', { accountId, queryLength: query.length });
-
-      if (!accountId || !query) {
-        throw new Error('Account ID and query are required');
-      }
+      loggers.performance.start('gmail.batchModifyLabels', { accountId, count: emailIds.length });
 
       const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
       const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
 
-      const res = await this.retryOperation(async() => {
-        return await gmail.users.messages.list({
+      const result = await this.runBatch(
+        emailIds,
+        (ids) => gmail.users.messages.batchModify({
           userId: 'me',
-          q: query,
-          maxResults
-        });
-      });
-
-      const msgs = res.data.messages || [];
-      const detailed = await this.fetchEmailDetailsBatch(accountId, msgs);
-      const emails = detailed.map((d) => this.parseEmailMessage(d));
+          requestBody: { ids, addLabelIds, removeLabelIds }
+        }),
+        (emailId) => this.modifyLabels(accountId, emailId, addLabelIds, removeLabelIds),
+        onProgress
+      );
 
       const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.searchEmails', duration, {
+      loggers.performance.end('gmail.batchModifyLabels', duration, {
         accountId,
-        queryLength: query.length,
-        count: emails.length
+        succeeded: result.data.succeeded.length,
+        failed: result.data.failed.length
       });
 
-      return {
-        success: true,
-        data: emails,
-        query,
-        total: res.data.resultSizeEstimate
-      };
+      return result;
     } catch (e) {
       const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.searchEmails', duration, {
-        accountId,
-        queryLength: query?.length || 0,
-        error: e.message
-      });
+      loggers.performance.end('gmail.batchModifyLabels', duration, { accountId, error: e.message });
 
-      loggers.api.error('GET', '/gmail/search', e, { accountId, query });
-      return this.handleError(e);
+      loggers.api.error('POST', '/gmail/messages/batchModify', e, { accountId });
+      return this.handleError(e, null);
     }
   }
 
   /**
-   * Marca un email como leído o no leído
+   * Mueve varios mensajes a la papelera con batchModify (etiqueta TRASH).
+   * batchDelete los borraría de forma permanente y exige el permiso completo
+   * https://mail.google.com/, que la app no solicita
    * @param {string} accountId - ID de la cuenta
-   * @param {string} emailId - ID del email
-   * @param {boolean} read - Estado de lectura
-   * @returns {Promise<Object>} Resultado de la operación
+   * @param {Array<string>} emailIds - IDs de los mensajes
+   * @param {Function} onProgress - Recibe (procesados, total) tras cada lote
+   * @returns {Promise<Object>} Ver runBatch
    */
-  async markAsRead(accountId, emailId, read = true) {
+  async batchDeleteEmails(accountId, emailIds, onProgress = null) {
     const startTime = Date.now();
 
     try {
-      loggers.performance.start('gmail.markAsRead', { accountId, emailId, read });
+      loggers.performance.start('gmail.batchDeleteEmails', { accountId, count: emailIds.length });
 
       const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
       const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
 
-      const removeLabel = read ? ['UNREAD'] : [];
-      const addLabel = read ? [] : ['UNREAD'];
-
-      const res = await this.retryOperation(async() => {
-        return await gmail.users.messages.modify({
+      const result = await this.runBatch(
+        emailIds,
+        (ids) => gmail.users.messages.batchModify({
           userId: 'me',
-          id: emailId,
-          requestBody: {
-            removeLabelIds: removeLabel,
-            addLabelIds: addLabel
-          }
-        });
-      });
+          requestBody: { ids, addLabelIds: ['TRASH'] }
+        }),
+        (emailId) => this.modifyLabels(accountId, emailId, ['TRASH']),
+        onProgress
+      );
 
       const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.markAsRead', duration, {
+      loggers.performance.end('gmail.batchDeleteEmails', duration, {
         accountId,
-        emailId,
-        read,
-        success: true
+        succeeded: result.data.succeeded.length,
+        failed: result.data.failed.length
       });
 
-      return { success: true, data: res.data };
+      return result;
     } catch (e) {
       const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.markAsRead', duration, {
-        accountId,
-        emailId,
-        read,
-        error: e.message
-      });
+      loggers.performance.end('gmail.batchDeleteEmails', duration, { accountId, error: e.message });
 
-      loggers.api.error('POST', `/gmail/messages/${emailId}/modify`, e, { accountId, emailId });
-      return this.handleError(e);
+      loggers.api.error('POST', '/gmail/messages/batchModify', e, { accountId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Ejecuta una operación en lotes de GMAIL.BATCH_SIZE mensajes. Las
+   * peticiones por lotes son todo o nada: si un lote falla se repite mensaje a
+   * mensaje para saber cuáles fallan
+   * @private
+   * @param {Array<string>} emailIds - IDs de los mensajes
+   * @param {Function} runChunk - Petición por lotes para una lista de IDs
+   * @param {Function} runItem - Operación individual ({ success, error })
+   * @param {Function} onProgress - Recibe (procesados, total) tras cada lote
+   * @returns {Promise<Object>} { success, data: { succeeded: [id], failed: [{ id, error }] } }
+   */
+  async runBatch(emailIds, runChunk, runItem, onProgress) {
+    const succeeded = [];
+    const failed = [];
+
+    for (let i = 0; i < emailIds.length; i += GMAIL.BATCH_SIZE) {
+      const chunk = emailIds.slice(i, i + GMAIL.BATCH_SIZE);
+
+      try {
+        await this.retryOperation(() => runChunk(chunk));
+        succeeded.push(...chunk);
+      } catch (e) {
+        loggers.app.warn('Gmail batch request failed, retrying message by message', {
+          error: e.message,
+          count: chunk.length
+        });
+
+        for (const emailId of chunk) {
+          const result = await runItem(emailId);
+          if (result.success) {
+            succeeded.push(emailId);
+          } else {
+            failed.push({ id: emailId, error: result.error });
+          }
+        }
+      }
+
+      if (onProgress) {
+        onProgress(succeeded.length + failed.length, emailIds.length);
+      }
     }
+
+    return { success: true, data: { succeeded, failed } };
   }
 
   /**
-   * Elimina un email
+   * Descarga el contenido de un adjunto
    * @param {string} accountId - ID de la cuenta
    * @param {string} emailId - ID del email
-   * @returns {Promise<Object>} Resultado de la operación
+   * @param {string} attachmentId - ID del adjunto (de extractAttachments)
+   * @returns {Promise<Object>} Adjunto con los bytes en base64
    */
-  async deleteEmail(accountId, emailId) {
+  async fetchAttachment(accountId, emailId, attachmentId) {
     const startTime = Date.now();
 
     try {
-      loggers.performance.start('gmail.deleteEmail', { accountId, emailId });
+      loggers.performance.start('gmail.fetchAttachment', { accountId, emailId });
+
+      if (!accountId || !emailId || !attachmentId) {
+        throw new Error('Account ID, Email ID and Attachment ID are required');
+      }
 
       const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
       const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
 
       const res = await this.retryOperation(async() => {
-        return await gmail.users.messages.delete({
+        return await gmail.users.messages.attachments.get({
           userId: 'me',
-          id: emailId
+          messageId: emailId,
+          id: attachmentId
         });
       });
 
+      // Gmail devuelve base64url: se normaliza a base64 estándar
+      const content = Buffer.from(res.data.data || '', 'base64url');
+
       const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.deleteEmail', duration, {
+      loggers.performance.end('gmail.fetchAttachment', duration, {
         accountId,
         emailId,
-        success: true
+        size: content.length
       });
 
-      return { success: true, data: res.data };
+      return {
+        success: true,
+        data: {
+          attachmentId,
+          size: content.length,
+          data: content.toString('base64')
+        }
+      };
     } catch (e) {
       const duration = Date.now() - startTime;
-      loggers.performance.end('gmail.deleteEmail', duration, {
+      loggers.performance.end('gmail.fetchAttachment', duration, {
         accountId,
         emailId,
         error: e.message
       });
 
-      loggers.api.error('DELETE', `/gmail/messages/${emailId}`, e, { accountId, emailId });
-      return this.handleError(e);
+      loggers.api.error('GET', `/gmail/messages/${emailId}/attachments`, e, { accountId, emailId });
+      return this.handleError(e, null);
     }
   }
 
@@ -448,11 +1319,14 @@ class GmailService {
       'ECONNRESET',
       'ENOTFOUND',
       'ETIMEDOUT',
+      'EAI_AGAIN',
+      'ENETUNREACH',
+      'ECONNREFUSED',
       'socket hang up'
     ];
 
     return retryableCodes.includes(error.code) ||
-           retryableMessages.some(msg => error.message.includes(msg));
+           retryableMessages.some(msg => (error.message || '').includes(msg));
   }
 
   /**
@@ -502,6 +1376,82 @@ class GmailService {
     return results;
   }
 
+  /**
+   * Obtiene los metadatos de varios hilos en lotes
+   * @private
+   */
+  async fetchThreadsBatch(accountId, threads) {
+    if (threads.length === 0) return [];
+
+    const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+    const gmail = google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+
+    // Procesar en lotes para evitar sobrecarga
+    const batchSize = 10;
+    const results = [];
+
+    for (let i = 0; i < threads.length; i += batchSize) {
+      const batchPromises = threads.slice(i, i + batchSize).map((t) =>
+        this.retryOperation(async() => {
+          return await gmail.users.threads.get({
+            userId: 'me',
+            id: t.id,
+            format: 'metadata',
+            metadataHeaders: ['From', 'To', 'Subject', 'Date']
+          });
+        })
+      );
+
+      const batchResults = await Promise.all(batchPromises);
+      results.push(...batchResults.map(result => result.data));
+    }
+
+    return results;
+  }
+
+  /**
+   * Parámetros de búsqueda de una carpeta: las carpetas 'label:<ID>' filtran
+   * por etiqueta y el resto usan su query (INBOX si no se conoce)
+   * @private
+   */
+  getFolderParams(folder) {
+    if (folder.startsWith(GMAIL.LABEL_FOLDER_PREFIX)) {
+      return { labelIds: [folder.slice(GMAIL.LABEL_FOLDER_PREFIX.length)] };
+    }
+
+    return { q: GMAIL.FOLDERS[folder.toUpperCase()] || GMAIL.FOLDERS.INBOX };
+  }
+
+  /**
+   * Parsea una etiqueta de Gmail
+   * @private
+   */
+  parseLabel(label) {
+    return {
+      id: label.id,
+      name: label.name,
+      color: label.color?.backgroundColor || '',
+      textColor: label.color?.textColor || '',
+      unread: label.messagesUnread || 0,
+      total: label.messagesTotal || 0
+    };
+  }
+
+  /**
+   * Parsea una identidad de envío de Gmail (la firma de Gmail es HTML)
+   * @private
+   */
+  parseSendAs(sendAs) {
+    return {
+      email: sendAs.sendAsEmail,
+      name: sendAs.displayName || '',
+      replyTo: sendAs.replyToAddress || '',
+      isPrimary: !!sendAs.isPrimary,
+      isDefault: !!sendAs.isDefault,
+      signature: sendAs.signature || ''
+    };
+  }
+
   /**
    * Parsea un mensaje de email básico
    * @private
@@ -550,10 +1500,15 @@ class GmailService {
       date: getHeader('date') || '',
       cc: getHeader('cc') || '',
       bcc: getHeader('bcc') || '',
+      messageId: getHeader('message-id') || '',
+      inReplyTo: getHeader('in-reply-to') || '',
+      references: getHeader('references') || '',
       snippet: message.snippet || '',
       body: '',
       htmlBody: '',
       attachments: [],
+      inlineImages: [],
+      invitation: null,
       size: message.sizeEstimate || 0,
       labels: message.labelIds || [],
       historyId: message.historyId || ''
@@ -567,14 +1522,15 @@ class GmailService {
       emailData.body = emailData.htmlBody;
     }
 
-    // Extraer adjuntos
+    // Extraer adjuntos (las imágenes cid: del HTML van aparte)
     this.extractAttachments(payload, emailData);
 
     return emailData;
   }
 
   /**
-   * Extrae el cuerpo del email recursivamente
+   * Extrae el cuerpo del email recursivamente (y la invitación de la parte
+   * text/calendar, si la hay)
    * @private
    */
   extractBody(part, emailData) {
@@ -584,6 +1540,8 @@ class GmailService {
         emailData.body = data;
       } else if (part.mimeType === 'text/html') {
         emailData.htmlBody = data;
+      } else if (part.mimeType === 'text/calendar' && !emailData.invitation) {
+        emailData.invitation = ICalendar.parseInvitation(data);
       }
     }
 
@@ -593,11 +1551,28 @@ class GmailService {
   }
 
   /**
-   * Extrae adjuntos del email
+   * Extrae adjuntos del email. Las imágenes referenciadas desde el HTML con
+   * cid: se guardan en inlineImages y no aparecen como adjuntos; se
+   * descargan por la misma vía que los adjuntos (o traen ya sus datos si
+   * Gmail los incluye en el mensaje)
    * @private
    */
   extractAttachments(part, emailData) {
-    if (part.filename && part.body && part.body.attachmentId) {
+    const contentId = this.getContentId(part);
+    const inline = contentId && /^image\//i.test(part.mimeType || '') &&
+      emailData.htmlBody.includes(`cid:${contentId}`);
+
+    if (inline && part.body && (part.body.attachmentId || part.body.data)) {
+      emailData.inlineImages.push({
+        contentId,
+        filename: part.filename || contentId,
+        mimeType: part.mimeType,
+        size: part.body.size || 0,
+        attachmentId: part.body.attachmentId || null,
+        // Gmail usa base64url; los adjuntos se devuelven en base64 estándar
+        data: part.body.data ? Buffer.from(part.body.data, 'base64').toString('base64') : null
+      });
+    } else if (part.filename && part.body && part.body.attachmentId) {
       emailData.attachments.push({
         filename: part.filename,
         mimeType: part.mimeType,
@@ -611,13 +1586,68 @@ class GmailService {
     }
   }
 
+  /**
+   * Content-ID de una parte sin los < > ("" si no tiene)
+   * @private
+   */
+  getContentId(part) {
+    const header = (part.headers || []).find((h) => h.name.toLowerCase() === 'content-id');
+    return header ? header.value.trim().replace(/^<|>$/g, '') : '';
+  }
+
+  /**
+   * Remitente del mensaje: la identidad elegida al redactar o la dirección de
+   * la cuenta. Gmail sustituye los alias que no tiene verificados por la
+   * dirección principal
+   * @private
+   */
+  getFromAddress(account, emailData) {
+    return {
+      name: emailData.fromName || '',
+      address: emailData.from || account.email
+    };
+  }
+
   /**
    * Construye el mensaje raw para Gmail API
+   * Gmail toma los destinatarios de las cabeceras, por lo que se conserva Bcc
+   * @private
+   */
+  async buildRawMessage(from, emailData) {
+    const { raw } = await MimeBuilder.build({ ...emailData, from }, { keepBcc: true });
+    return raw;
+  }
+
+  /**
+   * Construye el mensaje de un borrador para drafts.create/update
+   * @private
+   */
+  async buildDraftMessage(accountId, emailData) {
+    const Accounts = require('../common/accounts');
+    const account = Accounts.findAccount(accountId);
+
+    if (!account || !account.tokens) {
+      throw new Error('Account not found or token missing');
+    }
+
+    const rawMessage = await this.buildRawMessage(this.getFromAddress(account, emailData), emailData);
+
+    return {
+      raw: this.encodeMessage(rawMessage),
+      threadId: emailData.threadId || undefined
+    };
+  }
+
+  /**
+   * Normaliza la respuesta de drafts.create/update
    * @private
    */
-  buildRawMessage(from, emailData) {
-    const { to, subject, body } = emailData;
-    return `From: ${from}\r\nTo: ${to}\r\nSubject: ${subject}\r\nMIME-Version: 1.0\r\nContent-Type: text/plain; charset=\"UTF-8\"\r\nContent-Transfer-Encoding: 7bit\r\n\r\n${body}`;
+  parseDraftResponse(draft) {
+    return {
+      draftId: draft.id,
+      id: draft.message?.id || '',
+      threadId: draft.message?.threadId || ''
+    };
   }
 
   /**
@@ -637,7 +1667,7 @@ class GmailService {
    * @private
    */
   validateEmailData(emailData) {
-    const { to, subject, body } = emailData;
+    const { to, cc, bcc, replyTo, subject, body } = emailData;
 
     if (!to || typeof to !== 'string' || to.trim().length === 0) {
       throw new Error('Recipient email is required');
@@ -652,7 +1682,12 @@ class GmailService {
     }
 
     // Validar formato de email
-    const emailList = to.split(',').map(e => e.trim());
+    const emailList = [to, cc, bcc, replyTo]
+      .filter(Boolean)
+      .join(',')
+      .split(',')
+      .map(e => e.trim())
+      .filter(e => e.length > 0);
     for (const email of emailList) {
       if (!VALIDATION.EMAIL_REGEX.test(email)) {
         throw new Error(`Invalid email address: ${email}`);
@@ -677,7 +1712,10 @@ class GmailService {
     const errorMessage = e.message || 'Unknown error';
     let errorType = ERROR_TYPES.UNKNOWN;
 
-    if (errorMessage.includes('token') || errorMessage.includes('auth') || errorMessage.includes('credentials')) {
+    // Falta un permiso: hay que volver a conectar la cuenta, no solo refrescar el token
+    if (OAuthHelper.isInsufficientScopeError(e)) {
+      errorType = ERROR_TYPES.PERMISSIONS;
+    } else if (errorMessage.includes('token') || errorMessage.includes('auth') || errorMessage.includes('credentials')) {
       errorType = ERROR_TYPES.AUTHENTICATION;
     } else if (errorMessage.includes('network') || errorMessage.includes('timeout') || errorMessage.includes('ECONNREFUSED')) {
       errorType = ERROR_TYPES.NETWORK;
@@ -0,0 +1,1005 @@
+/**
+ * IMAP/SMTP Service
+ * Proveedor genérico de correo (Fastmail, Dovecot, etc.) basado en IMAP y SMTP
+ * Expone la misma interfaz que GmailService
+ */
+
+const Imap = require('imap');
+const nodemailer = require('nodemailer');
+const { simpleParser } = require('mailparser');
+const Accounts = require('../common/accounts');
+const MimeBuilder = require('../common/mimeBuilder');
+const ICalendar = require('../common/icalendar');
+const ThreadBuilder = require('../common/threading');
+const { loggers } = require('../common/logger');
+const { IMAP, SMTP, VALIDATION, ERROR_TYPES } = require('../config/constants');
+
+class ImapService {
+  constructor() {
+    this.maxRetries = 3;
+    this.retryDelay = 1000; // 1 segundo
+    this.boxCache = new Map(); // Buzones especiales resueltos por cuenta
+  }
+
+  /**
+   * Obtiene lista de emails con paginación
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} folder - Carpeta (INBOX, SENT, etc.)
+   * @param {number} maxResults - Máximo de resultados
+   * @param {string} pageToken - Token de paginación (desplazamiento)
+   * @returns {Promise<Object>} Resultado con emails
+   */
+  async fetchEmails(accountId, folder = 'INBOX', maxResults = IMAP.MAX_RESULTS, pageToken = null) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('imap.fetchEmails', { accountId, folder, maxResults });
+
+      if (!accountId) {
+        throw new Error('Account ID is required');
+      }
+
+      const account = this.getAccount(accountId);
+
+      const result = await this.retryOperation(async() => {
+        return await this.withConnection(account, async(imap) => {
+          const { box, criteria } = await this.resolveFolder(imap, account, folder);
+          await this.openBox(imap, box, true);
+
+          // Los UIDs más altos son los más recientes
+          const uids = (await this.search(imap, criteria)).sort((a, b) => b - a);
+          const offset = parseInt(pageToken, 10) || 0;
+          const pageUids = uids.slice(offset, offset + maxResults);
+          const messages = await this.fetchMessages(imap, pageUids);
+
+          return {
+            emails: messages.map((m) => this.parseEmailMessage(box, m)),
+            total: uids.length,
+            nextPageToken: offset + maxResults < uids.length ? String(offset + maxResults) : undefined
+          };
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.fetchEmails', duration, {
+        accountId,
+        folder,
+        count: result.emails.length,
+        hasMore: !!result.nextPageToken
+      });
+
+      return {
+        success: true,
+        data: result.emails,
+        folder,
+        nextPageToken: result.nextPageToken,
+        total: result.total
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.fetchEmails', duration, {
+        accountId,
+        folder,
+        error: e.message
+      });
+
+      loggers.api.error('FETCH', `/imap/messages?folder=${folder}`, e, { accountId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Obtiene detalles completos de un email
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email (buzón + UID)
+   * @returns {Promise<Object>} Detalles del email
+   */
+  async fetchEmailDetails(accountId, emailId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('imap.fetchEmailDetails', { accountId, emailId });
+
+      if (!accountId || !emailId) {
+        throw new Error('Account ID and Email ID are required');
+      }
+
+      const account = this.getAccount(accountId);
+      const { box, uid } = this.parseMessageId(emailId);
+
+      const emailData = await this.retryOperation(async() => {
+        return await this.withConnection(account, async(imap) => {
+          await this.openBox(imap, box, true);
+          const [message] = await this.fetchMessages(imap, [uid]);
+
+          if (!message) {
+            throw new Error('Email not found');
+          }
+
+          return this.parseEmailDetails(box, message);
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.fetchEmailDetails', duration, {
+        accountId,
+        emailId,
+        hasAttachments: emailData.attachments.length > 0
+      });
+
+      return { success: true, data: emailData };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.fetchEmailDetails', duration, {
+        accountId,
+        emailId,
+        error: e.message
+      });
+
+      loggers.api.error('FETCH', `/imap/messages/${emailId}`, e, { accountId, emailId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Obtiene conversaciones: IMAP no tiene hilos, así que se agrupa la página
+   * de mensajes por References/In-Reply-To y asunto
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} folder - Carpeta (INBOX, SENT, etc.)
+   * @param {number} maxResults - Máximo de mensajes a agrupar
+   * @param {string} pageToken - Token de paginación (desplazamiento)
+   * @returns {Promise<Object>} Resultado con resúmenes de hilo
+   */
+  async fetchThreads(accountId, folder = 'INBOX', maxResults = IMAP.MAX_RESULTS, pageToken = null) {
+    const result = await this.fetchEmails(accountId, folder, maxResults, pageToken);
+    if (!result.success) {
+      return result;
+    }
+
+    return { ...result, data: ThreadBuilder.group(result.data) };
+  }
+
+  /**
+   * Obtiene una conversación completa a partir de los IDs de sus mensajes
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} threadId - ID del hilo (el de su primer mensaje)
+   * @param {Array<string>} messageIds - IDs de los mensajes del hilo
+   * @returns {Promise<Object>} Conversación { id, subject, participants, messages }
+   */
+  async fetchThreadDetails(accountId, threadId, messageIds = []) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('imap.fetchThreadDetails', { accountId, threadId, count: messageIds.length });
+
+      if (!accountId || !threadId) {
+        throw new Error('Account ID and Thread ID are required');
+      }
+
+      const account = this.getAccount(accountId);
+
+      const messages = await this.retryOperation(async() => {
+        return await this.withConnection(account, async(imap) => {
+          const details = [];
+
+          for (const emailId of messageIds) {
+            const { box, uid } = this.parseMessageId(emailId);
+            await this.openBox(imap, box, true);
+            const [message] = await this.fetchMessages(imap, [uid]);
+
+            if (message) {
+              details.push(this.parseEmailDetails(box, message));
+            }
+          }
+
+          return details;
+        });
+      });
+
+      if (messages.length === 0) {
+        throw new Error('Thread not found');
+      }
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.fetchThreadDetails', duration, {
+        accountId,
+        threadId,
+        count: messages.length
+      });
+
+      return { success: true, data: ThreadBuilder.toConversation(threadId, messages) };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.fetchThreadDetails', duration, {
+        accountId,
+        threadId,
+        error: e.message
+      });
+
+      loggers.api.error('FETCH', `/imap/threads/${threadId}`, e, { accountId, threadId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Envía un email por SMTP y guarda una copia en Enviados
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} emailData - Datos del email { to, cc, bcc, replyTo, subject, body, attachments, inReplyTo, references }
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async sendEmail(accountId, emailData) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('imap.sendEmail', { accountId });
+
+      // Validar datos
+      this.validateEmailData(emailData);
+
+      const account = this.getAccount(accountId);
+
+      // El sobre SMTP lleva los Bcc; la copia en Enviados no debe exponerlos
+      const { raw, envelope, messageId } = await MimeBuilder.build({ ...emailData, from: account.email });
+
+      const transporter = this.createTransport(account);
+      await this.retryOperation(async() => {
+        return await transporter.sendMail({ envelope, raw });
+      });
+
+      // Muchos servidores no guardan el enviado automáticamente
+      await this.appendToSent(account, raw);
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.sendEmail', duration, {
+        accountId,
+        to: emailData.to.substring(0, 50),
+        subject: emailData.subject.substring(0, 50),
+        success: true
+      });
+
+      loggers.api.response('POST', '/smtp/send', 200, {
+        accountId,
+        to: emailData.to.substring(0, 50)
+      });
+
+      return {
+        success: true,
+        id: messageId,
+        threadId: messageId
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.sendEmail', duration, {
+        accountId,
+        error: e.message
+      });
+
+      loggers.api.error('POST', '/smtp/send', e, { accountId });
+      throw e;
+    }
+  }
+
+  /**
+   * Busca emails en la bandeja de entrada (cabeceras y cuerpo)
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} query - Texto a buscar
+   * @param {number} maxResults - Máximo de resultados
+   * @returns {Promise<Object>} Resultado de búsqueda
+   */
+  async searchEmails(accountId, query, maxResults = IMAP.MAX_RESULTS) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('imap.searchEmails', { accountId, queryLength: query.length });
+
+      if (!accountId || !query) {
+        throw new Error('Account ID and query are required');
+      }
+
+      const account = this.getAccount(accountId);
+      const box = IMAP.FOLDERS.INBOX.box;
+
+      const result = await this.retryOperation(async() => {
+        return await this.withConnection(account, async(imap) => {
+          await this.openBox(imap, box, true);
+
+          const uids = (await this.search(imap, [['TEXT', query]])).sort((a, b) => b - a);
+          const messages = await this.fetchMessages(imap, uids.slice(0, maxResults));
+
+          return {
+            emails: messages.map((m) => this.parseEmailMessage(box, m)),
+            total: uids.length
+          };
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.searchEmails', duration, {
+        accountId,
+        queryLength: query.length,
+        count: result.emails.length
+      });
+
+      return {
+        success: true,
+        data: result.emails,
+        query,
+        total: result.total
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.searchEmails', duration, {
+        accountId,
+        queryLength: query?.length || 0,
+        error: e.message
+      });
+
+      loggers.api.error('SEARCH', '/imap/search', e, { accountId, query });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Marca un email como leído o no leído (flag \Seen)
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @param {boolean} read - Estado de lectura
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async markAsRead(accountId, emailId, read = true) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('imap.markAsRead', { accountId, emailId, read });
+
+      const account = this.getAccount(accountId);
+      const { box, uid } = this.parseMessageId(emailId);
+
+      await this.retryOperation(async() => {
+        return await this.withConnection(account, async(imap) => {
+          await this.openBox(imap, box, false);
+          await this.updateFlags(imap, uid, ['\\Seen'], read);
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.markAsRead', duration, {
+        accountId,
+        emailId,
+        read,
+        success: true
+      });
+
+      return { success: true, data: { id: emailId, read } };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.markAsRead', duration, {
+        accountId,
+        emailId,
+        read,
+        error: e.message
+      });
+
+      loggers.api.error('STORE', `/imap/messages/${emailId}/flags`, e, { accountId, emailId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Elimina un email (flag \Deleted + expunge)
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async deleteEmail(accountId, emailId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('imap.deleteEmail', { accountId, emailId });
+
+      const account = this.getAccount(accountId);
+      const { box, uid } = this.parseMessageId(emailId);
+
+      await this.retryOperation(async() => {
+        return await this.withConnection(account, async(imap) => {
+          await this.openBox(imap, box, false);
+          await this.updateFlags(imap, uid, ['\\Deleted'], true);
+
+          // Sin UIDPLUS no se puede purgar un único mensaje; el servidor
+          // lo eliminará en el siguiente EXPUNGE
+          if (imap.serverSupports('UIDPLUS')) {
+            await new Promise((resolve, reject) => {
+              imap.expunge([uid], (err) => (err ? reject(err) : resolve()));
+            });
+          }
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.deleteEmail', duration, {
+        accountId,
+        emailId,
+        success: true
+      });
+
+      return { success: true, data: { id: emailId } };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.deleteEmail', duration, {
+        accountId,
+        emailId,
+        error: e.message
+      });
+
+      loggers.api.error('DELETE', `/imap/messages/${emailId}`, e, { accountId, emailId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Descarga el contenido de un adjunto
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @param {string} attachmentId - Índice del adjunto (de parseEmailDetails)
+   * @returns {Promise<Object>} Adjunto con los bytes en base64
+   */
+  async fetchAttachment(accountId, emailId, attachmentId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('imap.fetchAttachment', { accountId, emailId });
+
+      const index = parseInt(attachmentId, 10);
+      if (!accountId || !emailId || !Number.isInteger(index) || index < 0) {
+        throw new Error('Account ID, Email ID and Attachment ID are required');
+      }
+
+      const account = this.getAccount(accountId);
+      const { box, uid } = this.parseMessageId(emailId);
+
+      const attachment = await this.retryOperation(async() => {
+        return await this.withConnection(account, async(imap) => {
+          await this.openBox(imap, box, true);
+          const [message] = await this.fetchMessages(imap, [uid]);
+
+          if (!message) {
+            throw new Error('Email not found');
+          }
+
+          const found = (message.parsed.attachments || [])[index];
+          if (!found) {
+            throw new Error('Attachment not found');
+          }
+
+          return found;
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.fetchAttachment', duration, {
+        accountId,
+        emailId,
+        size: attachment.content.length
+      });
+
+      return {
+        success: true,
+        data: {
+          attachmentId: String(index),
+          size: attachment.content.length,
+          data: attachment.content.toString('base64')
+        }
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('imap.fetchAttachment', duration, {
+        accountId,
+        emailId,
+        error: e.message
+      });
+
+      loggers.api.error('FETCH', `/imap/messages/${emailId}/attachments`, e, { accountId, emailId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Verifica credenciales IMAP y SMTP antes de guardar una cuenta
+   * @param {Object} account - Cuenta con server y credentials
+   * @returns {Promise<boolean>} true si ambos servidores aceptan la conexión
+   */
+  async verifyAccount(account) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('imap.verifyAccount', { email: account.email });
+
+      await this.withConnection(account, async() => true);
+      await this.createTransport(account).verify();
+
+      loggers.performance.end('imap.verifyAccount', Date.now() - startTime, {
+        email: account.email,
+        success: true
+      });
+
+      return true;
+    } catch (e) {
+      loggers.performance.end('imap.verifyAccount', Date.now() - startTime, {
+        email: account.email,
+        error: e.message
+      });
+      loggers.auth.failure(account.email, e.message, { provider: 'imap' });
+      throw e;
+    }
+  }
+
+  /**
+   * Obtiene una cuenta IMAP con su configuración de servidor
+   * @private
+   */
+  getAccount(accountId) {
+    const account = Accounts.findAccount(accountId);
+
+    if (!account || !account.server || !account.credentials) {
+      throw new Error('Account not found or server credentials missing');
+    }
+
+    return account;
+  }
+
+  /**
+   * Abre una conexión IMAP, ejecuta la operación y la cierra
+   * @private
+   */
+  async withConnection(account, operation) {
+    const imap = await this.connect(account);
+
+    try {
+      return await operation(imap);
+    } finally {
+      imap.end();
+    }
+  }
+
+  /**
+   * Conecta y autentica contra el servidor IMAP
+   * @private
+   */
+  connect(account) {
+    const { imap: server } = account.server;
+
+    return new Promise((resolve, reject) => {
+      const imap = new Imap({
+        user: account.server.username || account.email,
+        password: account.credentials.password,
+        host: server.host,
+        port: server.port || IMAP.DEFAULT_PORT,
+        tls: server.secure !== undefined ? server.secure : IMAP.DEFAULT_SECURE,
+        connTimeout: IMAP.CONN_TIMEOUT,
+        authTimeout: IMAP.AUTH_TIMEOUT
+      });
+
+      const onError = (error) => reject(error);
+
+      imap.once('error', onError);
+      imap.once('ready', () => {
+        imap.removeListener('error', onError);
+        // Evitar que errores posteriores del socket tumben el proceso
+        imap.on('error', (error) => {
+          loggers.app.warn('IMAP connection error', { host: server.host, error: error.message });
+        });
+        resolve(imap);
+      });
+
+      imap.connect();
+    });
+  }
+
+  /**
+   * Crea el transporte SMTP de la cuenta
+   * @private
+   */
+  createTransport(account) {
+    const { smtp: server } = account.server;
+
+    return nodemailer.createTransport({
+      host: server.host,
+      port: server.port || SMTP.DEFAULT_PORT,
+      secure: server.secure !== undefined ? server.secure : SMTP.DEFAULT_SECURE,
+      auth: {
+        user: account.server.username || account.email,
+        pass: account.credentials.password
+      },
+      connectionTimeout: SMTP.CONN_TIMEOUT
+    });
+  }
+
+  /**
+   * Guarda una copia del mensaje enviado en la carpeta Enviados
+   * @private
+   */
+  async appendToSent(account, raw) {
+    try {
+      await this.withConnection(account, async(imap) => {
+        const { box } = await this.resolveFolder(imap, account, 'SENT');
+        await new Promise((resolve, reject) => {
+          imap.append(raw, { mailbox: box, flags: ['\\Seen'] }, (err) => (err ? reject(err) : resolve()));
+        });
+      });
+    } catch (error) {
+      // El envío ya se realizó; no fallar por la copia
+      loggers.app.warn('Failed to store sent message copy', { accountId: account.id, error: error.message });
+    }
+  }
+
+  /**
+   * Traduce una carpeta lógica a buzón y criterio IMAP
+   * @private
+   */
+  async resolveFolder(imap, account, folder) {
+    if (folder.startsWith('label:')) {
+      return { box: folder.slice('label:'.length), criteria: ['ALL'] };
+    }
+
+    const spec = IMAP.FOLDERS[folder.toUpperCase()] || IMAP.FOLDERS.INBOX;
+    const box = spec.specialUse ?
+      await this.findSpecialUseBox(imap, account.id, spec.specialUse, spec.fallbackNames) :
+      spec.box;
+
+    if (!box) {
+      throw new Error(`Folder not available on server: ${folder}`);
+    }
+
+    const criteria = [...spec.criteria];
+    if (spec.sinceDays) {
+      const since = new Date();
+      since.setDate(since.getDate() - spec.sinceDays);
+      criteria.push(['SINCE', since]);
+    }
+
+    return { box, criteria };
+  }
+
+  /**
+   * Localiza un buzón por atributo SPECIAL-USE o por nombre habitual
+   * @private
+   */
+  async findSpecialUseBox(imap, accountId, specialUse, fallbackNames = []) {
+    const cacheKey = `${accountId}:${specialUse}`;
+    if (this.boxCache.has(cacheKey)) {
+      return this.boxCache.get(cacheKey);
+    }
+
+    const boxes = await new Promise((resolve, reject) => {
+      imap.getBoxes((err, result) => (err ? reject(err) : resolve(result)));
+    });
+
+    const flat = this.flattenBoxes(boxes);
+    const names = fallbackNames.map((n) => n.toLowerCase());
+    const match = flat.find((b) => b.attribs.includes(specialUse)) ||
+      flat.find((b) => names.includes(b.name.toLowerCase()));
+
+    const path = match ? match.path : null;
+    if (path) {
+      this.boxCache.set(cacheKey, path);
+    }
+
+    return path;
+  }
+
+  /**
+   * Aplana el árbol de buzones devuelto por getBoxes
+   * @private
+   */
+  flattenBoxes(boxes, parentPath = '') {
+    const result = [];
+
+    Object.keys(boxes || {}).forEach((name) => {
+      const box = boxes[name];
+      const path = parentPath ? `${parentPath}${box.delimiter}${name}` : name;
+
+      result.push({ name, path, attribs: box.attribs || [] });
+
+      if (box.children) {
+        result.push(...this.flattenBoxes(box.children, path));
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Abre un buzón
+   * @private
+   */
+  openBox(imap, box, readOnly) {
+    return new Promise((resolve, reject) => {
+      imap.openBox(box, readOnly, (err, mailbox) => (err ? reject(err) : resolve(mailbox)));
+    });
+  }
+
+  /**
+   * Ejecuta UID SEARCH
+   * @private
+   */
+  search(imap, criteria) {
+    return new Promise((resolve, reject) => {
+      imap.search(criteria, (err, uids) => (err ? reject(err) : resolve(uids || [])));
+    });
+  }
+
+  /**
+   * Añade o quita flags de un mensaje
+   * @private
+   */
+  updateFlags(imap, uid, flags, add) {
+    return new Promise((resolve, reject) => {
+      const done = (err) => (err ? reject(err) : resolve());
+      if (add) {
+        imap.addFlags(uid, flags, done);
+      } else {
+        imap.delFlags(uid, flags, done);
+      }
+    });
+  }
+
+  /**
+   * Descarga y parsea mensajes completos sin marcarlos como leídos
+   * @private
+   */
+  fetchMessages(imap, uids) {
+    return new Promise((resolve, reject) => {
+      if (uids.length === 0) {
+        resolve([]);
+        return;
+      }
+
+      const messages = [];
+      const parsing = [];
+      const fetch = imap.fetch(uids, { bodies: '', size: true, markSeen: false });
+
+      fetch.on('message', (msg) => {
+        const message = { attrs: {}, parsed: null };
+
+        msg.on('body', (stream) => {
+          parsing.push(simpleParser(stream).then((parsed) => {
+            message.parsed = parsed;
+          }));
+        });
+        msg.once('attributes', (attrs) => {
+          message.attrs = attrs;
+        });
+
+        messages.push(message);
+      });
+
+      fetch.once('error', reject);
+      fetch.once('end', () => {
+        Promise.all(parsing)
+          .then(() => resolve(messages.sort((a, b) => b.attrs.uid - a.attrs.uid)))
+          .catch(reject);
+      });
+    });
+  }
+
+  /**
+   * Construye un ID de mensaje estable: buzón (base64url) + UID
+   * @private
+   */
+  buildMessageId(box, uid) {
+    return `${Buffer.from(box).toString('base64url')}_${uid}`;
+  }
+
+  /**
+   * Descompone un ID de mensaje en buzón y UID
+   * @private
+   */
+  parseMessageId(emailId) {
+    const separator = String(emailId).lastIndexOf('_');
+    const uid = parseInt(String(emailId).slice(separator + 1), 10);
+
+    if (separator <= 0 || !uid) {
+      throw new Error('Invalid Email ID format');
+    }
+
+    return {
+      box: Buffer.from(emailId.slice(0, separator), 'base64url').toString('utf-8'),
+      uid
+    };
+  }
+
+  /**
+   * Traduce flags IMAP a etiquetas equivalentes a las de Gmail
+   * @private
+   */
+  flagsToLabels(box, flags) {
+    const labels = [];
+
+    if (box.toUpperCase() === 'INBOX') labels.push('INBOX');
+    if (!flags.includes('\\Seen')) labels.push('UNREAD');
+    if (flags.includes('\\Flagged')) labels.push('STARRED');
+
+    return labels;
+  }
+
+  /**
+   * Parsea un mensaje de email básico
+   * @private
+   */
+  parseEmailMessage(box, message) {
+    const { attrs, parsed } = message;
+    const flags = attrs.flags || [];
+    const id = this.buildMessageId(box, attrs.uid);
+    const text = (parsed.text || '').replace(/\s+/g, ' ').trim();
+
+    return {
+      id,
+      threadId: id,
+      messageId: parsed.messageId || '',
+      inReplyTo: parsed.inReplyTo || '',
+      references: [].concat(parsed.references || []).join(' '),
+      subject: parsed.subject || 'No Subject',
+      from: parsed.from?.text || 'Unknown',
+      to: parsed.to?.text || '',
+      date: parsed.date ? parsed.date.toUTCString() : '',
+      snippet: text.substring(0, 200),
+      size: attrs.size || 0,
+      labels: this.flagsToLabels(box, flags),
+      read: flags.includes('\\Seen')
+    };
+  }
+
+  /**
+   * Parsea detalles completos de un email
+   * @private
+   */
+  parseEmailDetails(box, message) {
+    const { parsed } = message;
+
+    return {
+      ...this.parseEmailMessage(box, message),
+      cc: parsed.cc?.text || '',
+      bcc: parsed.bcc?.text || '',
+      body: parsed.text || parsed.html || '',
+      htmlBody: parsed.html || '',
+      // mailparser ya sustituye las imágenes cid: del HTML por data: URLs
+      // (related) y deja la parte text/calendar de las invitaciones entre los
+      // adjuntos; el índice de cada adjunto es su attachmentId
+      attachments: (parsed.attachments || [])
+        .map((att, index) => ({ att, index }))
+        .filter(({ att }) => !att.related && !this.isCalendarPart(att))
+        .map(({ att, index }) => ({
+          filename: att.filename || `attachment-${index + 1}`,
+          mimeType: att.contentType,
+          size: att.size || 0,
+          attachmentId: String(index)
+        })),
+      inlineImages: [],
+      invitation: this.parseInvitation(parsed)
+    };
+  }
+
+  /**
+   * Indica si un adjunto es la parte text/calendar del mensaje (sin nombre
+   * de fichero; los .ics adjuntos se siguen mostrando)
+   * @private
+   */
+  isCalendarPart(att) {
+    return (att.contentType || '').toLowerCase() === 'text/calendar' && !att.filename;
+  }
+
+  /**
+   * Invitación de la parte text/calendar del mensaje (null si no tiene)
+   * @private
+   */
+  parseInvitation(parsed) {
+    const part = (parsed.attachments || []).find((att) => (att.contentType || '').toLowerCase() === 'text/calendar');
+    return part && part.content ? ICalendar.parseInvitation(part.content.toString('utf-8')) : null;
+  }
+
+  /**
+   * Operación con reintentos
+   * @private
+   */
+  async retryOperation(operation, retries = this.maxRetries) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (retries > 0 && this.isRetryableError(error)) {
+        loggers.app.warn('Retrying IMAP/SMTP operation', {
+          error: error.message,
+          retriesLeft: retries
+        });
+
+        await this.delay(this.retryDelay);
+        return this.retryOperation(operation, retries - 1);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica si el error es reintentable
+   * @private
+   */
+  isRetryableError(error) {
+    const retryableCodes = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKET', 'ECONNECTION'];
+    const retryableMessages = [
+      'ECONNRESET',
+      'ENOTFOUND',
+      'ETIMEDOUT',
+      'socket hang up',
+      'Timed out while connecting'
+    ];
+
+    return retryableCodes.includes(error.code) ||
+           retryableMessages.some(msg => error.message.includes(msg));
+  }
+
+  /**
+   * Delay utility
+   * @private
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Valida los datos del email
+   * @private
+   */
+  validateEmailData(emailData) {
+    const { to, cc, bcc, replyTo, subject, body } = emailData;
+
+    if (!to || typeof to !== 'string' || to.trim().length === 0) {
+      throw new Error('Recipient email is required');
+    }
+
+    if (!subject || typeof subject !== 'string' || subject.trim().length === 0) {
+      throw new Error('Subject is required');
+    }
+
+    if (!body || typeof body !== 'string' || body.trim().length === 0) {
+      throw new Error('Body is required');
+    }
+
+    const emailList = [to, cc, bcc, replyTo]
+      .filter(Boolean)
+      .join(',')
+      .split(',')
+      .map(e => e.trim())
+      .filter(e => e.length > 0);
+    for (const email of emailList) {
+      if (!VALIDATION.EMAIL_REGEX.test(email)) {
+        throw new Error(`Invalid email address: ${email}`);
+      }
+    }
+  }
+
+  /**
+   * Maneja errores y retorna formato estándar
+   * @private
+   */
+  handleError(e, defaultData = []) {
+    const errorMessage = e.message || 'Unknown error';
+    let errorType = ERROR_TYPES.UNKNOWN;
+
+    if (errorMessage.includes('Account not found')) {
+      errorType = ERROR_TYPES.ACCOUNT_NOT_FOUND;
+    } else if (e.source === 'authentication' || e.code === 'EAUTH') {
+      errorType = ERROR_TYPES.AUTHENTICATION;
+    } else if (e.source === 'timeout' || e.source === 'socket' || errorMessage.includes('ECONNREFUSED') || errorMessage.includes('timeout')) {
+      errorType = ERROR_TYPES.NETWORK;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+      errorType,
+      data: defaultData
+    };
+  }
+}
+
+// Exportar instancia única (Singleton)
+module.exports = new ImapService();
@@ -5,14 +5,32 @@
 
 // Servicios principales
 const gmailService = require('./gmailService');
+const imapService = require('./imapService');
+const outlookService = require('./outlookService');
 const calendarService = require('./calendarService');
+const mailProviders = require('./mailProviders');
+const draftService = require('./draftService');
+const syncService = require('./syncService');
+const outboxService = require('./outboxService');
 
 // Exportar todos los servicios
 module.exports = {
   gmailService,
-  calendarService
+  imapService,
+  outlookService,
+  calendarService,
+  mailProviders,
+  draftService,
+  syncService,
+  outboxService
 };
 
 // Exportar individualmente para compatibilidad
 module.exports.GmailService = gmailService;
+module.exports.ImapService = imapService;
+module.exports.OutlookService = outlookService;
 module.exports.CalendarService = calendarService;
+module.exports.MailProviders = mailProviders;
+module.exports.DraftService = draftService;
+module.exports.SyncService = syncService;
+module.exports.OutboxService = outboxService;
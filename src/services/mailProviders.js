@@ -0,0 +1,108 @@
+/**
+ * Mail Provider Registry
+ * Resuelve el servicio de correo (Gmail, Outlook, IMAP/SMTP...) que atiende cada cuenta
+ *
+ * Todo proveedor implementa la misma interfaz que GmailService:
+ *   fetchEmails(accountId, folder, maxResults, pageToken) -> incluye nextPageToken
+ *   fetchEmailDetails(accountId, emailId)
+ *   fetchThreads(accountId, folder, maxResults, pageToken) -> resúmenes de hilo y nextPageToken
+ *   fetchThreadDetails(accountId, threadId, messageIds) -> conversación completa
+ *   sendEmail(accountId, emailData)  -> lanza excepción si falla
+ *   searchEmails(accountId, query, maxResults)
+ *   markAsRead(accountId, emailId, read)
+ *   deleteEmail(accountId, emailId)
+ *   fetchAttachment(accountId, emailId, attachmentId) -> data en base64
+ * y devuelve { success, data, error, errorType } salvo sendEmail.
+ * isRetryableError(error) indica si un sendEmail fallido puede repetirse más
+ * tarde (la bandeja de salida lo usa para reprogramar el envío).
+ * nextPageToken es opaco para el resto de la app (token de Gmail, desplazamiento
+ * IMAP o @odata.nextLink) y no existe cuando no quedan más páginas.
+ *
+ * Opcionalmente, los proveedores con borradores remotos (Gmail) implementan
+ * fetchDrafts, createDraft, updateDraft, deleteDraft y sendDraft (ver DraftService),
+ * y los que tienen etiquetas (Gmail) listLabels, createLabel, updateLabel,
+ * deleteLabel y modifyLabels; sus mensajes se listan con la carpeta 'label:<ID>'.
+ * Esos proveedores implementan también archiveEmail, moveEmail, starEmail y
+ * markAsSpam, que devuelven en data.undo el cambio de etiquetas que los deshace.
+ * Los que permiten enviar desde alias (Gmail) implementan listSendAs; sin él la
+ * única identidad es la dirección de la cuenta.
+ * Para selecciones de varios mensajes pueden implementar batchModifyLabels y
+ * batchDeleteEmails (con onProgress(procesados, total)), que devuelven
+ * data: { succeeded, failed: [{ id, error }] }; sin ellos se llama mensaje a mensaje.
+ */
+
+const Accounts = require('../common/accounts');
+const { loggers } = require('../common/logger');
+const gmailService = require('./gmailService');
+const imapService = require('./imapService');
+const outlookService = require('./outlookService');
+
+const REQUIRED_METHODS = [
+  'fetchEmails',
+  'fetchEmailDetails',
+  'fetchThreads',
+  'fetchThreadDetails',
+  'sendEmail',
+  'searchEmails',
+  'markAsRead',
+  'deleteEmail',
+  'fetchAttachment'
+];
+
+class MailProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    // Las cuentas creadas con Google OAuth guardan 'gmail', 'outlook' o 'yahoo'
+    // según el dominio del email, pero todas se sirven con la API de Gmail.
+    // Las cuentas de Microsoft OAuth usan 'microsoft' (Graph)
+    this.defaultProvider = 'gmail';
+  }
+
+  /**
+   * Registra un servicio para un tipo de proveedor
+   * @param {string} name - Nombre del proveedor (account.provider)
+   * @param {Object} service - Servicio que implementa la interfaz común
+   */
+  register(name, service) {
+    const missing = REQUIRED_METHODS.filter((method) => typeof service[method] !== 'function');
+
+    if (missing.length > 0) {
+      throw new Error(`Provider "${name}" is missing methods: ${missing.join(', ')}`);
+    }
+
+    this.providers.set(name, service);
+    loggers.app.debug('Mail provider registered', { name });
+  }
+
+  /**
+   * Obtiene el servicio registrado para un proveedor
+   * @param {string} name - Nombre del proveedor
+   * @returns {Object} Servicio de correo
+   */
+  getProvider(name) {
+    return this.providers.get(name) || this.providers.get(this.defaultProvider);
+  }
+
+  /**
+   * Obtiene el servicio que atiende una cuenta
+   * @param {string} accountId - ID o email de la cuenta
+   * @returns {Object} Servicio de correo
+   */
+  getProviderForAccount(accountId) {
+    const account = Accounts.findAccount(accountId);
+
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    return this.getProvider(account.provider);
+  }
+}
+
+const registry = new MailProviderRegistry();
+registry.register('gmail', gmailService);
+registry.register('imap', imapService);
+registry.register('microsoft', outlookService);
+
+// Exportar instancia única (Singleton)
+module.exports = registry;
@@ -0,0 +1,329 @@
+/**
+ * Outbox Service
+ * Bandeja de salida: los envíos se guardan en cola (OutboxStore) y salen al
+ * terminar la ventana para deshacer, o a la hora elegida si son programados.
+ * Si fallan por un error de red o del servidor siguen en la cola y se
+ * reintentan más tarde, o en cuanto vuelve la conexión; un error definitivo
+ * los deja como fallidos para editarlos.
+ */
+
+const OutboxStore = require('../common/outboxStore');
+const { loggers } = require('../common/logger');
+const { OUTBOX } = require('../config/constants');
+const mailProviders = require('./mailProviders');
+const draftService = require('./draftService');
+
+const STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  FAILED: 'failed'
+};
+
+// setTimeout no admite esperas mayores; al vencer se vuelve a programar
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+class OutboxService {
+  constructor() {
+    this.timer = null;
+    // Procesado en curso: los envíos salen de uno en uno
+    this.processing = null;
+    this.notify = () => {};
+  }
+
+  /**
+   * Reanuda la cola al arrancar la aplicación
+   * @param {Function} notify - Recibe (tipo, envío) en cada cambio de la cola:
+   *   queued, rescheduled, cancelled, sending, sent, retrying o failed
+   */
+  start(notify) {
+    this.notify = notify || this.notify;
+
+    // Un envío interrumpido por un cierre se vuelve a intentar
+    OutboxStore.list()
+      .filter((item) => item.status === STATUS.SENDING)
+      .forEach((item) => OutboxStore.update(item.id, { status: STATUS.PENDING }));
+
+    // Los que vencieron con la aplicación cerrada salen ahora
+    this.scheduleNext();
+  }
+
+  /**
+   * Añade un mensaje a la cola; sale cuando termina la ventana para deshacer
+   * o, si se indica sendAt, a esa hora (envío programado)
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} content - { from, fromName, to, cc, bcc, replyTo, subject, body, html, attachments, inReplyTo, references, threadId }
+   * @param {Object} options - { undoDelay: segundos, sendAt: fecha ISO, draftId: borrador del que sale el mensaje }
+   * @returns {Object} Resumen del envío (id, sendAt, undoDelay...)
+   */
+  enqueue(accountId, content, { undoDelay, sendAt = null, draftId = null } = {}) {
+    const delay = this.normalizeDelay(undoDelay);
+    const item = OutboxStore.add({
+      accountId,
+      draftId,
+      sendAt: sendAt ? this.normalizeSendAt(sendAt) : new Date(Date.now() + delay * 1000).toISOString(),
+      scheduled: !!sendAt,
+      content
+    });
+
+    loggers.app.info('Email queued', { accountId, id: item.id, undoDelay: delay, scheduled: item.scheduled });
+    this.notifyChange('queued', item);
+    this.scheduleNext();
+
+    return { ...this.toSummary(item), undoDelay: delay };
+  }
+
+  /**
+   * Lista la bandeja de salida de una cuenta
+   * @param {string} accountId - ID de la cuenta
+   * @returns {Object} { success, data: resúmenes (el que sale antes primero) }
+   */
+  list(accountId) {
+    try {
+      return { success: true, data: OutboxStore.list(accountId).map((item) => this.toSummary(item)) };
+    } catch (e) {
+      loggers.app.error('List outbox error', { accountId, error: e.message });
+      return { success: false, error: e.message || 'Unknown error', data: [] };
+    }
+  }
+
+  /**
+   * Cancela un envío y devuelve el mensaje a borradores para poder editarlo
+   * @param {string} id - ID del envío
+   * @returns {Promise<Object>} { success, data: { draftId, accountId } }
+   */
+  async cancel(id) {
+    try {
+      const item = OutboxStore.get(id);
+      if (!item) {
+        throw new Error('Outbox item not found');
+      }
+      if (item.status === STATUS.SENDING) {
+        throw new Error('The email is already being sent');
+      }
+
+      const saved = await draftService.saveDraft({
+        id: item.draftId || undefined,
+        accountId: item.accountId,
+        ...item.content
+      });
+      if (!saved.success) {
+        throw new Error(saved.error);
+      }
+
+      OutboxStore.remove(id);
+      loggers.app.info('Queued email cancelled', { accountId: item.accountId, id });
+      this.notifyChange('cancelled', item);
+      this.scheduleNext();
+
+      return { success: true, data: { draftId: saved.data.id, accountId: item.accountId } };
+    } catch (e) {
+      loggers.app.error('Cancel outbox item error', { id, error: e.message });
+      return { success: false, error: e.message || 'Unknown error', data: null };
+    }
+  }
+
+  /**
+   * Cambia la hora de un envío programado
+   * @param {string} id - ID del envío
+   * @param {string} sendAt - Nueva fecha ISO (futura)
+   * @returns {Object} { success, data: resumen del envío }
+   */
+  reschedule(id, sendAt) {
+    try {
+      const item = OutboxStore.get(id);
+      if (!item || !item.scheduled || item.status !== STATUS.PENDING) {
+        throw new Error('Scheduled email not found');
+      }
+
+      const updated = OutboxStore.update(id, { sendAt: this.normalizeSendAt(sendAt) });
+      loggers.app.info('Scheduled email rescheduled', { accountId: item.accountId, id, sendAt: updated.sendAt });
+      this.notifyChange('rescheduled', updated);
+      this.scheduleNext();
+
+      return { success: true, data: this.toSummary(updated) };
+    } catch (e) {
+      loggers.app.error('Reschedule outbox item error', { id, error: e.message });
+      return { success: false, error: e.message || 'Unknown error', data: null };
+    }
+  }
+
+  /**
+   * Reintenta ya los envíos que esperan tras un error de red (al volver la
+   * conexión). Los que siguen en la ventana para deshacer no se adelantan
+   */
+  retryNow() {
+    const now = new Date().toISOString();
+
+    OutboxStore.list()
+      .filter((item) => item.status === STATUS.PENDING && item.attempts > 0 && item.sendAt > now)
+      .forEach((item) => OutboxStore.update(item.id, { sendAt: now }));
+
+    this.scheduleNext();
+  }
+
+  /**
+   * Elimina la bandeja de salida de una cuenta (al quitar la cuenta)
+   * @param {string} accountId - ID de la cuenta
+   */
+  removeAccountOutbox(accountId) {
+    OutboxStore.removeAccount(accountId);
+    this.scheduleNext();
+  }
+
+  /**
+   * Programa el temporizador para el próximo envío pendiente
+   * @private
+   */
+  scheduleNext() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const next = OutboxStore.list().find((item) => item.status === STATUS.PENDING);
+    if (!next) return;
+
+    const wait = Math.max(0, new Date(next.sendAt).getTime() - Date.now());
+    this.timer = setTimeout(() => this.processQueue(), Math.min(wait, MAX_TIMER_DELAY));
+  }
+
+  /**
+   * Envía los mensajes cuya hora ha llegado
+   * @private
+   */
+  processQueue() {
+    if (this.processing) return this.processing;
+
+    this.processing = (async() => {
+      const now = new Date().toISOString();
+      const due = OutboxStore.list().filter((item) => item.status === STATUS.PENDING && item.sendAt <= now);
+
+      for (const item of due) {
+        await this.sendItem(item.id);
+      }
+    })()
+      .catch((e) => loggers.app.error('Outbox processing error', { error: e.message }))
+      .finally(() => {
+        this.processing = null;
+        this.scheduleNext();
+      });
+
+    return this.processing;
+  }
+
+  /**
+   * Envía un mensaje de la cola con el proveedor de su cuenta
+   * @private
+   */
+  async sendItem(id) {
+    // Pudo cancelarse mientras salían los anteriores
+    const item = OutboxStore.get(id);
+    if (!item || item.status !== STATUS.PENDING) return;
+
+    // Desde aquí un programado que falle se trata como cualquier otro envío
+    this.notifyChange('sending', OutboxStore.update(id, { status: STATUS.SENDING, scheduled: false }));
+
+    let provider = null;
+
+    try {
+      provider = mailProviders.getProviderForAccount(item.accountId);
+      // Sin reintentos aquí: el proveedor ya reintenta su propia petición y
+      // repetir el envío completo podría duplicar el mensaje
+      const result = await provider.sendEmail(item.accountId, item.content);
+
+      OutboxStore.remove(id);
+      if (item.draftId) {
+        await draftService.deleteDraft(item.draftId);
+      }
+
+      loggers.app.info('Queued email sent', { accountId: item.accountId, id, messageId: result.id });
+      this.notifyChange('sent', item);
+    } catch (e) {
+      const attempts = item.attempts + 1;
+
+      // Cada proveedor reconoce sus propios errores transitorios; sin proveedor
+      // (cuenta eliminada) el envío no puede salir
+      if (provider && provider.isRetryableError(e)) {
+        const wait = Math.min(OUTBOX.RETRY_DELAY * 2 ** (attempts - 1), OUTBOX.MAX_RETRY_DELAY);
+        const updated = OutboxStore.update(id, {
+          status: STATUS.PENDING,
+          sendAt: new Date(Date.now() + wait).toISOString(),
+          attempts,
+          lastError: e.message
+        });
+
+        loggers.app.warn('Queued email will be retried', { accountId: item.accountId, id, attempts, error: e.message });
+        if (updated) this.notifyChange('retrying', updated);
+      } else {
+        const updated = OutboxStore.update(id, { status: STATUS.FAILED, attempts, lastError: e.message });
+
+        loggers.app.error('Queued email failed', { accountId: item.accountId, id, error: e.message });
+        if (updated) this.notifyChange('failed', updated);
+      }
+    }
+  }
+
+  /**
+   * Ajusta la ventana para deshacer (segundos) a los límites configurados
+   * @private
+   */
+  normalizeDelay(undoDelay) {
+    const seconds = Number(undoDelay);
+    if (!Number.isFinite(seconds)) return OUTBOX.UNDO_DELAY_DEFAULT;
+
+    return Math.min(OUTBOX.UNDO_DELAY_MAX, Math.max(OUTBOX.UNDO_DELAY_MIN, Math.round(seconds)));
+  }
+
+  /**
+   * Valida la hora de un envío programado
+   * @private
+   */
+  normalizeSendAt(sendAt) {
+    const time = typeof sendAt === 'string' ? new Date(sendAt).getTime() : NaN;
+
+    if (Number.isNaN(time)) {
+      throw new Error('Invalid scheduled time');
+    }
+    if (time <= Date.now()) {
+      throw new Error('The scheduled time must be in the future');
+    }
+    if (time > Date.now() + OUTBOX.MAX_SCHEDULE_AHEAD) {
+      throw new Error('The scheduled time is too far ahead');
+    }
+
+    return new Date(time).toISOString();
+  }
+
+  /**
+   * Avisa del cambio sin dejar que un fallo del aviso detenga la cola
+   * @private
+   */
+  notifyChange(type, item) {
+    try {
+      this.notify(type, this.toSummary(item));
+    } catch (e) {
+      loggers.app.warn('Outbox notification failed', { type, error: e.message });
+    }
+  }
+
+  /**
+   * Resumen de un envío para el renderizador (sin cuerpo completo ni adjuntos)
+   * @private
+   */
+  toSummary(item) {
+    return {
+      id: item.id,
+      accountId: item.accountId,
+      status: item.status,
+      sendAt: item.sendAt,
+      scheduled: item.scheduled,
+      attempts: item.attempts,
+      lastError: item.lastError,
+      to: item.content.to,
+      subject: item.content.subject,
+      snippet: item.content.body.substring(0, 200),
+      attachments: item.content.attachments.length
+    };
+  }
+}
+
+// Exportar instancia única
+module.exports = new OutboxService();
@@ -0,0 +1,777 @@
+/**
+ * Outlook Service
+ * Servicio para interactuar con el correo de Microsoft Graph (Outlook.com / Microsoft 365)
+ * Expone la misma interfaz que GmailService
+ */
+
+const axios = require('axios');
+const OAuthHelper = require('../common/oauthHelper');
+const MimeBuilder = require('../common/mimeBuilder');
+const ThreadBuilder = require('../common/threading');
+const Accounts = require('../common/accounts');
+const { loggers } = require('../common/logger');
+const { MICROSOFT, VALIDATION, ERROR_TYPES } = require('../config/constants');
+
+const MESSAGE_FIELDS = [
+  'id',
+  'conversationId',
+  'internetMessageId',
+  'subject',
+  'from',
+  'toRecipients',
+  'receivedDateTime',
+  'bodyPreview',
+  'isRead',
+  'flag'
+].join(',');
+
+const DETAIL_FIELDS = `${MESSAGE_FIELDS},ccRecipients,bccRecipients,body,hasAttachments,internetMessageHeaders`;
+// contentId solo existe en los adjuntos de archivo (imágenes cid: del HTML)
+const ATTACHMENT_FIELDS = 'attachments($select=id,name,contentType,size,isInline,microsoft.graph.fileAttachment/contentId)';
+
+class OutlookService {
+  constructor() {
+    this.maxRetries = 3;
+    this.retryDelay = 1000; // 1 segundo
+  }
+
+  /**
+   * Obtiene lista de emails con paginación
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} folder - Carpeta (INBOX, SENT, etc.)
+   * @param {number} maxResults - Máximo de resultados
+   * @param {string} pageToken - Token de paginación (@odata.nextLink)
+   * @returns {Promise<Object>} Resultado con emails
+   */
+  async fetchEmails(accountId, folder = 'INBOX', maxResults = MICROSOFT.MAX_RESULTS, pageToken = null) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('outlook.fetchEmails', { accountId, folder, maxResults });
+
+      if (!accountId) {
+        throw new Error('Account ID is required');
+      }
+
+      const request = pageToken ?
+        { path: this.validateNextLink(pageToken) } :
+        this.buildFolderRequest(folder, maxResults);
+
+      const res = await this.retryOperation(async() => {
+        return await this.request(accountId, 'GET', request.path, { params: request.params });
+      });
+
+      const emails = (res.value || []).map((m) => this.parseEmailMessage(m));
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.fetchEmails', duration, {
+        accountId,
+        folder,
+        count: emails.length,
+        hasMore: !!res['@odata.nextLink']
+      });
+
+      return {
+        success: true,
+        data: emails,
+        folder,
+        nextPageToken: res['@odata.nextLink'],
+        total: res['@odata.count']
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.fetchEmails', duration, {
+        accountId,
+        folder,
+        error: e.message
+      });
+
+      loggers.api.error('GET', `/graph/messages?folder=${folder}`, e, { accountId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Obtiene detalles completos de un email
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @returns {Promise<Object>} Detalles del email
+   */
+  async fetchEmailDetails(accountId, emailId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('outlook.fetchEmailDetails', { accountId, emailId });
+
+      if (!accountId || !emailId) {
+        throw new Error('Account ID and Email ID are required');
+      }
+
+      const messageId = this.decodeId(emailId);
+      const res = await this.retryOperation(async() => {
+        return await this.request(accountId, 'GET', `/me/messages/${encodeURIComponent(messageId)}`, {
+          params: {
+            '$select': DETAIL_FIELDS,
+            '$expand': ATTACHMENT_FIELDS
+          }
+        });
+      });
+
+      const emailData = this.parseEmailDetails(res);
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.fetchEmailDetails', duration, {
+        accountId,
+        emailId,
+        hasAttachments: emailData.attachments.length > 0
+      });
+
+      return { success: true, data: emailData };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.fetchEmailDetails', duration, {
+        accountId,
+        emailId,
+        error: e.message
+      });
+
+      loggers.api.error('GET', `/graph/messages/${emailId}`, e, { accountId, emailId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Obtiene conversaciones agrupando la página de mensajes por conversationId
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} folder - Carpeta (INBOX, SENT, etc.)
+   * @param {number} maxResults - Máximo de mensajes a agrupar
+   * @param {string} pageToken - Token de paginación (@odata.nextLink)
+   * @returns {Promise<Object>} Resultado con resúmenes de hilo
+   */
+  async fetchThreads(accountId, folder = 'INBOX', maxResults = MICROSOFT.MAX_RESULTS, pageToken = null) {
+    const result = await this.fetchEmails(accountId, folder, maxResults, pageToken);
+    if (!result.success) {
+      return result;
+    }
+
+    return { ...result, data: ThreadBuilder.group(result.data, { byThreadId: true }) };
+  }
+
+  /**
+   * Obtiene una conversación completa (todas las carpetas) por conversationId
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} threadId - ID del hilo (conversationId codificado)
+   * @returns {Promise<Object>} Conversación { id, subject, participants, messages }
+   */
+  async fetchThreadDetails(accountId, threadId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('outlook.fetchThreadDetails', { accountId, threadId });
+
+      if (!accountId || !threadId) {
+        throw new Error('Account ID and Thread ID are required');
+      }
+
+      const conversationId = this.decodeId(threadId);
+      const res = await this.retryOperation(async() => {
+        return await this.request(accountId, 'GET', '/me/messages', {
+          params: {
+            '$filter': `conversationId eq '${conversationId.replace(/'/g, '\'\'')}'`,
+            '$top': MICROSOFT.MAX_THREAD_MESSAGES,
+            '$select': DETAIL_FIELDS,
+            '$expand': ATTACHMENT_FIELDS
+          }
+        });
+      });
+
+      const messages = (res.value || []).map((m) => this.parseEmailDetails(m));
+      if (messages.length === 0) {
+        throw new Error('Thread not found');
+      }
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.fetchThreadDetails', duration, {
+        accountId,
+        threadId,
+        count: messages.length
+      });
+
+      return { success: true, data: ThreadBuilder.toConversation(threadId, messages) };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.fetchThreadDetails', duration, {
+        accountId,
+        threadId,
+        error: e.message
+      });
+
+      loggers.api.error('GET', `/graph/conversations/${threadId}`, e, { accountId, threadId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Envía un email (se guarda en Elementos enviados)
+   * @param {string} accountId - ID de la cuenta
+   * @param {Object} emailData - Datos del email { to, cc, bcc, replyTo, subject, body, attachments, inReplyTo, references }
+   * @returns {Promise<Object>} Resultado del envío
+   */
+  async sendEmail(accountId, emailData) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('outlook.sendEmail', { accountId });
+
+      // Validar datos
+      this.validateEmailData(emailData);
+
+      const account = Accounts.findAccount(accountId);
+      if (!account) {
+        throw new Error('Account not found');
+      }
+
+      // Graph acepta el mensaje MIME completo en base64 y toma los destinatarios (Bcc incluido) de las cabeceras
+      const { raw } = await MimeBuilder.build({ ...emailData, from: account.email }, { keepBcc: true });
+      const mime = raw.toString('base64');
+
+      if (mime.length > MICROSOFT.MAX_MIME_SIZE) {
+        throw new Error('Message too large to send through Microsoft Graph');
+      }
+
+      await this.retryOperation(async() => {
+        return await this.request(accountId, 'POST', '/me/sendMail', {
+          data: mime,
+          contentType: 'text/plain'
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.sendEmail', duration, {
+        accountId,
+        to: emailData.to.substring(0, 50),
+        subject: emailData.subject.substring(0, 50),
+        success: true
+      });
+
+      loggers.api.response('POST', '/graph/sendMail', 202, {
+        accountId,
+        to: emailData.to.substring(0, 50)
+      });
+
+      // sendMail responde 202 sin cuerpo: Graph no devuelve el ID del mensaje
+      return {
+        success: true,
+        id: null,
+        threadId: null
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.sendEmail', duration, {
+        accountId,
+        error: e.message
+      });
+
+      loggers.api.error('POST', '/graph/sendMail', e, { accountId });
+      throw e;
+    }
+  }
+
+  /**
+   * Busca emails con $search (asunto, remitente y cuerpo)
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} query - Query de búsqueda
+   * @param {number} maxResults - Máximo de resultados
+   * @returns {Promise<Object>} Resultado de búsqueda
+   */
+  async searchEmails(accountId, query, maxResults = MICROSOFT.MAX_RESULTS) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('outlook.searchEmails', { accountId, queryLength: query.length });
+
+      if (!accountId || !query) {
+        throw new Error('Account ID and query are required');
+      }
+
+      // $search no admite $orderby: Graph ya ordena por relevancia/fecha
+      const res = await this.retryOperation(async() => {
+        return await this.request(accountId, 'GET', '/me/messages', {
+          params: {
+            '$search': `"${query.replace(/"/g, '')}"`,
+            '$top': maxResults,
+            '$select': MESSAGE_FIELDS
+          }
+        });
+      });
+
+      const emails = (res.value || []).map((m) => this.parseEmailMessage(m));
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.searchEmails', duration, {
+        accountId,
+        queryLength: query.length,
+        count: emails.length
+      });
+
+      return {
+        success: true,
+        data: emails,
+        query,
+        total: emails.length
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.searchEmails', duration, {
+        accountId,
+        queryLength: query?.length || 0,
+        error: e.message
+      });
+
+      loggers.api.error('GET', '/graph/search', e, { accountId, query });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Marca un email como leído o no leído
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @param {boolean} read - Estado de lectura
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async markAsRead(accountId, emailId, read = true) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('outlook.markAsRead', { accountId, emailId, read });
+
+      const messageId = this.decodeId(emailId);
+      await this.retryOperation(async() => {
+        return await this.request(accountId, 'PATCH', `/me/messages/${encodeURIComponent(messageId)}`, {
+          data: { isRead: read }
+        });
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.markAsRead', duration, {
+        accountId,
+        emailId,
+        read,
+        success: true
+      });
+
+      return { success: true, data: { id: emailId, read } };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.markAsRead', duration, {
+        accountId,
+        emailId,
+        read,
+        error: e.message
+      });
+
+      loggers.api.error('PATCH', `/graph/messages/${emailId}`, e, { accountId, emailId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Elimina un email
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async deleteEmail(accountId, emailId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('outlook.deleteEmail', { accountId, emailId });
+
+      const messageId = this.decodeId(emailId);
+      await this.retryOperation(async() => {
+        return await this.request(accountId, 'DELETE', `/me/messages/${encodeURIComponent(messageId)}`);
+      });
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.deleteEmail', duration, {
+        accountId,
+        emailId,
+        success: true
+      });
+
+      return { success: true, data: { id: emailId } };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.deleteEmail', duration, {
+        accountId,
+        emailId,
+        error: e.message
+      });
+
+      loggers.api.error('DELETE', `/graph/messages/${emailId}`, e, { accountId, emailId });
+      return this.handleError(e);
+    }
+  }
+
+  /**
+   * Descarga el contenido de un adjunto
+   * @param {string} accountId - ID de la cuenta
+   * @param {string} emailId - ID del email
+   * @param {string} attachmentId - ID del adjunto (de parseEmailDetails)
+   * @returns {Promise<Object>} Adjunto con los bytes en base64
+   */
+  async fetchAttachment(accountId, emailId, attachmentId) {
+    const startTime = Date.now();
+
+    try {
+      loggers.performance.start('outlook.fetchAttachment', { accountId, emailId });
+
+      if (!accountId || !emailId || !attachmentId) {
+        throw new Error('Account ID, Email ID and Attachment ID are required');
+      }
+
+      const messageId = this.decodeId(emailId);
+      const graphAttachmentId = this.decodeId(attachmentId);
+
+      const res = await this.retryOperation(async() => {
+        return await this.request(
+          accountId,
+          'GET',
+          `/me/messages/${encodeURIComponent(messageId)}/attachments/${encodeURIComponent(graphAttachmentId)}`
+        );
+      });
+
+      // Solo los fileAttachment traen contentBytes (no los adjuntos de elemento o referencia)
+      if (typeof res.contentBytes !== 'string') {
+        throw new Error('Attachment content is not available');
+      }
+
+      const size = Buffer.byteLength(res.contentBytes, 'base64');
+
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.fetchAttachment', duration, {
+        accountId,
+        emailId,
+        size
+      });
+
+      return {
+        success: true,
+        data: {
+          attachmentId,
+          size,
+          data: res.contentBytes
+        }
+      };
+    } catch (e) {
+      const duration = Date.now() - startTime;
+      loggers.performance.end('outlook.fetchAttachment', duration, {
+        accountId,
+        emailId,
+        error: e.message
+      });
+
+      loggers.api.error('GET', `/graph/messages/${emailId}/attachments`, e, { accountId, emailId });
+      return this.handleError(e, null);
+    }
+  }
+
+  /**
+   * Ejecuta una petición autenticada contra Microsoft Graph
+   * @private
+   */
+  async request(accountId, method, path, { params, data, contentType = 'application/json' } = {}) {
+    const accessToken = await OAuthHelper.getMicrosoftAccessToken(accountId);
+
+    try {
+      const response = await axios({
+        method,
+        url: path.startsWith('http') ? path : `${MICROSOFT.GRAPH_BASE_URL}${path}`,
+        params,
+        data,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': contentType
+        }
+      });
+
+      return response.data || {};
+    } catch (error) {
+      // Propagar el mensaje de Graph en lugar del genérico de axios
+      const graphError = error.response?.data?.error;
+      if (error.response) {
+        const wrapped = new Error(graphError?.message || `Graph request failed with status ${error.response.status}`);
+        wrapped.status = error.response.status;
+        wrapped.code = graphError?.code || error.response.status;
+        throw wrapped;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Construye la petición de listado para una carpeta lógica
+   * @private
+   */
+  buildFolderRequest(folder, maxResults) {
+    const spec = MICROSOFT.FOLDERS[folder.toUpperCase()] || MICROSOFT.FOLDERS.INBOX;
+
+    // Graph exige que el campo de $orderby aparezca primero en $filter
+    const since = new Date(0);
+    if (spec.sinceDays) {
+      since.setTime(Date.now() - spec.sinceDays * 24 * 60 * 60 * 1000);
+    }
+    const filters = [`receivedDateTime ge ${since.toISOString()}`];
+    if (spec.filter) {
+      filters.push(spec.filter);
+    }
+
+    return {
+      path: `/me/mailFolders/${spec.folder}/messages`,
+      params: {
+        '$top': maxResults,
+        '$select': MESSAGE_FIELDS,
+        '$filter': filters.join(' and '),
+        '$orderby': 'receivedDateTime desc',
+        '$count': true
+      }
+    };
+  }
+
+  /**
+   * Acepta solo nextLinks que apunten a Graph
+   * @private
+   */
+  validateNextLink(pageToken) {
+    if (typeof pageToken !== 'string' || !pageToken.startsWith(`${MICROSOFT.GRAPH_BASE_URL}/`)) {
+      throw new Error('Invalid pagination link');
+    }
+    return pageToken;
+  }
+
+  /**
+   * Los IDs de Graph pueden contener '=', '+' o '/': se exponen en base64url
+   * @private
+   */
+  encodeId(graphId) {
+    return Buffer.from(graphId, 'utf-8').toString('base64url');
+  }
+
+  /**
+   * @private
+   */
+  decodeId(emailId) {
+    if (!emailId || !/^[a-zA-Z0-9_-]+$/.test(emailId)) {
+      throw new Error('Invalid Email ID format');
+    }
+    return Buffer.from(emailId, 'base64url').toString('utf-8');
+  }
+
+  /**
+   * Formatea un destinatario de Graph como "Nombre <email>"
+   * @private
+   */
+  formatRecipient(recipient) {
+    const address = recipient?.emailAddress;
+    if (!address) return '';
+    return address.name && address.name !== address.address ?
+      `${address.name} <${address.address}>` :
+      address.address;
+  }
+
+  /**
+   * @private
+   */
+  formatRecipients(recipients = []) {
+    return recipients.map((r) => this.formatRecipient(r)).filter(Boolean).join(', ');
+  }
+
+  /**
+   * Parsea un mensaje de email básico
+   * @private
+   */
+  parseEmailMessage(message) {
+    const labels = [];
+    if (!message.isRead) labels.push('UNREAD');
+    if (message.flag?.flagStatus === 'flagged') labels.push('STARRED');
+
+    return {
+      id: this.encodeId(message.id),
+      threadId: this.encodeId(message.conversationId || message.id),
+      messageId: message.internetMessageId || '',
+      subject: message.subject || 'No Subject',
+      from: this.formatRecipient(message.from) || 'Unknown',
+      to: this.formatRecipients(message.toRecipients),
+      date: message.receivedDateTime ? new Date(message.receivedDateTime).toUTCString() : '',
+      snippet: message.bodyPreview || '',
+      size: 0,
+      labels,
+      read: !!message.isRead
+    };
+  }
+
+  /**
+   * Parsea detalles completos de un email
+   * @private
+   */
+  parseEmailDetails(message) {
+    const body = message.body || {};
+    const isHtml = (body.contentType || '').toLowerCase() === 'html';
+    const headers = message.internetMessageHeaders || [];
+
+    const getHeader = (name) => {
+      const header = headers.find((h) => h.name.toLowerCase() === name.toLowerCase());
+      return header ? header.value : '';
+    };
+
+    // Imágenes del HTML (cid:), que no se muestran como adjuntos
+    const htmlBody = isHtml ? body.content || '' : '';
+    const attachments = message.attachments || [];
+    const inline = attachments.filter((att) => {
+      const contentId = this.getContentId(att);
+      return att.isInline && contentId && htmlBody.includes(`cid:${contentId}`);
+    });
+
+    return {
+      ...this.parseEmailMessage(message),
+      cc: this.formatRecipients(message.ccRecipients),
+      bcc: this.formatRecipients(message.bccRecipients),
+      inReplyTo: getHeader('in-reply-to'),
+      references: getHeader('references'),
+      body: body.content || '',
+      htmlBody,
+      attachments: attachments
+        .filter((att) => !inline.includes(att))
+        .map((att) => ({
+          filename: att.name,
+          mimeType: att.contentType,
+          size: att.size || 0,
+          attachmentId: this.encodeId(att.id)
+        })),
+      inlineImages: inline.map((att) => ({
+        contentId: this.getContentId(att),
+        filename: att.name,
+        mimeType: att.contentType,
+        size: att.size || 0,
+        attachmentId: this.encodeId(att.id)
+      })),
+      // Graph entrega las convocatorias como eventMessage, sin la parte
+      // text/calendar
+      invitation: null
+    };
+  }
+
+  /**
+   * Content-ID de un adjunto sin los < > ("" si no tiene)
+   * @private
+   */
+  getContentId(attachment) {
+    return (attachment.contentId || '').trim().replace(/^<|>$/g, '');
+  }
+
+  /**
+   * Operación con reintentos
+   * @private
+   */
+  async retryOperation(operation, retries = this.maxRetries) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (retries > 0 && this.isRetryableError(error)) {
+        loggers.app.warn('Retrying Graph operation', {
+          error: error.message,
+          retriesLeft: retries
+        });
+
+        await this.delay(this.retryDelay);
+        return this.retryOperation(operation, retries - 1);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica si el error es reintentable
+   * @private
+   */
+  isRetryableError(error) {
+    const retryableCodes = [429, 500, 502, 503, 504];
+    const retryableMessages = [
+      'ECONNRESET',
+      'ENOTFOUND',
+      'ETIMEDOUT',
+      'socket hang up'
+    ];
+
+    return retryableCodes.includes(error.status) ||
+           retryableMessages.some(msg => error.message.includes(msg));
+  }
+
+  /**
+   * Delay utility
+   * @private
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Valida los datos del email
+   * @private
+   */
+  validateEmailData(emailData) {
+    const { to, cc, bcc, replyTo, subject, body } = emailData;
+
+    if (!to || typeof to !== 'string' || to.trim().length === 0) {
+      throw new Error('Recipient email is required');
+    }
+
+    if (!subject || typeof subject !== 'string' || subject.trim().length === 0) {
+      throw new Error('Subject is required');
+    }
+
+    if (!body || typeof body !== 'string' || body.trim().length === 0) {
+      throw new Error('Body is required');
+    }
+
+    const emailList = [to, cc, bcc, replyTo]
+      .filter(Boolean)
+      .join(',')
+      .split(',')
+      .map(e => e.trim())
+      .filter(e => e.length > 0);
+    for (const email of emailList) {
+      if (!VALIDATION.EMAIL_REGEX.test(email)) {
+        throw new Error(`Invalid email address: ${email}`);
+      }
+    }
+  }
+
+  /**
+   * Maneja errores y retorna formato estándar
+   * @private
+   */
+  handleError(e, defaultData = []) {
+    const errorMessage = e.message || 'Unknown error';
+    let errorType = ERROR_TYPES.UNKNOWN;
+
+    if (errorMessage.includes('Account not found')) {
+      errorType = ERROR_TYPES.ACCOUNT_NOT_FOUND;
+    } else if (e.status === 401 || e.status === 403 || errorMessage.includes('token')) {
+      errorType = ERROR_TYPES.AUTHENTICATION;
+    } else if (errorMessage.includes('network') || errorMessage.includes('timeout') || errorMessage.includes('ECONNREFUSED')) {
+      errorType = ERROR_TYPES.NETWORK;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+      errorType,
+      data: defaultData
+    };
+  }
+}
+
+// Exportar instancia única (Singleton)
+module.exports = new OutlookService();
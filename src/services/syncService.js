@@ -0,0 +1,567 @@
+/**
+ * Sync Service
+ * Mantiene al día el almacén local (MailStore) de las cuentas Gmail: una
+ * sincronización completa de los mensajes más recientes y después
+ * sincronizaciones incrementales con users.history.list a partir del
+ * historyId guardado. Listados, detalle y búsqueda se leen primero del
+ * almacén, así la app sigue funcionando sin conexión.
+ */
+
+const { google } = require('googleapis');
+const Accounts = require('../common/accounts');
+const OAuthHelper = require('../common/oauthHelper');
+const MailStore = require('../common/mailStore');
+const { loggers } = require('../common/logger');
+const { GMAIL, MAIL_STORE } = require('../config/constants');
+const gmailService = require('./gmailService');
+const mailProviders = require('./mailProviders');
+
+// Prefijos de los nextPageToken de los listados servidos desde el almacén
+const LOCAL_TOKEN = 'local:'; // cursor dentro del almacén
+const OLDER_TOKEN = 'older:'; // página de Gmail anterior al horizonte del almacén
+
+const HISTORY_TYPES = ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'];
+
+class SyncService {
+  /**
+   * @param {Object} options - Dependencias (sustituibles en pruebas)
+   * @param {Object} options.store - Almacén local (por defecto MailStore)
+   * @param {Function} options.getGmailClient - async (accountId) => cliente de la API de Gmail
+   */
+  constructor(options = {}) {
+    this.store = options.store || MailStore;
+    this.getGmailClient = options.getGmailClient || this.createGmailClient;
+    this.batchSize = 10;
+    // Sincronización en curso y hora de la última por cuenta
+    this.running = new Map();
+    this.lastSync = new Map();
+  }
+
+  /**
+   * Indica si un listado se puede servir desde el almacén: cuenta Gmail ya
+   * sincronizada, carpeta guardada y token generado por este servicio
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {string} folder - Carpeta (INBOX, UNREAD...)
+   * @param {string} pageToken - Token de paginación
+   * @returns {boolean}
+   */
+  canServe(accountId, folder, pageToken = null) {
+    if (!this.isSynced(accountId) || !this.store.servesFolder(folder)) {
+      return false;
+    }
+
+    return !pageToken || pageToken.startsWith(LOCAL_TOKEN) || pageToken.startsWith(OLDER_TOKEN);
+  }
+
+  /**
+   * Indica si la cuenta tiene el almacén local sincronizado
+   * @param {string} accountId - ID o email de la cuenta
+   * @returns {boolean}
+   */
+  isSynced(accountId) {
+    const account = this.getGmailAccount(accountId);
+    return !!account && !!this.store.getSyncState(account.id);
+  }
+
+  /**
+   * Indica si la cuenta admite almacén local y aún no se ha sincronizado
+   * @param {string} accountId - ID o email de la cuenta
+   * @returns {boolean}
+   */
+  needsInitialSync(accountId) {
+    const account = this.getGmailAccount(accountId);
+    return !!account && !this.store.getSyncState(account.id);
+  }
+
+  /**
+   * Sincroniza una cuenta: completa la primera vez (o si el historial de
+   * Gmail ha caducado) e incremental después. Las llamadas concurrentes
+   * comparten la misma sincronización
+   * @param {string} accountId - ID o email de la cuenta
+   * @returns {Promise<Object>} { success, data: { mode, added, removed, updated, historyId } }
+   */
+  syncAccount(accountId) {
+    const account = this.getGmailAccount(accountId);
+    if (!account) {
+      return Promise.resolve({ success: false, error: 'Account does not support offline sync', data: null });
+    }
+
+    if (!this.running.has(account.id)) {
+      const sync = this.runSync(account.id).finally(() => this.running.delete(account.id));
+      this.running.set(account.id, sync);
+    }
+
+    return this.running.get(account.id);
+  }
+
+  /**
+   * Sincroniza si la última sincronización es antigua, esperando como mucho
+   * `timeout` ms: sin conexión se sigue leyendo del almacén sin bloquear
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {number} timeout - Espera máxima en ms
+   */
+  async refresh(accountId, timeout = MAIL_STORE.SYNC_TIMEOUT) {
+    const account = this.getGmailAccount(accountId);
+    if (!account) return;
+
+    const elapsed = Date.now() - (this.lastSync.get(account.id) || 0);
+    if (!this.running.has(account.id) && elapsed < MAIL_STORE.SYNC_INTERVAL) return;
+
+    let timer;
+    const timeoutReached = new Promise((resolve) => {
+      timer = setTimeout(resolve, timeout);
+    });
+
+    await Promise.race([this.syncAccount(account.id), timeoutReached]);
+    clearTimeout(timer);
+  }
+
+  /**
+   * Lista una carpeta desde el almacén. Al llegar al horizonte (mensajes más
+   * antiguos que la sincronización inicial) continúa con páginas de Gmail
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {string} folder - Carpeta servida por el almacén
+   * @param {number} maxResults - Máximo de resultados
+   * @param {string} pageToken - Token de la página anterior (local: u older:)
+   * @returns {Promise<Object>} Mismo formato que GmailService.fetchEmails
+   */
+  async fetchEmails(accountId, folder, maxResults = GMAIL.MAX_RESULTS, pageToken = null) {
+    const { id } = this.getGmailAccount(accountId);
+
+    if (pageToken && pageToken.startsWith(OLDER_TOKEN)) {
+      return this.fetchOlder(id, folder, maxResults, pageToken.slice(OLDER_TOKEN.length));
+    }
+
+    const cursor = pageToken ? pageToken.slice(LOCAL_TOKEN.length) || null : null;
+    const page = this.store.listMessages(id, folder, maxResults, cursor);
+    const { horizon } = this.store.getSyncState(id);
+
+    let nextPageToken;
+    if (page.hasMore) {
+      nextPageToken = `${LOCAL_TOKEN}${page.cursor}`;
+    } else if (horizon > 0) {
+      nextPageToken = OLDER_TOKEN;
+    }
+
+    return { success: true, data: page.data, folder, nextPageToken, total: page.total };
+  }
+
+  /**
+   * Obtiene un mensaje completo guardado
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {string} emailId - ID del mensaje
+   * @returns {Object|null} { success, data } o null si no está en el almacén
+   */
+  getEmailDetails(accountId, emailId) {
+    const account = this.getGmailAccount(accountId);
+    const message = account && this.store.getMessage(account.id, emailId);
+
+    return message ? { success: true, data: message } : null;
+  }
+
+  /**
+   * Guarda un mensaje descargado del proveedor para poder leerlo sin conexión
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {Object} message - Detalle del mensaje (parseEmailDetails)
+   */
+  saveEmailDetails(accountId, message) {
+    const account = this.getGmailAccount(accountId);
+    if (!account) return;
+
+    try {
+      this.store.applyChanges(account.id, { messages: [message] });
+    } catch (e) {
+      loggers.app.warn('Could not store message for offline use', { accountId, error: e.message });
+    }
+  }
+
+  /**
+   * Obtiene una imagen en línea (cid:) guardada de un mensaje
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {string} emailId - ID del mensaje
+   * @param {string} contentId - Content-ID de la imagen
+   * @returns {Object|null} { contentId, mimeType, data } o null si no está guardada
+   */
+  getInlineImage(accountId, emailId, contentId) {
+    const account = this.getGmailAccount(accountId);
+    return account ? this.store.getInlineImage(account.id, emailId, contentId) : null;
+  }
+
+  /**
+   * Guarda una imagen en línea descargada junto a su mensaje (solo si el
+   * mensaje está en el almacén)
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {string} emailId - ID del mensaje
+   * @param {Object} image - { contentId, mimeType, data }
+   */
+  saveInlineImage(accountId, emailId, image) {
+    const account = this.getGmailAccount(accountId);
+    if (!account) return;
+
+    try {
+      this.store.saveInlineImage(account.id, emailId, image);
+    } catch (e) {
+      loggers.app.warn('Could not store inline image', { accountId, error: e.message });
+    }
+  }
+
+  /**
+   * Busca primero en el almacén y completa con la búsqueda de Gmail (el
+   * almacén solo guarda el correo reciente). Sin conexión devuelve los
+   * resultados locales
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {string} query - Consulta de búsqueda
+   * @param {number} maxResults - Máximo de resultados
+   * @returns {Promise<Object>} Mismo formato que GmailService.searchEmails
+   */
+  async searchEmails(accountId, query, maxResults = GMAIL.MAX_RESULTS) {
+    const { id } = this.getGmailAccount(accountId);
+    const local = this.store.searchMessages(id, query, maxResults);
+
+    if (local.length >= maxResults) {
+      return { success: true, data: local, query, total: local.length };
+    }
+
+    const remote = await gmailService.searchEmails(id, query, maxResults);
+    if (!remote.success) {
+      loggers.app.warn('Using stored messages for search', { accountId: id, error: remote.error });
+      return { success: true, data: local, query, total: local.length, offline: true };
+    }
+
+    const localIds = new Set(local.map((message) => message.id));
+    const data = [...local, ...remote.data.filter((message) => !localIds.has(message.id))]
+      .sort((a, b) => (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0))
+      .slice(0, maxResults);
+
+    return { success: true, data, query, total: remote.total };
+  }
+
+  /**
+   * Refleja en el almacén un cambio de leído/no leído hecho en el proveedor
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {string} emailId - ID del mensaje
+   * @param {boolean} read - Estado de lectura
+   */
+  updateReadState(accountId, emailId, read) {
+    const account = this.getGmailAccount(accountId);
+    if (!account) return;
+
+    this.store.modifyLabels(account.id, emailId, read ? [] : ['UNREAD'], read ? ['UNREAD'] : []);
+  }
+
+  /**
+   * Refleja en el almacén las etiquetas añadidas o quitadas de un mensaje
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {string} emailId - ID del mensaje
+   * @param {Array<string>} addLabelIds - Etiquetas añadidas
+   * @param {Array<string>} removeLabelIds - Etiquetas quitadas
+   */
+  updateLabels(accountId, emailId, addLabelIds, removeLabelIds) {
+    const account = this.getGmailAccount(accountId);
+    if (!account) return;
+
+    this.store.modifyLabels(account.id, emailId, addLabelIds, removeLabelIds);
+  }
+
+  /**
+   * Quita del almacén un mensaje eliminado en el proveedor
+   * @param {string} accountId - ID o email de la cuenta
+   * @param {string} emailId - ID del mensaje
+   */
+  removeMessage(accountId, emailId) {
+    const account = this.getGmailAccount(accountId);
+    if (!account) return;
+
+    this.store.applyChanges(account.id, { removed: [emailId] });
+  }
+
+  /**
+   * Elimina el correo guardado de una cuenta (al quitar la cuenta)
+   * @param {string} accountId - ID de la cuenta
+   */
+  removeAccountMail(accountId) {
+    try {
+      this.store.removeAccount(accountId);
+    } catch (e) {
+      loggers.app.warn('Could not remove stored mail', { accountId, error: e.message });
+    }
+
+    this.lastSync.delete(accountId);
+  }
+
+  /**
+   * Ejecuta la sincronización de una cuenta
+   * @private
+   */
+  async runSync(accountId) {
+    const startTime = Date.now();
+    // También tras un fallo: sin conexión no se reintenta en cada listado
+    this.lastSync.set(accountId, startTime);
+
+    try {
+      loggers.performance.start('sync.syncAccount', { accountId });
+
+      const gmail = await this.getGmailClient(accountId);
+      const state = this.store.getSyncState(accountId);
+
+      // null si no hay historyId o Gmail ya no conserva ese historial
+      let result = state ? await this.incrementalSync(accountId, gmail, state.historyId) : null;
+      if (!result) {
+        result = await this.fullSync(accountId, gmail);
+      }
+
+      loggers.performance.end('sync.syncAccount', Date.now() - startTime, { accountId, ...result });
+      return { success: true, data: result };
+    } catch (e) {
+      loggers.performance.end('sync.syncAccount', Date.now() - startTime, {
+        accountId,
+        error: e.message
+      });
+
+      loggers.api.error('GET', '/gmail/history', e, { accountId });
+      return gmailService.handleError(e, null);
+    }
+  }
+
+  /**
+   * Descarga los mensajes más recientes y sustituye el contenido del almacén
+   * @private
+   */
+  async fullSync(accountId, gmail) {
+    // historyId anterior al listado: lo que cambie durante la descarga se
+    // recoge en la siguiente sincronización incremental
+    const profile = await gmailService.retryOperation(() => gmail.users.getProfile({ userId: 'me' }));
+
+    const ids = [];
+    let pageToken;
+
+    do {
+      const res = await gmailService.retryOperation(() =>
+        gmail.users.messages.list({
+          userId: 'me',
+          maxResults: Math.min(500, MAIL_STORE.INITIAL_SYNC_MESSAGES - ids.length),
+          pageToken
+        })
+      );
+
+      ids.push(...(res.data.messages || []).map((message) => message.id));
+      pageToken = res.data.nextPageToken;
+    } while (pageToken && ids.length < MAIL_STORE.INITIAL_SYNC_MESSAGES);
+
+    const messages = await this.fetchMessages(gmail, ids);
+
+    // Si quedan mensajes sin descargar, el almacén solo está completo a partir
+    // del más antiguo descargado
+    const horizon = pageToken && messages.length > 0
+      ? Math.min(...messages.map((message) => message.internalDate))
+      : 0;
+
+    this.store.replaceAll(accountId, messages, { historyId: profile.data.historyId, horizon });
+
+    return { mode: 'full', added: messages.length, removed: 0, updated: 0, historyId: profile.data.historyId };
+  }
+
+  /**
+   * Aplica los cambios del historial de Gmail desde startHistoryId
+   * @private
+   * @returns {Promise<Object|null>} Resumen, o null si el historial ha caducado
+   */
+  async incrementalSync(accountId, gmail, startHistoryId) {
+    const changes = { added: new Set(), removed: new Set(), labels: {} };
+    let historyId = startHistoryId;
+    let pageToken;
+
+    try {
+      do {
+        const res = await gmailService.retryOperation(() =>
+          gmail.users.history.list({
+            userId: 'me',
+            startHistoryId,
+            historyTypes: HISTORY_TYPES,
+            pageToken
+          })
+        );
+
+        (res.data.history || []).forEach((record) => this.collectHistory(record, changes));
+        historyId = res.data.historyId || historyId;
+        pageToken = res.data.nextPageToken;
+      } while (pageToken);
+    } catch (e) {
+      if (this.isNotFound(e)) {
+        loggers.app.warn('Gmail history expired, running full sync', { accountId, startHistoryId });
+        return null;
+      }
+      throw e;
+    }
+
+    // Mensajes que no estaban guardados y entran en una carpeta del almacén
+    // (p. ej. al sacarlos de la papelera): se descargan completos
+    Object.entries(changes.labels).forEach(([id, labelIds]) => {
+      if (!this.store.hasMessage(accountId, id) && this.isInStoredFolder(labelIds)) {
+        changes.added.add(id);
+      }
+    });
+
+    const messages = await this.fetchMessages(gmail, [...changes.added]);
+
+    // Los mensajes recién descargados ya traen sus etiquetas actuales
+    messages.forEach((message) => delete changes.labels[message.id]);
+
+    this.store.applyChanges(accountId, {
+      messages,
+      labels: changes.labels,
+      removed: [...changes.removed],
+      state: { historyId }
+    });
+
+    return {
+      mode: 'incremental',
+      added: messages.length,
+      removed: changes.removed.size,
+      updated: Object.keys(changes.labels).length,
+      historyId
+    };
+  }
+
+  /**
+   * Acumula un registro del historial (en orden cronológico)
+   * @private
+   */
+  collectHistory(record, changes) {
+    (record.messagesAdded || []).forEach(({ message }) => {
+      // Cada autoguardado de un borrador crea un mensaje nuevo: no se guardan
+      if ((message.labelIds || []).includes('DRAFT')) return;
+
+      changes.added.add(message.id);
+      changes.removed.delete(message.id);
+    });
+
+    (record.messagesDeleted || []).forEach(({ message }) => {
+      changes.added.delete(message.id);
+      delete changes.labels[message.id];
+      changes.removed.add(message.id);
+    });
+
+    [...(record.labelsAdded || []), ...(record.labelsRemoved || [])].forEach(({ message }) => {
+      if (Array.isArray(message.labelIds) && !changes.removed.has(message.id)) {
+        changes.labels[message.id] = message.labelIds;
+      }
+    });
+  }
+
+  /**
+   * Indica si unas etiquetas ponen el mensaje en alguna carpeta del almacén
+   * @private
+   */
+  isInStoredFolder(labelIds) {
+    const folderLabels = Object.values(MAIL_STORE.FOLDER_LABELS).filter(Boolean);
+
+    return !labelIds.some((label) => MAIL_STORE.EXCLUDED_LABELS.includes(label)) &&
+      labelIds.some((label) => folderLabels.includes(label));
+  }
+
+  /**
+   * Páginas de Gmail anteriores al horizonte del almacén; los mensajes se
+   * guardan para leerlos sin conexión aunque no aparezcan en los listados locales
+   * @private
+   */
+  async fetchOlder(accountId, folder, maxResults, gmailPageToken) {
+    try {
+      const gmail = await this.getGmailClient(accountId);
+      const { horizon } = this.store.getSyncState(accountId);
+      const query = GMAIL.FOLDERS[folder.toUpperCase()] || GMAIL.FOLDERS.INBOX;
+
+      const res = await gmailService.retryOperation(() =>
+        gmail.users.messages.list({
+          userId: 'me',
+          maxResults,
+          // before: admite segundos; redondear hacia arriba evita huecos
+          // (los duplicados en el límite los descarta la lista)
+          q: `${query} before:${Math.ceil(horizon / 1000)}`,
+          pageToken: gmailPageToken || undefined
+        })
+      );
+
+      const messages = await this.fetchMessages(gmail, (res.data.messages || []).map((message) => message.id));
+      this.store.applyChanges(accountId, { messages });
+
+      return {
+        success: true,
+        data: messages.map((message) => this.toSummary(message)),
+        folder,
+        nextPageToken: res.data.nextPageToken ? `${OLDER_TOKEN}${res.data.nextPageToken}` : undefined,
+        total: res.data.resultSizeEstimate
+      };
+    } catch (e) {
+      loggers.api.error('GET', `/gmail/messages?folder=${folder}`, e, { accountId });
+      return gmailService.handleError(e);
+    }
+  }
+
+  /**
+   * Descarga mensajes completos en lotes (los eliminados entretanto se omiten)
+   * @private
+   */
+  async fetchMessages(gmail, ids) {
+    const messages = [];
+
+    for (let i = 0; i < ids.length; i += this.batchSize) {
+      const batch = await Promise.all(ids.slice(i, i + this.batchSize).map(async(id) => {
+        try {
+          const res = await gmailService.retryOperation(() =>
+            gmail.users.messages.get({ userId: 'me', id, format: 'full' })
+          );
+          return { ...gmailService.parseEmailDetails(res.data), internalDate: Number(res.data.internalDate) || 0 };
+        } catch (e) {
+          if (this.isNotFound(e)) return null;
+          throw e;
+        }
+      }));
+
+      messages.push(...batch.filter(Boolean));
+    }
+
+    return messages;
+  }
+
+  /**
+   * Campos de listado de un mensaje completo (como parseEmailMessage)
+   * @private
+   */
+  toSummary(message) {
+    const { id, threadId, subject, from, to, date, snippet, size, labels } = message;
+    return { id, threadId, subject, from, to, date, snippet, size, labels };
+  }
+
+  /**
+   * Cuenta servida por la API de Gmail, o null
+   * @private
+   */
+  getGmailAccount(accountId) {
+    const account = Accounts.findAccount(accountId);
+    if (!account || mailProviders.getProvider(account.provider) !== gmailService) {
+      return null;
+    }
+    return account;
+  }
+
+  /**
+   * @private
+   */
+  isNotFound(error) {
+    return error.code === 404 || error.response?.status === 404;
+  }
+
+  /**
+   * Cliente de la API de Gmail autenticado para la cuenta
+   * @private
+   */
+  async createGmailClient(accountId) {
+    const oauth2Client = await OAuthHelper.getOAuth2Client(accountId);
+    return google.gmail({ version: GMAIL.API_VERSION, auth: oauth2Client });
+  }
+}
+
+// Exportar instancia única
+module.exports = new SyncService();
+module.exports.SyncService = SyncService;
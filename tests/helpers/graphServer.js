@@ -0,0 +1,56 @@
+/**
+ * Servidor HTTP local que hace de Microsoft Graph en las pruebas
+ * Guarda cada petición (método, ruta, query, cabeceras y cuerpo) y responde
+ * con lo que devuelva el manejador de la prueba
+ */
+
+const http = require('http');
+
+class FakeGraphServer {
+  constructor() {
+    this.requests = [];
+    // (request) => { status, body }; por defecto 404 con el error de Graph
+    this.handler = () => ({ status: 404, body: { error: { code: 'ErrorItemNotFound', message: 'Not found' } } });
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Empieza a escuchar en un puerto libre
+   * @returns {Promise<string>} URL base, equivalente a https://graph.microsoft.com/v1.0
+   */
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/v1.0`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  handleRequest(req, res) {
+    const chunks = [];
+
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, this.baseUrl);
+      const request = {
+        method: req.method,
+        path: url.pathname.replace(/^\/v1\.0/, ''),
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      };
+      this.requests.push(request);
+
+      const { status = 200, body = null } = this.handler(request) || {};
+      res.writeHead(status, body === null ? {} : { 'Content-Type': 'application/json' });
+      res.end(body === null ? undefined : JSON.stringify(body));
+    });
+  }
+}
+
+module.exports = FakeGraphServer;
@@ -0,0 +1,294 @@
+/**
+ * Servidor IMAP mínimo para las pruebas
+ * Atiende en localhost (sin TLS) el subconjunto de IMAP4rev1 que usa
+ * ImapService: LOGIN, LIST, SELECT/EXAMINE, UID SEARCH/FETCH/STORE/EXPUNGE y
+ * APPEND. Los buzones viven en memoria y se pueden inspeccionar tras cada prueba
+ */
+
+const net = require('net');
+
+const CRLF = '\r\n';
+
+class FakeImapServer {
+  /**
+   * @param {Object} options - Configuración
+   * @param {string} options.user - Usuario aceptado
+   * @param {string} options.password - Contraseña aceptada
+   * @param {Object} options.mailboxes - { nombre: { specialUse, messages: [{ uid, flags, raw, internalDate }] } }
+   */
+  constructor({ user, password, mailboxes = {} }) {
+    this.user = user;
+    this.password = password;
+    this.mailboxes = {};
+    this.commands = [];
+    this.sockets = new Set();
+
+    Object.entries(mailboxes).forEach(([name, box]) => {
+      this.mailboxes[name] = {
+        specialUse: box.specialUse || '',
+        messages: (box.messages || []).map((message) => ({ flags: [], ...message })),
+        uidNext: Math.max(0, ...(box.messages || []).map((message) => message.uid)) + 1
+      };
+    });
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+  }
+
+  /**
+   * Empieza a escuchar en un puerto libre
+   * @returns {Promise<number>} Puerto
+   */
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  close() {
+    this.sockets.forEach((socket) => socket.destroy());
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  getMessages(name) {
+    return this.mailboxes[name].messages;
+  }
+
+  handleConnection(socket) {
+    const session = { socket, authenticated: false, box: null, buffer: Buffer.alloc(0), literal: null };
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      session.buffer = Buffer.concat([session.buffer, chunk]);
+      this.processBuffer(session);
+    });
+
+    socket.write(`* OK IMAP4rev1 stand-in ready${CRLF}`);
+  }
+
+  /**
+   * Separa las líneas de comando; un comando que acaba en {n} espera n bytes
+   * de literal (APPEND) antes de ejecutarse
+   */
+  processBuffer(session) {
+    for (;;) {
+      if (session.literal) {
+        const { size } = session.literal;
+        if (session.buffer.length < size + 2) return;
+
+        const data = session.buffer.subarray(0, size).toString('utf8');
+        session.buffer = session.buffer.subarray(size + 2);
+        const { line } = session.literal;
+        session.literal = null;
+        this.execute(session, line, data);
+        continue;
+      }
+
+      const end = session.buffer.indexOf(CRLF);
+      if (end === -1) return;
+
+      const line = session.buffer.subarray(0, end).toString('utf8');
+      session.buffer = session.buffer.subarray(end + 2);
+
+      const literal = line.match(/\{(\d+)\}$/);
+      if (literal) {
+        session.literal = { line, size: Number(literal[1]) };
+        session.socket.write(`+ Ready for literal data${CRLF}`);
+        continue;
+      }
+
+      this.execute(session, line);
+    }
+  }
+
+  execute(session, line, literal = null) {
+    const [tag, ...rest] = line.split(' ');
+    let command = rest.join(' ');
+    let uid = false;
+
+    if (/^UID /i.test(command)) {
+      uid = true;
+      command = command.slice(4);
+    }
+
+    const name = command.split(' ')[0].toUpperCase();
+    const args = command.slice(name.length).trim();
+    this.commands.push(uid ? `UID ${name}` : name);
+
+    const send = (text) => session.socket.write(text + CRLF);
+    const ok = (text = `${name} completed`) => send(`${tag} OK ${text}`);
+
+    if (!session.authenticated && !['CAPABILITY', 'LOGIN', 'LOGOUT', 'NOOP'].includes(name)) {
+      send(`${tag} BAD Not authenticated`);
+      return;
+    }
+
+    switch (name) {
+    case 'CAPABILITY':
+      send('* CAPABILITY IMAP4rev1 UIDPLUS');
+      ok();
+      break;
+    case 'NOOP':
+      ok();
+      break;
+    case 'LOGIN': {
+      const [user, password] = this.parseStrings(args);
+      if (user === this.user && password === this.password) {
+        session.authenticated = true;
+        ok('LOGIN completed');
+      } else {
+        send(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials`);
+      }
+      break;
+    }
+    case 'LIST':
+      if (args.endsWith('""')) {
+        send('* LIST (\\Noselect) "/" ""');
+      } else {
+        Object.entries(this.mailboxes).forEach(([boxName, box]) => {
+          const attribs = ['\\HasNoChildren', box.specialUse].filter(Boolean).join(' ');
+          send(`* LIST (${attribs}) "/" "${boxName}"`);
+        });
+      }
+      ok();
+      break;
+    case 'SELECT':
+    case 'EXAMINE': {
+      const [boxName] = this.parseStrings(args);
+      const box = this.mailboxes[boxName];
+      if (!box) {
+        send(`${tag} NO Mailbox does not exist`);
+        break;
+      }
+      session.box = box;
+      send('* FLAGS (\\Seen \\Flagged \\Deleted \\Draft \\Answered)');
+      send(`* ${box.messages.length} EXISTS`);
+      send('* 0 RECENT');
+      send('* OK [UIDVALIDITY 1] UIDs valid');
+      send(`* OK [UIDNEXT ${box.uidNext}] Predicted next UID`);
+      ok(`[${name === 'EXAMINE' ? 'READ-ONLY' : 'READ-WRITE'}] ${name} completed`);
+      break;
+    }
+    case 'SEARCH': {
+      const uids = session.box.messages
+        .filter((message) => this.matches(message, args))
+        .map((message) => message.uid);
+      send(`* SEARCH${uids.map((value) => ` ${value}`).join('')}`);
+      ok();
+      break;
+    }
+    case 'FETCH': {
+      const [set] = args.split(' ');
+      this.selectMessages(session.box, set).forEach(({ message, seq }) => {
+        send(`* ${seq} FETCH (UID ${message.uid} FLAGS (${message.flags.join(' ')}) ` +
+          `INTERNALDATE "${this.formatInternalDate(message.internalDate)}" ` +
+          `RFC822.SIZE ${Buffer.byteLength(message.raw)} BODY[] {${Buffer.byteLength(message.raw)}}`);
+        session.socket.write(message.raw);
+        send(')');
+      });
+      ok();
+      break;
+    }
+    case 'STORE': {
+      const [set, mode] = args.split(' ');
+      const flags = (args.match(/\(([^)]*)\)/) || ['', ''])[1].split(' ').filter(Boolean);
+      this.selectMessages(session.box, set).forEach(({ message, seq }) => {
+        if (mode.startsWith('+')) {
+          message.flags = [...new Set([...message.flags, ...flags])];
+        } else if (mode.startsWith('-')) {
+          message.flags = message.flags.filter((flag) => !flags.includes(flag));
+        } else {
+          message.flags = flags;
+        }
+        if (!mode.includes('.SILENT')) {
+          send(`* ${seq} FETCH (UID ${message.uid} FLAGS (${message.flags.join(' ')}))`);
+        }
+      });
+      ok();
+      break;
+    }
+    case 'EXPUNGE': {
+      const set = uid ? args : '1:*';
+      const expunged = new Set(this.selectMessages(session.box, set)
+        .filter(({ message }) => message.flags.includes('\\Deleted'))
+        .map(({ message }) => message.uid));
+      session.box.messages = session.box.messages.filter((message) => !expunged.has(message.uid));
+      ok();
+      break;
+    }
+    case 'APPEND': {
+      const [boxName] = this.parseStrings(args);
+      const box = this.mailboxes[boxName];
+      if (!box) {
+        send(`${tag} NO [TRYCREATE] Mailbox does not exist`);
+        break;
+      }
+      const flags = (args.match(/\(([^)]*)\)/) || ['', ''])[1].split(' ').filter(Boolean);
+      box.messages.push({ uid: box.uidNext, flags, raw: literal || '' });
+      box.uidNext += 1;
+      ok('APPEND completed');
+      break;
+    }
+    case 'CLOSE':
+    case 'UNSELECT':
+      session.box = null;
+      ok();
+      break;
+    case 'LOGOUT':
+      send('* BYE Logging out');
+      ok();
+      session.socket.end();
+      break;
+    default:
+      send(`${tag} BAD Unknown command`);
+    }
+  }
+
+  /**
+   * Fecha de recepción en formato IMAP ("01-Jun-2026 10:00:00 +0000")
+   */
+  formatInternalDate(date = new Date(0)) {
+    const [, day, month, year, time] = date.toUTCString().split(' ');
+    return `${day}-${month}-${year} ${time} +0000`;
+  }
+
+  /**
+   * Cadenas entre comillas (o átomos) de los argumentos
+   */
+  parseStrings(args) {
+    return [...args.matchAll(/"((?:[^"\\]|\\.)*)"|(\S+)/g)]
+      .map((match) => (match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]));
+  }
+
+  /**
+   * Mensajes de un conjunto de UIDs ("3,2", "1:4", "2:*")
+   */
+  selectMessages(box, set) {
+    const wanted = (uid) => set.split(',').some((part) => {
+      const [from, to = from] = part.split(':');
+      const low = Number(from);
+      const high = to === '*' ? Infinity : Number(to);
+      return uid >= Math.min(low, high) && uid <= Math.max(low, high);
+    });
+
+    return box.messages
+      .map((message, index) => ({ message, seq: index + 1 }))
+      .filter(({ message }) => wanted(message.uid));
+  }
+
+  /**
+   * Criterios de búsqueda soportados: ALL, UNSEEN, SEEN, FLAGGED y TEXT
+   */
+  matches(message, criteria) {
+    const text = criteria.match(/TEXT "((?:[^"\\]|\\.)*)"/i);
+    if (text) {
+      return message.raw.toLowerCase().includes(text[1].toLowerCase());
+    }
+    if (/UNSEEN/i.test(criteria)) return !message.flags.includes('\\Seen');
+    if (/\bSEEN/i.test(criteria)) return message.flags.includes('\\Seen');
+    if (/FLAGGED/i.test(criteria)) return message.flags.includes('\\Flagged');
+    return true;
+  }
+}
+
+module.exports = FakeImapServer;
@@ -0,0 +1,15 @@
+/**
+ * Sustituto de src/common/logger para las pruebas: mismas funciones, sin
+ * escribir en consola ni en logs/
+ */
+
+const noop = () => {};
+const logger = new Proxy({}, { get: () => noop });
+
+module.exports = {
+  logger,
+  loggers: new Proxy({}, { get: () => logger }),
+  expressLogger: noop,
+  setupGlobalErrorHandlers: noop,
+  gracefulShutdown: noop
+};
@@ -0,0 +1,141 @@
+/**
+ * Servidor SMTP mínimo para las pruebas
+ * Acepta AUTH PLAIN/LOGIN sin TLS en localhost y guarda cada mensaje
+ * recibido con su sobre (MAIL FROM / RCPT TO)
+ */
+
+const net = require('net');
+
+const CRLF = '\r\n';
+
+class FakeSmtpServer {
+  /**
+   * @param {Object} options - Configuración
+   * @param {string} options.user - Usuario aceptado
+   * @param {string} options.password - Contraseña aceptada
+   */
+  constructor({ user, password }) {
+    this.user = user;
+    this.password = password;
+    this.messages = [];
+    this.sockets = new Set();
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+  }
+
+  /**
+   * Empieza a escuchar en un puerto libre
+   * @returns {Promise<number>} Puerto
+   */
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  close() {
+    this.sockets.forEach((socket) => socket.destroy());
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  handleConnection(socket) {
+    const session = { envelope: { from: '', to: [] }, data: null, auth: null, buffer: '' };
+    const send = (text) => socket.write(text + CRLF);
+
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      session.buffer += chunk.toString('utf8');
+
+      let end;
+      while ((end = session.buffer.indexOf(CRLF)) !== -1) {
+        const line = session.buffer.slice(0, end);
+        session.buffer = session.buffer.slice(end + 2);
+        this.handleLine(session, line, send, socket);
+      }
+    });
+
+    send('220 localhost ESMTP stand-in');
+  }
+
+  handleLine(session, line, send, socket) {
+    // Cuerpo del mensaje tras DATA, hasta la línea con un punto
+    if (session.data !== null) {
+      if (line === '.') {
+        this.messages.push({ envelope: session.envelope, raw: session.data.join(CRLF) });
+        session.data = null;
+        session.envelope = { from: '', to: [] };
+        send('250 OK: queued');
+      } else {
+        session.data.push(line.startsWith('..') ? line.slice(1) : line);
+      }
+      return;
+    }
+
+    // Usuario y contraseña de AUTH LOGIN, una línea cada uno
+    if (session.auth) {
+      session.auth.push(Buffer.from(line, 'base64').toString('utf8'));
+      if (session.auth.length === 1) {
+        send(`334 ${Buffer.from('Password:').toString('base64')}`);
+      } else {
+        this.authenticate(session.auth[0], session.auth[1], send);
+        session.auth = null;
+      }
+      return;
+    }
+
+    const [verb, ...args] = line.split(' ');
+    switch (verb.toUpperCase()) {
+    case 'EHLO':
+    case 'HELO':
+      send('250-localhost');
+      send('250-AUTH PLAIN LOGIN');
+      send('250 8BITMIME');
+      break;
+    case 'AUTH':
+      if (args[0].toUpperCase() === 'PLAIN') {
+        const [, user, password] = Buffer.from(args[1], 'base64').toString('utf8').split('\0');
+        this.authenticate(user, password, send);
+      } else {
+        session.auth = [];
+        send(`334 ${Buffer.from('Username:').toString('base64')}`);
+      }
+      break;
+    case 'MAIL':
+      session.envelope.from = (line.match(/<([^>]*)>/) || ['', ''])[1];
+      send('250 OK');
+      break;
+    case 'RCPT':
+      session.envelope.to.push((line.match(/<([^>]*)>/) || ['', ''])[1]);
+      send('250 OK');
+      break;
+    case 'DATA':
+      session.data = [];
+      send('354 End data with <CR><LF>.<CR><LF>');
+      break;
+    case 'RSET':
+      session.envelope = { from: '', to: [] };
+      send('250 OK');
+      break;
+    case 'NOOP':
+      send('250 OK');
+      break;
+    case 'QUIT':
+      send('221 Bye');
+      socket.end();
+      break;
+    default:
+      send('502 Command not implemented');
+    }
+  }
+
+  authenticate(user, password, send) {
+    if (user === this.user && password === this.password) {
+      send('235 Authentication successful');
+    } else {
+      send('535 Authentication credentials invalid');
+    }
+  }
+}
+
+module.exports = FakeSmtpServer;
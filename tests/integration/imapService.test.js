@@ -0,0 +1,164 @@
+/**
+ * ImapService contra servidores IMAP y SMTP locales (tests/helpers)
+ */
+
+jest.mock('../../src/common/logger', () => require('../helpers/silentLogger'));
+jest.mock('../../src/common/accounts', () => ({ findAccount: jest.fn() }));
+
+const Accounts = require('../../src/common/accounts');
+const imapService = require('../../src/services/imapService');
+const FakeImapServer = require('../helpers/imapServer');
+const FakeSmtpServer = require('../helpers/smtpServer');
+
+const USER = 'ana@example.test';
+const PASSWORD = 's3cret';
+
+function rawMessage(uid, { subject = `Mensaje ${uid}`, cc = '', body = `Cuerpo ${uid}` } = {}) {
+  const headers = [
+    'From: Bea <bea@example.test>',
+    `To: ${USER}`,
+    cc && `Cc: ${cc}`,
+    `Subject: ${subject}`,
+    `Date: Mon, 0${uid} Jun 2026 10:00:00 +0000`,
+    `Message-ID: <msg-${uid}@example.test>`,
+    'Content-Type: text/plain; charset=utf-8'
+  ].filter(Boolean);
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+}
+
+describe('ImapService', () => {
+  let imapServer;
+  let smtpServer;
+  let account;
+
+  beforeEach(async() => {
+    imapServer = new FakeImapServer({
+      user: USER,
+      password: PASSWORD,
+      mailboxes: {
+        INBOX: {
+          messages: [
+            { uid: 1, flags: ['\\Seen'], raw: rawMessage(1) },
+            { uid: 2, raw: rawMessage(2, { cc: 'carlos@example.test' }) },
+            { uid: 3, raw: rawMessage(3, { subject: 'Presupuesto', body: 'Adjunto el presupuesto' }) }
+          ]
+        },
+        Sent: { specialUse: '\\Sent' }
+      }
+    });
+    smtpServer = new FakeSmtpServer({ user: USER, password: PASSWORD });
+
+    const [imapPort, smtpPort] = await Promise.all([imapServer.listen(), smtpServer.listen()]);
+
+    account = {
+      id: 'imap_test',
+      email: USER,
+      provider: 'imap',
+      server: {
+        username: USER,
+        imap: { host: '127.0.0.1', port: imapPort, secure: false },
+        smtp: { host: '127.0.0.1', port: smtpPort, secure: false }
+      },
+      credentials: { password: PASSWORD }
+    };
+
+    Accounts.findAccount.mockImplementation((id) => (id === account.id ? account : null));
+    imapService.boxCache.clear();
+  });
+
+  afterEach(async() => {
+    await Promise.all([imapServer.close(), smtpServer.close()]);
+  });
+
+  test('pagina la bandeja del mensaje más reciente al más antiguo', async() => {
+    const first = await imapService.fetchEmails(account.id, 'INBOX', 2);
+
+    expect(first.success).toBe(true);
+    expect(first.data.map((email) => email.subject)).toEqual(['Presupuesto', 'Mensaje 2']);
+    expect(first.total).toBe(3);
+    expect(first.nextPageToken).toBe('2');
+    expect(first.data[1].labels).toEqual(['INBOX', 'UNREAD']);
+
+    const second = await imapService.fetchEmails(account.id, 'INBOX', 2, first.nextPageToken);
+
+    expect(second.data.map((email) => email.subject)).toEqual(['Mensaje 1']);
+    expect(second.data[0].read).toBe(true);
+    expect(second.nextPageToken).toBeUndefined();
+  });
+
+  test('lee un mensaje completo sin marcarlo como leído', async() => {
+    const [, second] = (await imapService.fetchEmails(account.id, 'INBOX', 3)).data;
+    const details = await imapService.fetchEmailDetails(account.id, second.id);
+
+    expect(details.success).toBe(true);
+    expect(details.data.cc).toBe('carlos@example.test');
+    expect(details.data.body.trim()).toBe('Cuerpo 2');
+    expect(imapServer.getMessages('INBOX')[1].flags).not.toContain('\\Seen');
+  });
+
+  test('busca en el texto de los mensajes', async() => {
+    const result = await imapService.searchEmails(account.id, 'presupuesto');
+
+    expect(result.success).toBe(true);
+    expect(result.data.map((email) => email.subject)).toEqual(['Presupuesto']);
+  });
+
+  test('marca como leído con el flag \\Seen', async() => {
+    const id = imapService.buildMessageId('INBOX', 2);
+    const result = await imapService.markAsRead(account.id, id, true);
+
+    expect(result).toEqual({ success: true, data: { id, read: true } });
+    expect(imapServer.getMessages('INBOX')[1].flags).toContain('\\Seen');
+  });
+
+  test('elimina un mensaje con \\Deleted y UID EXPUNGE', async() => {
+    const result = await imapService.deleteEmail(account.id, imapService.buildMessageId('INBOX', 1));
+
+    expect(result.success).toBe(true);
+    expect(imapServer.getMessages('INBOX').map((message) => message.uid)).toEqual([2, 3]);
+    expect(imapServer.commands).toContain('UID EXPUNGE');
+  });
+
+  test('envía por SMTP con los Bcc solo en el sobre y guarda la copia en Enviados', async() => {
+    const result = await imapService.sendEmail(account.id, {
+      to: 'bea@example.test',
+      bcc: 'oculto@example.test',
+      subject: 'Hola',
+      body: 'Hola Bea'
+    });
+
+    expect(result.success).toBe(true);
+    expect(smtpServer.messages).toHaveLength(1);
+
+    const [sent] = smtpServer.messages;
+    expect(sent.envelope.from).toBe(USER);
+    expect(sent.envelope.to).toEqual(expect.arrayContaining(['bea@example.test', 'oculto@example.test']));
+    expect(sent.raw).toMatch(/^Subject: Hola$/m);
+    expect(sent.raw).not.toMatch(/^Bcc:/im);
+
+    const [copy] = imapServer.getMessages('Sent');
+    expect(copy.flags).toEqual(['\\Seen']);
+    expect(copy.raw).toContain('Hola Bea');
+    expect(copy.raw).not.toMatch(/^Bcc:/im);
+  });
+
+  test('verifyAccount rechaza una contraseña incorrecta', async() => {
+    const wrong = { ...account, credentials: { password: 'otra' } };
+
+    await expect(imapService.verifyAccount(wrong)).rejects.toMatchObject({ source: 'authentication' });
+    await expect(imapService.verifyAccount(account)).resolves.toBe(true);
+  });
+
+  test('devuelve el error de red sin lanzar cuando el servidor no responde', async() => {
+    await imapServer.close();
+    const { retryDelay } = imapService;
+    imapService.retryDelay = 0;
+
+    const result = await imapService.fetchEmails(account.id, 'INBOX');
+    imapService.retryDelay = retryDelay;
+
+    expect(result.success).toBe(false);
+    expect(result.data).toEqual([]);
+  });
+});
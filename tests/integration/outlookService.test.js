@@ -0,0 +1,200 @@
+/**
+ * OutlookService contra un servidor local que hace de Microsoft Graph
+ */
+
+jest.mock('../../src/common/logger', () => require('../helpers/silentLogger'));
+jest.mock('../../src/common/accounts', () => ({ findAccount: jest.fn() }));
+jest.mock('../../src/common/oauthHelper', () => ({
+  getMicrosoftAccessToken: jest.fn().mockResolvedValue('access-token')
+}));
+
+const FakeGraphServer = require('../helpers/graphServer');
+
+const ACCOUNT = { id: 'outlook_test', email: 'ana@contoso.test', provider: 'outlook' };
+
+function graphMessage(id, overrides = {}) {
+  return {
+    id,
+    conversationId: `conv-${id}`,
+    internetMessageId: `<${id}@contoso.test>`,
+    subject: `Mensaje ${id}`,
+    from: { emailAddress: { name: 'Bea', address: 'bea@contoso.test' } },
+    toRecipients: [{ emailAddress: { name: 'ana@contoso.test', address: 'ana@contoso.test' } }],
+    receivedDateTime: '2026-06-01T10:00:00Z',
+    bodyPreview: `Vista previa ${id}`,
+    isRead: false,
+    flag: { flagStatus: 'notFlagged' },
+    ...overrides
+  };
+}
+
+describe('OutlookService', () => {
+  let graph;
+  let outlookService;
+  let Accounts;
+
+  beforeAll(async() => {
+    graph = new FakeGraphServer();
+    process.env.MICROSOFT_GRAPH_URL = await graph.listen();
+
+    // constants lee la URL de Graph al cargarse
+    outlookService = require('../../src/services/outlookService');
+    Accounts = require('../../src/common/accounts');
+  });
+
+  afterAll(async() => {
+    delete process.env.MICROSOFT_GRAPH_URL;
+    await graph.close();
+  });
+
+  beforeEach(() => {
+    graph.requests = [];
+    outlookService.retryDelay = 0;
+    Accounts.findAccount.mockImplementation((id) => (id === ACCOUNT.id ? ACCOUNT : null));
+  });
+
+  describe('encodeId / decodeId', () => {
+    test('los IDs de Graph con "=", "+" y "/" van y vuelven en base64url', () => {
+      const graphId = 'AAMkAGI2+THVjAAA/ABC==';
+      const encoded = outlookService.encodeId(graphId);
+
+      expect(encoded).toMatch(/^[a-zA-Z0-9_-]+$/);
+      expect(outlookService.decodeId(encoded)).toBe(graphId);
+    });
+
+    test('rechaza IDs que no son base64url', () => {
+      expect(() => outlookService.decodeId('../me/messages')).toThrow('Invalid Email ID format');
+      expect(() => outlookService.decodeId('')).toThrow('Invalid Email ID format');
+    });
+  });
+
+  describe('fetchEmails', () => {
+    test('pide la primera página a la carpeta y sigue el @odata.nextLink', async() => {
+      graph.handler = (request) => {
+        if (request.query.$skiptoken === 'page2') {
+          return { body: { value: [graphMessage('m3')] } };
+        }
+        return {
+          body: {
+            '@odata.count': 3,
+            '@odata.nextLink': `${graph.baseUrl}/me/mailFolders/inbox/messages?$skiptoken=page2`,
+            value: [graphMessage('m1'), graphMessage('m2', { isRead: true, flag: { flagStatus: 'flagged' } })]
+          }
+        };
+      };
+
+      const first = await outlookService.fetchEmails(ACCOUNT.id, 'INBOX', 2);
+
+      expect(first.success).toBe(true);
+      expect(first.total).toBe(3);
+      expect(first.data.map((email) => email.subject)).toEqual(['Mensaje m1', 'Mensaje m2']);
+      expect(first.data[0]).toMatchObject({ from: 'Bea <bea@contoso.test>', to: 'ana@contoso.test', labels: ['UNREAD'] });
+      expect(first.data[1]).toMatchObject({ read: true, labels: ['STARRED'] });
+      expect(outlookService.decodeId(first.data[0].id)).toBe('m1');
+
+      const [request] = graph.requests;
+      expect(request.path).toBe('/me/mailFolders/inbox/messages');
+      expect(request.query).toMatchObject({ $top: '2', $orderby: 'receivedDateTime desc', $count: 'true' });
+      expect(request.headers.authorization).toBe('Bearer access-token');
+
+      const second = await outlookService.fetchEmails(ACCOUNT.id, 'INBOX', 2, first.nextPageToken);
+
+      expect(second.data.map((email) => email.subject)).toEqual(['Mensaje m3']);
+      expect(second.nextPageToken).toBeUndefined();
+      expect(graph.requests[1].query.$skiptoken).toBe('page2');
+    });
+
+    test('los filtros de carpeta van en $filter tras la fecha del $orderby', async() => {
+      graph.handler = () => ({ body: { value: [] } });
+
+      await outlookService.fetchEmails(ACCOUNT.id, 'UNREAD', 10);
+
+      expect(graph.requests[0].query.$filter).toMatch(/^receivedDateTime ge .+ and isRead eq false$/);
+    });
+
+    test('no sigue un nextLink que no apunta a Graph', async() => {
+      const result = await outlookService.fetchEmails(ACCOUNT.id, 'INBOX', 2, 'https://evil.test/v1.0/me/messages');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid pagination link');
+      expect(graph.requests).toHaveLength(0);
+    });
+
+    test('validateNextLink exige la URL base de Graph completa', () => {
+      expect(() => outlookService.validateNextLink(`${graph.baseUrl}evil.test/`)).toThrow('Invalid pagination link');
+      expect(() => outlookService.validateNextLink(null)).toThrow('Invalid pagination link');
+      expect(outlookService.validateNextLink(`${graph.baseUrl}/me/messages?$skip=10`)).toBe(`${graph.baseUrl}/me/messages?$skip=10`);
+    });
+
+    test('reintenta los 503 y propaga el mensaje de error de Graph', async() => {
+      graph.handler = () => ({ status: 503, body: { error: { code: 'ServiceUnavailable', message: 'Try later' } } });
+
+      const result = await outlookService.fetchEmails(ACCOUNT.id, 'INBOX', 2);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Try later');
+      expect(graph.requests).toHaveLength(outlookService.maxRetries + 1);
+    });
+  });
+
+  describe('fetchEmailDetails', () => {
+    test('separa las imágenes cid: del HTML de los adjuntos', async() => {
+      graph.handler = () => ({
+        body: graphMessage('m1', {
+          body: { contentType: 'html', content: '<p>Hola</p><img src="cid:logo@x">' },
+          internetMessageHeaders: [{ name: 'In-Reply-To', value: '<m0@contoso.test>' }],
+          attachments: [
+            { id: 'a1', name: 'logo.png', contentType: 'image/png', size: 10, isInline: true, contentId: '<logo@x>' },
+            { id: 'a2', name: 'factura.pdf', contentType: 'application/pdf', size: 20, isInline: false }
+          ]
+        })
+      });
+
+      const result = await outlookService.fetchEmailDetails(ACCOUNT.id, outlookService.encodeId('m1'));
+
+      expect(graph.requests[0].path).toBe('/me/messages/m1');
+      expect(result.data.inReplyTo).toBe('<m0@contoso.test>');
+      expect(result.data.attachments.map((att) => att.filename)).toEqual(['factura.pdf']);
+      expect(result.data.inlineImages).toEqual([expect.objectContaining({ contentId: 'logo@x', filename: 'logo.png' })]);
+    });
+  });
+
+  describe('sendEmail', () => {
+    test('publica el MIME en base64 en /me/sendMail con los Bcc en las cabeceras', async() => {
+      graph.handler = () => ({ status: 202 });
+
+      const result = await outlookService.sendEmail(ACCOUNT.id, {
+        to: 'bea@contoso.test',
+        bcc: 'oculto@contoso.test',
+        subject: 'Hola',
+        body: 'Hola Bea'
+      });
+
+      expect(result).toEqual({ success: true, id: null, threadId: null });
+
+      const [request] = graph.requests;
+      expect(request.method).toBe('POST');
+      expect(request.path).toBe('/me/sendMail');
+      expect(request.headers['content-type']).toBe('text/plain');
+
+      const mime = Buffer.from(request.body, 'base64').toString('utf8');
+      expect(mime).toMatch(/^From: ana@contoso\.test$/m);
+      expect(mime).toMatch(/^Bcc: oculto@contoso\.test$/m);
+      expect(mime).toMatch(/^Subject: Hola$/m);
+    });
+
+    test('no llama a Graph si faltan datos', async() => {
+      await expect(outlookService.sendEmail(ACCOUNT.id, { to: 'bea@contoso.test', subject: '', body: 'x' }))
+        .rejects.toThrow('Subject is required');
+      expect(graph.requests).toHaveLength(0);
+    });
+
+    test('propaga el error de Graph', async() => {
+      graph.handler = () => ({ status: 400, body: { error: { code: 'ErrorInvalidRecipients', message: 'Invalid recipients' } } });
+
+      await expect(outlookService.sendEmail(ACCOUNT.id, { to: 'bea@contoso.test', subject: 'Hola', body: 'x' }))
+        .rejects.toMatchObject({ message: 'Invalid recipients', status: 400 });
+      expect(graph.requests).toHaveLength(1);
+    });
+  });
+});
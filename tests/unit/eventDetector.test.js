@@ -0,0 +1,75 @@
+/**
+ * Detección de la fecha y hora de una reunión en el texto de un correo
+ * (src/renderer/utils/eventDetector.js)
+ */
+
+// El script del renderizador se publica en window
+global.window = {};
+require('../../src/renderer/utils/eventDetector');
+
+const { eventDetector } = window;
+
+// Lunes 20 de octubre de 2025, 9:00
+const REFERENCE = new Date(2025, 9, 20, 9, 0);
+
+function at(year, month, day, hours = 0, minutes = 0) {
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+describe('eventDetector.detect', () => {
+  afterAll(() => {
+    delete global.window;
+  });
+
+  test('"el jueves 23 de octubre a las 10:30"', () => {
+    const result = eventDetector.detect('Te propongo vernos el jueves 23 de octubre a las 10:30 en la oficina', REFERENCE);
+
+    expect(result).toEqual({ start: at(2025, 10, 23, 10, 30), end: null, allDay: false });
+  });
+
+  test('"mañana de 16 a 17h" es un rango de horas', () => {
+    const result = eventDetector.detect('¿Podemos hablar mañana de 16 a 17h?', REFERENCE);
+
+    expect(result).toEqual({ start: at(2025, 10, 21, 16), end: at(2025, 10, 21, 17), allDay: false });
+  });
+
+  test('"Oct 23, 3pm"', () => {
+    const result = eventDetector.detect('Quick sync on Oct 23, 3pm?', REFERENCE);
+
+    expect(result).toEqual({ start: at(2025, 10, 23, 15), end: null, allDay: false });
+  });
+
+  test('"por la mañana" no es la fecha de mañana', () => {
+    expect(eventDetector.detect('Te llamo por la mañana', REFERENCE)).toBeNull();
+    expect(eventDetector.detect('Esta mañana revisé el informe', REFERENCE)).toBeNull();
+
+    // Con otra fecha, "por la mañana" tampoco la cambia
+    const result = eventDetector.detect('Nos vemos el viernes por la mañana', REFERENCE);
+    expect(result).toEqual({ start: at(2025, 10, 24), end: null, allDay: true });
+  });
+
+  test('una fecha sin año ya pasada es la del año siguiente', () => {
+    const december = new Date(2025, 11, 15);
+
+    expect(eventDetector.detect('Reunión el 10 de enero a las 9:00', december).start).toEqual(at(2026, 1, 10, 9));
+    expect(eventDetector.detect('Entrega el 20/11', december)).toEqual({ start: at(2026, 11, 20), end: null, allDay: true });
+    // La fecha de hoy no pasa al año siguiente
+    expect(eventDetector.detect('Hoy, 15 de diciembre', december).start).toEqual(at(2025, 12, 15));
+  });
+
+  test('la fecha escrita tiene prioridad sobre las relativas', () => {
+    const result = eventDetector.detect('Mañana te confirmo, pero sería el 5 de noviembre a las 12:00', REFERENCE);
+
+    expect(result.start).toEqual(at(2025, 11, 5, 12));
+  });
+
+  test('no toma precios ni las líneas citadas', () => {
+    expect(eventDetector.detect('El menú cuesta 10.30 euros el 7/11', REFERENCE))
+      .toEqual({ start: at(2025, 11, 7), end: null, allDay: true });
+    expect(eventDetector.detect('Gracias\n> El 23 de octubre a las 10:30', REFERENCE)).toBeNull();
+  });
+
+  test('descarta fechas imposibles', () => {
+    expect(eventDetector.detect('el 31 de febrero', REFERENCE)).toBeNull();
+  });
+});
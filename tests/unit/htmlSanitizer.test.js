@@ -0,0 +1,35 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Saneador del HTML recibido (PROFILES.MAIL) contra los correos hostiles de
+ * tests/fixtures/hostile-emails.json
+ */
+
+const { cases } = require('../fixtures/hostile-emails.json');
+
+// El script del renderizador se publica en window
+require('../../src/renderer/utils/htmlSanitizer');
+
+const { htmlSanitizer } = window;
+
+describe('htmlSanitizer con PROFILES.MAIL', () => {
+  test.each(cases.map((fixture) => [fixture.name, fixture]))('%s', (name, fixture) => {
+    const sanitized = htmlSanitizer.sanitize(fixture.html, htmlSanitizer.PROFILES.MAIL);
+    const lower = sanitized.toLowerCase();
+
+    (fixture.mustNotContain || []).forEach((fragment) => {
+      expect(lower).not.toContain(fragment.toLowerCase());
+    });
+    (fixture.mustContain || []).forEach((fragment) => {
+      expect(sanitized).toContain(fragment);
+    });
+  });
+
+  test('cada caso comprueba algo', () => {
+    cases.forEach((fixture) => {
+      expect((fixture.mustNotContain || []).length + (fixture.mustContain || []).length).toBeGreaterThan(0);
+    });
+  });
+});
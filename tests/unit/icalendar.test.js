@@ -0,0 +1,172 @@
+/**
+ * Lectura de invitaciones text/calendar y respuestas iTIP
+ * (src/common/icalendar.js)
+ */
+
+const icalendar = require('../../src/common/icalendar');
+
+/**
+ * Calendario con un VEVENT formado por las líneas indicadas
+ */
+function calendar(eventLines, method = 'REQUEST') {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    ...eventLines,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+const EVENT = [
+  'UID:reunion-1@example.test',
+  'SEQUENCE:2',
+  'DTSTART:20261023T083000Z',
+  'DTEND:20261023T093000Z',
+  'SUMMARY:Revisión del presupuesto',
+  'ORGANIZER;CN=Bea:mailto:bea@example.test',
+  'ATTENDEE;CN="Ana, ventas";PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:ana@example.test',
+  'ATTENDEE;PARTSTAT=accepted;ROLE=OPT-PARTICIPANT:mailto:carlos@example.test'
+];
+
+describe('icalendar.parseInvitation', () => {
+  test('lee el evento, el organizador y la respuesta de cada invitado', () => {
+    const invitation = icalendar.parseInvitation(calendar(EVENT));
+
+    expect(invitation).toMatchObject({
+      method: 'REQUEST',
+      uid: 'reunion-1@example.test',
+      sequence: 2,
+      summary: 'Revisión del presupuesto',
+      start: { dateTime: '2026-10-23T08:30:00.000Z', timeZone: 'UTC', allDay: false },
+      end: { dateTime: '2026-10-23T09:30:00.000Z' },
+      allDay: false,
+      status: 'CONFIRMED',
+      organizer: { email: 'bea@example.test', name: 'Bea' }
+    });
+    expect(invitation.attendees).toEqual([
+      { email: 'ana@example.test', name: 'Ana, ventas', partstat: 'NEEDS-ACTION', role: 'REQ-PARTICIPANT', rsvp: true },
+      { email: 'carlos@example.test', name: '', partstat: 'ACCEPTED', role: 'OPT-PARTICIPANT', rsvp: false }
+    ]);
+  });
+
+  test('junta las líneas plegadas con espacio o tabulador', () => {
+    const invitation = icalendar.parseInvitation(calendar([
+      'UID:reunion-2@exa',
+      ' mple.test',
+      'DTSTART:20261023T083000Z',
+      'DESCRIPTION:Primera parte\\, segunda',
+      '\tparte\\nY otra línea',
+      'ATTENDEE;CN=Ana;PARTSTAT=TENTA',
+      ' TIVE:mailto:ana@example.test'
+    ]));
+
+    expect(invitation.uid).toBe('reunion-2@example.test');
+    expect(invitation.description).toBe('Primera parte, segundaparte\nY otra línea');
+    expect(invitation.attendees[0]).toMatchObject({ email: 'ana@example.test', partstat: 'TENTATIVE' });
+  });
+
+  test('un DTSTART de día completo da fechas YYYY-MM-DD', () => {
+    const invitation = icalendar.parseInvitation(calendar([
+      'UID:vacaciones@example.test',
+      'DTSTART;VALUE=DATE:20261230',
+      'DURATION:P3D'
+    ]));
+
+    expect(invitation.allDay).toBe(true);
+    expect(invitation.start).toEqual({ dateTime: '2026-12-30', timeZone: null, allDay: true });
+    expect(invitation.end.dateTime).toBe('2027-01-02');
+  });
+
+  test('las horas con TZID se pasan a UTC según la zona', () => {
+    const invitation = icalendar.parseInvitation(calendar([
+      'UID:madrid@example.test',
+      // Horario de verano (UTC+2) y de invierno (UTC+1)
+      'DTSTART;TZID=Europe/Madrid:20260701T100000',
+      'DTEND;TZID=Europe/Madrid:20261201T100000'
+    ]));
+
+    expect(invitation.start).toEqual({ dateTime: '2026-07-01T08:00:00.000Z', timeZone: 'Europe/Madrid', allDay: false });
+    expect(invitation.end.dateTime).toBe('2026-12-01T09:00:00.000Z');
+  });
+
+  test('sin ORGANIZER el organizador queda vacío', () => {
+    const invitation = icalendar.parseInvitation(calendar(EVENT.filter((line) => !line.startsWith('ORGANIZER'))));
+
+    expect(invitation.organizer).toEqual({ email: '', name: '' });
+  });
+
+  test('ignora las alarmas del evento', () => {
+    const invitation = icalendar.parseInvitation(calendar([
+      ...EVENT,
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'ATTENDEE:mailto:alarma@example.test',
+      'END:VALARM'
+    ]));
+
+    expect(invitation.attendees.map((attendee) => attendee.email)).toEqual(['ana@example.test', 'carlos@example.test']);
+  });
+
+  test('descarta lo que no es una invitación', () => {
+    expect(icalendar.parseInvitation('')).toBeNull();
+    expect(icalendar.parseInvitation(null)).toBeNull();
+    expect(icalendar.parseInvitation(calendar(EVENT, 'PUBLISH'))).toBeNull();
+    expect(icalendar.parseInvitation(calendar(EVENT.filter((line) => !line.startsWith('UID'))))).toBeNull();
+    expect(icalendar.parseInvitation(calendar(['UID:x@example.test', 'DTSTART:mañana']))).toBeNull();
+    expect(icalendar.parseInvitation('BEGIN:VCALENDAR\r\nEND:VCALENDAR')).toBeNull();
+  });
+});
+
+describe('icalendar.findAttendee', () => {
+  test('encuentra al invitado por cualquiera de las direcciones de la cuenta', () => {
+    const invitation = icalendar.parseInvitation(calendar(EVENT));
+
+    expect(icalendar.findAttendee(invitation, ['otra@example.test', 'ANA@example.test']).email).toBe('ana@example.test');
+    expect(icalendar.findAttendee(invitation, ['nadie@example.test', null])).toBeNull();
+  });
+});
+
+describe('icalendar.buildReply', () => {
+  test('responde con METHOD:REPLY, el PARTSTAT elegido y líneas plegadas', () => {
+    const invitation = icalendar.parseInvitation(calendar([...EVENT, `LOCATION:${'Sala '.repeat(30)}`]));
+    invitation.summary = 'Revisión; presupuesto '.repeat(5);
+
+    const reply = icalendar.buildReply(invitation, { email: 'ana@example.test', name: 'Ana "Ventas"' }, 'ACCEPTED');
+    const lines = reply.split('\r\n');
+
+    expect(reply.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines.every((line) => Buffer.byteLength(line) <= 75)).toBe(true);
+
+    const parsed = icalendar.parseInvitation(reply);
+    expect(parsed).toMatchObject({
+      method: 'REPLY',
+      uid: 'reunion-1@example.test',
+      sequence: 2,
+      summary: invitation.summary,
+      start: { dateTime: '2026-10-23T08:30:00.000Z' },
+      organizer: { email: 'bea@example.test', name: 'Bea' }
+    });
+    expect(parsed.attendees).toEqual([
+      expect.objectContaining({ email: 'ana@example.test', name: 'Ana Ventas', partstat: 'ACCEPTED' })
+    ]);
+  });
+
+  test('sin organizador la respuesta no lleva ORGANIZER', () => {
+    const invitation = icalendar.parseInvitation(calendar(EVENT.filter((line) => !line.startsWith('ORGANIZER'))));
+
+    const reply = icalendar.buildReply(invitation, { email: 'ana@example.test' }, 'DECLINED');
+
+    expect(reply).not.toMatch(/^ORGANIZER/m);
+    expect(reply).toMatch(/^ATTENDEE;PARTSTAT=DECLINED:mailto:ana@example\.test$/m);
+  });
+
+  test('rechaza respuestas desconocidas', () => {
+    const invitation = icalendar.parseInvitation(calendar(EVENT));
+
+    expect(() => icalendar.buildReply(invitation, { email: 'ana@example.test' }, 'MAYBE'))
+      .toThrow('Invalid invitation response: MAYBE');
+  });
+});
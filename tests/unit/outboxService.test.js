@@ -0,0 +1,113 @@
+/**
+ * Bandeja de salida: el contenido guardado en la cola llega completo al
+ * proveedor y vuelve completo a borradores al cancelar
+ */
+
+jest.mock('../../src/common/logger', () => require('../helpers/silentLogger'));
+// Sin cifrado y con la cola en un directorio temporal
+jest.mock('../../src/common/storage', () => ({
+  storageDir: require('fs').mkdtempSync(require('path').join(require('os').tmpdir(), 'outbox-')),
+  encrypt: (data) => ({ data: JSON.stringify(data) }),
+  decrypt: (encrypted) => JSON.parse(encrypted.data)
+}));
+jest.mock('../../src/services/mailProviders', () => ({ getProviderForAccount: jest.fn() }));
+jest.mock('../../src/services/draftService', () => ({
+  saveDraft: jest.fn(),
+  deleteDraft: jest.fn()
+}));
+
+const fs = require('fs');
+const Storage = require('../../src/common/storage');
+const OutboxStore = require('../../src/common/outboxStore');
+const outboxService = require('../../src/services/outboxService');
+const mailProviders = require('../../src/services/mailProviders');
+const draftService = require('../../src/services/draftService');
+
+const ACCOUNT_ID = 'gmail_test';
+
+const CONTENT = {
+  from: 'ventas@empresa.test',
+  fromName: 'Ventas',
+  to: 'bea@example.test',
+  cc: '',
+  bcc: '',
+  replyTo: '',
+  subject: 'Presupuesto',
+  body: 'Hola Bea',
+  html: '<p>Hola <b>Bea</b></p>',
+  attachments: [],
+  inReplyTo: '',
+  references: '',
+  threadId: ''
+};
+
+describe('OutboxService', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = {
+      sendEmail: jest.fn().mockResolvedValue({ success: true, id: 'sent-1' }),
+      isRetryableError: jest.fn().mockReturnValue(false)
+    };
+    mailProviders.getProviderForAccount.mockReturnValue(provider);
+    draftService.saveDraft.mockResolvedValue({ success: true, data: { id: 'draft_1' } });
+  });
+
+  afterEach(() => {
+    clearTimeout(outboxService.timer);
+    OutboxStore.removeAccount(ACCOUNT_ID);
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(Storage.storageDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Encola el mensaje y lo deja listo para salir
+   */
+  function enqueueDue(content = CONTENT) {
+    const { id } = outboxService.enqueue(ACCOUNT_ID, { ...content, unknown: 'x' });
+    OutboxStore.update(id, { sendAt: new Date(Date.now() - 1000).toISOString() });
+    return id;
+  }
+
+  test('guarda la identidad de envío elegida y descarta los campos desconocidos', () => {
+    const id = enqueueDue();
+
+    expect(OutboxStore.get(id).content).toEqual(CONTENT);
+  });
+
+  test('envía con el proveedor de la cuenta el contenido completo, HTML incluido', async() => {
+    const id = enqueueDue();
+
+    await outboxService.processQueue();
+
+    expect(provider.sendEmail).toHaveBeenCalledTimes(1);
+    expect(provider.sendEmail).toHaveBeenCalledWith(ACCOUNT_ID, CONTENT);
+    expect(OutboxStore.get(id)).toBeNull();
+  });
+
+  test('un error transitorio del proveedor reprograma el envío sin repetirlo al momento', async() => {
+    const error = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    provider.sendEmail.mockRejectedValue(error);
+    provider.isRetryableError.mockReturnValue(true);
+    const id = enqueueDue();
+
+    await outboxService.processQueue();
+
+    expect(provider.sendEmail).toHaveBeenCalledTimes(1);
+    expect(provider.isRetryableError).toHaveBeenCalledWith(error);
+    expect(OutboxStore.get(id)).toMatchObject({ status: 'pending', attempts: 1, lastError: 'socket hang up' });
+  });
+
+  test('al cancelar el mensaje vuelve a borradores con su remitente y su HTML', async() => {
+    const { id } = outboxService.enqueue(ACCOUNT_ID, CONTENT, { undoDelay: 30 });
+
+    const result = await outboxService.cancel(id);
+
+    expect(result).toEqual({ success: true, data: { draftId: 'draft_1', accountId: ACCOUNT_ID } });
+    expect(draftService.saveDraft).toHaveBeenCalledWith({ id: undefined, accountId: ACCOUNT_ID, ...CONTENT });
+    expect(OutboxStore.get(id)).toBeNull();
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * SyncService y MailStore con una API de Gmail simulada: sincronización
+ * completa, incremental con users.history.list, historial caducado (404) y
+ * lecturas sin conexión
+ */
+
+jest.mock('../../src/common/logger', () => require('../helpers/silentLogger'));
+jest.mock('../../src/common/accounts', () => ({ findAccount: jest.fn() }));
+// Sin cifrado ni directorio de la app: el almacén se crea en un temporal
+jest.mock('../../src/common/storage', () => ({
+  storageDir: require('os').tmpdir(),
+  encrypt: (data) => ({ data: JSON.stringify(data) }),
+  decrypt: (encrypted) => JSON.parse(encrypted.data)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Accounts = require('../../src/common/accounts');
+const { MailStore } = require('../../src/common/mailStore');
+const { SyncService } = require('../../src/services/syncService');
+const gmailService = require('../../src/services/gmailService');
+
+const ACCOUNT = { id: 'gmail_test', email: 'ana@gmail.test', provider: 'gmail' };
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.now();
+
+/**
+ * API de Gmail en memoria: buzón, historial y contador de llamadas
+ */
+function createFakeGmail() {
+  const mailbox = new Map();
+  const api = {
+    historyId: '100',
+    history: [],
+    historyExpired: false,
+    calls: { list: 0, get: 0, history: 0 }
+  };
+
+  api.add = (id, { subject = `Mensaje ${id}`, labels = ['INBOX', 'UNREAD'], age = 0, body = `Cuerpo ${id}` } = {}) => {
+    mailbox.set(id, {
+      id,
+      threadId: `t-${id}`,
+      labelIds: labels,
+      snippet: body,
+      sizeEstimate: 100,
+      internalDate: String(NOW - age),
+      payload: {
+        mimeType: 'text/plain',
+        headers: [
+          { name: 'Subject', value: subject },
+          { name: 'From', value: 'Bea <bea@gmail.test>' },
+          { name: 'To', value: ACCOUNT.email },
+          { name: 'Date', value: new Date(NOW - age).toUTCString() }
+        ],
+        body: { data: Buffer.from(body).toString('base64url') }
+      }
+    });
+  };
+  api.remove = (id) => mailbox.delete(id);
+  api.setLabels = (id, labels) => {
+    mailbox.get(id).labelIds = labels;
+  };
+
+  const notFound = () => Object.assign(new Error('Requested entity was not found.'), { code: 404 });
+
+  api.client = {
+    users: {
+      getProfile: jest.fn(async() => ({ data: { historyId: api.historyId } })),
+      messages: {
+        list: jest.fn(async({ maxResults }) => {
+          api.calls.list += 1;
+          const messages = [...mailbox.values()]
+            .sort((a, b) => Number(b.internalDate) - Number(a.internalDate))
+            .slice(0, maxResults)
+            .map(({ id, threadId }) => ({ id, threadId }));
+          return { data: { messages } };
+        }),
+        get: jest.fn(async({ id }) => {
+          api.calls.get += 1;
+          if (!mailbox.has(id)) throw notFound();
+          return { data: JSON.parse(JSON.stringify(mailbox.get(id))) };
+        })
+      },
+      history: {
+        list: jest.fn(async({ startHistoryId }) => {
+          api.calls.history += 1;
+          if (api.historyExpired) throw notFound();
+          return {
+            data: {
+              historyId: api.historyId,
+              history: api.history.filter((record) => Number(record.id) > Number(startHistoryId))
+            }
+          };
+        })
+      }
+    }
+  };
+
+  return api;
+}
+
+describe('SyncService', () => {
+  let baseDir;
+  let store;
+  let gmail;
+  let sync;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-store-'));
+    store = new MailStore(baseDir);
+    gmail = createFakeGmail();
+    sync = new SyncService({ store, getGmailClient: async() => gmail.client });
+
+    Accounts.findAccount.mockImplementation((id) => (id === ACCOUNT.id || id === ACCOUNT.email ? ACCOUNT : null));
+
+    gmail.add('m1', { age: 3 * HOUR, labels: ['INBOX'] });
+    gmail.add('m2', { age: 2 * HOUR, subject: 'Factura de junio' });
+    gmail.add('m3', { age: HOUR, labels: ['SENT'] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('la primera sincronización es completa y guarda el historyId', async() => {
+    expect(sync.needsInitialSync(ACCOUNT.id)).toBe(true);
+
+    const result = await sync.syncAccount(ACCOUNT.id);
+
+    expect(result).toEqual({
+      success: true,
+      data: { mode: 'full', added: 3, removed: 0, updated: 0, historyId: '100' }
+    });
+    expect(store.getSyncState(ACCOUNT.id)).toMatchObject({ historyId: '100', horizon: 0 });
+    expect(sync.canServe(ACCOUNT.id, 'INBOX')).toBe(true);
+
+    const inbox = await sync.fetchEmails(ACCOUNT.id, 'INBOX', 10);
+    expect(inbox.data.map((email) => email.id)).toEqual(['m2', 'm1']);
+    expect((await sync.fetchEmails(ACCOUNT.id, 'SENT', 10)).data.map((email) => email.id)).toEqual(['m3']);
+  });
+
+  test('la sincronización incremental aplica el historial desde el historyId guardado', async() => {
+    await sync.syncAccount(ACCOUNT.id);
+    gmail.calls.get = 0;
+
+    gmail.add('m4', { subject: 'Nuevo' });
+    gmail.remove('m1');
+    gmail.setLabels('m2', ['INBOX']);
+    gmail.historyId = '105';
+    gmail.history = [
+      { id: '101', messagesAdded: [{ message: { id: 'm4', labelIds: ['INBOX', 'UNREAD'] } }] },
+      { id: '102', messagesDeleted: [{ message: { id: 'm1' } }] },
+      { id: '103', labelsRemoved: [{ message: { id: 'm2', labelIds: ['INBOX'] }, labelIds: ['UNREAD'] }] },
+      // Los autoguardados de borradores no se guardan
+      { id: '104', messagesAdded: [{ message: { id: 'd1', labelIds: ['DRAFT'] } }] }
+    ];
+
+    const result = await sync.syncAccount(ACCOUNT.id);
+
+    expect(result.data).toEqual({ mode: 'incremental', added: 1, removed: 1, updated: 1, historyId: '105' });
+    expect(gmail.client.users.history.list).toHaveBeenCalledWith(expect.objectContaining({ startHistoryId: '100' }));
+    // Solo se descarga el mensaje nuevo
+    expect(gmail.calls.get).toBe(1);
+    expect(gmail.calls.list).toBe(1);
+    expect(store.getSyncState(ACCOUNT.id).historyId).toBe('105');
+
+    const inbox = await sync.fetchEmails(ACCOUNT.id, 'INBOX', 10);
+    expect(inbox.data.map((email) => email.id)).toEqual(['m4', 'm2']);
+    expect(inbox.data[1].labels).toEqual(['INBOX']);
+    expect((await sync.fetchEmails(ACCOUNT.id, 'UNREAD', 10)).data.map((email) => email.id)).toEqual(['m4']);
+  });
+
+  test('si Gmail ya no conserva el historial (404) vuelve a hacer la sincronización completa', async() => {
+    await sync.syncAccount(ACCOUNT.id);
+
+    gmail.remove('m1');
+    gmail.add('m5');
+    gmail.historyId = '200';
+    gmail.historyExpired = true;
+
+    const result = await sync.syncAccount(ACCOUNT.id);
+
+    expect(gmail.client.users.history.list).toHaveBeenCalledTimes(1);
+    expect(gmail.calls.list).toBe(2);
+    expect(result.data).toMatchObject({ mode: 'full', added: 3, historyId: '200' });
+    expect(store.hasMessage(ACCOUNT.id, 'm1')).toBe(false);
+    expect((await sync.fetchEmails(ACCOUNT.id, 'INBOX', 10)).data.map((email) => email.id)).toEqual(['m5', 'm2']);
+  });
+
+  test('otros errores del historial no borran el almacén', async() => {
+    await sync.syncAccount(ACCOUNT.id);
+    gmail.client.users.history.list.mockRejectedValueOnce(Object.assign(new Error('Forbidden'), { code: 403 }));
+
+    const result = await sync.syncAccount(ACCOUNT.id);
+
+    expect(result.success).toBe(false);
+    expect(gmail.calls.list).toBe(1);
+    expect(store.getSyncState(ACCOUNT.id).historyId).toBe('100');
+    expect((await sync.fetchEmails(ACCOUNT.id, 'INBOX', 10)).data).toHaveLength(2);
+  });
+
+  test('las sincronizaciones simultáneas de una cuenta se comparten', async() => {
+    const [first, second] = await Promise.all([sync.syncAccount(ACCOUNT.id), sync.syncAccount(ACCOUNT.email)]);
+
+    expect(first).toBe(second);
+    expect(gmail.client.users.getProfile).toHaveBeenCalledTimes(1);
+  });
+
+  describe('sin conexión', () => {
+    const offline = () => Object.assign(new Error('getaddrinfo ENOTFOUND gmail.googleapis.com'), { code: 'ENOTFOUND' });
+
+    beforeEach(async() => {
+      await sync.syncAccount(ACCOUNT.id);
+      sync.getGmailClient = async() => {
+        throw offline();
+      };
+    });
+
+    test('los listados y el detalle se leen del almacén sin esperar a la red', async() => {
+      const result = await sync.syncAccount(ACCOUNT.id);
+      expect(result.success).toBe(false);
+
+      const inbox = await sync.fetchEmails(ACCOUNT.id, 'INBOX', 10);
+      expect(inbox.success).toBe(true);
+      expect(inbox.data.map((email) => email.id)).toEqual(['m2', 'm1']);
+
+      const details = sync.getEmailDetails(ACCOUNT.id, 'm2');
+      expect(details.success).toBe(true);
+      expect(details.data.body).toBe('Cuerpo m2');
+      expect(details.data.subject).toBe('Factura de junio');
+    });
+
+    test('la búsqueda devuelve los resultados locales', async() => {
+      jest.spyOn(gmailService, 'searchEmails').mockResolvedValue({ success: false, error: offline().message, data: [] });
+
+      const result = await sync.searchEmails(ACCOUNT.id, 'factura', 10);
+
+      expect(result).toMatchObject({ success: true, offline: true });
+      expect(result.data.map((email) => email.id)).toEqual(['m2']);
+    });
+
+    test('un mensaje que no está guardado no se sirve desde el almacén', () => {
+      expect(sync.getEmailDetails(ACCOUNT.id, 'desconocido')).toBeNull();
+    });
+  });
+
+  describe('paginación del almacén', () => {
+    beforeEach(async() => {
+      gmail.add('m4', { age: 30 * 60 * 1000 });
+      gmail.add('m5', { age: 10 * 60 * 1000 });
+      await sync.syncAccount(ACCOUNT.id);
+    });
+
+    test('las páginas siguen al último mensaje aunque llegue correo nuevo', async() => {
+      const first = await sync.fetchEmails(ACCOUNT.id, 'INBOX', 2);
+      expect(first.data.map((email) => email.id)).toEqual(['m5', 'm4']);
+      expect(first.nextPageToken).toMatch(/^local:/);
+
+      // Correo sincronizado entre una página y la siguiente
+      store.applyChanges(ACCOUNT.id, {
+        messages: [{ id: 'm6', threadId: 't-m6', subject: 'Nuevo', labels: ['INBOX'], internalDate: NOW }]
+      });
+
+      const second = await sync.fetchEmails(ACCOUNT.id, 'INBOX', 2, first.nextPageToken);
+      expect(second.data.map((email) => email.id)).toEqual(['m2', 'm1']);
+      expect(second.nextPageToken).toBeUndefined();
+    });
+
+    test('si el mensaje del cursor se elimina se continúa por los anteriores', async() => {
+      const first = await sync.fetchEmails(ACCOUNT.id, 'INBOX', 2);
+      store.applyChanges(ACCOUNT.id, { removed: ['m4'] });
+
+      const second = await sync.fetchEmails(ACCOUNT.id, 'INBOX', 2, first.nextPageToken);
+      expect(second.data.map((email) => email.id)).toEqual(['m2', 'm1']);
+    });
+  });
+});